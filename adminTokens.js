@@ -0,0 +1,68 @@
+// adminTokens.js
+// This file signs and verifies the tokens in the dashboard links the bot sends to staff.
+//
+// A token is '<payload>.<signature>', both base64url: the payload is JSON with the user ID,
+// the group ID and an expiry time, and the signature is an HMAC-SHA256 of the payload.
+// Tokens are not stored anywhere; the user's role is checked again on every request.
+// They are only accepted in the Authorization header, never in a URL, so they don't end up in
+// server logs, proxies or Referer headers.
+
+const crypto = require('crypto');
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a signed token that lets a staff member use the API for one group.
+ * @param {object} claims - Who the token is for.
+ * @param {string} claims.userId - The ID of the staff member.
+ * @param {string} claims.groupId - The ID of the LINE group.
+ * @param {number} ttlMs - How long the token is valid, in milliseconds.
+ * @param {string} secret - The signing secret.
+ * @returns {string} The token.
+ */
+function createAdminToken({ userId, groupId }, ttlMs, secret) {
+    const payload = Buffer.from(JSON.stringify({ u: userId, g: groupId, exp: Date.now() + ttlMs })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Checks a token's signature and expiry.
+ * @param {string} token - The token from the request.
+ * @param {string} secret - The signing secret.
+ * @returns {{userId: string, groupId: string, expiresAt: Date} | null} The claims, or null if the token is invalid or expired.
+ */
+function verifyAdminToken(token, secret) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.u || !claims.g || !(claims.exp > Date.now())) return null;
+        return { userId: claims.u, groupId: claims.g, expiresAt: new Date(claims.exp) };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Reads the token from a request's 'Authorization: Bearer <token>' header.
+ * @param {object} req - The Express request.
+ * @returns {string | null} The token, or null if there is none.
+ */
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+module.exports = {
+    createAdminToken,
+    verifyAdminToken,
+    getBearerToken,
+};
@@ -0,0 +1,354 @@
+// api.js
+// This file defines the authenticated HTTP API for reading and editing a group's settings.
+//
+// Every request needs a token from a dashboard link (see adminTokens.js), sent as
+// 'Authorization: Bearer <token>'. A token only gives access to one group, and each
+// route requires the same permission as the chat command that does the same thing, so the
+// API can never do more than the user could do in the chat.
+//
+// Error messages and moderation log reasons are in the group's language, like the bot's messages.
+
+const express = require('express');
+const db = require('./db');
+const permissions = require('./permissions');
+const blacklistMatcher = require('./blacklistMatcher');
+const i18n = require('./i18n');
+const { hashPassword } = require('./passwords');
+const { verifyAdminToken, getBearerToken } = require('./adminTokens');
+
+const USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+const DEFAULT_MODLOG_LIMIT = 100;
+const MAX_MODLOG_LIMIT = 500;
+
+// Wraps an async route so rejected promises reach the error handler.
+function route(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function badRequest(res, error) {
+    return res.status(400).json({ error });
+}
+
+/**
+ * Returns the API view of a group's settings. Secrets (the password hash, the claim code) are never included.
+ * @param {object} settings - The group's settings.
+ * @param {string} userId - The ID of the user making the request.
+ * @returns {object} The group, the user's role and the commands they may use.
+ */
+function serializeGroup(settings, userId) {
+    return {
+        groupId: settings.group_id,
+        role: permissions.getRole(settings, userId),
+        allowedCommands: Object.keys(permissions.COMMAND_ROLES).filter(command => permissions.canRunCommand(settings, userId, command)),
+        settings: {
+            verificationMode: settings.verification_mode,
+            passwordEnabled: Boolean(settings.password),
+            passwordTimeoutMinutes: settings.password_timeout_minutes,
+            passwordMaxAttempts: settings.password_max_attempts,
+            passwordRetryCooldownSeconds: settings.password_retry_cooldown_seconds,
+            strikesBeforeKick: settings.strikes_before_kick,
+            kicksBeforeBlacklist: settings.kicks_before_blacklist,
+            strikeExpiryHours: settings.strike_expiry_hours,
+            lockdown: Boolean(settings.lockdown),
+            groupCommandsEnabled: settings.group_commands_enabled !== false,
+            commandPrefix: settings.command_prefix || '!',
+            language: settings.language || null,
+            timeZone: settings.timezone || null,
+        },
+        counts: {
+            admins: settings.admins.length,
+            moderators: settings.moderators.length,
+            blacklistWords: settings.blacklist_words.length,
+            blacklistUsers: settings.blacklist_users.length,
+        },
+    };
+}
+
+/**
+ * Returns the group's staff, with the owner first.
+ * @param {object} settings - The group's settings.
+ * @returns {{userId: string, role: string}[]} The staff members.
+ */
+function serializeStaff(settings) {
+    const owner = settings.owner_id ? [{ userId: settings.owner_id, role: permissions.ROLES.OWNER }] : [];
+    return [
+        ...owner,
+        ...settings.admins.map(userId => ({ userId, role: permissions.ROLES.ADMIN })),
+        ...settings.moderators.map(userId => ({ userId, role: permissions.ROLES.MODERATOR })),
+    ];
+}
+
+/**
+ * Reads moderation log filters from a query string.
+ * @param {object} query - The query string, parsed.
+ * @param {function} t - The translator for error messages.
+ * @returns {{filters?: object, error?: string}} The filters for db.getModerationLog, or an error message.
+ */
+function parseModLogQuery(query, t) {
+    const filters = { limit: DEFAULT_MODLOG_LIMIT };
+    if (query.user) filters.userId = String(query.user);
+    if (query.action) filters.action = String(query.action);
+    for (const key of ['since', 'until']) {
+        if (!query[key]) continue;
+        const date = new Date(String(query[key]));
+        if (isNaN(date.getTime())) return { error: t('api.invalidDate', { field: key }) };
+        filters[key] = date;
+    }
+    if (query.limit) {
+        const limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) return { error: t('api.positiveNumber', { field: 'limit' }) };
+        filters.limit = Math.min(limit, MAX_MODLOG_LIMIT);
+    }
+    return { filters };
+}
+
+/**
+ * Creates the API router.
+ * @param {object} deps - What the routes need from the bot.
+ * @param {string} deps.secret - The secret that dashboard tokens are signed with.
+ * @param {object} deps.MOD_ACTIONS - The moderation log action types.
+ * @param {function} deps.logAction - Records an action in the moderation log.
+ * @param {function} deps.kickUser - Removes a user from a group.
+ * @param {function} deps.getLanguage - Returns the language of a group from its settings ({} for the default language).
+ * @returns {express.Router} The router, to be mounted at /api.
+ */
+function createApiRouter({ secret, MOD_ACTIONS, logAction, kickUser, getLanguage }) {
+    const router = express.Router();
+    router.use(express.json({ limit: '1mb' }));
+
+    // Errors before the group is known are in the default language.
+    const defaultTranslator = () => i18n.translator(getLanguage({}));
+    const forbidden = (res, t, command) => res.status(403).json({ error: t('command.noPermission', { command }) });
+
+    router.use(route(async (req, res, next) => {
+        const claims = verifyAdminToken(getBearerToken(req), secret);
+        if (!claims) return res.status(401).json({ error: defaultTranslator()('api.invalidToken', { command: '!dashboard' }) });
+
+        const settings = await db.getGroupSettings(claims.groupId);
+        const t = i18n.translator(getLanguage(settings));
+        if (!permissions.isStaff(settings, claims.userId)) return res.status(403).json({ error: t('dashboard.page.noAccess') });
+
+        req.auth = { userId: claims.userId, groupId: claims.groupId, settings, t };
+        return next();
+    }));
+
+    // Allows a route only for users who may run the equivalent chat command.
+    const requireCommand = command => (req, res, next) => {
+        if (permissions.canRunCommand(req.auth.settings, req.auth.userId, command)) return next();
+        return forbidden(res, req.auth.t, command);
+    };
+
+    router.get('/group', (req, res) => {
+        res.json(serializeGroup(req.auth.settings, req.auth.userId));
+    });
+
+    router.patch('/group/settings', route(async (req, res) => {
+        const { groupId, userId, settings, t } = req.auth;
+        const body = req.body || {};
+        const changes = [];
+
+        if (body.passwordTimeoutMinutes !== undefined) {
+            if (!permissions.canRunCommand(settings, userId, '!setpasswordtimeout')) return forbidden(res, t, '!setpasswordtimeout');
+            if (!(Number.isInteger(body.passwordTimeoutMinutes) && body.passwordTimeoutMinutes > 0)) return badRequest(res, t('api.positiveInteger', { field: 'passwordTimeoutMinutes' }));
+            changes.push(async () => {
+                await db.setPasswordTimeout(groupId, body.passwordTimeoutMinutes);
+                return t('password.logTimeout', { minutes: body.passwordTimeoutMinutes });
+            });
+        }
+
+        if (body.passwordMaxAttempts !== undefined || body.passwordRetryCooldownSeconds !== undefined) {
+            if (!permissions.canRunCommand(settings, userId, '!setpasswordattempts')) return forbidden(res, t, '!setpasswordattempts');
+            const attempts = body.passwordMaxAttempts !== undefined ? body.passwordMaxAttempts : settings.password_max_attempts;
+            const cooldown = body.passwordRetryCooldownSeconds !== undefined ? body.passwordRetryCooldownSeconds : settings.password_retry_cooldown_seconds;
+            if (!(Number.isInteger(attempts) && attempts > 0)) return badRequest(res, t('api.positiveInteger', { field: 'passwordMaxAttempts' }));
+            if (!(Number.isInteger(cooldown) && cooldown >= 0)) return badRequest(res, t('api.seconds', { field: 'passwordRetryCooldownSeconds' }));
+            changes.push(async () => {
+                await db.setPasswordAttemptPolicy(groupId, attempts, cooldown);
+                return t('password.logAttempts', { attempts, cooldown });
+            });
+        }
+
+        const strikeFields = ['strikesBeforeKick', 'kicksBeforeBlacklist', 'strikeExpiryHours'];
+        if (strikeFields.some(field => body[field] !== undefined)) {
+            if (!permissions.canRunCommand(settings, userId, '!strikepolicy')) return forbidden(res, t, '!strikepolicy');
+            const strikesBeforeKick = body.strikesBeforeKick !== undefined ? body.strikesBeforeKick : settings.strikes_before_kick;
+            const kicksBeforeBlacklist = body.kicksBeforeBlacklist !== undefined ? body.kicksBeforeBlacklist : settings.kicks_before_blacklist;
+            const expiryHours = body.strikeExpiryHours !== undefined ? body.strikeExpiryHours : settings.strike_expiry_hours;
+            const valid = Number.isInteger(strikesBeforeKick) && strikesBeforeKick > 0
+                && Number.isInteger(kicksBeforeBlacklist) && kicksBeforeBlacklist >= 0
+                && Number.isInteger(expiryHours) && expiryHours >= 0;
+            if (!valid) return badRequest(res, t('api.invalidStrikePolicy'));
+            changes.push(async () => {
+                await db.setStrikePolicy(groupId, strikesBeforeKick, kicksBeforeBlacklist, expiryHours);
+                return t('api.logStrikePolicy', { strikes: strikesBeforeKick, kicks: kicksBeforeBlacklist, hours: expiryHours });
+            });
+        }
+
+        if (body.groupCommandsEnabled !== undefined) {
+            if (!permissions.canRunCommand(settings, userId, '!groupcommands')) return forbidden(res, t, '!groupcommands');
+            if (typeof body.groupCommandsEnabled !== 'boolean') return badRequest(res, t('api.boolean', { field: 'groupCommandsEnabled' }));
+            changes.push(async () => {
+                await db.setGroupCommandsEnabled(groupId, body.groupCommandsEnabled);
+                return t('groupCommands.updated', { state: t(body.groupCommandsEnabled ? 'common.stateOn' : 'common.stateOff') });
+            });
+        }
+
+        if (changes.length === 0) return badRequest(res, t('api.noSettings'));
+        for (const change of changes) {
+            const reason = await change();
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('api.logReason', { reason }) });
+        }
+        return res.json(serializeGroup(await db.getGroupSettings(groupId), userId));
+    }));
+
+    router.put('/group/password', requireCommand('!setpassword'), route(async (req, res) => {
+        const { groupId, userId, t } = req.auth;
+        const password = req.body ? req.body.password : undefined;
+        if (password !== null && !(typeof password === 'string' && password.trim() && !/\s/.test(password))) {
+            return badRequest(res, t('api.invalidPassword'));
+        }
+        await db.setPassword(groupId, password === null ? null : await hashPassword(password));
+        const reason = t(password === null ? 'password.logDisabled' : 'password.logChanged');
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('api.logReason', { reason }) });
+        return res.json({ passwordEnabled: password !== null });
+    }));
+
+    router.get('/group/blacklist/words', requireCommand('!showblacklistwords'), route(async (req, res) => {
+        const rows = await db.getBlacklistWordEntries(req.auth.groupId);
+        res.json({ entries: rows.map(row => ({ entry: row.entry, display: blacklistMatcher.formatEntry(row.entry), addedBy: row.added_by, addedAt: row.added_at })) });
+    }));
+
+    // Takes the same syntax as !addblacklist, e.g. { "text": "forex \"buy now\" sub:crypt" }.
+    router.post('/group/blacklist/words', requireCommand('!addblacklist'), route(async (req, res) => {
+        const { groupId, userId, t } = req.auth;
+        const text = req.body && typeof req.body.text === 'string' ? req.body.text : '';
+        const { entries, errors: problems } = blacklistMatcher.parseEntryArgs(text);
+        const errors = problems.map(({ key, params }) => t(`blacklist.errors.${key}`, params));
+        if (entries.length === 0) return badRequest(res, errors.length > 0 ? errors.join('\n') : t('api.noEntries'));
+
+        await db.addBlacklistWords(groupId, entries, userId);
+        const reason = t('blacklist.logAdded', { entries: entries.map(blacklistMatcher.formatEntry).join(', ') });
+        await logAction(groupId, MOD_ACTIONS.ADD_BLACKLIST_WORDS, { actorId: userId, reason: t('api.logReason', { reason }) });
+        return res.json({ added: entries, errors });
+    }));
+
+    // Takes stored entries, as returned by GET, e.g. { "entries": ["forex", "phrase:buy now"] }.
+    router.delete('/group/blacklist/words', requireCommand('!removeblacklist'), route(async (req, res) => {
+        const { groupId, userId, settings, t } = req.auth;
+        const requested = req.body && Array.isArray(req.body.entries) ? req.body.entries : [];
+        const entries = requested.filter(entry => settings.blacklist_words.includes(entry));
+        if (entries.length === 0) return badRequest(res, t('api.entriesNotListed'));
+
+        await db.removeBlacklistWords(groupId, entries);
+        const reason = t('blacklist.logRemoved', { entries: entries.map(blacklistMatcher.formatEntry).join(', ') });
+        await logAction(groupId, MOD_ACTIONS.REMOVE_BLACKLIST_WORDS, { actorId: userId, reason: t('api.logReason', { reason }) });
+        return res.json({ removed: entries });
+    }));
+
+    router.get('/group/blacklist/users', requireCommand('!showblacklistusers'), route(async (req, res) => {
+        const rows = await db.getBlacklistedUsers(req.auth.groupId);
+        res.json({
+            userIds: rows.map(row => row.user_id),
+            users: rows.map(row => ({ userId: row.user_id, addedBy: row.added_by, reason: row.reason, addedAt: row.added_at })),
+        });
+    }));
+
+    // Blacklisted users are removed from the group right away, like with !blacklistuser.
+    router.post('/group/blacklist/users', requireCommand('!blacklistuser'), route(async (req, res) => {
+        const { groupId, userId, settings, t } = req.auth;
+        const userIds = req.body && Array.isArray(req.body.userIds) ? [...new Set(req.body.userIds)] : [];
+        const invalid = userIds.filter(id => !USER_ID_PATTERN.test(id));
+        if (userIds.length === 0 || invalid.length > 0) return badRequest(res, t('api.invalidUserIds'));
+        if (userIds.some(id => permissions.isStaff(settings, id))) return badRequest(res, t('blacklist.staff'));
+
+        const reason = t('api.logBlacklisted');
+        for (const targetId of userIds) {
+            await db.addUserToBlacklist(groupId, targetId, { addedBy: userId, reason });
+            await logAction(groupId, MOD_ACTIONS.BLACKLIST_USER, { actorId: userId, targetId, reason });
+            await kickUser(groupId, targetId, 'User has been blacklisted.');
+        }
+        return res.json({ added: userIds });
+    }));
+
+    router.delete('/group/blacklist/users', requireCommand('!unblacklistuser'), route(async (req, res) => {
+        const { groupId, userId, settings, t } = req.auth;
+        const requested = req.body && Array.isArray(req.body.userIds) ? req.body.userIds : [];
+        const userIds = requested.filter(id => settings.blacklist_users.includes(id));
+        if (userIds.length === 0) return badRequest(res, t('api.usersNotListed'));
+
+        for (const targetId of userIds) {
+            await db.removeUserFromBlacklist(groupId, targetId);
+            await logAction(groupId, MOD_ACTIONS.UNBLACKLIST_USER, { actorId: userId, targetId, reason: t('api.logUnblacklisted') });
+        }
+        return res.json({ removed: userIds });
+    }));
+
+    router.get('/group/staff', requireCommand('!staff'), (req, res) => {
+        res.json({ staff: serializeStaff(req.auth.settings) });
+    });
+
+    // Sets a user's role to 'admin', 'moderator' or 'member'. Ownership can only be transferred in the chat.
+    router.put('/group/staff/:userId', route(async (req, res) => {
+        const { groupId, userId, settings, t } = req.auth;
+        const targetId = req.params.userId;
+        const role = req.body ? req.body.role : undefined;
+        const { ROLES } = permissions;
+        if (!USER_ID_PATTERN.test(targetId)) return badRequest(res, t('api.invalidUserId'));
+        if (![ROLES.ADMIN, ROLES.MODERATOR, ROLES.MEMBER].includes(role)) return badRequest(res, t('api.invalidRole'));
+
+        const current = permissions.getRole(settings, targetId);
+        if (current === ROLES.OWNER) return badRequest(res, t('api.ownerRole', { command: '!transferowner' }));
+        if (current === role) return res.json({ staff: serializeStaff(settings) });
+
+        // Each change needs the permission of the chat command that does it.
+        const steps = {
+            [`${ROLES.MEMBER}>${ROLES.ADMIN}`]: ['!setadmin', MOD_ACTIONS.SET_ADMIN, () => db.addAdmin(groupId, targetId, userId)],
+            [`${ROLES.MODERATOR}>${ROLES.ADMIN}`]: ['!setadmin', MOD_ACTIONS.SET_ADMIN, () => db.addAdmin(groupId, targetId, userId)],
+            [`${ROLES.ADMIN}>${ROLES.MODERATOR}`]: ['!demote', MOD_ACTIONS.DEMOTE_ADMIN, () => db.addModerator(groupId, targetId, userId)],
+            [`${ROLES.ADMIN}>${ROLES.MEMBER}`]: ['!removeadmin', MOD_ACTIONS.REMOVE_ADMIN, () => db.removeAdmin(groupId, targetId)],
+            [`${ROLES.MEMBER}>${ROLES.MODERATOR}`]: ['!setmod', MOD_ACTIONS.SET_MODERATOR, () => db.addModerator(groupId, targetId, userId)],
+            [`${ROLES.MODERATOR}>${ROLES.MEMBER}`]: ['!removemod', MOD_ACTIONS.REMOVE_MODERATOR, () => db.removeModerator(groupId, targetId)],
+        };
+        const [command, action, apply] = steps[`${current}>${role}`];
+        if (!permissions.canRunCommand(settings, userId, command)) return forbidden(res, t, command);
+
+        await apply();
+        await logAction(groupId, action, { actorId: userId, targetId, reason: t('api.logRoleChanged') });
+        return res.json({ staff: serializeStaff(await db.getGroupSettings(groupId)) });
+    }));
+
+    router.get('/group/modlog', requireCommand('!modlog'), route(async (req, res) => {
+        const { filters, error } = parseModLogQuery(req.query, req.auth.t);
+        if (error) return badRequest(res, error);
+        const entries = await db.getModerationLog(req.auth.groupId, filters);
+        return res.json({
+            entries: entries.map(e => ({
+                id: e.id,
+                action: e.action,
+                actorId: e.actor_id,
+                targetId: e.target_id,
+                reason: e.reason,
+                messageText: e.message_text,
+                createdAt: e.created_at,
+            })),
+        });
+    }));
+
+    // Errors can happen before the group is known, e.g. for a body that isn't JSON.
+    const translatorFor = req => (req.auth ? req.auth.t : defaultTranslator());
+    router.use((req, res) => res.status(404).json({ error: translatorFor(req)('api.notFound') }));
+    router.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') return badRequest(res, translatorFor(req)('api.invalidJson'));
+        console.error("Error in API request:", err);
+        return res.status(500).json({ error: translatorFor(req)('api.internalError') });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiRouter,
+    serializeGroup,
+    serializeStaff,
+    parseModLogQuery,
+};
@@ -0,0 +1,372 @@
+// blacklistMatcher.js
+// This file parses word blacklist entries and matches messages against them.
+//
+// Entries are stored as strings in group_settings.blacklist_words:
+//   forex             exact word (the default; "sex" does not match "Essex")
+//   sub:crypt         substring, also found inside other words
+//   phrase:buy now    several words in a row, with any spacing or punctuation between them
+//   re:^free\s+money  a case-insensitive regular expression
+//
+// Messages are normalized before matching, so obfuscated spellings ("f.o.r.e.x", fullwidth
+// characters, Cyrillic look-alikes, zero-width spaces, leetspeak) still match.
+
+const MATCH_MODES = {
+    WORD: 'word',
+    SUBSTRING: 'sub',
+    PHRASE: 'phrase',
+    REGEX: 're',
+};
+
+const MAX_REGEX_LENGTH = 200;
+// Regular expressions only look at the start of a message. With the single repetition that
+// findUnsafeRegex() allows, a search takes at most quadratic time in this length.
+const MAX_REGEX_INPUT_LENGTH = 1000;
+
+// Invisible characters that are used to split words without changing how they look.
+const INVISIBLE_CHARS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g;
+
+// Combining marks (accents etc.), except Thai vowel and tone marks, which are part of Thai spelling.
+const COMBINING_MARKS = /(?![\u0E00-\u0E7F])\p{M}/gu;
+
+const THAI_CHAR = /[\u0E00-\u0E7F]/;
+
+// Characters from other scripts that look like Latin letters.
+const HOMOGLYPHS = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+    'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x', 'ω': 'w', 'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ɡ': 'g',
+};
+
+// Leetspeak substitutions. Only applied inside words that contain at least one letter,
+// so plain numbers ("2024") are left alone.
+const LEETSPEAK = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's',
+};
+
+const ENTRY_PREFIXES = [MATCH_MODES.SUBSTRING, MATCH_MODES.PHRASE, MATCH_MODES.REGEX, MATCH_MODES.WORD];
+
+const problem = (key, params = {}) => ({ key, params });
+
+/**
+ * Normalizes text for matching: NFKC, lowercase, no invisible characters or accents,
+ * look-alike characters and leetspeak mapped to plain Latin letters.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+function normalizeText(text) {
+    let result = text.normalize('NFKC').toLowerCase().replace(INVISIBLE_CHARS, '');
+    result = result.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
+    result = Array.from(result, ch => HOMOGLYPHS[ch] || ch).join('');
+    return result.replace(/[\p{L}\p{N}@$]+/gu, word => (/\p{L}/u.test(word) ? Array.from(word, ch => LEETSPEAK[ch] || ch).join('') : word));
+}
+
+/**
+ * Joins letters that were spread out with separators, e.g. "f.o.r.e.x" or "f o r e x" becomes "forex".
+ * Only runs of at least three single letters are joined.
+ */
+function collapseSpacedLetters(text) {
+    const spacedLetters = /(?<![\p{L}\p{N}])[\p{L}\p{N}]\p{M}*(?:[\s.\-_*·•,'"~+|/\\]+[\p{L}\p{N}]\p{M}*(?![\p{L}\p{N}])){2,}/gu;
+    return text.replace(spacedLetters, match => match.replace(/[^\p{L}\p{N}\p{M}]/gu, ''));
+}
+
+function lettersOnly(text) {
+    return text.replace(/[^\p{L}\p{N}\p{M}]/gu, '');
+}
+
+// Thai is written without spaces between words, so spaces between Thai characters are dropped.
+function removeSpacesBetweenThai(text) {
+    return text.replace(/(?<=[\u0E00-\u0E7F])\s+(?=[\u0E00-\u0E7F])/g, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a stored entry into its match mode and pattern.
+ * Entries without a known prefix are exact words, which also covers entries stored before match modes existed.
+ * @param {string} stored - The entry as stored in the database.
+ * @returns {{mode: string, pattern: string}} The parsed entry.
+ */
+function parseEntry(stored) {
+    const prefix = ENTRY_PREFIXES.find(p => stored.startsWith(`${p}:`));
+    if (!prefix) return { mode: MATCH_MODES.WORD, pattern: stored };
+    return { mode: prefix, pattern: stored.slice(prefix.length + 1) };
+}
+
+/**
+ * Formats a stored entry for display, e.g. 'phrase:buy now' becomes '"buy now"'.
+ * @param {string} stored - The entry as stored in the database.
+ * @returns {string} The entry as an admin would type it.
+ */
+function formatEntry(stored) {
+    const { mode, pattern } = parseEntry(stored);
+    if (mode === MATCH_MODES.WORD) return pattern;
+    if (mode === MATCH_MODES.PHRASE) return `"${pattern}"`;
+    return `${mode}:${pattern}`;
+}
+
+/**
+ * Formats a stored entry as a command argument that parseEntryArgs() turns back into the same entry,
+ * e.g. for a "remove" button. Patterns with spaces are quoted.
+ * @param {string} stored - The entry as stored in the database.
+ * @returns {string | null} The argument, or null for patterns that can't be quoted (they contain quotes and spaces).
+ */
+function formatEntryArg(stored) {
+    const { mode, pattern } = parseEntry(stored);
+    const bareWord = mode === MATCH_MODES.WORD && !ENTRY_PREFIXES.some(p => pattern.startsWith(`${p}:`));
+    if (!/\s/.test(pattern)) return bareWord ? pattern : `${mode}:${pattern}`;
+    if (/["“”]/.test(pattern)) return null;
+    return mode === MATCH_MODES.PHRASE ? `"${pattern}"` : `${mode}:"${pattern}"`;
+}
+
+// How often a quantifier lets its atom match: { min, max }, e.g. { min: 1, max: Infinity } for +.
+function readQuantifierRange(quantifier) {
+    const [, min, comma, max] = quantifier.match(/^\{(\d+)(,?)(\d*)\}/) || [];
+    if (quantifier.startsWith('*')) return { min: 0, max: Infinity };
+    if (quantifier.startsWith('+')) return { min: 1, max: Infinity };
+    if (quantifier.startsWith('?')) return { min: 0, max: 1 };
+    if (!comma) return { min: Number(min), max: Number(min) };
+    return { min: Number(min), max: max === '' ? Infinity : Number(max) };
+}
+
+/**
+ * Looks for the constructs that make a regular expression slow on some inputs (catastrophic
+ * backtracking):
+ * - a repeated group that contains a quantifier or an alternation, e.g. (a+)+ or (a|ab)*, which
+ *   takes exponential time;
+ * - more than one repetition (*, +, {n,} or {n,m}) in the whole pattern, e.g. .*.*x or \s*\s*x,
+ *   which takes polynomial time: n^k for k repetitions;
+ * - backreferences.
+ * The check is conservative, so some harmless patterns such as ^free\s+\d+ are refused too.
+ * @param {string} pattern - The regular expression.
+ * @returns {string | null} The key of the problem (see blacklist.errors in the locales), or null if the pattern is safe.
+ */
+function findUnsafeRegex(pattern) {
+    // One frame per open group: whether it contains a quantifier or an alternation, and how many
+    // repetitions it holds (a group matched a fixed number of times counts its repetitions that often).
+    const newFrame = () => ({ quantified: false, alternation: false, repetitions: 0 });
+    const stack = [newFrame()];
+    let i = 0;
+    const readQuantifier = () => {
+        const match = pattern.slice(i).match(/^(?:[*+?]|\{\d+(?:,\d*)?\})\??/);
+        if (!match) return null;
+        i += match[0].length;
+        return readQuantifierRange(match[0]);
+    };
+    // {n} matches a fixed number of times; every other quantifier can match in more than one way.
+    const isVariable = range => range.min !== range.max;
+    // ? and {0,1} make an atom optional without repeating it.
+    const isRepeat = range => isVariable(range) && range.max > 1;
+
+    while (i < pattern.length) {
+        const ch = pattern[i];
+        const frame = stack[stack.length - 1];
+        if (ch === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'regexBackreference';
+            i += 2;
+        } else if (ch === '[') {
+            // A character class is a single character, whatever is inside.
+            i++;
+            while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+            i++;
+        } else if (ch === '(') {
+            stack.push(newFrame());
+            i += pattern[i + 1] === '?' ? (pattern[i + 2] === '<' && /[=!]/.test(pattern[i + 3]) ? 4 : 3) : 1;
+            continue;
+        } else if (ch === ')') {
+            if (stack.length === 1) return null; // Unbalanced; new RegExp() reports it.
+            const group = stack.pop();
+            i++;
+            const quantifier = readQuantifier();
+            if (quantifier && isRepeat(quantifier) && (group.quantified || group.alternation)) {
+                return 'regexNestedRepetition';
+            }
+            const parent = stack[stack.length - 1];
+            parent.quantified = parent.quantified || group.quantified || Boolean(quantifier && isVariable(quantifier));
+            parent.alternation = parent.alternation || group.alternation;
+            parent.repetitions += group.repetitions * (quantifier ? Math.max(quantifier.max, 1) : 1);
+            if (quantifier && isRepeat(quantifier)) parent.repetitions++;
+            continue;
+        } else if (ch === '|') {
+            frame.alternation = true;
+            i++;
+        } else {
+            i++;
+        }
+        const quantifier = readQuantifier();
+        if (quantifier && isVariable(quantifier)) frame.quantified = true;
+        if (quantifier && isRepeat(quantifier)) frame.repetitions++;
+    }
+    if (stack[0].repetitions > 1) return 'regexRepetitions';
+    return null;
+}
+
+/**
+ * Builds the stored form of an entry, normalizing the pattern the same way messages are normalized.
+ * @param {string} mode - One of MATCH_MODES.
+ * @param {string} pattern - The word, substring, phrase or regular expression.
+ * @returns {{entry?: string, error?: {key: string, params: object}}} The entry to store, or what is
+ *   wrong with it (a key under blacklist.errors in the locales, and its placeholders).
+ */
+function buildEntry(mode, pattern) {
+    if (mode === MATCH_MODES.REGEX) {
+        if (pattern.length > MAX_REGEX_LENGTH) return { error: problem('regexTooLong', { max: MAX_REGEX_LENGTH, pattern: `${pattern.substring(0, 20)}...` }) };
+        try {
+            new RegExp(pattern, 'iu');
+        } catch (err) {
+            return { error: problem('invalidRegex', { pattern }) };
+        }
+        const unsafe = findUnsafeRegex(pattern);
+        if (unsafe) return { error: problem(unsafe, { pattern }) };
+        return { entry: `${MATCH_MODES.REGEX}:${pattern}` };
+    }
+
+    const normalized = normalizeText(pattern).replace(/\s+/g, ' ').trim();
+    if (!normalized) return { error: problem('emptyEntry', { pattern }) };
+    // A "phrase" of a single word is just a word.
+    if (mode === MATCH_MODES.PHRASE && !normalized.includes(' ')) mode = MATCH_MODES.WORD;
+    if (mode === MATCH_MODES.WORD && normalized.includes(' ')) mode = MATCH_MODES.PHRASE;
+
+    const entry = mode === MATCH_MODES.WORD && !ENTRY_PREFIXES.some(p => normalized.startsWith(`${p}:`))
+        ? normalized
+        : `${mode}:${normalized}`;
+    return { entry };
+}
+
+/**
+ * Checks an entry in its stored form, e.g. from an imported configuration, with the same checks
+ * as entries added by command (including the one for slow regular expressions).
+ * @param {string} stored - The entry as stored in the database.
+ * @returns {{entry?: string, error?: {key: string, params: object}}} The entry in its canonical form, or what is wrong with it.
+ */
+function validateEntry(stored) {
+    const { mode, pattern } = parseEntry(stored);
+    return buildEntry(mode, pattern);
+}
+
+/**
+ * Brings a stored entry into its current canonical form. Entries stored before match modes
+ * existed were only lowercased, so e.g. 'f0rex' becomes 'forex'.
+ * @param {string} stored - The entry as stored in the database.
+ * @returns {string} The canonical entry (unchanged if it can't be normalized).
+ */
+function canonicalizeEntry(stored) {
+    const { mode, pattern } = parseEntry(stored);
+    const { entry } = buildEntry(mode, pattern);
+    return entry || stored;
+}
+
+/**
+ * Parses the arguments of !addblacklist and !removeblacklist into stored entries.
+ * Supports bare words, "quoted phrases" (straight or curly quotes) and prefixes:
+ * sub:text, phrase:"some words", re:pattern, re:"pattern with spaces", word:text.
+ * @param {string} argText - Everything after the command name.
+ * @returns {{entries: string[], typed: string[], errors: {key: string, params: object}[]}} The parsed
+ *   entries, every entry as typed (before its checks, so stored entries that no longer pass them can
+ *   still be removed) and any problems found, as in buildEntry().
+ */
+function parseEntryArgs(argText) {
+    const entries = [];
+    const typed = [];
+    const errors = [];
+    const tokenPattern = /(\S*?)["“”]([^"“”]*)["“”]|(\S+)/g;
+
+    let match;
+    while ((match = tokenPattern.exec(argText)) !== null) {
+        const [, prefixPart, quoted, bare] = match;
+        let mode = quoted !== undefined ? MATCH_MODES.PHRASE : MATCH_MODES.WORD;
+        let pattern = quoted !== undefined ? quoted : bare;
+
+        const head = quoted !== undefined ? prefixPart : bare;
+        const prefix = ENTRY_PREFIXES.find(p => head.toLowerCase().startsWith(`${p}:`));
+        if (prefix) {
+            mode = prefix;
+            if (quoted === undefined) pattern = bare.slice(prefix.length + 1);
+        } else if (quoted !== undefined && prefixPart) {
+            errors.push(problem('unknownMode', { mode: prefixPart }));
+            continue;
+        }
+
+        typed.push(mode === MATCH_MODES.WORD ? pattern : `${mode}:${pattern}`);
+        const { entry, error } = buildEntry(mode, pattern);
+        if (error) errors.push(error);
+        else if (!entries.includes(entry)) entries.push(entry);
+    }
+    return { entries, typed, errors };
+}
+
+/**
+ * Compiles a group's blacklist into a matcher.
+ * Invalid entries (e.g. a broken regular expression) are skipped and logged.
+ * @param {string[]} storedEntries - The entries from group_settings.blacklist_words.
+ * @returns {{match: function(string): (string | null)}} A matcher whose match() returns the first matching entry, or null.
+ */
+function compileBlacklist(storedEntries) {
+    const testers = [];
+    for (const stored of storedEntries) {
+        try {
+            testers.push({ stored, test: compileEntry(stored) });
+        } catch (err) {
+            console.error(`Skipping invalid blacklist entry '${stored}':`, err.message);
+        }
+    }
+
+    return {
+        match(text) {
+            if (testers.length === 0) return null;
+            const normalized = normalizeText(text);
+            const collapsed = collapseSpacedLetters(normalized);
+            const forms = {
+                raw: text,
+                normalized,
+                collapsed,
+                thai: removeSpacesBetweenThai(collapsed),
+                letters: lettersOnly(normalized),
+            };
+            const found = testers.find(t => t.test(forms));
+            return found ? found.stored : null;
+        },
+    };
+}
+
+function compileEntry(stored) {
+    const { mode, pattern } = parseEntry(canonicalizeEntry(stored));
+
+    if (mode === MATCH_MODES.REGEX) {
+        // Entries stored before the safety check existed are skipped like invalid ones.
+        const unsafe = findUnsafeRegex(pattern);
+        if (unsafe) throw new Error(`unsafe regular expression (${unsafe})`);
+        const regex = new RegExp(pattern, 'iu');
+        return forms => regex.test(forms.raw.slice(0, MAX_REGEX_INPUT_LENGTH)) || regex.test(forms.normalized.slice(0, MAX_REGEX_INPUT_LENGTH));
+    }
+
+    if (mode === MATCH_MODES.SUBSTRING) {
+        const letters = lettersOnly(pattern);
+        return forms => forms.normalized.includes(pattern) || (letters !== '' && forms.letters.includes(letters));
+    }
+
+    if (THAI_CHAR.test(pattern)) {
+        // Thai words aren't separated by spaces, so word boundaries can't be used.
+        const compact = lettersOnly(pattern);
+        return forms => forms.thai.includes(pattern) || forms.letters.includes(compact);
+    }
+
+    // Words and phrases must not be part of a longer word; words in a phrase may be separated by anything.
+    const body = pattern.split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}]+');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'u');
+    return forms => regex.test(forms.normalized) || regex.test(forms.collapsed);
+}
+
+module.exports = {
+    MATCH_MODES,
+    normalizeText,
+    parseEntry,
+    formatEntry,
+    formatEntryArg,
+    canonicalizeEntry,
+    validateEntry,
+    parseEntryArgs,
+    compileBlacklist,
+};
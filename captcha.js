@@ -0,0 +1,78 @@
+// captcha.js
+// This file generates the challenges new members answer in captcha verification mode.
+//
+// A challenge is a small arithmetic question or "tap the <thing>" with emoji, with eight choices
+// shown as quick-reply buttons. It only has to stop join bots, not determined humans, but a bot
+// tapping at random must not get through: with eight choices, MAX_ATTEMPTS attempts and a wait
+// between them (see index.js), random guessing passes less than a quarter of the time.
+// Questions are written in the group's language, with the translate function from i18n.js.
+
+const crypto = require('crypto');
+
+const CHOICE_COUNT = 8;
+// Each wrong answer gets a new challenge, but a member gets at most this many, whatever the
+// group's password attempt limit is.
+const MAX_ATTEMPTS = 2;
+
+const EMOJI = [
+    ['🐱', 'cat'], ['🐶', 'dog'], ['🍎', 'apple'], ['🚗', 'car'], ['🌙', 'moon'], ['⭐', 'star'],
+    ['🐟', 'fish'], ['🌸', 'flower'], ['🍌', 'banana'], ['⚽', 'ball'], ['🏠', 'house'], ['☂️', 'umbrella'],
+];
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function createArithmeticChallenge(t) {
+    const a = crypto.randomInt(2, 10);
+    const b = crypto.randomInt(2, 10);
+    const add = crypto.randomInt(2) === 0;
+    const [x, y] = add ? [a, b] : [Math.max(a, b), Math.min(a, b)];
+    const answer = String(add ? x + y : x - y);
+
+    const choices = new Set([answer]);
+    while (choices.size < CHOICE_COUNT) {
+        // Wide enough for CHOICE_COUNT distinct choices, even when the answer is 0.
+        const wrong = Number(answer) + crypto.randomInt(-CHOICE_COUNT, CHOICE_COUNT + 1);
+        if (wrong >= 0) choices.add(String(wrong));
+    }
+    return { question: t('captcha.arithmetic', { x, operator: add ? '+' : '-', y }), answer, choices: shuffle([...choices]) };
+}
+
+function createEmojiChallenge(t) {
+    const picked = shuffle(EMOJI).slice(0, CHOICE_COUNT);
+    const [emoji, name] = picked[crypto.randomInt(CHOICE_COUNT)];
+    return { question: t('captcha.emoji', { thing: t(`captcha.things.${name}`) }), answer: emoji, choices: picked.map(([choice]) => choice) };
+}
+
+/**
+ * Creates a random challenge.
+ * @param {function} t - Translates message keys into the group's language (see i18n.translator()).
+ * @returns {{question: string, answer: string, choices: string[]}} The challenge; the answer is one of the choices.
+ */
+function createChallenge(t) {
+    return crypto.randomInt(2) === 0 ? createArithmeticChallenge(t) : createEmojiChallenge(t);
+}
+
+/**
+ * Checks an answer, typed or sent with a quick-reply button.
+ * @param {string} expected - The stored answer.
+ * @param {string} answer - The member's answer.
+ * @returns {boolean} True if the answer is correct.
+ */
+function checkAnswer(expected, answer) {
+    // Emoji may arrive with or without the variation selector.
+    const normalize = value => String(value).trim().replace(/\uFE0F/g, '');
+    return normalize(expected) === normalize(answer);
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    createChallenge,
+    checkAnswer,
+};
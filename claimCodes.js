@@ -0,0 +1,59 @@
+// claimCodes.js
+// This file creates the ownership claim codes that let someone become the owner of a group with
+// !claim. Only a hash of the code is stored, and the code itself is never written to the logs:
+// the bot sends it privately to the bot operators (BOT_OWNER_IDS), or an operator issues one
+// from the command line:
+//
+//   node claimCodes.js <groupId>      (e.g. heroku run node claimCodes.js C1234...)
+//
+// A new code replaces the group's previous one.
+
+const crypto = require('crypto');
+const { hashPassword } = require('./passwords');
+
+const CLAIM_CODE_LENGTH = 8;
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so codes are easy to read out
+const GROUP_ID_PATTERN = /^C[0-9a-f]{32}$/;
+
+/**
+ * Creates a new claim code for a group and stores its hash.
+ * @param {object} db - The database helper (db.js).
+ * @param {string} groupId - The ID of the LINE group.
+ * @returns {Promise<string>} The code, to be given to the person who should own the group.
+ */
+async function issueClaimCode(db, groupId) {
+    const code = Array.from(crypto.randomBytes(CLAIM_CODE_LENGTH), byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+    await db.setOwnerClaimCode(groupId, await hashPassword(code));
+    return code;
+}
+
+module.exports = {
+    issueClaimCode,
+};
+
+if (require.main === module) {
+    const db = require('./db');
+    const groupId = process.argv[2];
+
+    const run = async () => {
+        if (!GROUP_ID_PATTERN.test(groupId || '')) {
+            console.error('Usage: node claimCodes.js <groupId>');
+            process.exitCode = 1;
+            return;
+        }
+        const settings = await db.getGroupSettings(groupId);
+        if (settings.owner_id) {
+            console.error(`Group ${groupId} already has an owner.`);
+            process.exitCode = 1;
+            return;
+        }
+        const code = await issueClaimCode(db, groupId);
+        console.log(`Ownership claim code for group ${groupId}: ${code}\nThe owner sends !claim ${code} in the group.`);
+    };
+    run()
+        .catch((err) => {
+            console.error("Error issuing a claim code:", err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+}
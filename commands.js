@@ -0,0 +1,748 @@
+// commands.js
+// This file is the command registry: every command the bot understands, with its aliases,
+// arguments, minimum role and help text, and the parser that turns a message into a command.
+//
+// Commands are identified by their canonical name with a '!' (e.g. '!strike'), whatever prefix
+// the group uses; that is also how they are stored in group_settings.moderator_commands.
+// What each command does is wired up in index.js (COMMAND_HANDLERS); who may run it is
+// decided in permissions.js from the roles declared here.
+//
+// Arguments are split on whitespace. "Quoted text" is one argument, and so is a mention
+// (which may contain spaces). Each command declares its arguments as a list of:
+//   { name, type, optional, repeat, choices }
+// where type is 'user' (a mention, or a user ID in a private chat), 'word', 'number',
+// 'choice' (one of choices) or 'text' (the rest of the message). For 'word' and 'number',
+// choices lists extra keywords that are accepted too, e.g. 'off'.
+
+const { ROLES } = require('./roles');
+const contentPolicy = require('./contentPolicy');
+const i18n = require('./i18n');
+
+const DEFAULT_PREFIX = '!';
+// 1 to 3 symbols: no letters, digits, spaces, quotes or '@' (which starts a mention).
+const PREFIX_PATTERN = /^[^\p{L}\p{N}\s@"'“”]{1,3}$/u;
+const QUOTES = '"“”';
+
+const CATEGORIES = {
+    GENERAL: 'General',
+    VERIFICATION: 'Verification',
+    WELCOME: 'Welcome & Rules',
+    ANNOUNCEMENTS: 'Announcements',
+    ACTIVITY: 'Activity',
+    REPORTS: 'Reports',
+    BLACKLIST: 'Blacklist',
+    STRIKES: 'Strikes',
+    CONTENT: 'Content & Spam',
+    BAN_LISTS: 'Shared Ban Lists',
+    ROLES: 'Roles',
+    CONSOLE: 'Private Chat',
+};
+
+const user = (name = 'user', options = {}) => ({ name, type: 'user', ...options });
+
+const COMMANDS = [
+    {
+        name: '!help',
+        aliases: ['!commands'],
+        role: ROLES.MODERATOR,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'command', type: 'word', optional: true }],
+        summary: 'Lists the commands you can use, or explains one command.',
+    },
+    {
+        name: '!staff',
+        aliases: ['!mods'],
+        role: ROLES.MODERATOR,
+        category: CATEGORIES.GENERAL,
+        args: [],
+        summary: 'Lists the owner, admins and moderators, with their user IDs.',
+    },
+    {
+        name: '!dashboard',
+        role: ROLES.MODERATOR,
+        category: CATEGORIES.GENERAL,
+        args: [],
+        summary: 'Sends you a link to the web dashboard for this group.',
+    },
+    {
+        name: '!status',
+        aliases: ['!settings'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.GENERAL,
+        args: [],
+        summary: "Shows the group's settings, with buttons for the common changes.",
+    },
+    {
+        name: '!setprefix',
+        aliases: ['!prefix'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'prefix', type: 'word', optional: true }],
+        summary: 'Shows or changes the symbol commands start with in this group.',
+        details: 'The prefix is 1 to 3 symbols, e.g. ! / . or #. Letters, digits, quotes and @ are not allowed. In a private chat with the bot, commands always start with !.',
+    },
+    {
+        name: '!setlanguage',
+        aliases: ['!language'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: i18n.LANGUAGES.join('|'), type: 'choice', choices: i18n.LANGUAGES, optional: true }],
+        summary: 'Shows or changes the language the bot uses in this group.',
+        details: 'This is the language of replies to staff, of messages in the group, and of the messages new members get in a private chat.',
+    },
+    {
+        name: '!settimezone',
+        aliases: ['!timezone'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'timezone', type: 'word', choices: ['default'], optional: true }],
+        summary: 'Shows or changes the timezone scheduled announcements use.',
+        details: 'Use a name like Asia/Bangkok or Europe/London, or default for the bot\'s default. Recurring announcements keep their local time when the timezone changes.',
+    },
+    {
+        name: '!groupcommands',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'on|off', type: 'choice', choices: ['on', 'off'], optional: true }],
+        summary: 'Turns commands sent in the group on or off.',
+        details: 'Commands sent to the bot in a private chat keep working either way.',
+    },
+    {
+        name: '!export',
+        aliases: ['!backup'],
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.GENERAL,
+        args: [],
+        summary: "Sends you the group's configuration as JSON, to keep as a backup or to !import into another group.",
+        details: 'It has the settings, the word and user blacklists, the link domains, the admins and the moderators. The password, the owner and the lockdown are not included. Long configurations come in several messages.',
+    },
+    {
+        name: '!import',
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'json|confirm|cancel', type: 'text', optional: true }],
+        summary: 'Loads a configuration from !export into this group, after showing you what would change.',
+        details: 'Paste the JSON after the command; a configuration in several messages is pasted one message at a time. Nothing changes until you confirm. Settings and lists left out of the JSON stay as they are. Only the owner can change the admins and moderators this way.',
+    },
+    {
+        name: '!clonesettings',
+        aliases: ['!clone'],
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.GENERAL,
+        args: [{ name: 'number|group_id', type: 'word' }],
+        summary: 'Copies the configuration of another group where you are an admin into this group, after showing you what would change.',
+        details: 'The number is the one shown by !groups in a private chat with the bot. It works like !export in the other group followed by !import here.',
+    },
+    {
+        name: '!verification',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [
+            { name: 'off|password|captcha|approval', type: 'choice', choices: ['off', 'password', 'captcha', 'approval'], optional: true },
+            { name: 'approval_minutes', type: 'number', optional: true },
+        ],
+        summary: 'Shows or changes how new members are verified.',
+        details: 'password: new members send the group password in a private chat. captcha: they answer a simple question. approval: an admin approves or rejects them; approval_minutes is how long the admins have before the member is removed.',
+    },
+    {
+        name: '!setpassword',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [{ name: 'password', type: 'word', choices: ['off'] }],
+        summary: 'Sets the password new members have to send, or turns it off.',
+        details: 'Use quotes for a password with spaces. The password itself is never written to the moderation log.',
+    },
+    {
+        name: '!setpasswordtimeout',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [{ name: 'minutes', type: 'number' }],
+        summary: 'Sets how long new members have to verify before they are removed.',
+    },
+    {
+        name: '!setpasswordattempts',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [{ name: 'attempts', type: 'number' }, { name: 'cooldown_seconds', type: 'number', optional: true }],
+        summary: 'Sets how many wrong answers a new member gets before they are removed, and the wait after each one.',
+    },
+    {
+        name: '!approve',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [user()],
+        summary: 'Lets a member waiting for approval stay in the group.',
+    },
+    {
+        name: '!reject',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.VERIFICATION,
+        args: [user()],
+        summary: 'Removes a member waiting for approval from the group.',
+    },
+    {
+        name: '!rules',
+        role: ROLES.MEMBER,
+        category: CATEGORIES.WELCOME,
+        args: [],
+        summary: 'Shows the group rules. Anyone in the group can use it.',
+    },
+    {
+        name: '!setrules',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.WELCOME,
+        args: [{ name: 'rules|off', type: 'text', optional: true }],
+        summary: 'Shows, sets or removes the group rules.',
+        details: 'Write each rule on its own line. Use off to remove the rules.',
+    },
+    {
+        name: '!rulesack',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.WELCOME,
+        args: [{ name: 'off|warn|kick', type: 'choice', choices: ['off', 'warn', 'kick'], optional: true }],
+        summary: 'Shows or changes whether new members have to accept the rules before posting.',
+        details: 'New members accept the rules with a button. warn gives a strike for each message sent before that, kick removes the member. LINE doesn\'t let bots delete messages, so those messages stay.',
+    },
+    {
+        name: '!setwelcome',
+        aliases: ['!welcome'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.WELCOME,
+        args: [
+            { name: 'group|private', type: 'choice', choices: ['group', 'private'], optional: true },
+            { name: 'message|off', type: 'text', optional: true },
+        ],
+        summary: 'Shows or changes the welcome messages: one posted in the group, one sent to the new member in a private chat.',
+        details: 'Placeholders: {name} (the new member), {group} (the group name) and {count} (the number of members). Use off to turn a message off.',
+    },
+    {
+        name: '!schedule',
+        aliases: ['!announce'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.ANNOUNCEMENTS,
+        args: [
+            { name: 'action', type: 'choice', choices: ['list', 'at', 'every', 'pause', 'resume', 'delete'], optional: true },
+            { name: 'time|cron|id', type: 'word', optional: true },
+            { name: 'message', type: 'text', optional: true },
+        ],
+        summary: 'Schedules announcements in the group, once or repeating, and lists, pauses, resumes or deletes them.',
+        details: 'at takes a time (HH:MM, or YYYY-MM-DD HH:MM) and the message. every takes a cron expression in quotes, e.g. "0 9 * * mon" for Mondays at 9:00, and the message. Times are in the group\'s timezone (see !settimezone). pause, resume and delete take the number shown by list. Announcements stop while the channel\'s monthly message quota is nearly used up.',
+    },
+    {
+        name: '!activity',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.ACTIVITY,
+        args: [user()],
+        summary: 'Shows when a member joined, last posted and left, and how many messages they sent.',
+        details: 'The bot only knows what happened while it was in the group. Moderators can use it by default.',
+    },
+    {
+        name: '!inactive',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.ACTIVITY,
+        args: [{ name: 'days', type: 'number', optional: true }],
+        summary: 'Lists the members who haven\'t posted for a number of days (30 by default), the least active first.',
+        details: 'Staff are left out. Members who never posted are counted from when they joined or the bot first saw them. Moderators can use it by default.',
+    },
+    {
+        name: '!autoprune',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.ACTIVITY,
+        args: [
+            { name: 'days', type: 'number', choices: ['off'], optional: true },
+            { name: 'grace_days', type: 'number', optional: true },
+        ],
+        summary: 'Shows or sets the auto-prune: members who haven\'t posted for days are warned, and removed after grace_days (3 by default) unless they post.',
+        details: 'Staff are never warned or removed. Use off to turn it off, which also cancels the pending removals.',
+    },
+    {
+        name: '!report',
+        role: ROLES.MEMBER,
+        category: CATEGORIES.REPORTS,
+        args: [user('@user', { optional: true }), { name: 'reason', type: 'text', optional: true }],
+        summary: 'Reports a member to the staff. Mention them, or reply to their message. Anyone in the group can use it.',
+        details: 'The staff who can use !reports get the report in a private chat, with buttons to kick or blacklist the member or dismiss the report. Staff can\'t be reported. With !votekick on, members reported by enough people are removed automatically.',
+    },
+    {
+        name: '!reports',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.REPORTS,
+        args: [],
+        summary: 'Lists the members with open reports against them, the most reported first.',
+        details: 'Staff who can use it also receive new reports in a private chat. Moderators can use it by default.',
+    },
+    {
+        name: '!votekick',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.REPORTS,
+        args: [
+            { name: 'percent', type: 'number', choices: ['off'], optional: true },
+            { name: 'minutes', type: 'number', optional: true },
+        ],
+        summary: 'Shows or sets the vote-kick: a member reported by this share of the group within minutes (60 by default) is removed.',
+        details: 'At least 3 different members must report them, however small the group. Use off to turn it off.',
+    },
+    {
+        name: '!showblacklistwords',
+        aliases: ['!words'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [{ name: 'page', type: 'number', optional: true }],
+        summary: 'Lists the blacklisted words, with buttons to remove them.',
+    },
+    {
+        name: '!showblacklistusers',
+        aliases: ['!banned'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [{ name: 'page', type: 'number', optional: true }],
+        summary: 'Lists the blacklisted users, with buttons to remove them.',
+    },
+    {
+        name: '!addblacklist',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [{ name: 'entry', type: 'word', repeat: true }],
+        summary: 'Adds words, phrases or patterns to the blacklist.',
+        details: 'Entries: word, "quoted phrase", sub:substring, re:regex (use re:"..." for spaces).',
+    },
+    {
+        name: '!removeblacklist',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [{ name: 'entry', type: 'word', repeat: true }],
+        summary: 'Removes entries from the blacklist, written the same way they were added.',
+    },
+    {
+        name: '!blacklistuser',
+        aliases: ['!ban'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [user(), { name: 'global[:list]', type: 'word', optional: true }, { name: 'reason', type: 'text', optional: true }],
+        summary: 'Kicks a user and keeps them out of the group.',
+        details: 'Add global (or global:<list>) to also ban them on a shared ban list you edit.',
+    },
+    {
+        name: '!unblacklistuser',
+        aliases: ['!unban'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BLACKLIST,
+        args: [user(), { name: 'global[:list]', type: 'word', optional: true }],
+        summary: 'Lets a blacklisted user back into the group.',
+        details: 'Add global (or global:<list>) to also remove them from a shared ban list you edit.',
+    },
+    {
+        name: '!strike',
+        aliases: ['!warn'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.STRIKES,
+        args: [user(), { name: 'reason', type: 'text', optional: true }],
+        summary: 'Gives a member a strike. Enough strikes get them kicked, as set by the strike policy.',
+    },
+    {
+        name: '!strikes',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.STRIKES,
+        args: [user()],
+        summary: "Shows a member's strikes and kicks.",
+    },
+    {
+        name: '!clearstrikes',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.STRIKES,
+        args: [user()],
+        summary: "Clears a member's strikes.",
+    },
+    {
+        name: '!strikepolicy',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.STRIKES,
+        args: [
+            { name: 'strikes_to_kick', type: 'number', optional: true },
+            { name: 'kicks_to_blacklist', type: 'number', optional: true },
+            { name: 'expiry_hours', type: 'number', optional: true },
+        ],
+        summary: 'Shows or changes how many strikes get a member kicked, how many kicks get them blacklisted, and when strikes expire.',
+        details: 'Use 0 kicks to turn off auto-blacklisting and 0 hours for strikes that never expire.',
+    },
+    {
+        name: '!policy',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [
+            { name: 'type', type: 'choice', choices: contentPolicy.POLICY_TYPES, optional: true },
+            { name: Object.values(contentPolicy.POLICY_ACTIONS).join('|'), type: 'choice', choices: Object.values(contentPolicy.POLICY_ACTIONS), optional: true },
+            { name: 'newmember:hours', type: 'word', optional: true },
+        ],
+        summary: 'Shows or changes what happens to messages of a type, e.g. images or links.',
+        details: `Types: ${contentPolicy.POLICY_TYPES.join(', ')}. Add newmember:<hours> to apply the rule only to members who joined less than that many hours ago.`,
+    },
+    {
+        name: '!allowdomain',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'domain', type: 'word', optional: true, repeat: true }],
+        summary: 'Allows links to these domains, whatever the link policy.',
+    },
+    {
+        name: '!denydomain',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'domain', type: 'word', optional: true, repeat: true }],
+        summary: 'Treats links to these domains as denied domains (see the denied_domain policy).',
+    },
+    {
+        name: '!removedomain',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'domain', type: 'word', optional: true, repeat: true }],
+        summary: 'Removes domains from the allowed and denied lists.',
+    },
+    {
+        name: '!antiflood',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'messages', type: 'number', choices: ['off'] }, { name: 'seconds', type: 'number', optional: true }],
+        summary: 'Limits how many messages a member can send in a number of seconds (see the flood policy).',
+    },
+    {
+        name: '!antiduplicate',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'repeats', type: 'number', choices: ['off'] }, { name: 'seconds', type: 'number', optional: true }],
+        summary: 'Limits how often a member can send the same message in a number of seconds (see the duplicate policy).',
+    },
+    {
+        name: '!antiraid',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'joins', type: 'number', choices: ['off'] }, { name: 'seconds', type: 'number', optional: true }],
+        summary: 'Locks the group down when this many members join within a number of seconds.',
+    },
+    {
+        name: '!lockdown',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [{ name: 'on|off', type: 'choice', choices: ['on', 'off'], optional: true }],
+        summary: 'Shows or changes the lockdown. During a lockdown, everyone who joins is removed.',
+    },
+    {
+        name: '!modlog',
+        aliases: ['!log'],
+        role: ROLES.ADMIN,
+        category: CATEGORIES.CONTENT,
+        args: [user('@user', { optional: true }), { name: 'filter', type: 'word', optional: true, repeat: true }],
+        summary: 'Shows the moderation log, newest first.',
+        details: 'Filters: @user, an action (e.g. kick), since:YYYY-MM-DD, until:YYYY-MM-DD and limit:N.',
+    },
+    {
+        name: '!banlist',
+        role: ROLES.ADMIN,
+        category: CATEGORIES.BAN_LISTS,
+        args: [
+            { name: 'action', type: 'choice', choices: ['create', 'subscribe', 'unsubscribe', 'show', 'check', 'exempt', 'unexempt', 'addeditor', 'removeeditor', 'public'], optional: true },
+            { name: 'name', type: 'word', optional: true },
+            { name: 'on|off', type: 'choice', choices: ['on', 'off'], optional: true },
+            user('@user', { optional: true }),
+        ],
+        summary: 'Manages the shared ban lists this group subscribes to.',
+        details: 'create, subscribe, unsubscribe and show take a list name. check, exempt and unexempt take @user. addeditor and removeeditor take a list name and @user. public takes a list name and on or off.',
+    },
+    {
+        name: '!setmod',
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes a member a moderator.',
+    },
+    {
+        name: '!removemod',
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes a moderator a regular member again.',
+    },
+    {
+        name: '!modcommands',
+        role: ROLES.ADMIN,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [{ name: 'command', type: 'word', optional: true, repeat: true }],
+        summary: 'Shows or changes which admin commands moderators can use.',
+        details: 'List the commands to allow, or use none or default. Commands that change roles are never allowed.',
+    },
+    {
+        name: '!setadmin',
+        role: ROLES.OWNER,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes a member an admin.',
+    },
+    {
+        name: '!removeadmin',
+        role: ROLES.OWNER,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes an admin a regular member again.',
+    },
+    {
+        name: '!demote',
+        role: ROLES.OWNER,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes an admin a moderator.',
+    },
+    {
+        name: '!transferowner',
+        role: ROLES.OWNER,
+        delegable: false,
+        category: CATEGORIES.ROLES,
+        args: [user()],
+        summary: 'Makes someone else the owner of this group. You become an admin.',
+    },
+    {
+        name: '!groups',
+        consoleOnly: true,
+        category: CATEGORIES.CONSOLE,
+        args: [],
+        summary: 'Lists the groups where you are staff.',
+    },
+    {
+        name: '!use',
+        consoleOnly: true,
+        category: CATEGORIES.CONSOLE,
+        args: [{ name: 'number|group_id', type: 'word', optional: true }],
+        summary: 'Selects the group the commands you send here apply to.',
+    },
+].map(command => ({ aliases: [], delegable: true, consoleOnly: false, details: '', ...command }));
+
+const commandsByName = new Map();
+for (const command of COMMANDS) {
+    for (const name of [command.name, ...command.aliases]) {
+        if (commandsByName.has(name)) throw new Error(`Duplicate command name ${name}.`);
+        commandsByName.set(name, command);
+    }
+}
+
+/**
+ * Finds a command by its canonical name or an alias.
+ * @param {string} name - The name, including the '!'.
+ * @returns {object | null} The command definition, or null if there is no such command.
+ */
+function findCommand(name) {
+    return commandsByName.get(name) || null;
+}
+
+/**
+ * Finds a command from what a user typed, with or without a prefix, e.g. 'strike', '!strike' or '/warn'.
+ * @param {string} input - What the user typed.
+ * @returns {object | null} The command definition, or null if there is no such command.
+ */
+function resolveCommand(input) {
+    const name = String(input).trim().toLowerCase().replace(/^[^\p{L}\p{N}]+/u, '');
+    return name ? findCommand(`!${name}`) : null;
+}
+
+/**
+ * Checks whether a string can be used as a group's command prefix.
+ */
+function isValidPrefix(prefix) {
+    return typeof prefix === 'string' && PREFIX_PATTERN.test(prefix);
+}
+
+/**
+ * Splits the arguments of a command into tokens.
+ * @param {string} text - The text to split.
+ * @param {number} start - Where the arguments start.
+ * @param {{start: number, end: number, userId: string}[]} spans - The mentions, which are always one token each.
+ * @returns {{text: string, userId?: string}[]} The tokens; mentions have the mentioned user's ID.
+ */
+function tokenize(text, start, spans) {
+    const tokens = [];
+    const spanAt = index => spans.find(span => span.start === index);
+    let i = start;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        const span = spanAt(i);
+        if (span) {
+            tokens.push({ text: text.slice(span.start, span.end), userId: span.userId });
+            i = span.end;
+            continue;
+        }
+
+        // A bare word, in which quoted parts may contain spaces: "two words" or re:"a b".
+        let token = '';
+        while (i < text.length && !/\s/.test(text[i]) && !spanAt(i)) {
+            if (QUOTES.includes(text[i])) {
+                const close = [...QUOTES].map(quote => text.indexOf(quote, i + 1)).filter(index => index !== -1);
+                const end = close.length > 0 ? Math.min(...close) : text.length;
+                token += text.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                token += text[i++];
+            }
+        }
+        tokens.push({ text: token });
+    }
+    return tokens;
+}
+
+/**
+ * Parses a message as a command.
+ * @param {string} text - The message text.
+ * @param {object} [options]
+ * @param {string} [options.prefix] - The prefix commands start with, '!' by default.
+ * @param {object} [options.mention] - The LINE mention object of the message; its indexes refer to text.
+ * @returns {object | null} null if the message isn't a command. Otherwise:
+ *   command - the canonical name (or, for unknown commands, what was typed, with a '!'),
+ *   definition - the command definition, or null for unknown commands,
+ *   tokens - the argument tokens, args - the tokens that aren't mentions,
+ *   argText - everything after the command name, text - the trimmed message,
+ *   mention - the mentions, re-indexed to the trimmed message, and prefix.
+ */
+function parseCommand(text, { prefix = DEFAULT_PREFIX, mention } = {}) {
+    const offset = text.length - text.trimStart().length;
+    const trimmed = text.trim();
+    if (!trimmed.startsWith(prefix)) return null;
+    const nameMatch = trimmed.slice(prefix.length).match(/^[^\s"“”@]+/);
+    if (!nameMatch) return null;
+
+    const name = nameMatch[0].toLowerCase();
+    const definition = findCommand(`!${name}`);
+    const argsStart = prefix.length + nameMatch[0].length;
+
+    const mentionees = ((mention && mention.mentionees) || [])
+        .map(m => ({ ...m, index: m.index - offset }))
+        .filter(m => m.index >= argsStart && m.index + m.length <= trimmed.length);
+    const spans = mentionees.map(m => ({ start: m.index, end: m.index + m.length, userId: m.userId }));
+    const tokens = tokenize(trimmed, argsStart, spans);
+
+    return {
+        command: definition ? definition.name : `!${name}`,
+        definition,
+        tokens,
+        args: tokens.filter(token => !token.userId).map(token => token.text),
+        argText: trimmed.slice(argsStart).trim(),
+        text: trimmed,
+        mention: mentionees.length > 0 ? { ...mention, mentionees } : undefined,
+        prefix,
+    };
+}
+
+function matchesArg(arg, token) {
+    if (!token) return false;
+    if (arg.type === 'user') return Boolean(token.userId);
+    if (token.userId) return false;
+
+    const value = token.text.toLowerCase();
+    if (arg.type === 'choice') return arg.choices.includes(value);
+    if (arg.type === 'number') return /^\d+$/.test(value) || (arg.choices || []).includes(value);
+    return true;
+}
+
+/**
+ * Returns the argument text after the first arguments, as typed (with its line breaks), e.g. the
+ * message of '!schedule at 18:00 See you\ntonight'. Quoted arguments count as one.
+ * @param {string} argText - The argText from parseCommand().
+ * @param {number} count - How many arguments to skip.
+ * @returns {string} The rest of the text.
+ */
+function textAfterArgs(argText, count) {
+    let i = 0;
+    for (let skipped = 0; skipped < count; skipped++) {
+        while (i < argText.length && /\s/.test(argText[i])) i++;
+        while (i < argText.length && !/\s/.test(argText[i])) {
+            if (QUOTES.includes(argText[i])) {
+                const close = [...QUOTES].map(quote => argText.indexOf(quote, i + 1)).filter(index => index !== -1);
+                i = (close.length > 0 ? Math.min(...close) : argText.length) + 1;
+            } else {
+                i++;
+            }
+        }
+    }
+    return argText.slice(i).trim();
+}
+
+/**
+ * Checks a command's arguments against its definition.
+ * Only the shape is checked (which arguments are there, numbers, choices); handlers check the values.
+ * @param {object} definition - The command definition.
+ * @param {{text: string, userId?: string}[]} tokens - The argument tokens from parseCommand().
+ * @returns {boolean} True if the arguments fit.
+ */
+function checkArgs(definition, tokens) {
+    let i = 0;
+    for (const arg of definition.args) {
+        if (arg.type === 'text') {
+            if (!arg.optional && i >= tokens.length) return false;
+            return true;
+        }
+        if (!matchesArg(arg, tokens[i])) {
+            if (arg.optional) continue;
+            return false;
+        }
+        i++;
+        if (arg.repeat) {
+            while (matchesArg(arg, tokens[i])) i++;
+        }
+    }
+    return i >= tokens.length;
+}
+
+/**
+ * Writes a command name with a group's prefix, e.g. '/strike' for '!strike'.
+ */
+function formatName(name, prefix = DEFAULT_PREFIX) {
+    return `${prefix}${name.slice(1)}`;
+}
+
+function formatArg(arg) {
+    let label = arg.type === 'user' ? `@${arg.name.replace(/^@/, '')}` : arg.name;
+    if (arg.type !== 'choice' && arg.choices) label += `|${arg.choices.join('|')}`;
+    if (arg.repeat) label += '...';
+    if (arg.type === 'user' && !arg.optional) return label;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+}
+
+/**
+ * Writes a command's usage line, e.g. '!strike @user [reason]'.
+ * Required arguments are shown as <name>, optional ones as [name].
+ */
+function formatUsage(definition, prefix = DEFAULT_PREFIX) {
+    return [formatName(definition.name, prefix), ...definition.args.map(formatArg)].join(' ');
+}
+
+/**
+ * Lists the registered commands.
+ * @param {object} [options]
+ * @param {boolean} [options.consoleOnly] - Only the commands of the private admin console (true) or only the others (false).
+ * @returns {object[]} The command definitions, in help order.
+ */
+function listCommands({ consoleOnly } = {}) {
+    return COMMANDS.filter(command => consoleOnly === undefined || command.consoleOnly === consoleOnly);
+}
+
+module.exports = {
+    DEFAULT_PREFIX,
+    CATEGORIES,
+    findCommand,
+    resolveCommand,
+    isValidPrefix,
+    parseCommand,
+    checkArgs,
+    textAfterArgs,
+    formatName,
+    formatUsage,
+    listCommands,
+};
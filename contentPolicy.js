@@ -0,0 +1,163 @@
+// contentPolicy.js
+// This file decides whether a message breaks one of a group's content policies:
+// per-message-type rules (images, stickers, files...), rules for links, and the actions
+// taken for floods and repeated messages (detected in floodGuard.js).
+//
+// Policies are stored in group_settings.content_policies as JSON, keyed by policy type:
+//   { "file": { "action": "kick", "newMemberHours": 24 }, "invite": { "action": "warn" } }
+// A rule with newMemberHours only applies to members who joined less than that many hours ago.
+// Violations are returned as data; the caller words them in the group's language.
+
+const POLICY_ACTIONS = {
+    IGNORE: 'ignore',
+    WARN: 'warn',
+    KICK: 'kick',
+};
+
+// Message types come straight from the LINE message object, followed by link categories and rate limits.
+const POLICY_TYPES = ['image', 'video', 'audio', 'file', 'sticker', 'location', 'link', 'invite', 'shortener', 'denied_domain', 'flood', 'duplicate'];
+
+const DEFAULT_POLICIES = {
+    // These only trigger once an admin adds a domain to the denylist or turns on the limits.
+    denied_domain: { action: POLICY_ACTIONS.WARN },
+    flood: { action: POLICY_ACTIONS.WARN },
+    duplicate: { action: POLICY_ACTIONS.WARN },
+};
+
+// The LINE message types that have a policy of their own.
+const MESSAGE_TYPES = ['image', 'video', 'audio', 'file', 'sticker', 'location'];
+
+const URL_PATTERN = /(?<![@\w.-])(https?:\/\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,24})(:\d+)?(\/[^\s]*)?/gi;
+
+// Without "http://" or "www.", a word like "file.txt" is only treated as a link if it ends in one of these.
+const COMMON_TLDS = new Set([
+    'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'ly', 'gl', 'gg', 'to', 'cc', 'tv', 'app', 'dev', 'xyz',
+    'top', 'site', 'online', 'club', 'link', 'live', 'shop', 'store', 'vip', 'win', 'bet', 'asia', 'th', 'jp', 'cn',
+    'ru', 'uk', 'us', 'id', 'in', 'vn', 'ph', 'my', 'sg', 'kr', 'tk', 'ml', 'ga', 'cf', 'ee',
+]);
+
+const URL_SHORTENERS = [
+    'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at',
+    's.id', 'tiny.cc', 'rb.gy', 'v.gd', 'bl.ink', 'short.io', 'lin.ee', 't.ly', 'shorturl.asia', 'urlz.fr',
+];
+
+// LINE group invitations (/ti/g/) and OpenChat invitations (/ti/g2/).
+const LINE_INVITE_PATH = /^\/(?:r\/)?ti\/g2?\//i;
+
+/**
+ * Returns a group's policy for one type, falling back to the default.
+ * @param {object} policies - The group's content_policies value.
+ * @param {string} type - One of POLICY_TYPES.
+ * @returns {{action: string, newMemberHours?: number}} The policy.
+ */
+function getPolicy(policies, type) {
+    return (policies && policies[type]) || DEFAULT_POLICIES[type] || { action: POLICY_ACTIONS.IGNORE };
+}
+
+/**
+ * Returns the action a group takes for one policy type against a given member.
+ * @param {object} policies - The group's content_policies value.
+ * @param {string} type - One of POLICY_TYPES.
+ * @param {number | null} memberAgeHours - How long ago the member joined, or null if unknown.
+ * @returns {string} One of POLICY_ACTIONS; IGNORE if the rule doesn't apply to this member.
+ */
+function resolveAction(policies, type, memberAgeHours) {
+    const policy = getPolicy(policies, type);
+    // Rules limited to new members don't apply to members who joined before the bot could see it.
+    const appliesToMember = !policy.newMemberHours || (memberAgeHours !== null && memberAgeHours < policy.newMemberHours);
+    return appliesToMember ? policy.action : POLICY_ACTIONS.IGNORE;
+}
+
+/**
+ * Normalizes a domain typed by an admin, e.g. 'https://www.Example.com/path' becomes 'example.com'.
+ * @param {string} input - The domain or URL.
+ * @returns {string | null} The domain, or null if it doesn't look like one.
+ */
+function normalizeDomain(input) {
+    const domain = input.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^www\./, '');
+    return /^(?:[a-z0-9-]+\.)+[a-z]{2,24}$/.test(domain) ? domain : null;
+}
+
+function domainMatches(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Finds the links in a text message.
+ * @param {string} text - The message text.
+ * @returns {{host: string, path: string}[]} The links found, with the host lowercased and without 'www.'.
+ */
+function extractLinks(text) {
+    const links = [];
+    for (const match of text.matchAll(URL_PATTERN)) {
+        const [, scheme, rawHost, , path = ''] = match;
+        const host = rawHost.toLowerCase().replace(/^www\./, '');
+        const tld = host.split('.').pop();
+        const explicit = scheme || /^www\./i.test(rawHost) || path.startsWith('/');
+        if (explicit || COMMON_TLDS.has(tld)) links.push({ host, path });
+    }
+    return links;
+}
+
+/**
+ * Sorts a link into a policy type.
+ * The denylist always wins, and invite links are reported even on allowlisted domains.
+ * @returns {string | null} The policy type, or null for allowlisted links.
+ */
+function classifyLink(link, allowlist, denylist) {
+    if (denylist.some(domain => domainMatches(link.host, domain))) return 'denied_domain';
+    if (domainMatches(link.host, 'line.me') && LINE_INVITE_PATH.test(link.path)) return 'invite';
+    if (allowlist.some(domain => domainMatches(link.host, domain))) return null;
+    if (URL_SHORTENERS.some(domain => domainMatches(link.host, domain))) return 'shortener';
+    return 'link';
+}
+
+/**
+ * Checks a message against a group's content policies.
+ * If several rules are broken, the strictest action is returned.
+ * @param {object} message - The LINE message object.
+ * @param {object} options - The group's rules and the sender's membership.
+ * @param {object} options.policies - The group's content_policies value.
+ * @param {string[]} options.allowlist - Domains that are always allowed.
+ * @param {string[]} options.denylist - Domains that are never allowed.
+ * @param {number | null} options.memberAgeHours - How long ago the sender joined, or null if unknown.
+ * @returns {{type: string, action: string, host?: string, newMemberHours?: number} | null} The violation, or null
+ *   if the message is fine. host is the domain, for link types; newMemberHours is set if the rule only applies to new members.
+ */
+function evaluateMessage(message, { policies, allowlist, denylist, memberAgeHours }) {
+    const candidates = [];
+    if (message.type === 'text') {
+        extractLinks(message.text).forEach((link) => {
+            const type = classifyLink(link, allowlist, denylist);
+            if (type) candidates.push({ type, host: link.host });
+        });
+    } else if (MESSAGE_TYPES.includes(message.type)) {
+        candidates.push({ type: message.type });
+    }
+
+    const severity = [POLICY_ACTIONS.IGNORE, POLICY_ACTIONS.WARN, POLICY_ACTIONS.KICK];
+    let violation = null;
+    for (const { type, host } of candidates) {
+        const action = resolveAction(policies, type, memberAgeHours);
+        if (action === POLICY_ACTIONS.IGNORE) continue;
+
+        if (!violation || severity.indexOf(action) > severity.indexOf(violation.action)) {
+            const { newMemberHours } = getPolicy(policies, type);
+            violation = { type, action, host, newMemberHours };
+        }
+    }
+    return violation;
+}
+
+module.exports = {
+    POLICY_ACTIONS,
+    POLICY_TYPES,
+    getPolicy,
+    resolveAction,
+    normalizeDomain,
+    extractLinks,
+    evaluateMessage,
+};
@@ -0,0 +1,224 @@
+// cron.js
+// This file works out when scheduled announcements run: cron expressions for recurring ones, and
+// the dates and times admins type for one-off ones. Both are read in the group's timezone.
+//
+// A cron expression has five fields: minute (0-59), hour (0-23), day of the month (1-31),
+// month (1-12 or jan-dec) and day of the week (0-7 or sun-sat; 0 and 7 are Sunday). Each field
+// is *, a value, a range (1-5), a step (*/15, 9-17/2) or a list of those (1,15). As in standard
+// cron, a day matches when either the day of the month or the day of the week does, if both are
+// restricted.
+
+const FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+// Every expression that can match at all does within 8 years (February 29 skips 2100).
+const MAX_SEARCH_DAYS = 8 * 366;
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const TIME_PATTERN = /^(\d{1,2})[:.](\d{2})$/;
+
+const formatters = new Map();
+
+function parseValue(text, { min, max, names }) {
+    const index = names ? names.indexOf(text) : -1;
+    const value = index !== -1 ? index + min : (/^\d+$/.test(text) ? Number(text) : NaN);
+    return value >= min && value <= max ? value : null;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/);
+        if (!match || (match[1] === '*' && match[2])) return null;
+        const from = match[1] === '*' ? field.min : parseValue(match[1], field);
+        // '5/15' is short for '5-<max>/15'.
+        const to = match[1] === '*' ? field.max : (match[2] ? parseValue(match[2], field) : (match[3] ? field.max : from));
+        const step = match[3] ? Number(match[3]) : 1;
+        if (from === null || to === null || from > to || step < 1) return null;
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - The expression, e.g. '0 9 * * mon-fri'.
+ * @returns {object | null} The parsed schedule for nextRun(), or null if the expression isn't valid.
+ */
+function parse(expression) {
+    const parts = String(expression).trim().toLowerCase().split(/\s+/);
+    if (parts.length !== FIELDS.length) return null;
+    const sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (sets.includes(null)) return null;
+
+    const [minutes, hours, days, months, weekdays] = sets;
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        // Standard cron only combines the two day fields with "or" when neither starts with '*'.
+        eitherDay: !parts[2].startsWith('*') && !parts[4].startsWith('*'),
+    };
+}
+
+function matchesDay(schedule, month, day, weekday) {
+    if (!schedule.months.has(month)) return false;
+    const dayMatches = schedule.days.has(day);
+    const weekdayMatches = schedule.weekdays.has(weekday);
+    return schedule.eitherDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+}
+
+/**
+ * Checks a timezone name, e.g. 'Asia/Bangkok' or 'asia/bangkok'.
+ * @param {string} timeZone - The name.
+ * @returns {string | null} The name as the system writes it, or null if it isn't a known timezone.
+ */
+function normalizeTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return null;
+    try {
+        return getFormatter(timeZone).resolvedOptions().timeZone;
+    } catch (err) {
+        return null;
+    }
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Reads a moment as the wall-clock time in a timezone.
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - An IANA timezone, e.g. 'Asia/Bangkok'.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} The local time; month is 1-12.
+ */
+function toLocal(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// How far the timezone is ahead of UTC at a moment, in milliseconds.
+function offsetAt(time, timeZone) {
+    const local = toLocal(new Date(time), timeZone);
+    const wholeSeconds = Math.floor(time / 1000) * 1000;
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - wholeSeconds;
+}
+
+/**
+ * Finds the moment a wall-clock time in a timezone refers to.
+ * Times skipped by a daylight saving change are moved forward by the size of the change.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} local - The local time; month is 1-12.
+ * @param {string} timeZone - An IANA timezone.
+ * @returns {Date} The moment.
+ */
+function fromLocal({ year, month, day, hour, minute }, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    // The offset at the wall time read as UTC can be off by a daylight saving change, so correct it once.
+    const firstOffset = offsetAt(wall, timeZone);
+    const offset = offsetAt(wall - firstOffset, timeZone);
+    const run = new Date(wall - offset);
+    const check = toLocal(run, timeZone);
+    if (check.hour === hour && check.minute === minute) return run;
+    // The time was skipped: the offsets are the ones before and after the change, and the one
+    // before (the smaller, as clocks go forward) gives the time after the change.
+    return new Date(wall - Math.min(firstOffset, offset));
+}
+
+/**
+ * Finds the next time a cron schedule runs.
+ * @param {object} schedule - A schedule from parse().
+ * @param {Date} after - The run must be later than this.
+ * @param {string} timeZone - The IANA timezone the schedule is read in.
+ * @returns {Date | null} The next run, or null if the schedule never runs (e.g. February 30).
+ */
+function nextRun(schedule, after, timeZone) {
+    // Runs are whole minutes, so start at the minute after 'after'.
+    const start = toLocal(new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000), timeZone);
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        if (!matchesDay(schedule, month, day, date.getUTCDay())) continue;
+
+        for (const hour of schedule.hours) {
+            if (i === 0 && hour < start.hour) continue;
+            for (const minute of schedule.minutes) {
+                if (i === 0 && hour === start.hour && minute < start.minute) continue;
+                const run = fromLocal({ year, month, day, hour, minute }, timeZone);
+                if (run > after) return run;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a date and time typed by an admin, in a timezone.
+ * @param {string} dateText - 'YYYY-MM-DD', or '' for the next time the time of day comes around.
+ * @param {string} timeText - 'HH:MM' (24-hour; 'HH.MM' works too).
+ * @param {string} timeZone - An IANA timezone.
+ * @param {Date} [now] - The current time.
+ * @returns {Date | null} The moment, or null if the date or time isn't valid.
+ */
+function parseDateTime(dateText, timeText, timeZone, now = new Date()) {
+    const time = String(timeText).match(TIME_PATTERN);
+    if (!time) return null;
+    const hour = Number(time[1]);
+    const minute = Number(time[2]);
+    if (hour > 23 || minute > 59) return null;
+
+    if (!dateText) {
+        const today = toLocal(now, timeZone);
+        const run = fromLocal({ ...today, hour, minute }, timeZone);
+        return run > now ? run : fromLocal({ ...today, day: today.day + 1, hour, minute }, timeZone);
+    }
+
+    const date = String(dateText).match(DATE_PATTERN);
+    if (!date) return null;
+    const [year, month, day] = date.slice(1).map(Number);
+    // Date.UTC rolls over invalid dates (February 30 becomes March 2), so check the date survives.
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return fromLocal({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Writes a moment as 'YYYY-MM-DD HH:MM' in a timezone.
+ */
+function formatLocal(date, timeZone) {
+    const local = toLocal(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)}`;
+}
+
+module.exports = {
+    parse,
+    nextRun,
+    normalizeTimeZone,
+    toLocal,
+    fromLocal,
+    parseDateTime,
+    formatLocal,
+};
@@ -0,0 +1,250 @@
+// dashboard.js
+// This file serves the web dashboard: a server-rendered page for one group, opened from a
+// link the bot sends with !dashboard. Reading happens on the server; every change is sent
+// to the API (api.js) by the page's script, with the token from the link.
+//
+// The token is in the link's fragment (/dashboard#token=...), which browsers never send to the
+// server. The page at /dashboard is only a shell: its script moves the token to session storage,
+// then loads the group's sections from /dashboard/content with an Authorization header.
+//
+// The page is in the group's language. The shell, and pages for a missing or expired token, are in
+// the default language, since the group isn't known yet.
+
+const express = require('express');
+const db = require('./db');
+const permissions = require('./permissions');
+const blacklistMatcher = require('./blacklistMatcher');
+const i18n = require('./i18n');
+const { verifyAdminToken, getBearerToken } = require('./adminTokens');
+const { serializeGroup, serializeStaff } = require('./api');
+
+const DASHBOARD_MODLOG_LIMIT = 100;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPage(t, title, body) {
+    return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 16px; color: #222; }
+    h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 2em; border-bottom: 1px solid #ddd; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    textarea, input[type=text], input[type=number] { font: inherit; padding: 4px; box-sizing: border-box; }
+    textarea { width: 100%; min-height: 4em; }
+    .muted { color: #777; } .error { color: #b00; }
+    form { margin: 8px 0; } button { cursor: pointer; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderSettings(t, group) {
+    const s = group.settings;
+    const can = command => group.allowedCommands.includes(command);
+    const state = on => escapeHtml(t(on ? 'common.on' : 'common.off'));
+    const field = (name, label, value, command) => `<label>${escapeHtml(t(`dashboard.page.${label}`))} <input type="number" name="${name}" value="${escapeHtml(value)}" min="0" ${can(command) ? '' : 'disabled'}></label><br>`;
+    return `<h2>${escapeHtml(t('dashboard.page.settings'))}</h2>
+<p>${escapeHtml(t('dashboard.page.passwordProtection'))}: <b>${state(s.passwordEnabled)}</b> · ${escapeHtml(t('dashboard.page.lockdown'))}: <b>${state(s.lockdown)}</b></p>
+<form data-api="PATCH /group/settings">
+${field('passwordTimeoutMinutes', 'passwordTimeout', s.passwordTimeoutMinutes, '!setpasswordtimeout')}
+${field('passwordMaxAttempts', 'passwordAttempts', s.passwordMaxAttempts, '!setpasswordattempts')}
+${field('passwordRetryCooldownSeconds', 'retryCooldown', s.passwordRetryCooldownSeconds, '!setpasswordattempts')}
+${field('strikesBeforeKick', 'strikesBeforeKick', s.strikesBeforeKick, '!strikepolicy')}
+${field('kicksBeforeBlacklist', 'kicksBeforeBlacklist', s.kicksBeforeBlacklist, '!strikepolicy')}
+${field('strikeExpiryHours', 'strikeExpiry', s.strikeExpiryHours, '!strikepolicy')}
+<label><input type="checkbox" name="groupCommandsEnabled" ${s.groupCommandsEnabled ? 'checked' : ''} ${can('!groupcommands') ? '' : 'disabled'}> ${escapeHtml(t('dashboard.page.groupCommands'))}</label><br>
+<button type="submit">${escapeHtml(t('dashboard.page.saveSettings'))}</button>
+</form>
+${can('!setpassword') ? `<form data-api="PUT /group/password">
+<input type="text" name="password" placeholder="${escapeHtml(t('dashboard.page.newPassword'))}" autocomplete="off">
+<button type="submit">${escapeHtml(t('dashboard.page.setPassword'))}</button>
+</form>` : ''}`;
+}
+
+function renderStaff(t, group, staff) {
+    const canChange = ['!setadmin', '!removeadmin', '!demote', '!setmod', '!removemod'].some(command => group.allowedCommands.includes(command));
+    const roleName = role => escapeHtml(t(`roleNames.${role}`));
+    const rows = staff.map(member => `<tr><td>${escapeHtml(member.userId)}</td><td>${roleName(member.role)}</td></tr>`).join('');
+    const options = ['admin', 'moderator', 'member'].map(role => `<option value="${role}">${roleName(role)}</option>`).join('');
+    return `<h2>${escapeHtml(t('dashboard.page.staff'))}</h2>
+<table><tr><th>${escapeHtml(t('dashboard.page.userId'))}</th><th>${escapeHtml(t('dashboard.page.role'))}</th></tr>${rows}</table>
+${canChange ? `<form data-api="PUT /group/staff/:userId">
+<input type="text" name="userId" placeholder="${escapeHtml(t('dashboard.page.userIdPlaceholder'))}" size="36">
+<select name="role">${options}</select>
+<button type="submit">${escapeHtml(t('dashboard.page.setRole'))}</button>
+</form>` : ''}`;
+}
+
+function renderBlacklistWords(t, group, entries) {
+    const canRemove = group.allowedCommands.includes('!removeblacklist');
+    const remove = escapeHtml(t('dashboard.page.remove'));
+    const rows = entries.map(row => `<tr><td>${escapeHtml(blacklistMatcher.formatEntry(row.entry))}</td><td class="muted">${escapeHtml(row.added_by || '')}</td><td>${canRemove ? `<button data-delete="/group/blacklist/words" data-field="entries" data-value="${escapeHtml(row.entry)}">${remove}</button>` : ''}</td></tr>`).join('');
+    return `<h2>${escapeHtml(t('dashboard.page.blacklistWords', { count: entries.length }))}</h2>
+${group.allowedCommands.includes('!addblacklist') ? `<form data-api="POST /group/blacklist/words">
+<textarea name="text" placeholder='forex "buy now" sub:crypt re:^free\\s+money'></textarea>
+<button type="submit">${escapeHtml(t('dashboard.page.addEntries'))}</button>
+</form>` : ''}
+<table><tr><th>${escapeHtml(t('dashboard.page.entry'))}</th><th>${escapeHtml(t('dashboard.page.addedBy'))}</th><th></th></tr>${rows || `<tr><td class="muted">${escapeHtml(t('common.none'))}</td><td></td><td></td></tr>`}</table>`;
+}
+
+function renderBlacklistUsers(t, group, users) {
+    const canRemove = group.allowedCommands.includes('!unblacklistuser');
+    const remove = escapeHtml(t('dashboard.page.remove'));
+    const rows = users.map(row => `<tr><td>${escapeHtml(row.user_id)}</td><td>${escapeHtml(row.reason || '')}</td><td class="muted">${escapeHtml(row.added_by || t('common.bot'))}</td><td>${canRemove ? `<button data-delete="/group/blacklist/users" data-field="userIds" data-value="${escapeHtml(row.user_id)}">${remove}</button>` : ''}</td></tr>`).join('');
+    return `<h2>${escapeHtml(t('dashboard.page.blacklistUsers', { count: users.length }))}</h2>
+${group.allowedCommands.includes('!blacklistuser') ? `<form data-api="POST /group/blacklist/users">
+<textarea name="userIds" placeholder="${escapeHtml(t('dashboard.page.userIdsPlaceholder'))}"></textarea>
+<button type="submit">${escapeHtml(t('dashboard.page.blacklistAndRemove'))}</button>
+</form>` : ''}
+<table><tr><th>${escapeHtml(t('dashboard.page.userId'))}</th><th>${escapeHtml(t('dashboard.page.reason'))}</th><th>${escapeHtml(t('dashboard.page.by'))}</th><th></th></tr>${rows || `<tr><td class="muted">${escapeHtml(t('common.none'))}</td><td></td><td></td><td></td></tr>`}</table>`;
+}
+
+function renderModLog(t, entries) {
+    const rows = entries.map(e => `<tr><td>${escapeHtml(new Date(e.created_at).toISOString().replace('T', ' ').substring(0, 16))}</td><td>${escapeHtml(e.action)}</td><td>${escapeHtml(e.target_id)}</td><td>${escapeHtml(e.actor_id || t('common.bot'))}</td><td>${escapeHtml(e.reason)}${e.message_text ? `<br><span class="muted">"${escapeHtml(e.message_text)}"</span>` : ''}</td></tr>`).join('');
+    const headings = ['time', 'action', 'target', 'by', 'details'].map(key => `<th>${escapeHtml(t(`dashboard.page.${key}`))}</th>`).join('');
+    return `<h2>${escapeHtml(t('dashboard.page.modLog', { count: entries.length }))}</h2>
+<table><tr>${headings}</tr>${rows || `<tr><td colspan="5" class="muted">${escapeHtml(t('dashboard.page.noLogEntries'))}</td></tr>`}</table>`;
+}
+
+// What the page shows when its sections can't be loaded.
+function renderLoadError(t) {
+    return { title: t('dashboard.page.errorTitle'), html: `<h1>${escapeHtml(t('dashboard.page.loadError'))}</h1>` };
+}
+
+// Loads the sections, then sends forms and remove buttons to the API and reloads the page to show the result.
+// The message for a page that can't be loaded is filled in by pageScript().
+const PAGE_SCRIPT = `<script>
+const fromLink = new URLSearchParams(location.hash.slice(1)).get('token');
+if (fromLink) {
+    sessionStorage.setItem('dashboardToken', fromLink);
+    history.replaceState(null, '', location.pathname);
+}
+const token = sessionStorage.getItem('dashboardToken') || '';
+async function callApi(method, path, body) {
+    const res = await fetch('/api' + path, {
+        method,
+        headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    return data;
+}
+function report(err) { document.getElementById('status').textContent = err.message; }
+function bind() {
+    document.querySelectorAll('form[data-api]').forEach(form => form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        let [method, path] = form.dataset.api.split(' ');
+        const body = {};
+        for (const input of form.querySelectorAll('input, textarea, select')) {
+            if (input.disabled) continue;
+            if (input.type === 'checkbox') body[input.name] = input.checked;
+            else if (input.type === 'number') body[input.name] = parseInt(input.value, 10);
+            else body[input.name] = input.value;
+        }
+        if (path.includes(':userId')) { path = path.replace(':userId', encodeURIComponent(body.userId.trim())); delete body.userId; }
+        if (path === '/group/password') body.password = body.password.trim() || null;
+        if (path === '/group/blacklist/users') body.userIds = body.userIds.split(/\\s+/).filter(Boolean);
+        try { await callApi(method, path, body); location.reload(); } catch (err) { report(err); }
+    }));
+    document.querySelectorAll('button[data-delete]').forEach(button => button.addEventListener('click', async () => {
+        try { await callApi('DELETE', button.dataset.delete, { [button.dataset.field]: [button.dataset.value] }); location.reload(); } catch (err) { report(err); }
+    }));
+}
+async function load() {
+    const res = await fetch('/dashboard/content', { headers: { 'Authorization': 'Bearer ' + token } });
+    const page = await res.json().catch(() => LOAD_ERROR);
+    document.title = page.title;
+    document.getElementById('app').innerHTML = page.html;
+    bind();
+}
+load();
+</script>`;
+
+function pageScript(t) {
+    // JSON can't end the <script> element once '<' is escaped.
+    const loadError = JSON.stringify(renderLoadError(t)).replace(/</g, '\\u003c');
+    return PAGE_SCRIPT.replace('<script>', `<script>\nconst LOAD_ERROR = ${loadError};`);
+}
+
+/**
+ * Creates the dashboard router.
+ * @param {object} deps - What the page needs from the bot.
+ * @param {string} deps.secret - The secret that dashboard tokens are signed with.
+ * @param {function} deps.getGroupName - Looks up a group's display name.
+ * @param {function} deps.getLanguage - Returns the language of a group from its settings ({} for the default language).
+ * @returns {express.Router} The router, to be mounted at /dashboard.
+ */
+function createDashboardRouter({ secret, getGroupName, getLanguage }) {
+    const router = express.Router();
+
+    // The token in the fragment stays out of Referer headers anyway; this keeps the page out of caches too.
+    router.use((req, res, next) => {
+        res.set({ 'Referrer-Policy': 'no-referrer', 'Cache-Control': 'no-store' });
+        next();
+    });
+
+    router.get('/', (req, res) => {
+        const t = i18n.translator(getLanguage({}));
+        res.send(renderPage(t, t('dashboard.page.title'), `<div id="app"><p class="muted">${escapeHtml(t('dashboard.page.loading'))}</p></div>\n${pageScript(t)}`));
+    });
+
+    // The sections of the page, as { title, html }.
+    router.get('/content', async (req, res) => {
+        let t = i18n.translator(getLanguage({}));
+        try {
+            const claims = verifyAdminToken(getBearerToken(req), secret);
+            if (!claims) {
+                const html = `<h1>${escapeHtml(t('dashboard.page.expired'))}</h1><p>${escapeHtml(t('dashboard.page.expiredHint', { command: '!dashboard' }))}</p>`;
+                return res.status(401).json({ title: t('dashboard.page.expiredTitle'), html });
+            }
+
+            const settings = await db.getGroupSettings(claims.groupId);
+            t = i18n.translator(getLanguage(settings));
+            if (!permissions.isStaff(settings, claims.userId)) {
+                return res.status(403).json({ title: t('dashboard.page.noAccessTitle'), html: `<h1>${escapeHtml(t('dashboard.page.noAccess'))}</h1>` });
+            }
+
+            const group = serializeGroup(settings, claims.userId);
+            const can = command => group.allowedCommands.includes(command);
+            const groupName = await getGroupName(claims.groupId, t);
+            const modLog = can('!modlog') ? await db.getModerationLog(claims.groupId, { limit: DASHBOARD_MODLOG_LIMIT }) : null;
+
+            const sections = [
+                `<h1>${escapeHtml(groupName)}</h1>`,
+                `<p class="muted">${escapeHtml(t('dashboard.page.signedIn', { role: t(`roleNames.${group.role}`), time: claims.expiresAt.toISOString().replace('T', ' ').substring(0, 16) }))}</p>`,
+                '<p id="status" class="error"></p>',
+                renderSettings(t, group),
+                can('!staff') ? renderStaff(t, group, serializeStaff(settings)) : '',
+                can('!showblacklistwords') ? renderBlacklistWords(t, group, await db.getBlacklistWordEntries(claims.groupId)) : '',
+                can('!showblacklistusers') ? renderBlacklistUsers(t, group, await db.getBlacklistedUsers(claims.groupId)) : '',
+                modLog ? renderModLog(t, modLog) : '',
+            ];
+            return res.json({ title: t('dashboard.page.pageTitle', { group: groupName }), html: sections.join('\n') });
+        } catch (err) {
+            console.error("Error rendering the dashboard:", err);
+            return res.status(500).json(renderLoadError(t));
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createDashboardRouter,
+};
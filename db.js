@@ -1,53 +1,110 @@
 // db.js
 // This file handles all interactions with the Postgres database.
 
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const settingsCache = require('./settingsCache');
 
-const pool = new Pool({
+const connectionOptions = {
     connectionString: process.env.DATABASE_URL,
     ssl: {
         rejectUnauthorized: false
     }
-});
+};
+
+const pool = new Pool(connectionOptions);
+
+// Processes tell each other which group's settings changed on this channel (see settingsCache.js).
+const SETTINGS_CHANNEL = 'group_settings_changed';
+const SETTINGS_LISTENER_RETRY_MS = 5000;
 
 /**
  * Retrieves or creates settings for a group.
+ * The staff, blacklists, link domains and exemptions are read from their own tables and
+ * returned as arrays on the settings object. Settings are cached and frozen; use the setters
+ * below to change them.
  * @param {string} groupId - The ID of the LINE group.
  * @returns {Promise<object>} The settings object for the group.
  */
 async function getGroupSettings(groupId) {
-    const findQuery = 'SELECT * FROM group_settings WHERE group_id = $1';
-    const insertQuery = 'INSERT INTO group_settings (group_id) VALUES ($1) RETURNING *';
+    return settingsCache.get(groupId, () => loadGroupSettings(groupId));
+}
+
+async function loadGroupSettings(groupId) {
+    const findQuery = `
+        SELECT g.*,
+            ARRAY(SELECT user_id FROM group_staff s WHERE s.group_id = g.group_id AND s.role = 'admin' ORDER BY s.added_at, s.user_id) AS admins,
+            ARRAY(SELECT user_id FROM group_staff s WHERE s.group_id = g.group_id AND s.role = 'moderator' ORDER BY s.added_at, s.user_id) AS moderators,
+            ARRAY(SELECT entry FROM blacklist_words w WHERE w.group_id = g.group_id ORDER BY w.added_at, w.entry) AS blacklist_words,
+            ARRAY(SELECT user_id FROM blacklisted_users u WHERE u.group_id = g.group_id ORDER BY u.added_at, u.user_id) AS blacklist_users,
+            ARRAY(SELECT domain FROM link_domains d WHERE d.group_id = g.group_id AND d.list = 'allow' ORDER BY d.domain) AS link_allowlist,
+            ARRAY(SELECT domain FROM link_domains d WHERE d.group_id = g.group_id AND d.list = 'deny' ORDER BY d.domain) AS link_denylist,
+            ARRAY(SELECT user_id FROM shared_ban_exemptions e WHERE e.group_id = g.group_id ORDER BY e.added_at) AS shared_ban_exemptions,
+            ARRAY(SELECT list_id FROM ban_list_subscriptions b WHERE b.group_id = g.group_id ORDER BY b.list_id) AS ban_list_ids
+        FROM group_settings g
+        WHERE g.group_id = $1
+    `;
+    const insertQuery = 'INSERT INTO group_settings (group_id) VALUES ($1) ON CONFLICT (group_id) DO NOTHING';
 
     const client = await pool.connect();
     try {
         let result = await client.query(findQuery, [groupId]);
         if (result.rows.length === 0) {
             console.log(`No settings found for group ${groupId}. Creating new entry.`);
-            result = await client.query(insertQuery, [groupId]);
+            await client.query(insertQuery, [groupId]);
+            result = await client.query(findQuery, [groupId]);
         }
-        
-        const settings = result.rows[0];
-
-        // Ensure array fields are never null to prevent crashes.
-        settings.admins = settings.admins || [];
-        settings.blacklist_words = settings.blacklist_words || [];
-        settings.blacklist_users = settings.blacklist_users || [];
 
+        const settings = result.rows[0];
+        settings.content_policies = settings.content_policies || {};
         return settings;
     } finally {
         client.release();
     }
 }
 
+// Drops the group's cached settings in this process and, through NOTIFY, in every other one.
+// Called after every change to the settings or the lists read with them.
+async function settingsChanged(groupId) {
+    settingsCache.invalidate(groupId);
+    await pool.query('SELECT pg_notify($1, $2)', [SETTINGS_CHANNEL, groupId])
+        .catch(err => console.error(`Failed to announce a settings change for group ${groupId}:`, err));
+}
+
+/**
+ * Listens for settings changes made by other processes and drops them from the cache.
+ * Uses its own connection, outside the pool. If the connection is lost, the whole cache is
+ * dropped (notifications may have been missed) and the listener reconnects.
+ */
+function listenForSettingsChanges() {
+    const client = new Client(connectionOptions);
+    let stopped = false;
+    const restart = (err) => {
+        if (stopped) return;
+        stopped = true;
+        console.error("Settings change listener stopped, reconnecting:", err || 'connection ended');
+        settingsCache.clear();
+        client.end().catch(() => {});
+        setTimeout(listenForSettingsChanges, SETTINGS_LISTENER_RETRY_MS);
+    };
+    client.on('notification', msg => settingsCache.invalidate(msg.payload));
+    client.on('error', restart);
+    client.on('end', () => restart());
+    client.connect()
+        .then(() => client.query(`LISTEN ${SETTINGS_CHANNEL}`))
+        // Changes made before LISTEN took effect weren't announced to this process.
+        .then(() => settingsCache.clear())
+        .catch(restart);
+}
+
 /**
  * Sets or removes the password for a group.
  * @param {string} groupId - The ID of the LINE group.
- * @param {string | null} password - The new password, or null to remove it.
+ * @param {string | null} passwordHash - The hash of the new password (see passwords.js), or null to remove it.
  */
-async function setPassword(groupId, password) {
+async function setPassword(groupId, passwordHash) {
     const query = 'UPDATE group_settings SET password = $1 WHERE group_id = $2';
-    await pool.query(query, [password, groupId]);
+    await pool.query(query, [passwordHash, groupId]);
+    await settingsChanged(groupId);
 }
 
 /**
@@ -58,59 +115,178 @@ async function setPassword(groupId, password) {
 async function setPasswordTimeout(groupId, minutes) {
     const query = 'UPDATE group_settings SET password_timeout_minutes = $1 WHERE group_id = $2';
     await pool.query(query, [minutes, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets how many password attempts new members get and how long they must wait between attempts.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} maxAttempts - The number of attempts before the user is kicked.
+ * @param {number} cooldownSeconds - The wait after a wrong attempt, in seconds.
+ */
+async function setPasswordAttemptPolicy(groupId, maxAttempts, cooldownSeconds) {
+    const query = 'UPDATE group_settings SET password_max_attempts = $1, password_retry_cooldown_seconds = $2 WHERE group_id = $3';
+    await pool.query(query, [maxAttempts, cooldownSeconds, groupId]);
+    await settingsChanged(groupId);
 }
 
 
 /**
- * Checks if a user is an admin of a specific group.
+ * Sets how new members of a group are verified.
  * @param {string} groupId - The ID of the LINE group.
- * @param {string} userId - The ID of the user to check.
- * @returns {Promise<boolean>} True if the user is an admin, false otherwise.
+ * @param {'off' | 'password' | 'captcha' | 'approval'} mode - The verification mode.
+ * @param {number | null} [approvalTimeoutMinutes] - How long admins have to approve a new member; unchanged if null.
  */
-async function isAdmin(groupId, userId) {
-    const settings = await getGroupSettings(groupId);
-    return settings.admins.includes(userId);
+async function setVerificationMode(groupId, mode, approvalTimeoutMinutes = null) {
+    const query = `
+        UPDATE group_settings SET verification_mode = $1, approval_timeout_minutes = COALESCE($2, approval_timeout_minutes)
+        WHERE group_id = $3
+    `;
+    await pool.query(query, [mode, approvalTimeoutMinutes, groupId]);
+    await settingsChanged(groupId);
 }
 
 /**
- * Adds a new admin to a group's settings.
+ * Makes a user an admin of a group. A moderator is promoted.
  * @param {string} groupId - The ID of the LINE group.
  * @param {string} newAdminId - The ID of the user to add as an admin.
+ * @param {string | null} [addedBy] - The ID of the user who made the change.
  */
-async function addAdmin(groupId, newAdminId) {
-    const settings = await getGroupSettings(groupId);
-    const currentAdmins = new Set(settings.admins);
-    currentAdmins.add(newAdminId);
-    const newAdminList = Array.from(currentAdmins);
-    const query = 'UPDATE group_settings SET admins = $1 WHERE group_id = $2';
-    await pool.query(query, [newAdminList, groupId]);
+async function addAdmin(groupId, newAdminId, addedBy = null) {
+    await setStaffRole(groupId, newAdminId, 'admin', addedBy);
 }
 
 /**
- * Adds multiple words to the group's word blacklist.
+ * Removes an admin from a group.
  * @param {string} groupId - The ID of the LINE group.
- * @param {string[]} words - An array of words to add to the blacklist.
+ * @param {string} adminId - The ID of the admin to remove.
  */
-async function addBlacklistWords(groupId, words) {
-    const settings = await getGroupSettings(groupId);
-    const currentWords = new Set(settings.blacklist_words);
-    words.forEach(word => currentWords.add(word.toLowerCase()));
-    const newWordList = Array.from(currentWords);
-    const query = 'UPDATE group_settings SET blacklist_words = $1 WHERE group_id = $2';
-    await pool.query(query, [newWordList, groupId]);
+async function removeAdmin(groupId, adminId) {
+    const query = "DELETE FROM group_staff WHERE group_id = $1 AND user_id = $2 AND role = 'admin'";
+    await pool.query(query, [groupId, adminId]);
+    await settingsChanged(groupId);
 }
 
 /**
- * Removes multiple words from the group's word blacklist.
+ * Makes a user a moderator of a group. An admin is demoted.
  * @param {string} groupId - The ID of the LINE group.
- * @param {string[]} words - An array of words to remove from the blacklist.
+ * @param {string} userId - The ID of the user to make a moderator.
+ * @param {string | null} [addedBy] - The ID of the user who made the change.
+ */
+async function addModerator(groupId, userId, addedBy = null) {
+    await setStaffRole(groupId, userId, 'moderator', addedBy);
+}
+
+async function setStaffRole(groupId, userId, role, addedBy) {
+    const query = `
+        INSERT INTO group_staff (group_id, user_id, role, added_by) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role, added_by = EXCLUDED.added_by, added_at = NOW()
+    `;
+    await pool.query(query, [groupId, userId, role, addedBy]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Removes a moderator from a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the moderator to remove.
+ */
+async function removeModerator(groupId, userId) {
+    const query = "DELETE FROM group_staff WHERE group_id = $1 AND user_id = $2 AND role = 'moderator'";
+    await pool.query(query, [groupId, userId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Makes a user the owner of a group. The previous owner, if any, becomes an admin,
+ * and the new owner is removed from the staff table.
+ * Any outstanding ownership claim code is cleared.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} newOwnerId - The ID of the new owner.
+ */
+async function setOwner(groupId, newOwnerId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const previous = await client.query('SELECT owner_id FROM group_settings WHERE group_id = $1 FOR UPDATE', [groupId]);
+        const previousOwnerId = previous.rows.length > 0 ? previous.rows[0].owner_id : null;
+
+        await client.query('UPDATE group_settings SET owner_id = $1, owner_claim_code = NULL WHERE group_id = $2', [newOwnerId, groupId]);
+        await client.query('DELETE FROM group_staff WHERE group_id = $1 AND user_id = $2', [groupId, newOwnerId]);
+        if (previousOwnerId && previousOwnerId !== newOwnerId) {
+            await client.query(`
+                INSERT INTO group_staff (group_id, user_id, role, added_by) VALUES ($1, $2, 'admin', $3)
+                ON CONFLICT (group_id, user_id) DO UPDATE SET role = 'admin'
+            `, [groupId, previousOwnerId, newOwnerId]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    await settingsChanged(groupId);
+}
+
+/**
+ * Stores the code that lets someone claim ownership of a group without an owner.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} codeHash - The hashed claim code (see passwords.js).
+ */
+async function setOwnerClaimCode(groupId, codeHash) {
+    const query = 'UPDATE group_settings SET owner_claim_code = $1 WHERE group_id = $2';
+    await pool.query(query, [codeHash, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets which admin commands the group's moderators may run.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} commands - The commands, including the '!'.
+ */
+async function setModeratorCommands(groupId, commands) {
+    const query = 'UPDATE group_settings SET moderator_commands = $1 WHERE group_id = $2';
+    await pool.query(query, [commands, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Adds multiple entries to the group's word blacklist. Entries already on the list are kept as they are.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} words - The entries to add, already in their stored form (see blacklistMatcher.js).
+ * @param {string | null} [addedBy] - The ID of the user who added them.
+ */
+async function addBlacklistWords(groupId, words, addedBy = null) {
+    const query = `
+        INSERT INTO blacklist_words (group_id, entry, added_by)
+        SELECT $1, unnest($2::TEXT[]), $3
+        ON CONFLICT (group_id, entry) DO NOTHING
+    `;
+    await pool.query(query, [groupId, words, addedBy]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Removes multiple entries from the group's word blacklist.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} words - The entries to remove, exactly as they are stored.
  */
 async function removeBlacklistWords(groupId, words) {
-    const settings = await getGroupSettings(groupId);
-    const lowercasedWordsToRemove = words.map(w => w.toLowerCase());
-    const newWordList = settings.blacklist_words.filter(word => !lowercasedWordsToRemove.includes(word));
-    const query = 'UPDATE group_settings SET blacklist_words = $1 WHERE group_id = $2';
-    await pool.query(query, [newWordList, groupId]);
+    const query = 'DELETE FROM blacklist_words WHERE group_id = $1 AND entry = ANY($2::TEXT[])';
+    await pool.query(query, [groupId, words]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Retrieves the group's word blacklist with who added each entry and when.
+ * @param {string} groupId - The ID of the LINE group.
+ * @returns {Promise<object[]>} The entries (entry, added_by, added_at), oldest first.
+ */
+async function getBlacklistWordEntries(groupId) {
+    const query = 'SELECT entry, added_by, added_at FROM blacklist_words WHERE group_id = $1 ORDER BY added_at, entry';
+    const result = await pool.query(query, [groupId]);
+    return result.rows;
 }
 
 /**
@@ -121,21 +297,24 @@ async function removeBlacklistWords(groupId, words) {
  */
 async function isUserBlacklisted(groupId, userId) {
     const settings = await getGroupSettings(groupId);
-    return settings.blacklist_users.includes(userId);
+    return settingsCache.derive(settings, 'blacklistedUsers', ({ blacklist_users }) => new Set(blacklist_users)).has(userId);
 }
 
 /**
- * Adds a user to the group's user blacklist.
+ * Adds a user to the group's user blacklist. Blacklisting a user again updates the details.
  * @param {string} groupId - The ID of the LINE group.
  * @param {string} userId - The ID of the user to blacklist.
+ * @param {object} [details] - Who blacklisted the user and why.
+ * @param {string | null} [details.addedBy] - The ID of the user who blacklisted them, or null for the bot.
+ * @param {string | null} [details.reason] - Why the user was blacklisted.
  */
-async function addUserToBlacklist(groupId, userId) {
-    const settings = await getGroupSettings(groupId);
-    const currentUsers = new Set(settings.blacklist_users);
-    currentUsers.add(userId);
-    const newUserList = Array.from(currentUsers);
-    const query = 'UPDATE group_settings SET blacklist_users = $1 WHERE group_id = $2';
-    await pool.query(query, [newUserList, groupId]);
+async function addUserToBlacklist(groupId, userId, { addedBy = null, reason = null } = {}) {
+    const query = `
+        INSERT INTO blacklisted_users (group_id, user_id, added_by, reason) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (group_id, user_id) DO UPDATE SET added_by = EXCLUDED.added_by, reason = EXCLUDED.reason, added_at = NOW()
+    `;
+    await pool.query(query, [groupId, userId, addedBy, reason]);
+    await settingsChanged(groupId);
 }
 
 /**
@@ -144,22 +323,1435 @@ async function addUserToBlacklist(groupId, userId) {
  * @param {string} userId - The ID of the user to unblacklist.
  */
 async function removeUserFromBlacklist(groupId, userId) {
-    const settings = await getGroupSettings(groupId);
-    const newUserList = settings.blacklist_users.filter(id => id !== userId);
-    const query = 'UPDATE group_settings SET blacklist_users = $1 WHERE group_id = $2';
-    await pool.query(query, [newUserList, groupId]);
+    const query = 'DELETE FROM blacklisted_users WHERE group_id = $1 AND user_id = $2';
+    await pool.query(query, [groupId, userId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Retrieves the group's blacklisted users with who blacklisted them, when and why.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string | null} [userId] - Only this user's entry.
+ * @returns {Promise<object[]>} The entries (user_id, added_by, reason, added_at), oldest first.
+ */
+async function getBlacklistedUsers(groupId, userId = null) {
+    const query = `
+        SELECT user_id, added_by, reason, added_at FROM blacklisted_users
+        WHERE group_id = $1 AND ($2::VARCHAR IS NULL OR user_id = $2)
+        ORDER BY added_at, user_id
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows;
+}
+
+/**
+ * Stores a pending verification for a new member.
+ * If the user already has a pending verification for this group, it starts over with the new deadline.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user who must verify.
+ * @param {Date} deadline - When the user will be kicked if they have not verified.
+ * @param {object} [details] - How the user verifies.
+ * @param {'password' | 'captcha' | 'approval'} [details.method] - The verification method.
+ * @param {{question: string, answer: string, choices: string[]} | null} [details.challenge] - The captcha challenge (see captcha.js).
+ */
+async function addPendingVerification(groupId, userId, deadline, { method = 'password', challenge = null } = {}) {
+    const query = `
+        INSERT INTO pending_verifications (group_id, user_id, deadline, method, challenge_question, challenge_answer, challenge_choices)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (group_id, user_id) DO UPDATE SET
+            deadline = EXCLUDED.deadline, created_at = NOW(), method = EXCLUDED.method,
+            challenge_question = EXCLUDED.challenge_question, challenge_answer = EXCLUDED.challenge_answer,
+            challenge_choices = EXCLUDED.challenge_choices, attempts = 0, locked_until = NULL, selected_at = NULL
+    `;
+    const values = [groupId, userId, deadline, method];
+    values.push(challenge ? challenge.question : null, challenge ? challenge.answer : null, challenge ? challenge.choices : null);
+    await pool.query(query, values);
+}
+
+/**
+ * Retrieves a user's pending verification for one group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} The pending verification, or null if there is none.
+ */
+async function getPendingVerification(groupId, userId) {
+    const query = 'SELECT * FROM pending_verifications WHERE group_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Replaces the captcha challenge of a pending verification, e.g. after a wrong answer.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @param {{question: string, answer: string, choices: string[]}} challenge - The new challenge.
+ */
+async function setVerificationChallenge(groupId, userId, challenge) {
+    const query = `
+        UPDATE pending_verifications SET challenge_question = $3, challenge_answer = $4, challenge_choices = $5
+        WHERE group_id = $1 AND user_id = $2
+    `;
+    await pool.query(query, [groupId, userId, challenge.question, challenge.answer, challenge.choices]);
+}
+
+/**
+ * Retrieves every pending verification of a user, oldest first.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object[]>} The user's pending verifications, one per group.
+ */
+async function getPendingVerificationsForUser(userId) {
+    const query = 'SELECT * FROM pending_verifications WHERE user_id = $1 ORDER BY created_at ASC';
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+}
+
+/**
+ * Marks the group a user with several pending verifications is currently entering the password for.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ */
+async function selectPendingVerification(groupId, userId) {
+    const query = 'UPDATE pending_verifications SET selected_at = NOW() WHERE group_id = $1 AND user_id = $2';
+    await pool.query(query, [groupId, userId]);
+}
+
+/**
+ * Counts a wrong password or captcha answer and blocks further attempts until the cooldown has passed.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @param {Date | null} lockedUntil - When the user may try again, or null for no cooldown.
+ * @returns {Promise<number | null>} The number of failed attempts so far, or null if the verification no longer exists.
+ */
+async function recordFailedPasswordAttempt(groupId, userId, lockedUntil) {
+    const query = `
+        UPDATE pending_verifications SET attempts = attempts + 1, locked_until = $3
+        WHERE group_id = $1 AND user_id = $2
+        RETURNING attempts
+    `;
+    const result = await pool.query(query, [groupId, userId, lockedUntil]);
+    return result.rows.length > 0 ? result.rows[0].attempts : null;
+}
+
+/**
+ * Retrieves every pending verification, e.g. to reschedule their timeouts after a restart.
+ * @returns {Promise<object[]>} All pending verifications.
+ */
+async function getAllPendingVerifications() {
+    const result = await pool.query('SELECT * FROM pending_verifications');
+    return result.rows;
+}
+
+/**
+ * Removes a pending verification.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if a pending verification was removed, false if none existed.
+ */
+async function deletePendingVerification(groupId, userId) {
+    const query = 'DELETE FROM pending_verifications WHERE group_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Removes all pending verifications of a user, across every group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object[]>} The removed pending verifications.
+ */
+async function deletePendingVerificationsForUser(userId) {
+    const query = 'DELETE FROM pending_verifications WHERE user_id = $1 RETURNING *';
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+}
+
+/**
+ * Atomically removes and returns every pending verification whose deadline has passed.
+ * Because the rows are deleted in the same statement, each expired verification is only returned once,
+ * even if several processes sweep at the same time.
+ * @param {string} [groupId] - Only claim the verifications of this group.
+ * @param {string} [userId] - Only claim the verifications of this user.
+ * @returns {Promise<object[]>} The expired verifications.
+ */
+async function claimExpiredVerifications(groupId = null, userId = null) {
+    const query = `
+        DELETE FROM pending_verifications
+        WHERE deadline <= NOW()
+          AND ($1::VARCHAR IS NULL OR group_id = $1)
+          AND ($2::VARCHAR IS NULL OR user_id = $2)
+        RETURNING *
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows;
+}
+
+/**
+ * Records a moderation action (an enforcement action or an admin change) in the audit log.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {object} entry - The action to record.
+ * @param {string} entry.action - The kind of action, e.g. 'blacklist_word_kick'.
+ * @param {string | null} [entry.actorId] - The user who performed the action, or null if the bot did it on its own.
+ * @param {string | null} [entry.targetId] - The user the action was applied to.
+ * @param {string | null} [entry.reason] - A human-readable reason or description of the change.
+ * @param {string | null} [entry.messageText] - The message that triggered the action.
+ */
+async function logModerationAction(groupId, { action, actorId = null, targetId = null, reason = null, messageText = null }) {
+    const query = `
+        INSERT INTO moderation_log (group_id, action, actor_id, target_id, reason, message_text)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    await pool.query(query, [groupId, action, actorId, targetId, reason, messageText]);
+}
+
+/**
+ * Retrieves moderation log entries for a group, newest first.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {object} [filters] - Optional filters.
+ * @param {string} [filters.userId] - Only entries where this user is the actor or the target.
+ * @param {string} [filters.action] - Only entries of this kind of action.
+ * @param {Date} [filters.since] - Only entries at or after this time.
+ * @param {Date} [filters.until] - Only entries before this time.
+ * @param {number} [filters.limit] - The maximum number of entries to return.
+ * @returns {Promise<object[]>} The matching log entries.
+ */
+async function getModerationLog(groupId, { userId = null, action = null, since = null, until = null, limit = 20 } = {}) {
+    const query = `
+        SELECT * FROM moderation_log
+        WHERE group_id = $1
+          AND ($2::VARCHAR IS NULL OR actor_id = $2 OR target_id = $2)
+          AND ($3::VARCHAR IS NULL OR action = $3)
+          AND ($4::TIMESTAMPTZ IS NULL OR created_at >= $4)
+          AND ($5::TIMESTAMPTZ IS NULL OR created_at < $5)
+        ORDER BY created_at DESC
+        LIMIT $6
+    `;
+    const result = await pool.query(query, [groupId, userId, action, since, until, limit]);
+    return result.rows;
+}
+/**
+ * Counts a strike kick of a user in a group. Only call this once the kick has succeeded.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} How often the user has now been kicked for strikes in the group.
+ */
+async function recordStrikeKick(groupId, userId) {
+    const query = `
+        INSERT INTO strike_kicks (group_id, user_id, kick_count, last_kicked_at) VALUES ($1, $2, 1, NOW())
+        ON CONFLICT (group_id, user_id) DO UPDATE
+        SET kick_count = strike_kicks.kick_count + 1, last_kicked_at = NOW()
+        RETURNING kick_count
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows[0].kick_count;
+}
+
+/**
+ * Retrieves how often a user has been kicked for strikes in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} The number of strike kicks that succeeded.
+ */
+async function getStrikeKickCount(groupId, userId) {
+    const result = await pool.query('SELECT kick_count FROM strike_kicks WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+    return result.rows.length > 0 ? result.rows[0].kick_count : 0;
+}
+
+/**
+ * Sets the strike escalation policy of a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} strikesBeforeKick - The number of active strikes at which a member is kicked.
+ * @param {number} kicksBeforeBlacklist - The number of strike kicks after which a member is blacklisted (0 to disable).
+ * @param {number} expiryHours - How long a strike stays active, in hours (0 to never expire).
+ */
+async function setStrikePolicy(groupId, strikesBeforeKick, kicksBeforeBlacklist, expiryHours) {
+    const query = `
+        UPDATE group_settings
+        SET strikes_before_kick = $1, kicks_before_blacklist = $2, strike_expiry_hours = $3
+        WHERE group_id = $4
+    `;
+    await pool.query(query, [strikesBeforeKick, kicksBeforeBlacklist, expiryHours, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Gives a user a strike.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user receiving the strike.
+ * @param {object} strike - The strike details.
+ * @param {string} strike.reason - Why the strike was given.
+ * @param {string | null} [strike.issuedBy] - The admin who gave the strike, or null if the bot did.
+ * @param {string | null} [strike.messageText] - The message that caused the strike.
+ * @param {Date | null} [strike.expiresAt] - When the strike stops counting, or null if it never expires.
+ * @returns {Promise<number>} The user's number of active strikes, including the new one.
+ */
+async function addStrike(groupId, userId, { reason, issuedBy = null, messageText = null, expiresAt = null }) {
+    const insertQuery = `
+        INSERT INTO strikes (group_id, user_id, reason, issued_by, message_text, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    await pool.query(insertQuery, [groupId, userId, reason, issuedBy, messageText, expiresAt]);
+    const strikes = await getActiveStrikes(groupId, userId);
+    return strikes.length;
+}
+
+/**
+ * Retrieves the strikes of a user that have not expired, oldest first.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object[]>} The active strikes.
+ */
+async function getActiveStrikes(groupId, userId) {
+    const query = `
+        SELECT * FROM strikes
+        WHERE group_id = $1 AND user_id = $2 AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY created_at ASC
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows;
+}
+
+/**
+ * Removes all strikes of a user in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} The number of strikes removed.
+ */
+async function clearStrikes(groupId, userId) {
+    const query = 'DELETE FROM strikes WHERE group_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rowCount;
+}
+/**
+ * Sets the content policy for one message or link type.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} type - The policy type, e.g. 'file' or 'invite' (see contentPolicy.js).
+ * @param {{action: string, newMemberHours?: number}} policy - The new policy.
+ */
+async function setContentPolicy(groupId, type, policy) {
+    const query = `
+        UPDATE group_settings
+        SET content_policies = COALESCE(content_policies, '{}'::jsonb) || jsonb_build_object($1::TEXT, $2::JSONB)
+        WHERE group_id = $3
+    `;
+    await pool.query(query, [type, JSON.stringify(policy), groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Adds domains to the group's link allowlist or denylist. A domain can only be on one of the two lists,
+ * so adding it to one list moves it off the other.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {'allow' | 'deny'} list - The list to add the domains to.
+ * @param {string[]} domains - The normalized domains to add.
+ * @param {string | null} [addedBy] - The ID of the user who added them.
+ */
+async function addLinkDomains(groupId, list, domains, addedBy = null) {
+    const query = `
+        INSERT INTO link_domains (group_id, domain, list, added_by)
+        SELECT $1, unnest($2::TEXT[]), $3, $4
+        ON CONFLICT (group_id, domain) DO UPDATE SET list = EXCLUDED.list, added_by = EXCLUDED.added_by, added_at = NOW()
+    `;
+    await pool.query(query, [groupId, [...new Set(domains)], list, addedBy]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Removes domains from both the group's link allowlist and denylist.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} domains - The normalized domains to remove.
+ */
+async function removeLinkDomains(groupId, domains) {
+    const query = 'DELETE FROM link_domains WHERE group_id = $1 AND domain = ANY($2::TEXT[])';
+    await pool.query(query, [groupId, domains]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets one of the group's rate limits. A maximum of 0 turns the limit off.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {'flood' | 'duplicate' | 'raid'} kind - Messages per user, copies of the same message, or joins.
+ * @param {number} max - The maximum allowed within the window.
+ * @param {number} windowSeconds - The length of the window, in seconds.
+ */
+async function setRateLimit(groupId, kind, max, windowSeconds) {
+    const columns = {
+        flood: ['flood_max_messages', 'flood_window_seconds'],
+        duplicate: ['duplicate_max_repeats', 'duplicate_window_seconds'],
+        raid: ['raid_max_joins', 'raid_window_seconds'],
+    }[kind];
+    if (!columns) throw new Error(`Unknown rate limit: ${kind}`);
+    const query = `UPDATE group_settings SET ${columns[0]} = $1, ${columns[1]} = $2 WHERE group_id = $3`;
+    await pool.query(query, [max, windowSeconds, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Turns the group's lockdown mode on or off. While locked down, every new member is kicked.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {boolean} enabled - Whether the group is locked down.
+ */
+async function setLockdown(groupId, enabled) {
+    const query = 'UPDATE group_settings SET lockdown = $1 WHERE group_id = $2';
+    await pool.query(query, [enabled, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Records that a user joined a group. Rejoining resets the join time.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user who joined.
+ * @param {object} [options]
+ * @param {boolean} [options.rulesPending] - Whether the user has to accept the group rules before posting.
+ */
+async function recordMemberJoin(groupId, userId, { rulesPending = false } = {}) {
+    const query = `
+        INSERT INTO group_members (group_id, user_id, joined_at, rules_pending) VALUES ($1, $2, NOW(), $3)
+        ON CONFLICT (group_id, user_id) DO UPDATE
+        SET joined_at = NOW(), rules_pending = $3, left_at = NULL, inactivity_warned_at = NULL
+    `;
+    await pool.query(query, [groupId, userId, rulesPending]);
+}
+
+/**
+ * Records that a member left (or was removed from) a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ */
+async function recordMemberLeave(groupId, userId) {
+    const query = `
+        INSERT INTO group_members (group_id, user_id, joined_at, left_at)
+        SELECT group_id, $2, NULL, NOW() FROM group_settings WHERE group_id = $1
+        ON CONFLICT (group_id, user_id) DO UPDATE SET left_at = NOW(), inactivity_warned_at = NULL
+    `;
+    await pool.query(query, [groupId, userId]);
+}
+
+/**
+ * Records that members posted, in one query. Posting cancels a pending removal for inactivity
+ * that was announced before the message. Members the bot hasn't seen join (e.g. ones who were
+ * there before it) are added with an unknown join time. Nothing is recorded for groups without
+ * settings yet.
+ * @param {{groupId: string, userId: string, lastMessageAt: Date, count: number}[]} entries - One entry per member and group.
+ */
+async function recordMemberMessages(entries) {
+    if (entries.length === 0) return;
+    // The messages were collected before the write, so a member who left or was warned since
+    // isn't brought back by them.
+    const query = `
+        INSERT INTO group_members (group_id, user_id, joined_at, last_message_at, message_count)
+        SELECT s.group_id, m.user_id, NULL, m.last_message_at, m.message_count
+        FROM UNNEST($1::VARCHAR[], $2::VARCHAR[], $3::TIMESTAMPTZ[], $4::INTEGER[]) AS m(group_id, user_id, last_message_at, message_count)
+        JOIN group_settings s ON s.group_id = m.group_id
+        ON CONFLICT (group_id, user_id) DO UPDATE
+        SET last_message_at = GREATEST(group_members.last_message_at, EXCLUDED.last_message_at),
+            message_count = group_members.message_count + EXCLUDED.message_count,
+            left_at = CASE WHEN group_members.left_at < EXCLUDED.last_message_at THEN NULL ELSE group_members.left_at END,
+            inactivity_warned_at = CASE WHEN group_members.inactivity_warned_at < EXCLUDED.last_message_at THEN NULL ELSE group_members.inactivity_warned_at END
+    `;
+    await pool.query(query, [
+        entries.map(entry => entry.groupId),
+        entries.map(entry => entry.userId),
+        entries.map(entry => entry.lastMessageAt),
+        entries.map(entry => entry.count),
+    ]);
+}
+
+/**
+ * Adds members the bot hasn't seen yet, e.g. from LINE's member list. Known members are left alone.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} userIds - The IDs of the members.
+ * @returns {Promise<number>} The number of members added.
+ */
+async function addGroupMembers(groupId, userIds) {
+    const query = `
+        INSERT INTO group_members (group_id, user_id, joined_at)
+        SELECT $1, user_id, NULL FROM UNNEST($2::VARCHAR[]) AS user_id
+        ON CONFLICT (group_id, user_id) DO NOTHING
+    `;
+    const result = await pool.query(query, [groupId, userIds]);
+    return result.rowCount;
+}
+
+/**
+ * Retrieves what the bot knows about a member's activity in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} The group_members row (joined_at, left_at, last_message_at, message_count,
+ *   first_seen_at, inactivity_warned_at), or null if the bot has never seen the member.
+ */
+async function getMemberActivity(groupId, userId) {
+    const query = 'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows[0] || null;
+}
+
+// A member's last sign of activity: their last message or when they joined, but never before the
+// bot started keeping their record (first_seen_at), as it couldn't see their messages until then.
+// GREATEST() skips NULLs.
+const LAST_ACTIVE = 'GREATEST(last_message_at, joined_at, first_seen_at)';
+
+/**
+ * Retrieves the members of a group who haven't posted since a given time, the least active first.
+ * Members who left, and members the bot has never seen, aren't included.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {Date} since - Members active after this are left out.
+ * @param {object} [options]
+ * @param {string[]} [options.excludeIds] - Members to leave out, e.g. the staff.
+ * @param {number} [options.limit] - The maximum number of members to return.
+ * @returns {Promise<object[]>} group_members rows with last_active_at, and total: the number of matching members.
+ */
+async function getInactiveMembers(groupId, since, { excludeIds = [], limit = 50 } = {}) {
+    const query = `
+        SELECT *, ${LAST_ACTIVE} AS last_active_at, COUNT(*) OVER () AS total
+        FROM group_members
+        WHERE group_id = $1 AND left_at IS NULL AND ${LAST_ACTIVE} < $2 AND NOT (user_id = ANY($3::VARCHAR[]))
+        ORDER BY last_active_at, user_id
+        LIMIT $4
+    `;
+    const result = await pool.query(query, [groupId, since, excludeIds, limit]);
+    return result.rows.map(row => ({ ...row, total: Number(row.total) }));
+}
+
+/**
+ * Marks members who haven't posted since a given time as warned for inactivity, and returns them.
+ * Members who were already warned aren't returned again, even if several processes run at once.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {Date} since - Members active after this are left out.
+ * @param {string[]} excludeIds - Members who are never warned, e.g. the staff.
+ * @param {number} limit - The maximum number of members to warn.
+ * @returns {Promise<string[]>} The IDs of the members to warn.
+ */
+async function claimInactivityWarnings(groupId, since, excludeIds, limit) {
+    const query = `
+        UPDATE group_members SET inactivity_warned_at = NOW()
+        WHERE (group_id, user_id) IN (
+            SELECT group_id, user_id FROM group_members
+            WHERE group_id = $1 AND left_at IS NULL AND inactivity_warned_at IS NULL
+              AND ${LAST_ACTIVE} < $2 AND NOT (user_id = ANY($3::VARCHAR[]))
+            ORDER BY ${LAST_ACTIVE}
+            LIMIT $4
+            FOR UPDATE SKIP LOCKED
+        ) AND inactivity_warned_at IS NULL
+        RETURNING user_id
+    `;
+    const result = await pool.query(query, [groupId, since, excludeIds, limit]);
+    return result.rows.map(row => row.user_id);
+}
+
+/**
+ * Marks members who were warned for inactivity before a given time, and haven't posted since, as
+ * removed, and returns them. Each member is only returned once, even if several processes run at once.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {Date} warnedBefore - Only members warned before this are removed.
+ * @param {string[]} excludeIds - Members who are never removed, e.g. the staff.
+ * @param {number} limit - The maximum number of members to remove.
+ * @returns {Promise<string[]>} The IDs of the members to remove.
+ */
+async function claimInactiveRemovals(groupId, warnedBefore, excludeIds, limit) {
+    const query = `
+        UPDATE group_members SET left_at = NOW(), inactivity_warned_at = NULL
+        WHERE (group_id, user_id) IN (
+            SELECT group_id, user_id FROM group_members
+            WHERE group_id = $1 AND left_at IS NULL AND inactivity_warned_at <= $2
+              AND NOT (user_id = ANY($3::VARCHAR[]))
+            ORDER BY inactivity_warned_at
+            LIMIT $4
+            FOR UPDATE SKIP LOCKED
+        ) AND inactivity_warned_at <= $2
+        RETURNING user_id
+    `;
+    const result = await pool.query(query, [groupId, warnedBefore, excludeIds, limit]);
+    return result.rows.map(row => row.user_id);
+}
+
+/**
+ * Retrieves when a user joined a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Date | null>} The join time, or null if the user joined before the bot started tracking it.
+ */
+async function getMemberJoinedAt(groupId, userId) {
+    const query = 'SELECT joined_at FROM group_members WHERE group_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows.length > 0 ? result.rows[0].joined_at : null;
+}
+
+/**
+ * Checks whether a member still has to accept the group rules.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if the member joined while accepting the rules was required and hasn't accepted them yet.
+ */
+async function isRulesAcceptancePending(groupId, userId) {
+    const query = 'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2 AND rules_pending';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows.length > 0;
+}
+
+/**
+ * Records that a member accepted the group rules.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if the member still had to accept them, false if there was nothing to accept.
+ */
+async function acceptRules(groupId, userId) {
+    const query = 'UPDATE group_members SET rules_pending = FALSE WHERE group_id = $1 AND user_id = $2 AND rules_pending';
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Sets or clears one of the group's welcome message templates.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {'group' | 'private'} kind - The message posted in the group, or the one sent to the new member in a private chat.
+ * @param {string | null} template - The template (see welcome.js), or null to turn the message off.
+ */
+async function setWelcomeMessage(groupId, kind, template) {
+    const column = { group: 'welcome_message', private: 'welcome_private_message' }[kind];
+    if (!column) throw new Error(`Unknown welcome message: ${kind}`);
+    const query = `UPDATE group_settings SET ${column} = $1 WHERE group_id = $2`;
+    await pool.query(query, [template, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets or clears the group rules.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string | null} rules - The rules, or null to remove them.
+ */
+async function setRules(groupId, rules) {
+    const query = 'UPDATE group_settings SET rules = $1 WHERE group_id = $2';
+    await pool.query(query, [rules, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets whether new members have to accept the rules before posting, and what happens to messages sent before that.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {'warn' | 'kick' | null} action - A strike or a kick for each such message, or null if accepting isn't required.
+ */
+async function setRulesAckAction(groupId, action) {
+    const query = 'UPDATE group_settings SET rules_ack_action = $1 WHERE group_id = $2';
+    await pool.query(query, [action, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Turns the auto-prune of inactive members on or off. Turning it off cancels every pending removal.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number | null} inactiveDays - Members who haven't posted for this many days are warned, or null to turn it off.
+ * @param {number | null} graceDays - How many days after the warning they are removed.
+ */
+async function setAutoPrune(groupId, inactiveDays, graceDays) {
+    const query = 'UPDATE group_settings SET prune_inactive_days = $1, prune_grace_days = $2 WHERE group_id = $3';
+    await pool.query(query, [inactiveDays, graceDays, groupId]);
+    if (inactiveDays === null) {
+        await pool.query('UPDATE group_members SET inactivity_warned_at = NULL WHERE group_id = $1 AND inactivity_warned_at IS NOT NULL', [groupId]);
+    }
+    await settingsChanged(groupId);
+}
+
+/**
+ * Retrieves the groups that have the auto-prune of inactive members turned on.
+ * @returns {Promise<string[]>} The group IDs.
+ */
+async function getAutoPruneGroups() {
+    const result = await pool.query('SELECT group_id FROM group_settings WHERE prune_inactive_days IS NOT NULL');
+    return result.rows.map(row => row.group_id);
+}
+
+/**
+ * Turns the vote-kick on or off.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number | null} percent - The share of the members (1-100) who must report a member to remove them, or null to turn it off.
+ * @param {number | null} windowMinutes - How recent the reports must be.
+ */
+async function setVoteKick(groupId, percent, windowMinutes) {
+    const query = 'UPDATE group_settings SET vote_kick_percent = $1, vote_kick_window_minutes = $2 WHERE group_id = $3';
+    await pool.query(query, [percent, windowMinutes, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Applies an imported configuration (see groupConfig.js) in one transaction. Lists that are given
+ * replace the group's lists; entries kept keep who added them and when. The owner is never changed.
+ * Turning the auto-prune off cancels every pending removal, as with setAutoPrune().
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {object} config - What to change.
+ * @param {object} [config.columns] - New group_settings values by column name.
+ * @param {string[]} [config.blacklistWords] - The word blacklist, in its stored form.
+ * @param {{userId: string, reason: string | null}[]} [config.blacklistUsers] - The blacklisted users.
+ * @param {string[]} [config.linkAllowlist] - The allowed domains.
+ * @param {string[]} [config.linkDenylist] - The denied domains.
+ * @param {{admins: string[], moderators: string[]}} [config.staff] - The admins and moderators.
+ * @param {string} actorId - The ID of the user who imported it.
+ */
+async function applyGroupConfig(groupId, config, actorId) {
+    const { columns = {}, blacklistWords, blacklistUsers, linkAllowlist, linkDenylist, staff } = config;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const names = Object.keys(columns);
+        if (names.length > 0) {
+            // JSONB values are sent as JSON text; arrays go to TEXT[] columns as they are.
+            const values = names.map(name => (columns[name] !== null && typeof columns[name] === 'object' && !Array.isArray(columns[name]) ? JSON.stringify(columns[name]) : columns[name]));
+            const assignments = names.map((name, i) => `${name} = $${i + 2}`).join(', ');
+            await client.query(`UPDATE group_settings SET ${assignments} WHERE group_id = $1`, [groupId, ...values]);
+            if (names.includes('prune_inactive_days') && columns.prune_inactive_days === null) {
+                await client.query('UPDATE group_members SET inactivity_warned_at = NULL WHERE group_id = $1 AND inactivity_warned_at IS NOT NULL', [groupId]);
+            }
+        }
+
+        if (blacklistWords) {
+            await client.query('DELETE FROM blacklist_words WHERE group_id = $1 AND NOT (entry = ANY($2::TEXT[]))', [groupId, blacklistWords]);
+            await client.query(`
+                INSERT INTO blacklist_words (group_id, entry, added_by)
+                SELECT $1, unnest($2::TEXT[]), $3
+                ON CONFLICT (group_id, entry) DO NOTHING
+            `, [groupId, blacklistWords, actorId]);
+        }
+
+        if (blacklistUsers) {
+            const userIds = blacklistUsers.map(user => user.userId);
+            await client.query('DELETE FROM blacklisted_users WHERE group_id = $1 AND NOT (user_id = ANY($2::TEXT[]))', [groupId, userIds]);
+            await client.query(`
+                INSERT INTO blacklisted_users (group_id, user_id, reason, added_by)
+                SELECT $1, u.user_id, u.reason, $4 FROM unnest($2::TEXT[], $3::TEXT[]) AS u (user_id, reason)
+                ON CONFLICT (group_id, user_id) DO UPDATE SET reason = EXCLUDED.reason
+            `, [groupId, userIds, blacklistUsers.map(user => user.reason), actorId]);
+        }
+
+        // The two link lists share a table, and a domain is on one list at most.
+        const linkLists = [['allow', linkAllowlist], ['deny', linkDenylist]].filter(([, domains]) => domains);
+        for (const [list, domains] of linkLists) {
+            await client.query('DELETE FROM link_domains WHERE group_id = $1 AND list = $2 AND NOT (domain = ANY($3::TEXT[]))', [groupId, list, domains]);
+        }
+        for (const [list, domains] of linkLists) {
+            await client.query(`
+                INSERT INTO link_domains (group_id, domain, list, added_by)
+                SELECT $1, unnest($2::TEXT[]), $3, $4
+                ON CONFLICT (group_id, domain) DO UPDATE SET list = EXCLUDED.list, added_by = EXCLUDED.added_by, added_at = NOW()
+                WHERE link_domains.list <> EXCLUDED.list
+            `, [groupId, domains, list, actorId]);
+        }
+
+        if (staff) {
+            const owner = await client.query('SELECT owner_id FROM group_settings WHERE group_id = $1 FOR UPDATE', [groupId]);
+            const ownerId = owner.rows.length > 0 ? owner.rows[0].owner_id : null;
+            const roles = [...staff.admins.map(id => [id, 'admin']), ...staff.moderators.map(id => [id, 'moderator'])]
+                .filter(([id]) => id !== ownerId);
+            const userIds = roles.map(([id]) => id);
+            await client.query('DELETE FROM group_staff WHERE group_id = $1 AND NOT (user_id = ANY($2::TEXT[]))', [groupId, userIds]);
+            await client.query(`
+                INSERT INTO group_staff (group_id, user_id, role, added_by)
+                SELECT $1, s.user_id, s.role, $4 FROM unnest($2::TEXT[], $3::TEXT[]) AS s (user_id, role)
+                ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role, added_by = EXCLUDED.added_by, added_at = NOW()
+                WHERE group_staff.role <> EXCLUDED.role
+            `, [groupId, userIds, roles.map(([, role]) => role), actorId]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    await settingsChanged(groupId);
+}
+
+/**
+ * Stores a configuration import waiting for the admin, replacing any earlier one for the group.
+ * @param {string} userId - The ID of the admin.
+ * @param {string} groupId - The ID of the LINE group the configuration is imported into.
+ * @param {object} pending
+ * @param {string | null} [pending.draft] - The pieces of a split snapshot pasted so far.
+ * @param {object | null} [pending.snapshot] - The checked snapshot, once it is complete.
+ * @param {string | null} [pending.sourceGroupId] - The group it was cloned from, for !clonesettings.
+ */
+async function savePendingImport(userId, groupId, { draft = null, snapshot = null, sourceGroupId = null }) {
+    const query = `
+        INSERT INTO pending_config_imports (user_id, group_id, draft, snapshot, source_group_id) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (user_id, group_id) DO UPDATE
+        SET draft = EXCLUDED.draft, snapshot = EXCLUDED.snapshot, source_group_id = EXCLUDED.source_group_id, created_at = NOW()
+    `;
+    await pool.query(query, [userId, groupId, draft, snapshot ? JSON.stringify(snapshot) : null, sourceGroupId]);
+}
+
+/**
+ * Retrieves an admin's pending configuration import for a group.
+ * @param {string} userId - The ID of the admin.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {Date} since - Imports stored before this have expired and are ignored.
+ * @returns {Promise<object | null>} The row (draft, snapshot, source_group_id, created_at), or null if there is none.
+ */
+async function getPendingImport(userId, groupId, since) {
+    const query = 'SELECT * FROM pending_config_imports WHERE user_id = $1 AND group_id = $2 AND created_at > $3';
+    const result = await pool.query(query, [userId, groupId, since]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Removes an admin's pending configuration import for a group and returns it, so confirming it
+ * twice (e.g. a double-tapped button) applies it once.
+ * @param {string} userId - The ID of the admin.
+ * @param {string} groupId - The ID of the LINE group.
+ * @returns {Promise<object | null>} The removed row, or null if there was none. It may have expired.
+ */
+async function takePendingImport(userId, groupId) {
+    const query = 'DELETE FROM pending_config_imports WHERE user_id = $1 AND group_id = $2 RETURNING *';
+    const result = await pool.query(query, [userId, groupId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Turns commands sent inside the group on or off. Staff can always use the private admin console.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {boolean} enabled - Whether commands sent in the group are run.
+ */
+async function setGroupCommandsEnabled(groupId, enabled) {
+    const query = 'UPDATE group_settings SET group_commands_enabled = $1 WHERE group_id = $2';
+    await pool.query(query, [enabled, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets the prefix commands start with in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} prefix - The prefix, e.g. '!' (validated by the caller).
+ */
+async function setCommandPrefix(groupId, prefix) {
+    const query = 'UPDATE group_settings SET command_prefix = $1 WHERE group_id = $2';
+    await pool.query(query, [prefix, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets the language the bot uses in a group, for staff replies and for messages to its new members.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string | null} language - A language code with a catalog in locales/ (validated by the caller), or null for the bot's default.
+ */
+async function setLanguage(groupId, language) {
+    const query = 'UPDATE group_settings SET language = $1 WHERE group_id = $2';
+    await pool.query(query, [language, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Sets the timezone the group's scheduled announcements are read in.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string | null} timeZone - An IANA timezone (validated by the caller), or null for the bot's default.
+ */
+async function setTimeZone(groupId, timeZone) {
+    const query = 'UPDATE group_settings SET timezone = $1 WHERE group_id = $2';
+    await pool.query(query, [timeZone, groupId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Retrieves the groups in which a user is the owner, an admin or a moderator.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object[]>} Rows with group_id, owner_id, admins and moderators, ordered by group ID.
+ */
+async function getStaffGroups(userId) {
+    const query = `
+        SELECT g.group_id, g.owner_id,
+            ARRAY(SELECT user_id FROM group_staff s WHERE s.group_id = g.group_id AND s.role = 'admin') AS admins,
+            ARRAY(SELECT user_id FROM group_staff s WHERE s.group_id = g.group_id AND s.role = 'moderator') AS moderators
+        FROM group_settings g
+        WHERE g.owner_id = $1 OR EXISTS (SELECT 1 FROM group_staff s WHERE s.group_id = g.group_id AND s.user_id = $1)
+        ORDER BY g.group_id
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+}
+
+/**
+ * Retrieves the group a user has selected in the private admin console.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} The session row (group_id, selected_at), or null if none is selected.
+ */
+async function getAdminSession(userId) {
+    const query = 'SELECT group_id, selected_at FROM admin_sessions WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Selects the group a user's private admin console commands apply to.
+ * @param {string} userId - The ID of the user.
+ * @param {string} groupId - The ID of the LINE group.
+ */
+async function setAdminSession(userId, groupId) {
+    const query = `
+        INSERT INTO admin_sessions (user_id, group_id, selected_at) VALUES ($1, $2, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET group_id = EXCLUDED.group_id, selected_at = NOW()
+    `;
+    await pool.query(query, [userId, groupId]);
+}
+
+/**
+ * Clears a user's selected group in the private admin console.
+ * @param {string} userId - The ID of the user.
+ */
+async function clearAdminSession(userId) {
+    await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Creates a shared ban list. The creator becomes its first editor.
+ * @param {string} name - The unique name of the list (lowercase).
+ * @param {string} ownerId - The ID of the user creating the list.
+ * @returns {Promise<object | null>} The new list, or null if a list with this name already exists.
+ */
+async function createBanList(name, ownerId) {
+    const query = `
+        INSERT INTO ban_lists (name, owner_id, editors) VALUES ($1, $2, $3)
+        ON CONFLICT (name) DO NOTHING
+        RETURNING *
+    `;
+    const result = await pool.query(query, [name, ownerId, [ownerId]]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Retrieves a shared ban list by name.
+ * @param {string} name - The name of the list.
+ * @returns {Promise<object | null>} The list (id, name, owner_id, editors, public), or null if it doesn't exist.
+ */
+async function getBanList(name) {
+    const result = await pool.query('SELECT * FROM ban_lists WHERE name = $1', [name]);
+    if (result.rows.length === 0) return null;
+    const list = result.rows[0];
+    list.editors = list.editors || [];
+    return list;
+}
+
+/**
+ * Replaces the users who may add and remove bans on a shared ban list.
+ * @param {number} listId - The ID of the list.
+ * @param {string[]} editors - The IDs of the editors.
+ */
+async function setBanListEditors(listId, editors) {
+    await pool.query('UPDATE ban_lists SET editors = $1 WHERE id = $2', [editors, listId]);
+}
+
+/**
+ * Opens a shared ban list to every group, or closes it to all but its creator and editors.
+ * @param {number} listId - The ID of the list.
+ * @param {boolean} isPublic - Whether any group may subscribe to the list.
+ */
+async function setBanListPublic(listId, isPublic) {
+    await pool.query('UPDATE ban_lists SET public = $1 WHERE id = $2', [isPublic, listId]);
+}
+
+/**
+ * Checks whether a group is subscribed to a shared ban list.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} listId - The ID of the list.
+ * @returns {Promise<boolean>} True if the group is subscribed.
+ */
+async function isSubscribedToBanList(groupId, listId) {
+    const result = await pool.query('SELECT 1 FROM ban_list_subscriptions WHERE group_id = $1 AND list_id = $2', [groupId, listId]);
+    return result.rows.length > 0;
+}
+
+/**
+ * Subscribes a group to a shared ban list, so the list's bans apply in the group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} listId - The ID of the list.
+ * @returns {Promise<boolean>} True if the group wasn't subscribed yet.
+ */
+async function subscribeToBanList(groupId, listId) {
+    const query = 'INSERT INTO ban_list_subscriptions (group_id, list_id) VALUES ($1, $2) ON CONFLICT DO NOTHING';
+    const result = await pool.query(query, [groupId, listId]);
+    await settingsChanged(groupId);
+    return result.rowCount > 0;
+}
+
+/**
+ * Unsubscribes a group from a shared ban list.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} listId - The ID of the list.
+ * @returns {Promise<boolean>} True if the group was subscribed.
+ */
+async function unsubscribeFromBanList(groupId, listId) {
+    const query = 'DELETE FROM ban_list_subscriptions WHERE group_id = $1 AND list_id = $2';
+    const result = await pool.query(query, [groupId, listId]);
+    await settingsChanged(groupId);
+    return result.rowCount > 0;
 }
 
+/**
+ * Retrieves the shared ban lists a group is subscribed to, with their number of bans.
+ * @param {string} groupId - The ID of the LINE group.
+ * @returns {Promise<object[]>} The lists (id, name, owner_id, editors, entry_count), ordered by name.
+ */
+async function getSubscribedBanLists(groupId) {
+    const query = `
+        SELECT l.*, (SELECT COUNT(*) FROM ban_list_entries e WHERE e.list_id = l.id)::int AS entry_count
+        FROM ban_lists l
+        JOIN ban_list_subscriptions s ON s.list_id = l.id
+        WHERE s.group_id = $1
+        ORDER BY l.name
+    `;
+    const result = await pool.query(query, [groupId]);
+    return result.rows.map(row => ({ ...row, editors: row.editors || [] }));
+}
+
+/**
+ * Retrieves the groups subscribed to a shared ban list.
+ * @param {number} listId - The ID of the list.
+ * @returns {Promise<string[]>} The group IDs.
+ */
+async function getBanListSubscribers(listId) {
+    const result = await pool.query('SELECT group_id FROM ban_list_subscriptions WHERE list_id = $1', [listId]);
+    return result.rows.map(row => row.group_id);
+}
+
+/**
+ * Adds a user to a shared ban list. Banning someone who is already on the list updates the reason.
+ * @param {number} listId - The ID of the list.
+ * @param {string} userId - The ID of the banned user.
+ * @param {object} details - Where the ban came from.
+ * @param {string | null} details.reason - Why the user was banned.
+ * @param {string} details.addedBy - The ID of the editor who added the ban.
+ * @param {string} details.sourceGroupId - The group the ban was issued from.
+ */
+async function addBanListEntry(listId, userId, { reason = null, addedBy, sourceGroupId }) {
+    const query = `
+        INSERT INTO ban_list_entries (list_id, user_id, reason, added_by, source_group_id) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (list_id, user_id) DO UPDATE SET reason = EXCLUDED.reason, added_by = EXCLUDED.added_by,
+            source_group_id = EXCLUDED.source_group_id, created_at = NOW()
+    `;
+    await pool.query(query, [listId, userId, reason, addedBy, sourceGroupId]);
+}
+
+/**
+ * Removes a user from a shared ban list.
+ * @param {number} listId - The ID of the list.
+ * @param {string} userId - The ID of the banned user.
+ * @returns {Promise<boolean>} True if the user was on the list.
+ */
+async function removeBanListEntry(listId, userId) {
+    const result = await pool.query('DELETE FROM ban_list_entries WHERE list_id = $1 AND user_id = $2', [listId, userId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Retrieves the most recent bans on a shared ban list.
+ * @param {number} listId - The ID of the list.
+ * @param {number} limit - The maximum number of bans to return.
+ * @returns {Promise<object[]>} The bans (user_id, reason, added_by, source_group_id, created_at), newest first.
+ */
+async function getBanListEntries(listId, limit) {
+    const query = 'SELECT * FROM ban_list_entries WHERE list_id = $1 ORDER BY created_at DESC LIMIT $2';
+    const result = await pool.query(query, [listId, limit]);
+    return result.rows;
+}
+
+/**
+ * Finds the shared ban lists that ban a user in a group, skipping users the group has exempted.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user to check.
+ * @returns {Promise<object[]>} The matching bans (list_name, reason, source_group_id, created_at), oldest first.
+ */
+async function getSharedBans(groupId, userId) {
+    const query = `
+        SELECT l.name AS list_name, e.reason, e.source_group_id, e.created_at
+        FROM ban_list_entries e
+        JOIN ban_lists l ON l.id = e.list_id
+        JOIN ban_list_subscriptions s ON s.list_id = e.list_id
+        WHERE s.group_id = $1 AND e.user_id = $2
+          AND NOT EXISTS (SELECT 1 FROM shared_ban_exemptions x WHERE x.group_id = s.group_id AND x.user_id = e.user_id)
+        ORDER BY e.created_at
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows;
+}
+
+/**
+ * Adds or removes a user from the group's exemptions, so shared ban lists don't apply to them in this group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the user.
+ * @param {boolean} exempt - Whether the user is exempt.
+ * @param {string | null} [addedBy] - The ID of the user who made the change.
+ */
+async function setSharedBanExemption(groupId, userId, exempt, addedBy = null) {
+    const query = exempt
+        ? 'INSERT INTO shared_ban_exemptions (group_id, user_id, added_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING'
+        : 'DELETE FROM shared_ban_exemptions WHERE group_id = $1 AND user_id = $2';
+    await pool.query(query, exempt ? [groupId, userId, addedBy] : [groupId, userId]);
+    await settingsChanged(groupId);
+}
+
+/**
+ * Schedules an announcement.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {object} announcement - The announcement.
+ * @param {string} announcement.message - The text to post.
+ * @param {string | null} announcement.cronExpression - When it repeats (see cron.js), or null to send it once.
+ * @param {Date} announcement.nextRunAt - When it is sent (first).
+ * @param {string} announcement.createdBy - The user who scheduled it.
+ * @returns {Promise<object>} The new announcement.
+ */
+async function createAnnouncement(groupId, { message, cronExpression, nextRunAt, createdBy }) {
+    const query = `
+        INSERT INTO scheduled_announcements (group_id, message, cron_expression, next_run_at, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `;
+    const result = await pool.query(query, [groupId, message, cronExpression, nextRunAt, createdBy]);
+    return result.rows[0];
+}
+
+/**
+ * Retrieves an announcement.
+ * @param {number} id - The ID of the announcement.
+ * @param {string} [groupId] - Only find it if it belongs to this group.
+ * @returns {Promise<object | null>} The announcement, or null if there is none.
+ */
+async function getAnnouncement(id, groupId = null) {
+    const query = 'SELECT * FROM scheduled_announcements WHERE id = $1 AND ($2::VARCHAR IS NULL OR group_id = $2)';
+    const result = await pool.query(query, [id, groupId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Retrieves a group's announcements.
+ * @param {string} groupId - The ID of the LINE group.
+ * @returns {Promise<object[]>} The announcements, the next one first; paused ones last.
+ */
+async function getGroupAnnouncements(groupId) {
+    const query = 'SELECT * FROM scheduled_announcements WHERE group_id = $1 ORDER BY paused, next_run_at, id';
+    const result = await pool.query(query, [groupId]);
+    return result.rows;
+}
+
+/**
+ * Retrieves every announcement that isn't paused, e.g. to reschedule them after a restart.
+ * @param {object} [options]
+ * @param {boolean} [options.dueOnly] - Only the ones whose time has come.
+ * @returns {Promise<object[]>} The announcements.
+ */
+async function getActiveAnnouncements({ dueOnly = false } = {}) {
+    const query = `
+        SELECT * FROM scheduled_announcements
+        WHERE NOT paused AND ($1::BOOLEAN IS FALSE OR next_run_at <= NOW())
+        ORDER BY next_run_at
+    `;
+    const result = await pool.query(query, [dueOnly]);
+    return result.rows;
+}
+
+/**
+ * Claims a run of an announcement: moves it on to its next run, or deletes it if it doesn't repeat.
+ * Only succeeds if the announcement is still due at runAt and not paused, so each run is claimed
+ * once, even if several processes try at the same time.
+ * @param {number} id - The ID of the announcement.
+ * @param {Date} runAt - The run being claimed (the announcement's next_run_at as read).
+ * @param {Date | null} nextRunAt - The run after it, or null to delete the announcement.
+ * @returns {Promise<boolean>} True if the run was claimed.
+ */
+async function claimAnnouncementRun(id, runAt, nextRunAt) {
+    const query = nextRunAt
+        ? 'UPDATE scheduled_announcements SET next_run_at = $3, last_run_at = NOW() WHERE id = $1 AND next_run_at = $2 AND NOT paused'
+        : 'DELETE FROM scheduled_announcements WHERE id = $1 AND next_run_at = $2 AND NOT paused';
+    const params = nextRunAt ? [id, runAt, nextRunAt] : [id, runAt];
+    const result = await pool.query(query, params);
+    return result.rowCount > 0;
+}
+
+/**
+ * Pauses or resumes an announcement.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} id - The ID of the announcement.
+ * @param {boolean} paused - True to pause it.
+ * @param {Date} [nextRunAt] - When a resumed announcement runs next; unchanged if omitted.
+ * @returns {Promise<object | null>} The updated announcement, or null if the group has no such announcement.
+ */
+async function setAnnouncementPaused(groupId, id, paused, nextRunAt = null) {
+    const query = `
+        UPDATE scheduled_announcements SET paused = $3, next_run_at = COALESCE($4, next_run_at)
+        WHERE id = $1 AND group_id = $2
+        RETURNING *
+    `;
+    const result = await pool.query(query, [id, groupId, paused, nextRunAt]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Moves an announcement's next run, e.g. after the group changed its timezone.
+ * @param {number} id - The ID of the announcement.
+ * @param {Date} nextRunAt - When it runs next.
+ */
+async function setAnnouncementNextRun(id, nextRunAt) {
+    await pool.query('UPDATE scheduled_announcements SET next_run_at = $2 WHERE id = $1', [id, nextRunAt]);
+}
+
+/**
+ * Deletes an announcement.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} id - The ID of the announcement.
+ * @returns {Promise<boolean>} True if the group had such an announcement.
+ */
+async function deleteAnnouncement(groupId, id) {
+    const result = await pool.query('DELETE FROM scheduled_announcements WHERE id = $1 AND group_id = $2', [id, groupId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Records a member's report of another member.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {object} report
+ * @param {string} report.reporterId - The ID of the member who reported.
+ * @param {string} report.targetId - The ID of the reported member.
+ * @param {string | null} [report.reason] - Why they reported them.
+ * @param {string | null} [report.messageText] - The reported message, if the bot has it.
+ * @returns {Promise<object | null>} The report, or null if the reporter already has an open report against the member.
+ */
+async function createReport(groupId, { reporterId, targetId, reason = null, messageText = null }) {
+    const query = `
+        INSERT INTO member_reports (group_id, reporter_id, target_id, reason, message_text)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (group_id, target_id, reporter_id) WHERE status = 'open' DO NOTHING
+        RETURNING *
+    `;
+    const result = await pool.query(query, [groupId, reporterId, targetId, reason, messageText]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Retrieves a report.
+ * @param {number} id - The ID of the report.
+ * @param {string} groupId - Only find it if it belongs to this group.
+ * @returns {Promise<object | null>} The report, or null if there is none.
+ */
+async function getReport(id, groupId) {
+    const result = await pool.query('SELECT * FROM member_reports WHERE id = $1 AND group_id = $2', [id, groupId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Counts a member's recent reports in a group, to limit how many reports they can send.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} reporterId - The ID of the member.
+ * @param {Date} since - Reports sent after this count as recent.
+ * @param {Date} dismissedSince - Reports dismissed after this count as dismissed.
+ * @returns {Promise<{recent: number, dismissed: number}>} The recent reports, and the reports the staff dismissed.
+ */
+async function getReporterStats(groupId, reporterId, since, dismissedSince) {
+    const query = `
+        SELECT COUNT(*) FILTER (WHERE created_at > $3) AS recent,
+            COUNT(*) FILTER (WHERE status = 'dismissed' AND resolved_at > $4) AS dismissed
+        FROM member_reports
+        WHERE group_id = $1 AND reporter_id = $2
+    `;
+    const result = await pool.query(query, [groupId, reporterId, since, dismissedSince]);
+    return { recent: Number(result.rows[0].recent), dismissed: Number(result.rows[0].dismissed) };
+}
+
+/**
+ * Counts the members who reported a member since a given time and whose reports are still open.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} targetId - The ID of the reported member.
+ * @param {Date} since - Only reports sent after this count.
+ * @returns {Promise<number>} The number of different reporters.
+ */
+async function countReporters(groupId, targetId, since) {
+    const query = `
+        SELECT COUNT(DISTINCT reporter_id) AS count FROM member_reports
+        WHERE group_id = $1 AND target_id = $2 AND status = 'open' AND created_at > $3
+    `;
+    const result = await pool.query(query, [groupId, targetId, since]);
+    return Number(result.rows[0].count);
+}
+
+/**
+ * Retrieves the members of a group with open reports against them, the most reported first.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} limit - The maximum number of members to return.
+ * @returns {Promise<object[]>} Rows with target_id, report_count, last_reported_at and the latest reason given.
+ */
+async function getOpenReports(groupId, limit) {
+    const query = `
+        SELECT target_id, COUNT(*) AS report_count, MAX(created_at) AS last_reported_at,
+            (ARRAY_AGG(reason ORDER BY created_at DESC) FILTER (WHERE reason IS NOT NULL))[1] AS reason
+        FROM member_reports
+        WHERE group_id = $1 AND status = 'open'
+        GROUP BY target_id
+        ORDER BY report_count DESC, last_reported_at DESC
+        LIMIT $2
+    `;
+    const result = await pool.query(query, [groupId, limit]);
+    return result.rows.map(row => ({ ...row, report_count: Number(row.report_count) }));
+}
+
+/**
+ * Closes an open report. Only succeeds once, so two admins can't both act on the same report.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {number} id - The ID of the report.
+ * @param {string} status - What was done: 'kicked', 'blacklisted' or 'dismissed'.
+ * @param {string | null} resolvedBy - The ID of the staff member who decided, or null for a vote-kick.
+ * @returns {Promise<object | null>} The closed report, or null if it wasn't open.
+ */
+async function resolveReport(groupId, id, status, resolvedBy) {
+    const query = `
+        UPDATE member_reports SET status = $3, resolved_by = $4, resolved_at = NOW()
+        WHERE id = $1 AND group_id = $2 AND status = 'open'
+        RETURNING *
+    `;
+    const result = await pool.query(query, [id, groupId, status, resolvedBy]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Closes every open report against a member, e.g. once they have been removed.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} targetId - The ID of the reported member.
+ * @param {string} status - What was done: 'kicked' or 'blacklisted'.
+ * @param {string | null} resolvedBy - The ID of the staff member who decided, or null for a vote-kick.
+ * @returns {Promise<number>} The number of reports closed.
+ */
+async function resolveReportsAgainst(groupId, targetId, status, resolvedBy) {
+    const query = `
+        UPDATE member_reports SET status = $3, resolved_by = $4, resolved_at = NOW()
+        WHERE group_id = $1 AND target_id = $2 AND status = 'open'
+    `;
+    const result = await pool.query(query, [groupId, targetId, status, resolvedBy]);
+    return result.rowCount;
+}
+
+/**
+ * Records that handling of a webhook event has started. Only the first call for an event ID succeeds,
+ * so an event delivered twice (to the same process or another one) is only handled once.
+ * @param {string} eventId - The webhookEventId of the event.
+ * @returns {Promise<boolean>} True if the event hadn't been seen before.
+ */
+async function claimWebhookEvent(eventId) {
+    const query = 'INSERT INTO webhook_events (event_id) VALUES ($1) ON CONFLICT DO NOTHING';
+    const result = await pool.query(query, [eventId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Deletes the records of webhook events received before a given time.
+ * @param {Date} before - Records older than this are deleted.
+ * @returns {Promise<number>} The number of records deleted.
+ */
+async function pruneWebhookEvents(before) {
+    const result = await pool.query('DELETE FROM webhook_events WHERE received_at < $1', [before]);
+    return result.rowCount;
+}
+
+/**
+ * Closes the database connections, for scripts that are done with the database.
+ */
+async function close() {
+    await pool.end();
+}
 
 module.exports = {
+    close,
     getGroupSettings,
+    listenForSettingsChanges,
     setPassword,
     setPasswordTimeout,
-    isAdmin,
+    setPasswordAttemptPolicy,
+    setVerificationMode,
     addAdmin,
+    removeAdmin,
+    addModerator,
+    removeModerator,
+    setOwner,
+    setOwnerClaimCode,
+    setModeratorCommands,
     addBlacklistWords,
     removeBlacklistWords,
+    getBlacklistWordEntries,
     isUserBlacklisted,
     addUserToBlacklist,
     removeUserFromBlacklist,
+    getBlacklistedUsers,
+    addPendingVerification,
+    getPendingVerification,
+    setVerificationChallenge,
+    getPendingVerificationsForUser,
+    selectPendingVerification,
+    recordFailedPasswordAttempt,
+    getAllPendingVerifications,
+    deletePendingVerification,
+    deletePendingVerificationsForUser,
+    claimExpiredVerifications,
+    logModerationAction,
+    getModerationLog,
+    recordStrikeKick,
+    getStrikeKickCount,
+    setStrikePolicy,
+    addStrike,
+    getActiveStrikes,
+    clearStrikes,
+    setContentPolicy,
+    addLinkDomains,
+    removeLinkDomains,
+    setRateLimit,
+    setLockdown,
+    recordMemberJoin,
+    recordMemberLeave,
+    recordMemberMessages,
+    addGroupMembers,
+    getMemberActivity,
+    getInactiveMembers,
+    claimInactivityWarnings,
+    claimInactiveRemovals,
+    getMemberJoinedAt,
+    isRulesAcceptancePending,
+    acceptRules,
+    setWelcomeMessage,
+    setRules,
+    setRulesAckAction,
+    setAutoPrune,
+    getAutoPruneGroups,
+    setVoteKick,
+    applyGroupConfig,
+    savePendingImport,
+    getPendingImport,
+    takePendingImport,
+    setGroupCommandsEnabled,
+    setCommandPrefix,
+    setLanguage,
+    setTimeZone,
+    getStaffGroups,
+    getAdminSession,
+    setAdminSession,
+    clearAdminSession,
+    createBanList,
+    getBanList,
+    setBanListEditors,
+    setBanListPublic,
+    isSubscribedToBanList,
+    subscribeToBanList,
+    unsubscribeFromBanList,
+    getSubscribedBanLists,
+    getBanListSubscribers,
+    addBanListEntry,
+    removeBanListEntry,
+    getBanListEntries,
+    getSharedBans,
+    setSharedBanExemption,
+    createAnnouncement,
+    getAnnouncement,
+    getGroupAnnouncements,
+    getActiveAnnouncements,
+    claimAnnouncementRun,
+    setAnnouncementPaused,
+    setAnnouncementNextRun,
+    deleteAnnouncement,
+    createReport,
+    getReport,
+    getReporterStats,
+    countReporters,
+    getOpenReports,
+    resolveReport,
+    resolveReportsAgainst,
+    claimWebhookEvent,
+    pruneWebhookEvents,
 };
@@ -0,0 +1,40 @@
+// eventQueue.js
+// This file runs webhook events in the background, one at a time per key (a group, or a user
+// for private chats) and in parallel across keys. Events from the same group are handled in the
+// order LINE sent them, so a command is never overtaken by the messages sent after it.
+
+const queues = new Map(); // key -> promise for the last task queued under that key
+
+/**
+ * Queues a task behind every task already queued under the same key.
+ * A task that fails is logged and doesn't stop the tasks behind it.
+ * @param {string} key - What the task has to be ordered with, e.g. the group ID.
+ * @param {Function} task - The (possibly async) function to run.
+ * @returns {Promise<void>} Resolves once the task has run.
+ */
+function enqueue(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const current = previous
+        .then(() => task())
+        .catch(err => console.error(`Queued task for ${key} failed:`, err))
+        .then(() => {
+            if (queues.get(key) === current) queues.delete(key);
+        });
+    queues.set(key, current);
+    return current;
+}
+
+/**
+ * Waits until every queue is empty, including tasks queued while waiting.
+ * @returns {Promise<void>}
+ */
+async function idle() {
+    while (queues.size > 0) {
+        await Promise.all(queues.values());
+    }
+}
+
+module.exports = {
+    enqueue,
+    idle,
+};
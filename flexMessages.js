@@ -0,0 +1,145 @@
+// flexMessages.js
+// This file lays out the Flex Messages the bot sends: the status card and the paginated
+// blacklist screens for staff, and the rules card for members. It only builds the message objects; which buttons a user gets, and what
+// they do, is decided by the caller (see the postback handling in index.js).
+//
+// Buttons are passed in as LINE actions, e.g. { type: 'postback', label, data, displayText }.
+// All texts, including the button labels, are passed in already translated.
+
+const MAX_ALT_TEXT_LENGTH = 400;
+const LABEL_COLOR = '#888888';
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+function textBlock(text, options = {}) {
+    // Flex texts can't be empty.
+    return { type: 'text', text: String(text) || ' ', size: 'sm', wrap: true, ...options };
+}
+
+function header(title, subtitle) {
+    const contents = [textBlock(title, { size: 'lg', weight: 'bold' })];
+    if (subtitle) contents.push(textBlock(subtitle, { size: 'xs', color: LABEL_COLOR }));
+    return { type: 'box', layout: 'vertical', contents };
+}
+
+function footer(buttons) {
+    const contents = buttons.filter(Boolean).map(({ action, primary }) => ({
+        type: 'button',
+        style: primary ? 'primary' : 'secondary',
+        height: 'sm',
+        action,
+    }));
+    return contents.length > 0 ? { type: 'box', layout: 'vertical', spacing: 'sm', contents } : undefined;
+}
+
+/**
+ * Builds a card of label/value rows with buttons underneath, e.g. the !status overview.
+ * @param {object} card - What to show.
+ * @param {string} card.title - The heading, e.g. the group name.
+ * @param {string} [card.subtitle] - A smaller line under the heading.
+ * @param {[string, string][]} card.rows - The label/value pairs.
+ * @param {({action: object, primary?: boolean} | null)[]} [card.buttons] - The buttons; null entries are skipped.
+ * @returns {object} The bubble.
+ */
+function buildCard({ title, subtitle, rows, buttons = [] }) {
+    return {
+        type: 'bubble',
+        header: header(title, subtitle),
+        body: {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: rows.map(([label, value]) => ({
+                type: 'box',
+                layout: 'baseline',
+                spacing: 'sm',
+                contents: [textBlock(label, { color: LABEL_COLOR, flex: 3 }), textBlock(value, { flex: 5 })],
+            })),
+        },
+        footer: footer(buttons),
+    };
+}
+
+/**
+ * Builds a card with a block of text and buttons underneath, e.g. the group rules.
+ * @param {object} card - What to show.
+ * @param {string} card.title - The heading.
+ * @param {string} card.text - The text; line breaks are kept.
+ * @param {string} [card.note] - A smaller line under the text.
+ * @param {({action: object, primary?: boolean} | null)[]} [card.buttons] - The buttons; null entries are skipped.
+ * @returns {object} The bubble.
+ */
+function buildTextCard({ title, text, note, buttons = [] }) {
+    const contents = [textBlock(text)];
+    if (note) contents.push({ type: 'separator' }, textBlock(note, { size: 'xs', color: LABEL_COLOR }));
+    return {
+        type: 'bubble',
+        header: header(title),
+        body: { type: 'box', layout: 'vertical', spacing: 'md', contents },
+        footer: footer(buttons),
+    };
+}
+
+/**
+ * Builds one page of a list, with an optional button next to each item and page buttons underneath.
+ * @param {object} list - What to show.
+ * @param {string} list.title - The heading.
+ * @param {{text: string, detail?: string, action?: object | null}[]} list.items - The items on this page.
+ * @param {number} list.page - The page number, starting at 1.
+ * @param {number} list.pageCount - The number of pages.
+ * @param {object | null} [list.previous] - The action for the previous page.
+ * @param {object | null} [list.next] - The action for the next page.
+ * @param {string} [list.note] - A line shown under the items.
+ * @param {string} [list.emptyText] - What to show when there are no items.
+ * @param {string} [list.pageText] - The page line under the title, shown when there are several pages.
+ * @returns {object} The bubble.
+ */
+function buildListPage({ title, items, page, pageCount, previous = null, next = null, note, emptyText = 'None', pageText = `Page ${page} of ${pageCount}` }) {
+    const contents = items.map(({ text, detail, action }) => ({
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: [
+            {
+                type: 'box',
+                layout: 'vertical',
+                flex: 5,
+                contents: detail ? [textBlock(text), textBlock(detail, { size: 'xxs', color: LABEL_COLOR })] : [textBlock(text)],
+            },
+            ...(action ? [{ type: 'button', style: 'link', height: 'sm', flex: 2, action }] : []),
+        ],
+    }));
+    if (contents.length === 0) contents.push(textBlock(emptyText, { color: LABEL_COLOR }));
+    if (note) contents.push({ type: 'separator' }, textBlock(note, { size: 'xs', color: LABEL_COLOR }));
+
+    return {
+        type: 'bubble',
+        header: header(title, pageCount > 1 ? pageText : undefined),
+        body: { type: 'box', layout: 'vertical', spacing: 'md', contents },
+        footer: footer([previous && { action: previous }, next && { action: next }]),
+    };
+}
+
+/**
+ * Wraps a bubble in a Flex Message.
+ * @param {object} bubble - The bubble from buildCard(), buildTextCard() or buildListPage().
+ * @param {string} altText - What notifications and old clients show instead.
+ * @param {object[]} [quickReplyActions] - Actions offered as quick-reply shortcuts under the message.
+ * @returns {object} The message.
+ */
+function buildFlexMessage(bubble, altText, quickReplyActions = []) {
+    const message = { type: 'flex', altText: truncate(altText, MAX_ALT_TEXT_LENGTH), contents: bubble };
+    if (quickReplyActions.length > 0) {
+        message.quickReply = { items: quickReplyActions.slice(0, 13).map(action => ({ type: 'action', action })) };
+    }
+    return message;
+}
+
+module.exports = {
+    buildCard,
+    buildTextCard,
+    buildListPage,
+    buildFlexMessage,
+};
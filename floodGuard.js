@@ -0,0 +1,125 @@
+// floodGuard.js
+// This file keeps short sliding windows of recent messages and joins per group, to detect
+// message floods, repeated messages and join raids.
+// The windows live in process memory: they only need to cover the last few minutes, so losing
+// them on a restart is harmless.
+
+// Messages shorter than this are only counted as duplicates when the same user repeats them,
+// so common replies like "ok" or "555" from different members aren't flagged.
+const MIN_CROSS_USER_DUPLICATE_LENGTH = 10;
+
+// Hard cap on what is kept per group, whatever the configured windows are.
+const MAX_ENTRIES_PER_GROUP = 500;
+
+const messageTimes = new Map(); // `${groupId}:${userId}` -> [timestamp]
+const recentMessages = new Map(); // groupId -> [{ at, userId, fingerprint }]
+const recentJoins = new Map(); // groupId -> [{ at, userId }]
+
+function pruneWindow(entries, since) {
+    const firstKept = entries.findIndex(entry => (entry.at !== undefined ? entry.at : entry) >= since);
+    if (firstKept === -1) return [];
+    const kept = firstKept > 0 ? entries.slice(firstKept) : entries;
+    return kept.length > MAX_ENTRIES_PER_GROUP ? kept.slice(-MAX_ENTRIES_PER_GROUP) : kept;
+}
+
+/**
+ * Records a message and checks it against the group's flood and duplicate limits.
+ * A limit of 0 disables that check. Once a user is flagged, their counted messages are reset,
+ * so a single burst is only reported once.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the sender.
+ * @param {string | null} fingerprint - A normalized form of the message content, or null if it can't be compared.
+ * @param {object} limits - The group's limits.
+ * @param {number} limits.floodMax - Maximum messages per user within the flood window.
+ * @param {number} limits.floodWindowMs - The flood window in milliseconds.
+ * @param {number} limits.duplicateMax - Maximum copies of the same message within the duplicate window.
+ * @param {number} limits.duplicateWindowMs - The duplicate window in milliseconds.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {{flood: boolean, duplicate: boolean, count: number}} Which limits were exceeded, and the count that exceeded it.
+ */
+function recordMessage(groupId, userId, fingerprint, limits, now = Date.now()) {
+    const result = { flood: false, duplicate: false, count: 0 };
+
+    if (limits.floodMax > 0) {
+        const key = `${groupId}:${userId}`;
+        const times = pruneWindow(messageTimes.get(key) || [], now - limits.floodWindowMs);
+        times.push(now);
+        if (times.length > limits.floodMax) {
+            result.flood = true;
+            result.count = times.length;
+            messageTimes.delete(key);
+        } else {
+            messageTimes.set(key, times);
+        }
+    }
+
+    if (limits.duplicateMax > 0 && fingerprint) {
+        const entries = pruneWindow(recentMessages.get(groupId) || [], now - limits.duplicateWindowMs);
+        entries.push({ at: now, userId, fingerprint });
+
+        const copies = entries.filter(entry => entry.fingerprint === fingerprint);
+        const ownCopies = copies.filter(entry => entry.userId === userId);
+        const count = fingerprint.length >= MIN_CROSS_USER_DUPLICATE_LENGTH ? copies.length : ownCopies.length;
+        if (count > limits.duplicateMax) {
+            result.duplicate = true;
+            result.count = Math.max(result.count, count);
+            // Forget this user's copies; copies from others keep counting against later posters.
+            recentMessages.set(groupId, entries.filter(entry => !(entry.fingerprint === fingerprint && entry.userId === userId)));
+        } else {
+            recentMessages.set(groupId, entries);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Records new members and checks whether the group is being raided.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string[]} userIds - The IDs of the users who just joined.
+ * @param {object} limits - The group's limits.
+ * @param {number} limits.maxJoins - Maximum joins within the window (0 disables the check).
+ * @param {number} limits.windowMs - The window in milliseconds.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {{burst: boolean, userIds: string[]}} Whether the limit was exceeded, and everyone who joined within the window.
+ */
+function recordJoins(groupId, userIds, limits, now = Date.now()) {
+    if (!(limits.maxJoins > 0)) return { burst: false, userIds: [] };
+
+    const entries = pruneWindow(recentJoins.get(groupId) || [], now - limits.windowMs);
+    userIds.forEach(userId => entries.push({ at: now, userId }));
+    recentJoins.set(groupId, entries);
+
+    const joiners = [...new Set(entries.map(entry => entry.userId))];
+    return { burst: entries.length > limits.maxJoins, userIds: joiners };
+}
+
+/**
+ * Forgets the recent joins of a group, e.g. once a raid has been handled.
+ * @param {string} groupId - The ID of the LINE group.
+ */
+function resetJoins(groupId) {
+    recentJoins.delete(groupId);
+}
+
+/**
+ * Drops every entry older than the given age, so idle groups and users don't use memory forever.
+ * @param {number} maxAgeMs - The longest window any group uses.
+ * @param {number} [now] - The current time, in milliseconds.
+ */
+function prune(maxAgeMs, now = Date.now()) {
+    for (const map of [messageTimes, recentMessages, recentJoins]) {
+        for (const [key, entries] of map) {
+            const kept = pruneWindow(entries, now - maxAgeMs);
+            if (kept.length === 0) map.delete(key);
+            else map.set(key, kept);
+        }
+    }
+}
+
+module.exports = {
+    recordMessage,
+    recordJoins,
+    resetJoins,
+    prune,
+};
@@ -0,0 +1,349 @@
+// groupConfig.js
+// This file builds, checks and compares snapshots of a group's configuration, for !export,
+// !import and !clonesettings. A snapshot is plain JSON:
+//
+//   {
+//     "format": "line-group-guardian", "version": 1, "exportedAt": "...",
+//     "settings": { "verificationMode": "password", "passwordTimeoutMinutes": 2, ... },
+//     "blacklistWords": ["forex", "phrase:buy now"],
+//     "blacklistUsers": [{ "userId": "U...", "reason": "spam" }],
+//     "linkAllowlist": ["example.com"], "linkDenylist": [],
+//     "staff": { "admins": ["U..."], "moderators": [] }
+//   }
+//
+// Settings and lists left out of a snapshot are left unchanged by an import, so a snapshot can be
+// trimmed by hand. Anything else that doesn't fit (unknown keys, wrong types, values a command
+// would refuse) makes the whole snapshot invalid. The password, the owner, the claim code and the
+// lockdown state are never part of a snapshot.
+//
+// Problems are reported as { key, params }: key names a message under config.errors in the
+// locales, and params fill in its placeholders.
+
+const blacklistMatcher = require('./blacklistMatcher');
+const contentPolicy = require('./contentPolicy');
+const commands = require('./commands');
+const permissions = require('./permissions');
+const welcome = require('./welcome');
+const cron = require('./cron');
+const i18n = require('./i18n');
+
+const FORMAT = 'line-group-guardian';
+const VERSION = 1;
+const USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+const LISTS = ['blacklistWords', 'blacklistUsers', 'linkAllowlist', 'linkDenylist', 'staff'];
+
+const isInteger = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+const nullable = check => (value, limits) => value === null || check(value, limits);
+const problem = (key, params = {}) => ({ key, params });
+
+// Each setting: its column in group_settings and a check of its value. The limits are the ones the
+// commands enforce, passed in by the caller (see validateSnapshot).
+const SETTINGS = {
+    verificationMode: {
+        column: 'verification_mode',
+        check: value => ['off', 'password', 'captcha', 'approval'].includes(value),
+    },
+    passwordTimeoutMinutes: { column: 'password_timeout_minutes', check: nullable(value => isInteger(value, 1)) },
+    passwordMaxAttempts: { column: 'password_max_attempts', check: nullable(value => isInteger(value, 1)) },
+    passwordRetryCooldownSeconds: { column: 'password_retry_cooldown_seconds', check: nullable(value => isInteger(value, 0)) },
+    approvalTimeoutMinutes: {
+        column: 'approval_timeout_minutes',
+        check: nullable((value, limits) => isInteger(value, 1, limits.maxApprovalTimeoutMinutes)),
+    },
+    strikesBeforeKick: { column: 'strikes_before_kick', check: nullable(value => isInteger(value, 1)) },
+    kicksBeforeBlacklist: { column: 'kicks_before_blacklist', check: nullable(value => isInteger(value, 0)) },
+    strikeExpiryHours: { column: 'strike_expiry_hours', check: nullable(value => isInteger(value, 0)) },
+    contentPolicies: { column: 'content_policies', check: value => isContentPolicies(value) },
+    floodMaxMessages: { column: 'flood_max_messages', check: nullable(value => isInteger(value, 0)) },
+    floodWindowSeconds: { column: 'flood_window_seconds', check: nullable((value, limits) => isInteger(value, 1, limits.maxRateLimitWindowSeconds)) },
+    duplicateMaxRepeats: { column: 'duplicate_max_repeats', check: nullable(value => isInteger(value, 0)) },
+    duplicateWindowSeconds: { column: 'duplicate_window_seconds', check: nullable((value, limits) => isInteger(value, 1, limits.maxRateLimitWindowSeconds)) },
+    raidMaxJoins: { column: 'raid_max_joins', check: nullable(value => isInteger(value, 0)) },
+    raidWindowSeconds: { column: 'raid_window_seconds', check: nullable((value, limits) => isInteger(value, 1, limits.maxRateLimitWindowSeconds)) },
+    groupCommandsEnabled: { column: 'group_commands_enabled', check: nullable(value => typeof value === 'boolean') },
+    commandPrefix: { column: 'command_prefix', check: value => commands.isValidPrefix(value) },
+    language: { column: 'language', check: nullable(value => i18n.isSupportedLanguage(value)) },
+    timeZone: { column: 'timezone', check: nullable(value => cron.normalizeTimeZone(value) === value) },
+    welcomeMessage: { column: 'welcome_message', check: nullable(value => isWelcomeTemplate(value)) },
+    welcomePrivateMessage: { column: 'welcome_private_message', check: nullable(value => isWelcomeTemplate(value)) },
+    rules: { column: 'rules', check: nullable((value, limits) => typeof value === 'string' && value.trim() !== '' && value.length <= limits.maxRulesLength) },
+    rulesAckAction: { column: 'rules_ack_action', check: nullable(value => value === 'warn' || value === 'kick') },
+    moderatorCommands: {
+        column: 'moderator_commands',
+        check: nullable(value => Array.isArray(value) && value.every(command => typeof command === 'string' && permissions.isDelegable(command))),
+    },
+    pruneInactiveDays: {
+        column: 'prune_inactive_days',
+        check: nullable((value, limits) => isInteger(value, limits.minPruneInactiveDays, limits.maxInactiveDays)),
+    },
+    pruneGraceDays: { column: 'prune_grace_days', check: nullable((value, limits) => isInteger(value, 1, limits.maxPruneGraceDays)) },
+    voteKickPercent: { column: 'vote_kick_percent', check: nullable((value, limits) => isInteger(value, limits.minVoteKickPercent, 100)) },
+    voteKickWindowMinutes: {
+        column: 'vote_kick_window_minutes',
+        check: nullable((value, limits) => isInteger(value, 1, limits.maxVoteKickWindowMinutes)),
+    },
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isContentPolicies(value) {
+    if (!isPlainObject(value)) return false;
+    return Object.entries(value).every(([type, policy]) => contentPolicy.POLICY_TYPES.includes(type)
+        && isPlainObject(policy)
+        && Object.keys(policy).every(key => key === 'action' || key === 'newMemberHours')
+        && Object.values(contentPolicy.POLICY_ACTIONS).includes(policy.action)
+        && (policy.newMemberHours === undefined || isInteger(policy.newMemberHours, 1)));
+}
+
+function isWelcomeTemplate(value) {
+    return typeof value === 'string' && value.trim() !== '' && value.length <= welcome.MAX_TEMPLATE_LENGTH
+        && welcome.findUnknownPlaceholders(value).length === 0;
+}
+
+/**
+ * Builds a snapshot of a group's configuration.
+ * @param {object} settings - The group's settings, from db.getGroupSettings().
+ * @param {object[]} blacklistedUsers - The group's blacklisted users, from db.getBlacklistedUsers().
+ * @param {Date} [now] - When the snapshot is taken.
+ * @returns {object} The snapshot.
+ */
+function createSnapshot(settings, blacklistedUsers, now = new Date()) {
+    const values = Object.fromEntries(Object.entries(SETTINGS).map(([key, { column }]) => [key, settings[column] === undefined ? null : settings[column]]));
+    values.contentPolicies = settings.content_policies || {};
+    return {
+        format: FORMAT,
+        version: VERSION,
+        exportedAt: now.toISOString(),
+        settings: values,
+        blacklistWords: [...settings.blacklist_words],
+        blacklistUsers: blacklistedUsers.map(user => ({ userId: user.user_id, reason: user.reason || null })),
+        linkAllowlist: [...settings.link_allowlist],
+        linkDenylist: [...settings.link_denylist],
+        // The owner stays the owner of their own group, so only the admins and moderators are copied.
+        staff: { admins: [...settings.admins], moderators: [...settings.moderators] },
+    };
+}
+
+/**
+ * Reads a snapshot pasted by an admin.
+ * @param {string} text - The JSON text.
+ * @param {object} limits - The limits the commands enforce (see validateSnapshot).
+ * @returns {{snapshot?: object, skippedEntries?: string[], errors?: {key: string, params: object}[]}} The checked snapshot
+ *   and the blacklist entries left out of it (see validateSnapshot), or what is wrong with it.
+ */
+function parseSnapshot(text, limits) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { errors: [problem('invalidJson')] };
+    }
+    return validateSnapshot(data, limits);
+}
+
+/**
+ * Checks a snapshot and brings its blacklist entries into their canonical form. Blacklist entries
+ * that don't pass the checks of !addblacklist are left out rather than rejected, since a group can
+ * still hold entries stored before the current checks existed (e.g. a slow regular expression).
+ * @param {*} data - The parsed JSON.
+ * @param {object} limits - maxApprovalTimeoutMinutes, maxRateLimitWindowSeconds, maxRulesLength,
+ *   minPruneInactiveDays, maxInactiveDays, maxPruneGraceDays, minVoteKickPercent and maxVoteKickWindowMinutes.
+ * @returns {{snapshot?: object, skippedEntries?: string[], errors?: {key: string, params: object}[]}} The checked snapshot
+ *   and the blacklist entries left out of it, or what is wrong with it.
+ */
+function validateSnapshot(data, limits) {
+    if (!isPlainObject(data) || data.format !== FORMAT) return { errors: [problem('wrongFormat', { format: FORMAT })] };
+    if (!Number.isInteger(data.version) || data.version < 1) return { errors: [problem('invalidVersion')] };
+    if (data.version > VERSION) return { errors: [problem('newerVersion', { version: data.version, supported: VERSION })] };
+
+    const errors = [];
+    const skippedEntries = [];
+    const snapshot = { format: FORMAT, version: VERSION, exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null };
+    for (const key of Object.keys(data)) {
+        if (!['format', 'version', 'exportedAt', 'settings', ...LISTS].includes(key)) errors.push(problem('unknownField', { field: key }));
+    }
+
+    if (data.settings !== undefined) {
+        if (!isPlainObject(data.settings)) {
+            errors.push(problem('notObject', { field: 'settings' }));
+        } else {
+            snapshot.settings = {};
+            for (const [key, value] of Object.entries(data.settings)) {
+                if (!SETTINGS[key]) errors.push(problem('unknownField', { field: `settings.${key}` }));
+                else if (!SETTINGS[key].check(value, limits)) errors.push(problem('invalidValue', { field: `settings.${key}`, value: JSON.stringify(value) }));
+                else snapshot.settings[key] = value;
+            }
+        }
+    }
+
+    if (data.blacklistWords !== undefined) {
+        if (!Array.isArray(data.blacklistWords)) {
+            errors.push(problem('notList', { field: 'blacklistWords' }));
+        } else {
+            // validateEntry() applies the same checks as !addblacklist, including the one for slow regular expressions.
+            const entries = data.blacklistWords.map((stored, i) => {
+                if (typeof stored !== 'string') {
+                    errors.push(problem('invalidEntry', { field: `blacklistWords[${i}]`, value: JSON.stringify(stored) }));
+                    return null;
+                }
+                const { entry, error } = blacklistMatcher.validateEntry(stored);
+                if (error) skippedEntries.push(stored);
+                return entry;
+            });
+            snapshot.blacklistWords = [...new Set(entries.filter(Boolean))];
+        }
+    }
+
+    if (data.blacklistUsers !== undefined) {
+        if (!Array.isArray(data.blacklistUsers)) {
+            errors.push(problem('notList', { field: 'blacklistUsers' }));
+        } else {
+            data.blacklistUsers.forEach((user, i) => {
+                const valid = isPlainObject(user) && Object.keys(user).every(key => key === 'userId' || key === 'reason')
+                    && USER_ID_PATTERN.test(user.userId) && (user.reason == null || typeof user.reason === 'string');
+                if (!valid) errors.push(problem('invalidBlacklistUser', { field: `blacklistUsers[${i}]` }));
+            });
+            const byId = new Map(data.blacklistUsers.filter(isPlainObject).map(user => [user.userId, { userId: user.userId, reason: user.reason || null }]));
+            snapshot.blacklistUsers = [...byId.values()];
+        }
+    }
+
+    for (const list of ['linkAllowlist', 'linkDenylist']) {
+        if (data[list] === undefined) continue;
+        if (!Array.isArray(data[list])) {
+            errors.push(problem('notList', { field: list }));
+            continue;
+        }
+        data[list].forEach((domain, i) => {
+            if (typeof domain !== 'string' || contentPolicy.normalizeDomain(domain) !== domain) errors.push(problem('invalidValue', { field: `${list}[${i}]`, value: JSON.stringify(domain) }));
+        });
+        snapshot[list] = [...new Set(data[list])];
+    }
+    if (snapshot.linkAllowlist && snapshot.linkDenylist) {
+        const both = snapshot.linkAllowlist.filter(domain => snapshot.linkDenylist.includes(domain));
+        if (both.length > 0) errors.push(problem('domainsOnBothLists', { domains: both.join(', ') }));
+    }
+
+    if (data.staff !== undefined) {
+        const valid = isPlainObject(data.staff) && Object.keys(data.staff).every(key => key === 'admins' || key === 'moderators')
+            && ['admins', 'moderators'].every(role => Array.isArray(data.staff[role]) && data.staff[role].every(id => USER_ID_PATTERN.test(id)));
+        if (!valid) {
+            errors.push(problem('invalidStaff'));
+        } else {
+            const admins = [...new Set(data.staff.admins)];
+            const both = data.staff.moderators.filter(id => admins.includes(id));
+            if (both.length > 0) errors.push(problem('staffInBothRoles', { users: both.join(', ') }));
+            snapshot.staff = { admins, moderators: [...new Set(data.staff.moderators)] };
+        }
+    }
+
+    // Settings that only make sense together.
+    const settings = snapshot.settings || {};
+    if ('pruneInactiveDays' in settings && (settings.pruneInactiveDays === null) !== (settings.pruneGraceDays == null)) {
+        errors.push(problem('settingsPair', { field: 'settings.pruneGraceDays', other: 'settings.pruneInactiveDays' }));
+    }
+    if ('voteKickPercent' in settings && (settings.voteKickPercent === null) !== (settings.voteKickWindowMinutes == null)) {
+        errors.push(problem('settingsPair', { field: 'settings.voteKickWindowMinutes', other: 'settings.voteKickPercent' }));
+    }
+
+    return errors.length > 0 ? { errors } : { snapshot, skippedEntries };
+}
+
+/**
+ * Lists what importing a snapshot would change.
+ * @param {object} current - A snapshot of the group as it is, from createSnapshot().
+ * @param {object} next - The checked snapshot to import.
+ * @returns {object[]} The changes: {field, from, to} for settings, {field, added, removed} for lists.
+ */
+function diffSnapshots(current, next) {
+    const changes = [];
+    for (const [key, value] of Object.entries(next.settings || {})) {
+        if (JSON.stringify(value) !== JSON.stringify(current.settings[key])) changes.push({ field: key, from: current.settings[key], to: value });
+    }
+
+    const diffList = (field, from, to) => {
+        const added = to.filter(item => !from.includes(item));
+        const removed = from.filter(item => !to.includes(item));
+        if (added.length > 0 || removed.length > 0) changes.push({ field, added, removed });
+    };
+    if (next.blacklistWords) diffList('blacklistWords', current.blacklistWords, next.blacklistWords);
+    if (next.blacklistUsers) diffList('blacklistUsers', current.blacklistUsers.map(user => user.userId), next.blacklistUsers.map(user => user.userId));
+    if (next.linkAllowlist) diffList('linkAllowlist', current.linkAllowlist, next.linkAllowlist);
+    if (next.linkDenylist) diffList('linkDenylist', current.linkDenylist, next.linkDenylist);
+    if (next.staff) {
+        diffList('admins', current.staff.admins, next.staff.admins);
+        diffList('moderators', current.staff.moderators, next.staff.moderators);
+    }
+    return changes;
+}
+
+/**
+ * Maps the settings of a snapshot to their group_settings columns.
+ * @param {object} settings - The settings of a checked snapshot.
+ * @returns {object} The values by column name.
+ */
+function toColumns(settings) {
+    return Object.fromEntries(Object.entries(settings).map(([key, value]) => [SETTINGS[key].column, value]));
+}
+
+/**
+ * Splits a snapshot into pieces of at most maxLength characters, at line breaks, so it can be sent
+ * over several messages. Line breaks in JSON are never inside a string, so the pieces can be pasted
+ * back one after the other.
+ * @param {object} snapshot - The snapshot.
+ * @param {number} maxLength - The longest piece.
+ * @returns {string[]} The pieces.
+ */
+function splitSnapshot(snapshot, maxLength) {
+    const parts = [];
+    let part = '';
+    for (const line of JSON.stringify(snapshot, null, 1).split('\n')) {
+        if (part && part.length + line.length + 1 > maxLength) {
+            parts.push(part);
+            part = '';
+        }
+        part += part ? `\n${line}` : line;
+    }
+    parts.push(part);
+    return parts;
+}
+
+/**
+ * Checks whether some JSON text could be the start of a longer text, e.g. the first piece of a split
+ * snapshot: every bracket or string that was opened is still open at the end.
+ * @param {string} text - The JSON text.
+ * @returns {boolean} True if the text stops in the middle.
+ */
+function isIncomplete(text) {
+    let depth = 0;
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth < 0) return false;
+        }
+    }
+    return depth > 0 || inString;
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    createSnapshot,
+    parseSnapshot,
+    validateSnapshot,
+    diffSnapshots,
+    toColumns,
+    splitSnapshot,
+    isIncomplete,
+};
@@ -0,0 +1,92 @@
+// i18n.js
+// This file loads the message catalogs in locales/ and translates message keys into a language.
+//
+// Each catalog is a file named '<language>.js' (e.g. 'th.js') that exports { name, messages },
+// where messages is a nested object of strings, looked up by dotted keys like 'verification.passwordPrompt'.
+// Strings can contain {placeholders}, filled in from the params passed to translate().
+// English is the reference catalog: a message missing from another catalog falls back to it,
+// so adding a language only means adding a catalog, even a partial one.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const LOCALE_FILE_PATTERN = /^([a-z]{2,3})\.js$/;
+const FALLBACK_LANGUAGE = 'en';
+
+function loadCatalogs() {
+    const catalogs = {};
+    for (const file of fs.readdirSync(LOCALES_DIR)) {
+        const match = file.match(LOCALE_FILE_PATTERN);
+        if (match) catalogs[match[1]] = require(path.join(LOCALES_DIR, file));
+    }
+    if (!catalogs[FALLBACK_LANGUAGE]) throw new Error(`Missing the ${FALLBACK_LANGUAGE} message catalog in ${LOCALES_DIR}.`);
+    return catalogs;
+}
+
+const CATALOGS = loadCatalogs();
+// The supported language codes, with the fallback language first.
+const LANGUAGES = [FALLBACK_LANGUAGE, ...Object.keys(CATALOGS).filter(language => language !== FALLBACK_LANGUAGE).sort()];
+
+function lookup(language, key) {
+    const catalog = CATALOGS[language];
+    if (!catalog) return undefined;
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog.messages);
+    return typeof value === 'string' ? value : undefined;
+}
+
+function interpolate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] != null ? String(params[name]) : placeholder));
+}
+
+/**
+ * Checks whether there is a catalog for a language.
+ */
+function isSupportedLanguage(language) {
+    return typeof language === 'string' && Object.prototype.hasOwnProperty.call(CATALOGS, language);
+}
+
+/**
+ * Returns the name of a language in that language, e.g. 'ไทย' for 'th'.
+ */
+function getLanguageName(language) {
+    return isSupportedLanguage(language) ? CATALOGS[language].name : language;
+}
+
+/**
+ * Translates a message key.
+ * @param {string} language - The language code; unsupported languages get English.
+ * @param {string} key - The dotted message key, e.g. 'verification.passwordPrompt'.
+ * @param {object} [params] - The values for the {placeholders} in the message.
+ * @returns {string} The message. A key missing from every catalog is returned as is, so it shows up in testing.
+ */
+function translate(language, key, params = {}) {
+    const template = lookup(language, key) || lookup(FALLBACK_LANGUAGE, key);
+    if (template === undefined) {
+        console.error(`Missing message '${key}'.`);
+        return key;
+    }
+    return interpolate(template, params);
+}
+
+/**
+ * Returns a translate function bound to one language, e.g. t('verification.passwordPrompt', { group }).
+ * It also has the language code (t.language), and t.has(key) to check whether the language itself
+ * (not the fallback) has a message, for texts that have an English default elsewhere, like command help.
+ */
+function translator(language) {
+    const resolved = isSupportedLanguage(language) ? language : FALLBACK_LANGUAGE;
+    const t = (key, params) => translate(resolved, key, params);
+    t.language = resolved;
+    t.has = key => lookup(resolved, key) !== undefined;
+    return t;
+}
+
+module.exports = {
+    FALLBACK_LANGUAGE,
+    LANGUAGES,
+    isSupportedLanguage,
+    getLanguageName,
+    translate,
+    translator,
+};
@@ -8,6 +8,29 @@ const express = require('express');
 const line = require('@line/bot-sdk');
 const { Pool } = require('pg');
 const db = require('./db'); // Our database helper
+const scheduler = require('./scheduler'); // Timers for verification deadlines and announcements
+const { hashPassword, verifyPassword } = require('./passwords');
+const claimCodes = require('./claimCodes');
+const blacklistMatcher = require('./blacklistMatcher');
+const contentPolicy = require('./contentPolicy');
+const floodGuard = require('./floodGuard');
+const captcha = require('./captcha');
+const welcome = require('./welcome');
+const groupConfig = require('./groupConfig');
+const recentMessages = require('./recentMessages');
+const memberActivity = require('./memberActivity');
+const cron = require('./cron');
+const { createQuotaTracker } = require('./quota');
+const flexMessages = require('./flexMessages');
+const settingsCache = require('./settingsCache');
+const eventQueue = require('./eventQueue');
+const permissions = require('./permissions');
+const commands = require('./commands');
+const i18n = require('./i18n');
+const { createAdminToken } = require('./adminTokens');
+const { createApiRouter } = require('./api');
+const { createDashboardRouter } = require('./dashboard');
+const { runMigrations } = require('./migrate');
 
 // =================================================================
 // 2. CONFIGURATION & STATE
@@ -18,39 +41,251 @@ const config = {
 };
 const PORT = process.env.PORT || 3000;
 const MAX_REPLY_LENGTH = 4800;
+const LIST_PAGE_SIZE = 10; // Entries per page in the blacklist screens
+const MAX_POSTBACK_DATA_LENGTH = 300;
 const DEFAULT_PASSWORD_TIMEOUT_MINUTES = 2; // Default to 2 minutes
+const DEFAULT_PASSWORD_MAX_ATTEMPTS = 3;
+const DEFAULT_PASSWORD_RETRY_COOLDOWN_SECONDS = 30;
+const DEFAULT_APPROVAL_TIMEOUT_MINUTES = 60;
+const MAX_APPROVAL_TIMEOUT_MINUTES = 7 * 24 * 60;
+// How new members are verified. 'password' only applies while the group has a password.
+const VERIFICATION_MODES = {
+    OFF: 'off',
+    PASSWORD: 'password',
+    CAPTCHA: 'captcha',
+    APPROVAL: 'approval',
+};
+// The 'action' of the postback buttons the bot sends (staff screens, captcha answers, approve/kick buttons, reports).
+const POSTBACK_ACTIONS = {
+    RUN_COMMAND: 'cmd',
+    CAPTCHA_ANSWER: 'captcha',
+    APPROVE_MEMBER: 'approve',
+    REJECT_MEMBER: 'reject',
+    ACCEPT_RULES: 'rules',
+    REPORT_KICK: 'reportkick',
+    REPORT_BLACKLIST: 'reportban',
+    REPORT_DISMISS: 'reportdismiss',
+};
+// What happened to a report (member_reports.status).
+const REPORT_STATUS = {
+    OPEN: 'open',
+    KICKED: 'kicked',
+    BLACKLISTED: 'blacklisted',
+    DISMISSED: 'dismissed',
+};
+const MAX_RULES_LENGTH = 2000;
+const MAX_ANNOUNCEMENT_LENGTH = 2000;
+const MAX_ANNOUNCEMENTS_PER_GROUP = 20;
+const MIN_ANNOUNCEMENT_INTERVAL_MINUTES = 60; // Recurring announcements run at most once an hour
+// Runs missed by more than this (e.g. while the bot was down) are skipped rather than sent late.
+const ANNOUNCEMENT_MAX_DELAY_MS = 15 * 60 * 1000;
+const ANNOUNCEMENT_SWEEP_INTERVAL_MS = 60 * 1000; // Backstop check for due announcements
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INACTIVE_DAYS = 30;
+const MAX_INACTIVE_DAYS = 365;
+const INACTIVE_LIST_LIMIT = 50;
+const MIN_PRUNE_INACTIVE_DAYS = 7;
+const DEFAULT_PRUNE_GRACE_DAYS = 3;
+const MAX_PRUNE_GRACE_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const ACTIVITY_FLUSH_INTERVAL_MS = 10 * 1000; // How often collected member activity is written
+// Per group and run, so a prune that was set up wrong can't empty a group in one go.
+const MAX_PRUNE_WARNINGS_PER_RUN = 50;
+const MAX_PRUNE_KICKS_PER_RUN = 20;
+const MAX_REPORT_REASON_LENGTH = 300;
+const MAX_REPORTS_PER_HOUR = 3; // Per member and group; staff have no limit
+// Members with this many reports dismissed by the staff within the window can't report for a while.
+const REPORT_DISMISSALS_TO_BLOCK = 3;
+const REPORT_DISMISSAL_WINDOW_MS = 7 * DAY_MS;
+const OPEN_REPORTS_LIST_LIMIT = 20;
+const MIN_VOTE_KICK_PERCENT = 5;
+const MIN_VOTE_KICK_REPORTERS = 3; // However small the group
+const DEFAULT_VOTE_KICK_WINDOW_MINUTES = 60;
+const MAX_VOTE_KICK_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_STRIKES_BEFORE_KICK = 3;
+const DEFAULT_KICKS_BEFORE_BLACKLIST = 2;
+const DEFAULT_STRIKE_EXPIRY_HOURS = 7 * 24; // Strikes expire after a week
+const DEFAULT_FLOOD_WINDOW_SECONDS = 10;
+const DEFAULT_DUPLICATE_WINDOW_SECONDS = 60;
+const DEFAULT_RAID_WINDOW_SECONDS = 60;
+const MAX_RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+const FLOOD_PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_MODLOG_LIMIT = 20;
+const MAX_MODLOG_LIMIT = 100;
+const BAN_LIST_NAME_PATTERN = /^[a-z0-9_-]{2,32}$/;
+const BAN_LIST_SHOW_LIMIT = 20;
+const CONFIG_IMPORT_TTL_MS = 15 * 60 * 1000; // How long an import preview can be confirmed
+const MAX_CONFIG_PART_LENGTH = 4500; // Per message of an export, below LINE's 5000
+const MAX_CONFIG_IMPORT_LENGTH = 100 * 1000;
+const MAX_CONFIG_ERRORS_SHOWN = 10;
+const CONFIG_DIFF_ITEMS_SHOWN = 5; // Per list in an import preview
+// What an imported configuration may contain, the same limits the commands enforce (see groupConfig.js).
+const CONFIG_LIMITS = {
+    maxApprovalTimeoutMinutes: MAX_APPROVAL_TIMEOUT_MINUTES,
+    maxRateLimitWindowSeconds: MAX_RATE_LIMIT_WINDOW_SECONDS,
+    maxRulesLength: MAX_RULES_LENGTH,
+    minPruneInactiveDays: MIN_PRUNE_INACTIVE_DAYS,
+    maxInactiveDays: MAX_INACTIVE_DAYS,
+    maxPruneGraceDays: MAX_PRUNE_GRACE_DAYS,
+    minVoteKickPercent: MIN_VOTE_KICK_PERCENT,
+    maxVoteKickWindowMinutes: MAX_VOTE_KICK_WINDOW_MINUTES,
+};
+// Bot operators can claim any group without an owner, without a claim code.
+// Dashboard links are signed with this secret and point at PUBLIC_URL (e.g. https://your-app.herokuapp.com).
+// Without a secret of its own, the dashboard and the API are turned off.
+const DASHBOARD_SECRET = process.env.DASHBOARD_SECRET || null;
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const DASHBOARD_LINK_TTL_MS = 60 * 60 * 1000;
+const BOT_OWNER_IDS = (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+// The language of groups that haven't chosen one (see !setlanguage), and of private chats without a group.
+const DEFAULT_LANGUAGE = i18n.isSupportedLanguage(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : i18n.FALLBACK_LANGUAGE;
+// The timezone of groups that haven't chosen one (see !settimezone).
+const DEFAULT_TIMEZONE = cron.normalizeTimeZone(process.env.DEFAULT_TIMEZONE) || 'Asia/Bangkok';
+// Announcements stop once all but this percentage of the monthly message quota is used, so
+// verification, warnings and replies to staff still have messages left.
+const ANNOUNCEMENT_QUOTA_RESERVE_PERCENT = Math.min(Math.max(parseInt(process.env.ANNOUNCEMENT_QUOTA_RESERVE_PERCENT, 10) || 20, 0), 100);
 const client = new line.Client(config);
+const quota = createQuotaTracker(client, { reserveRatio: ANNOUNCEMENT_QUOTA_RESERVE_PERCENT / 100 });
+// Every push goes through here rather than client.pushMessage, so it counts against the monthly
+// quota (see quota.js). Replies are free and go straight to client.replyMessage.
+const pushMessage = (to, messages) => quota.push(to, messages);
 const app = express();
 
-// This object will temporarily store users who need to enter a password.
-const pendingVerifications = {};
+// Action types recorded in the 'moderation_log' table.
+const MOD_ACTIONS = {
+    BLACKLISTED_USER_KICK: 'blacklisted_user_kick',
+    BLACKLISTED_JOIN_KICK: 'blacklisted_join_kick',
+    BLACKLIST_WORD_KICK: 'blacklist_word_kick',
+    PASSWORD_TIMEOUT_KICK: 'password_timeout_kick',
+    WRONG_PASSWORD: 'wrong_password',
+    WRONG_PASSWORD_KICK: 'wrong_password_kick',
+    CAPTCHA_TIMEOUT_KICK: 'captcha_timeout_kick',
+    WRONG_CAPTCHA: 'wrong_captcha',
+    WRONG_CAPTCHA_KICK: 'wrong_captcha_kick',
+    APPROVAL_TIMEOUT_KICK: 'approval_timeout_kick',
+    MEMBER_APPROVED: 'member_approved',
+    MEMBER_REJECTED: 'member_rejected',
+    BLACKLIST_USER: 'blacklist_user',
+    UNBLACKLIST_USER: 'unblacklist_user',
+    SET_ADMIN: 'set_admin',
+    REMOVE_ADMIN: 'remove_admin',
+    DEMOTE_ADMIN: 'demote_admin',
+    SET_MODERATOR: 'set_moderator',
+    REMOVE_MODERATOR: 'remove_moderator',
+    CLAIM_OWNERSHIP: 'claim_ownership',
+    TRANSFER_OWNERSHIP: 'transfer_ownership',
+    ADD_BLACKLIST_WORDS: 'add_blacklist_words',
+    REMOVE_BLACKLIST_WORDS: 'remove_blacklist_words',
+    SETTING_CHANGE: 'setting_change',
+    STRIKE: 'strike',
+    STRIKE_KICK: 'strike_kick',
+    AUTO_BLACKLIST: 'auto_blacklist',
+    CLEAR_STRIKES: 'clear_strikes',
+    CONTENT_POLICY_KICK: 'content_policy_kick',
+    LOCKDOWN_ON: 'lockdown_on',
+    LOCKDOWN_OFF: 'lockdown_off',
+    LOCKDOWN_KICK: 'lockdown_kick',
+    SHARED_BAN_KICK: 'shared_ban_kick',
+    SHARED_BAN_ADD: 'shared_ban_add',
+    SHARED_BAN_REMOVE: 'shared_ban_remove',
+    BAN_LIST_CREATE: 'ban_list_create',
+    BAN_LIST_SUBSCRIBE: 'ban_list_subscribe',
+    BAN_LIST_UNSUBSCRIBE: 'ban_list_unsubscribe',
+    SHARED_BAN_EXEMPT: 'shared_ban_exempt',
+    BAN_LIST_EDITOR_ADD: 'ban_list_editor_add',
+    BAN_LIST_EDITOR_REMOVE: 'ban_list_editor_remove',
+    RULES_ACCEPTED: 'rules_accepted',
+    RULES_KICK: 'rules_kick',
+    ANNOUNCEMENT_SKIPPED: 'announcement_skipped',
+    INACTIVITY_WARNING: 'inactivity_warning',
+    INACTIVE_KICK: 'inactive_kick',
+    MEMBER_REPORT: 'member_report',
+    REPORT_KICK: 'report_kick',
+    REPORT_DISMISSED: 'report_dismissed',
+    VOTE_KICK: 'vote_kick',
+};
+const VERIFICATION_SWEEP_INTERVAL_MS = 60 * 1000; // Backstop check for expired verifications
+// LINE can redeliver an event for a while after it was first sent; the IDs of handled events are kept this long.
+const WEBHOOK_EVENT_RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+const WEBHOOK_EVENT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const SHUTDOWN_GRACE_MS = 25 * 1000; // Heroku kills the process 30 seconds after SIGTERM
+
+// Users who still need to enter a password are stored in the 'pending_verifications' table,
+// so they are still kicked on time after a restart or deploy.
 
 // =================================================================
 // 3. SERVER SETUP (EXPRESS)
 // =================================================================
 app.post('/webhook', line.middleware(config), (req, res) => {
-    Promise
-        .all(req.body.events.map(handleEvent))
-        .then((result) => res.json(result))
-        .catch((err) => {
-            console.error("Error in webhook processing: ", err);
-            res.status(500).end();
-        });
+    // Answer right away and handle the events in the background, so slow handling never makes
+    // LINE time out and redeliver them. Events are ordered per group (see eventQueue.js).
+    res.status(200).end();
+    req.body.events.forEach(event => eventQueue.enqueue(eventQueueKey(event), () => handleWebhookEvent(event)));
 });
 
+// The API and dashboard are for staff, authenticated with the signed links sent by !dashboard.
+if (DASHBOARD_SECRET) {
+    app.use('/api', createApiRouter({ secret: DASHBOARD_SECRET, MOD_ACTIONS, logAction, kickUser, getLanguage }));
+    app.use('/dashboard', createDashboardRouter({ secret: DASHBOARD_SECRET, getGroupName, getLanguage }));
+} else {
+    console.log("DASHBOARD_SECRET is not set, so the web dashboard and the API are turned off.");
+}
+
 // =================================================================
 // 4. CORE LOGIC: EVENT HANDLER
 // =================================================================
+// Events in the same group (or private chat) are handled one at a time, in order.
+function eventQueueKey(event) {
+    const source = event.source || {};
+    return source.groupId || source.roomId || source.userId || 'unknown';
+}
+
+/**
+ * Handles an event from the webhook, unless it was handled before.
+ * LINE can deliver the same event twice (redeliveries after a failed webhook call), and a
+ * second kick or command run must not happen, so events are claimed by their ID first.
+ */
+async function handleWebhookEvent(event) {
+    if (event.webhookEventId) {
+        const isNew = await db.claimWebhookEvent(event.webhookEventId).catch((err) => {
+            // Better to risk handling an event twice than to drop it.
+            console.error(`Error claiming webhook event ${event.webhookEventId}:`, err);
+            return true;
+        });
+        if (!isNew) {
+            const redelivery = event.deliveryContext && event.deliveryContext.isRedelivery;
+            console.log(`Skipping webhook event ${event.webhookEventId}: already handled${redelivery ? ' (redelivery)' : ''}.`);
+            return null;
+        }
+    }
+    return handleEvent(event);
+}
+
 async function handleEvent(event) {
     try {
         if (event.type === 'unfollow') {
-            delete pendingVerifications[event.source.userId];
+            const removed = await db.deletePendingVerificationsForUser(event.source.userId);
+            removed.forEach(v => scheduler.cancel(verificationJobKey(v.group_id, v.user_id)));
+            await db.clearAdminSession(event.source.userId);
             return null;
         }
 
+        // Postback buttons: captcha answers, approval requests and staff screens in private chats,
+        // and the button to accept the rules in groups.
+        if (event.type === 'postback') {
+            return await handlePostback(event.source.userId, event.postback.data, event.replyToken);
+        }
+
         if (event.source.type !== 'group') {
-            if (event.type === 'message' && pendingVerifications[event.source.userId]) {
-                return await handlePasswordAttempt(event.source.userId, event.message, event.replyToken);
+            if (event.type === 'message' && event.source.type === 'user') {
+                const userId = event.source.userId;
+                const verifications = await db.getPendingVerificationsForUser(userId);
+                // Someone waiting to enter a password is only sent to the console if they are staff somewhere,
+                // so a password that happens to look like a command still works.
+                if (isConsoleCommand(event.message) && (verifications.length === 0 || (await db.getStaffGroups(userId)).length > 0)) {
+                    return await handleAdminConsole(userId, event.message);
+                }
+                if (verifications.length > 0) return await handleVerificationMessage(verifications, event.message, event.replyToken);
             }
             return null;
         }
@@ -58,13 +293,15 @@ async function handleEvent(event) {
         const groupId = event.source.groupId;
 
         switch (event.type) {
+            case 'join':
+                return await handleBotJoined(groupId, event.replyToken);
             case 'message':
                 return await handleMessage(groupId, event.message, event.source.userId, event.replyToken);
             case 'memberJoined':
                 return await handleMemberJoined(groupId, event.joined.members);
             case 'memberLeft':
                 console.log(`Member left: ${event.left.members.map(m => m.userId).join(', ')}`);
-                return null;
+                return await handleMemberLeft(groupId, event.left.members);
             default:
                 return null;
         }
@@ -78,335 +315,3225 @@ async function handleEvent(event) {
 // 5. FEATURE IMPLEMENTATIONS
 // =================================================================
 async function handleMessage(groupId, message, userId, replyToken) {
-    if (message.type !== 'text') return null;
-    if (await db.isUserBlacklisted(groupId, userId)) return kickUser(groupId, userId, 'User is on the blacklist.');
+    // Activity is written in batches (see flushMemberActivity), so it never holds up moderation.
+    memberActivity.record(groupId, userId);
+    recentMessages.remember(groupId, message.id, userId, describeMessage(message));
+    if (await db.isUserBlacklisted(groupId, userId)) {
+        const t = await getTranslator(groupId);
+        return kickUser(groupId, userId, t('kick.blacklisted'), { action: MOD_ACTIONS.BLACKLISTED_USER_KICK, messageText: describeMessage(message) });
+    }
+    const sharedBan = await findSharedBan(groupId, userId);
+    if (sharedBan) {
+        return kickUser(groupId, userId, describeSharedBan(await getTranslator(groupId), sharedBan), { action: MOD_ACTIONS.SHARED_BAN_KICK, messageText: describeMessage(message) });
+    }
+    if (await checkRateLimits(groupId, userId, message, replyToken)) return null;
+    if (message.type !== 'text') return moderateMessage(groupId, userId, message, replyToken);
 
-    const text = message.text.trim();
-    const command = text.split(' ')[0].toLowerCase();
-    const args = text.split(' ').slice(1);
+    const settings = await db.getGroupSettings(groupId);
+    const parsed = commands.parseCommand(message.text, { prefix: getCommandPrefix(settings), mention: message.mention });
+    if (!parsed) return moderateMessage(groupId, userId, message, replyToken);
 
-    if (command.startsWith('!')) {
-        if (command === '!setadmin') {
-            // Pass replyToken only to setadmin as it has special public/private reply logic
-            return handleSetAdmin(groupId, userId, replyToken, message.mention);
-        }
+    // Until someone owns the group, !setadmin points to the claim flow instead.
+    if (parsed.command === '!claim' || (parsed.command === '!setadmin' && !settings.owner_id)) {
+        return handleClaimOwnership(groupId, userId, replyToken, parsed.args, parsed.text);
+    }
 
-        if (!await db.isAdmin(groupId, userId)) {
-            return null; 
-        }
-        
-        // For all other commands, we send a private message (push) and don't reply to the group.
-        switch (command) {
-            case '!setpassword':
-                await handleSetPassword(groupId, userId, args);
-                break;
-            case '!setpasswordtimeout':
-                await handleSetPasswordTimeout(groupId, userId, args);
-                break;
-            case '!addblacklist':
-                await handleAddBlacklistWords(groupId, userId, args);
-                break;
-            case '!removeblacklist':
-                await handleRemoveBlacklistWords(groupId, userId, args);
-                break;
-            case '!blacklistuser':
-                await handleBlacklistUser(groupId, userId, message.mention);
-                break;
-            case '!unblacklistuser':
-                await handleUnblacklistUser(groupId, userId, message.mention);
-                break;
-            case '!status':
-                await handleStatusCommand(groupId, userId);
-                break;
-            case '!showblacklistwords':
-                await handleShowBlacklistWords(groupId, userId);
-                break;
-            case '!showblacklistusers':
-                await handleShowBlacklistUsers(groupId, userId);
-                break;
-            case '!help':
-                await handleHelpCommand(userId);
-                break;
-            default:
-                await client.pushMessage(userId, { type: 'text', text: `Unknown command: ${command}. Use !help to see all available commands.` });
-                break;
-        }
-        return null; // Prevent any public reply
-    } else {
-        return checkMessageForBlacklist(groupId, userId, text);
+    // Commands open to every member (like !rules) can answer in the group, so they get the reply token,
+    // and the message the command replies to (for !report). They work even when commands in the group are turned off.
+    if (permissions.COMMAND_ROLES[parsed.command] === permissions.ROLES.MEMBER) {
+        return runCommand(groupId, userId, { ...parsed, replyToken, quotedMessageId: message.quotedMessageId });
+    }
+
+    // Members can't run any other command, so their messages are moderated like any other,
+    // whatever they start with.
+    if (!permissions.isStaff(settings, userId)) {
+        return moderateMessage(groupId, userId, message, replyToken);
+    }
+    if (settings.group_commands_enabled === false) {
+        const t = i18n.translator(getLanguage(settings));
+        await pushMessage(userId, { type: 'text', text: t('command.groupCommandsOff') });
+        return null;
+    }
+
+    // For staff commands, we send a private message (push) and don't reply to the group.
+    await runCommand(groupId, userId, parsed);
+    return null; // Prevent any public reply
+}
+
+function getCommandPrefix(settings) {
+    return settings.command_prefix || commands.DEFAULT_PREFIX;
+}
+
+function getLanguage(settings) {
+    return i18n.isSupportedLanguage(settings.language) ? settings.language : DEFAULT_LANGUAGE;
+}
+
+function getTimeZone(settings) {
+    return cron.normalizeTimeZone(settings.timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Returns the translate function for a group's language (see i18n.js), for replies to its staff
+ * and for messages to its members, including private ones to new members.
+ * Never throws: if the settings can't be loaded, the default language is used.
+ */
+async function getTranslator(groupId) {
+    const settings = await db.getGroupSettings(groupId).catch(() => null);
+    return i18n.translator(settings ? getLanguage(settings) : DEFAULT_LANGUAGE);
+}
+
+// What each command in the registry (commands.js) runs.
+const COMMAND_HANDLERS = {
+    '!setadmin': (groupId, userId, { mention, text, prefix }) => handleSetAdmin(groupId, userId, mention, text, prefix),
+    '!removeadmin': (groupId, userId, { mention, text, prefix }) => handleRemoveAdmin(groupId, userId, mention, text, prefix),
+    '!demote': (groupId, userId, { mention, text, prefix }) => handleDemoteAdmin(groupId, userId, mention, text, prefix),
+    '!setmod': (groupId, userId, { mention, text, prefix }) => handleSetModerator(groupId, userId, mention, text, prefix),
+    '!removemod': (groupId, userId, { mention, text, prefix }) => handleRemoveModerator(groupId, userId, mention, text, prefix),
+    '!transferowner': (groupId, userId, { mention, text, prefix }) => handleTransferOwnership(groupId, userId, mention, text, prefix),
+    '!modcommands': (groupId, userId, { args, text }) => handleModeratorCommands(groupId, userId, args, text),
+    '!staff': (groupId, userId) => handleStaffCommand(groupId, userId),
+    '!setpassword': (groupId, userId, { args, prefix }) => handleSetPassword(groupId, userId, args, prefix),
+    '!setpasswordtimeout': (groupId, userId, { args, text, prefix }) => handleSetPasswordTimeout(groupId, userId, args, text, prefix),
+    '!setpasswordattempts': (groupId, userId, { args, text, prefix }) => handleSetPasswordAttempts(groupId, userId, args, text, prefix),
+    '!addblacklist': (groupId, userId, { argText, text, prefix }) => handleAddBlacklistWords(groupId, userId, argText, text, prefix),
+    '!removeblacklist': (groupId, userId, { argText, text, prefix }) => handleRemoveBlacklistWords(groupId, userId, argText, text, prefix),
+    '!blacklistuser': (groupId, userId, { mention, text, prefix }) => handleBlacklistUser(groupId, userId, mention, text, prefix),
+    '!unblacklistuser': (groupId, userId, { mention, text, prefix }) => handleUnblacklistUser(groupId, userId, mention, text, prefix),
+    '!status': (groupId, userId) => handleStatusCommand(groupId, userId),
+    '!setprefix': (groupId, userId, { args, text, prefix }) => handleSetPrefix(groupId, userId, args, text, prefix),
+    '!setlanguage': (groupId, userId, { args, text, prefix }) => handleSetLanguage(groupId, userId, args, text, prefix),
+    '!settimezone': (groupId, userId, { args, text, prefix }) => handleSetTimeZone(groupId, userId, args, text, prefix),
+    '!showblacklistwords': (groupId, userId, { args }) => handleShowBlacklistWords(groupId, userId, args),
+    '!showblacklistusers': (groupId, userId, { args }) => handleShowBlacklistUsers(groupId, userId, args),
+    '!strike': (groupId, userId, { mention, text, prefix }) => handleStrikeCommand(groupId, userId, mention, text, prefix),
+    '!strikes': (groupId, userId, { mention, prefix }) => handleShowStrikes(groupId, userId, mention, prefix),
+    '!clearstrikes': (groupId, userId, { mention, text, prefix }) => handleClearStrikes(groupId, userId, mention, text, prefix),
+    '!strikepolicy': (groupId, userId, { args, text }) => handleStrikePolicy(groupId, userId, args, text),
+    '!policy': (groupId, userId, { args, text }) => handlePolicyCommand(groupId, userId, args, text),
+    '!allowdomain': (groupId, userId, { args, text, prefix }) => handleLinkDomains(groupId, userId, 'allow', args, text, prefix),
+    '!denydomain': (groupId, userId, { args, text, prefix }) => handleLinkDomains(groupId, userId, 'deny', args, text, prefix),
+    '!removedomain': (groupId, userId, { args, text, prefix }) => handleLinkDomains(groupId, userId, 'remove', args, text, prefix),
+    '!antiflood': (groupId, userId, { args, text }) => handleRateLimitCommand(groupId, userId, 'flood', args, text),
+    '!antiduplicate': (groupId, userId, { args, text }) => handleRateLimitCommand(groupId, userId, 'duplicate', args, text),
+    '!antiraid': (groupId, userId, { args, text }) => handleRateLimitCommand(groupId, userId, 'raid', args, text),
+    '!lockdown': (groupId, userId, { args, text, prefix }) => handleLockdownCommand(groupId, userId, args, text, prefix),
+    '!modlog': (groupId, userId, { args, mention }) => handleModLogCommand(groupId, userId, args, mention),
+    '!banlist': (groupId, userId, { args, mention, text, prefix }) => handleBanListCommand(groupId, userId, args, mention, text, prefix),
+    '!dashboard': (groupId, userId) => handleDashboardCommand(groupId, userId),
+    '!groupcommands': (groupId, userId, { args, text, prefix }) => handleGroupCommands(groupId, userId, args, text, prefix),
+    '!verification': (groupId, userId, { args, text, prefix }) => handleVerificationMode(groupId, userId, args, text, prefix),
+    '!approve': (groupId, userId, { mention, text, prefix }) => handleApprovalCommand(groupId, userId, '!approve', mention, text, prefix),
+    '!reject': (groupId, userId, { mention, text, prefix }) => handleApprovalCommand(groupId, userId, '!reject', mention, text, prefix),
+    '!help': (groupId, userId, { args, prefix }) => handleHelpCommand(groupId, userId, args, prefix),
+    '!rules': (groupId, userId, { replyToken }) => handleRulesCommand(groupId, userId, replyToken),
+    '!setrules': (groupId, userId, { argText, text, prefix }) => handleSetRules(groupId, userId, argText, text, prefix),
+    '!rulesack': (groupId, userId, { args, text, prefix }) => handleRulesAck(groupId, userId, args, text, prefix),
+    '!setwelcome': (groupId, userId, { args, argText, text, prefix }) => handleSetWelcome(groupId, userId, args, argText, text, prefix),
+    '!schedule': (groupId, userId, { args, argText, text, prefix }) => handleScheduleCommand(groupId, userId, args, argText, text, prefix),
+    '!activity': (groupId, userId, { mention, prefix }) => handleActivityCommand(groupId, userId, mention, prefix),
+    '!inactive': (groupId, userId, { args }) => handleInactiveCommand(groupId, userId, args),
+    '!autoprune': (groupId, userId, { args, text, prefix }) => handleAutoPrune(groupId, userId, args, text, prefix),
+    '!report': (groupId, userId, { mention, text, prefix, replyToken, quotedMessageId }) => handleReportCommand(groupId, userId, mention, text, prefix, replyToken, quotedMessageId),
+    '!reports': (groupId, userId) => handleReportsCommand(groupId, userId),
+    '!votekick': (groupId, userId, { args, text, prefix }) => handleVoteKick(groupId, userId, args, text, prefix),
+    '!export': (groupId, userId) => handleExportCommand(groupId, userId),
+    '!import': (groupId, userId, { argText, text, prefix }) => handleImportCommand(groupId, userId, argText, text, prefix),
+    '!clonesettings': (groupId, userId, { args, text, prefix }) => handleCloneSettings(groupId, userId, args, text, prefix),
+};
+
+// A command without a handler is a mistake, so fail at startup rather than when someone uses it.
+const unhandledCommands = commands.listCommands({ consoleOnly: false }).filter(command => !COMMAND_HANDLERS[command.name]);
+if (unhandledCommands.length > 0) {
+    throw new Error(`No handler for ${unhandledCommands.map(command => command.name).join(', ')}.`);
+}
+
+/**
+ * Runs a command against a group, after checking the sender's permissions and the shape of its arguments.
+ * Used for commands sent in the group and for commands sent through the private admin console.
+ * @param {object} parsed - The command, from commands.parseCommand(). Commands open to every member
+ *   also get the replyToken of the group message, if there is one, and its quotedMessageId.
+ */
+async function runCommand(groupId, userId, parsed) {
+    const { command, definition, prefix } = parsed;
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const name = commands.formatName(command, prefix);
+    const help = commands.formatName('!help', prefix);
+    let reply = null;
+    if (definition && definition.consoleOnly) {
+        reply = t('command.consoleOnly', { command: name });
+    } else if (!permissions.canRunCommand(settings, userId, command)) {
+        reply = definition ? t('command.noPermission', { command: name }) : t('command.unknown', { command: name, help });
+    } else if (!commands.checkArgs(definition, parsed.tokens)) {
+        reply = t('command.usage', { usage: commands.formatUsage(definition, prefix), help, name: command.slice(1) });
     }
+    if (reply) {
+        await pushMessage(userId, { type: 'text', text: reply });
+        return null;
+    }
+
+    await COMMAND_HANDLERS[command](groupId, userId, parsed);
+    return null;
+}
+
+async function handleBotJoined(groupId, replyToken) {
+    const settings = await db.getGroupSettings(groupId);
+    if (settings.owner_id) return null;
+
+    await issueClaimCode(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    return client.replyMessage(replyToken, { type: 'text', text: t('bot.joined') });
 }
 
 async function handleMemberJoined(groupId, members) {
     const settings = await db.getGroupSettings(groupId);
-    
+    const t = i18n.translator(getLanguage(settings));
+    const joinerIds = members.map(m => m.userId);
+
+    if (settings.lockdown) return kickLockdownJoiners(groupId, joinerIds, settings, t('kick.lockdown'));
+
+    const raid = floodGuard.recordJoins(groupId, joinerIds, {
+        maxJoins: settings.raid_max_joins,
+        windowMs: (settings.raid_window_seconds || DEFAULT_RAID_WINDOW_SECONDS) * 1000,
+    });
+    if (raid.burst) return startLockdown(groupId, raid.userIds, settings);
+
+    const admittedIds = [];
     for (const member of members) {
+        await db.recordMemberJoin(groupId, member.userId, { rulesPending: requiresRulesAcceptance(settings) });
+
         if (await db.isUserBlacklisted(groupId, member.userId)) {
-            await kickUser(groupId, member.userId, 'A blacklisted user tried to join.');
+            await kickUser(groupId, member.userId, t('kick.blacklistedJoin'), { action: MOD_ACTIONS.BLACKLISTED_JOIN_KICK });
+            continue;
+        }
+        const sharedBan = await findSharedBan(groupId, member.userId);
+        if (sharedBan) {
+            await kickUser(groupId, member.userId, describeSharedBan(t, sharedBan), { action: MOD_ACTIONS.SHARED_BAN_KICK });
             continue;
         }
+        admittedIds.push(member.userId);
+    }
 
-        if (settings.password) {
-            const timeoutMinutes = settings.password_timeout_minutes || DEFAULT_PASSWORD_TIMEOUT_MINUTES;
-            const timeoutMs = timeoutMinutes * 60 * 1000;
+    // Welcome first, so the private welcome message comes before the verification instructions.
+    await sendWelcomeMessages(groupId, admittedIds, settings);
+    for (const userId of admittedIds) {
+        await startVerification(groupId, userId, settings);
+    }
+}
 
-            const timeoutId = setTimeout(() => {
-                if (pendingVerifications[member.userId]) {
-                    console.log(`User ${member.userId} timed out. Kicking.`);
-                    kickUser(groupId, member.userId, 'Password verification timed out.');
-                    delete pendingVerifications[member.userId];
-                }
-            }, timeoutMs);
+/**
+ * Greets new members who joined together: the group's welcome message in the group, its private
+ * welcome message to each of them, and the rules with a button to accept them if they have to.
+ * Failures are only logged, since a welcome never decides whether someone may stay.
+ */
+async function sendWelcomeMessages(groupId, userIds, settings) {
+    const mustAcceptRules = requiresRulesAcceptance(settings);
+    if (userIds.length === 0 || (!settings.welcome_message && !settings.welcome_private_message && !mustAcceptRules)) return null;
+    const t = i18n.translator(getLanguage(settings));
+    const values = await getWelcomeValues(groupId, userIds, t);
+
+    const groupMessages = [];
+    if (settings.welcome_message) {
+        groupMessages.push({ type: 'text', text: welcome.fillTemplate(settings.welcome_message, { ...values, name: values.names.join(', ') }) });
+    }
+    if (mustAcceptRules) groupMessages.push(await buildRulesMessage(groupId, settings, true));
+    if (groupMessages.length > 0) {
+        await pushMessage(groupId, groupMessages).catch(err => console.error(`Failed to welcome new members in group ${groupId}:`, err));
+    }
+
+    if (!settings.welcome_private_message) return null;
+    for (const [i, userId] of userIds.entries()) {
+        const text = welcome.fillTemplate(settings.welcome_private_message, { ...values, name: values.names[i] });
+        // Members who haven't added the bot as a friend can't be messaged.
+        await pushMessage(userId, { type: 'text', text }).catch(err => console.error(`Failed to send the welcome message to ${userId}:`, err));
+    }
+    return null;
+}
+
+// The values for the welcome message placeholders (see welcome.js), with one name per member.
+async function getWelcomeValues(groupId, userIds, t) {
+    const [names, group, members] = await Promise.all([
+        Promise.all(userIds.map(id => client.getGroupMemberProfile(groupId, id).then(profile => profile.displayName, () => t('welcome.someone')))),
+        getGroupName(groupId, t),
+        client.getGroupMembersCount(groupId).catch(() => null),
+    ]);
+    return { names, group, count: members ? members.count : '?' };
+}
+
+function requiresRulesAcceptance(settings) {
+    return Boolean(settings.rules && settings.rules_ack_action);
+}
+
+// The group rules as a card, with the button to accept them for members who still have to.
+async function buildRulesMessage(groupId, settings, withAcceptButton) {
+    const t = i18n.translator(getLanguage(settings));
+    const title = t('rules.title', { group: await getGroupName(groupId, t) });
+    const accept = {
+        type: 'postback',
+        label: t('rules.accept'),
+        data: buildPostbackData(POSTBACK_ACTIONS.ACCEPT_RULES, { g: groupId }),
+        displayText: t('rules.accept'),
+    };
+    const card = flexMessages.buildTextCard({
+        title,
+        text: settings.rules,
+        note: withAcceptButton ? t('rules.acceptNote') : undefined,
+        buttons: withAcceptButton ? [{ action: accept, primary: true }] : [],
+    });
+    return flexMessages.buildFlexMessage(card, `${title}\n${settings.rules}`);
+}
+
+/**
+ * Starts verifying a new member the way the group is set up to: a password or a captcha challenge
+ * sent in a private chat, or a request to the admins to approve them. Members who don't pass
+ * before the deadline are kicked. Everything is sent in the group's language.
+ */
+async function startVerification(groupId, userId, settings) {
+    const mode = getVerificationMode(settings);
+    if (mode === VERIFICATION_MODES.OFF) return null;
+    const t = i18n.translator(getLanguage(settings));
+
+    const timeoutMinutes = mode === VERIFICATION_MODES.APPROVAL
+        ? settings.approval_timeout_minutes || DEFAULT_APPROVAL_TIMEOUT_MINUTES
+        : settings.password_timeout_minutes || DEFAULT_PASSWORD_TIMEOUT_MINUTES;
+    const deadline = new Date(Date.now() + timeoutMinutes * 60 * 1000);
+    const challenge = mode === VERIFICATION_MODES.CAPTCHA ? captcha.createChallenge(t) : null;
+
+    await db.addPendingVerification(groupId, userId, deadline, { method: mode, challenge });
+    scheduleVerificationTimeout(groupId, userId, deadline);
+
+    const groupName = await getGroupName(groupId, t);
+    const params = { group: groupName, minutes: timeoutMinutes };
+    let messages;
+    if (mode === VERIFICATION_MODES.APPROVAL) {
+        await requestApproval(groupId, userId, groupName, timeoutMinutes);
+        messages = [{ type: 'text', text: t('verification.welcomeApproval', params) }];
+    } else if (mode === VERIFICATION_MODES.CAPTCHA) {
+        messages = [
+            { type: 'text', text: t('verification.welcomeCaptcha', params) },
+            buildChallengeMessage(groupId, challenge.question, challenge.choices),
+        ];
+    } else {
+        messages = [{ type: 'text', text: t('verification.welcomePassword', params) }];
+    }
+    // Members who haven't added the bot as a friend can't be messaged; they still have to verify.
+    return pushMessage(userId, messages).catch(err => console.error(`Failed to send verification instructions to ${userId}:`, err));
+}
+
+function getVerificationMode(settings) {
+    const mode = settings.verification_mode || VERIFICATION_MODES.PASSWORD;
+    return mode === VERIFICATION_MODES.PASSWORD && !settings.password ? VERIFICATION_MODES.OFF : mode;
+}
+
+function buildPostbackData(action, params) {
+    return new URLSearchParams({ action, ...params }).toString();
+}
+
+/**
+ * Builds a button action that runs a command against the group when tapped (see handlePostback).
+ * @returns {object | null} The action, or null if the user may not run the command or it doesn't fit in a postback.
+ */
+function commandAction(groupId, userId, settings, label, commandText) {
+    if (!permissions.canRunCommand(settings, userId, commandText.split(' ')[0])) return null;
+    const data = buildPostbackData(POSTBACK_ACTIONS.RUN_COMMAND, { g: groupId, c: commandText });
+    if (data.length > MAX_POSTBACK_DATA_LENGTH) return null;
+    return { type: 'postback', label, data, displayText: commandText };
+}
+
+// Quick-reply shortcuts shown under the staff screens.
+function buildShortcuts(groupId, userId, settings) {
+    const t = i18n.translator(getLanguage(settings));
+    return [
+        commandAction(groupId, userId, settings, t('shortcuts.status'), '!status'),
+        commandAction(groupId, userId, settings, t('shortcuts.words'), '!showblacklistwords'),
+        commandAction(groupId, userId, settings, t('shortcuts.users'), '!showblacklistusers'),
+        commandAction(groupId, userId, settings, t('shortcuts.modLog'), '!modlog'),
+        commandAction(groupId, userId, settings, t('shortcuts.staff'), '!staff'),
+        commandAction(groupId, userId, settings, t(settings.lockdown ? 'shortcuts.liftLockdown' : 'shortcuts.lockdown'), `!lockdown ${settings.lockdown ? 'off' : 'on'}`),
+    ].filter(Boolean);
+}
+
+// A captcha question with its choices as quick-reply buttons. Answers can also be typed.
+function buildChallengeMessage(groupId, question, choices) {
+    return {
+        type: 'text',
+        text: question,
+        quickReply: {
+            items: choices.map(choice => ({
+                type: 'action',
+                action: { type: 'postback', label: choice, displayText: choice, data: buildPostbackData(POSTBACK_ACTIONS.CAPTCHA_ANSWER, { g: groupId, a: choice }) },
+            })),
+        },
+    };
+}
+
+/**
+ * Sends everyone who may approve members (see !approve) a message with Approve and Kick buttons for a new member.
+ */
+async function requestApproval(groupId, userId, groupName, timeoutMinutes) {
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const approverIds = [settings.owner_id, ...settings.admins, ...settings.moderators]
+        .filter(id => id && permissions.canRunCommand(settings, id, '!approve'));
+    if (approverIds.length === 0) console.log(`Nobody in group ${groupId} can approve ${userId}; they will be kicked at the deadline.`);
+
+    const profile = await client.getGroupMemberProfile(groupId, userId).catch(() => null);
+    const name = profile ? profile.displayName : t('approval.newMember');
+    const text = t('approval.request', { name, group: groupName, minutes: timeoutMinutes });
+    const message = {
+        type: 'template',
+        altText: t('approval.altText', { name, group: groupName }),
+        template: {
+            type: 'buttons',
+            text: text.length > 160 ? `${text.substring(0, 157)}...` : text, // LINE's limit for button messages
+            actions: [
+                { type: 'postback', label: t('approval.approve'), displayText: t('approval.approve'), data: buildPostbackData(POSTBACK_ACTIONS.APPROVE_MEMBER, { g: groupId, u: userId }) },
+                { type: 'postback', label: t('approval.kick'), displayText: t('approval.kick'), data: buildPostbackData(POSTBACK_ACTIONS.REJECT_MEMBER, { g: groupId, u: userId }) },
+            ],
+        },
+    };
+    await Promise.all(approverIds.map(approverId => pushMessage(approverId, message)
+        .catch(err => console.error(`Failed to send an approval request to ${approverId}:`, err))));
+}
+
+/**
+ * Sends the staff who handle reports (see !reports) a member's report, with buttons to kick or
+ * blacklist the member or dismiss the report. Blacklist is only offered to those who may blacklist.
+ */
+async function sendReportToStaff(groupId, settings, report, { name, reporter }) {
+    const t = i18n.translator(getLanguage(settings));
+    const recipientIds = getStaffIds(settings).filter(id => permissions.canRunCommand(settings, id, '!reports'));
+    if (recipientIds.length === 0) {
+        console.log(`Nobody in group ${groupId} handles reports; report #${report.id} stays open.`);
+        return;
+    }
+
+    const group = await getGroupName(groupId, t);
+    let details = t('report.notice', {
+        group,
+        name,
+        reporter,
+        reason: report.reason || t('report.noReason'),
+        message: report.message_text || t('report.noMessage'),
+    });
+    if (details.length > MAX_REPLY_LENGTH) details = details.substring(0, MAX_REPLY_LENGTH) + `...`;
+    const prompt = t('report.prompt', { name });
+    const button = (label, action) => ({ type: 'postback', label, displayText: label, data: buildPostbackData(action, { g: groupId, r: report.id }) });
+    await Promise.all(recipientIds.map((recipientId) => {
+        const actions = [
+            button(t('report.kick'), POSTBACK_ACTIONS.REPORT_KICK),
+            permissions.canRunCommand(settings, recipientId, '!blacklistuser') ? button(t('report.blacklist'), POSTBACK_ACTIONS.REPORT_BLACKLIST) : null,
+            button(t('report.dismiss'), POSTBACK_ACTIONS.REPORT_DISMISS),
+        ].filter(Boolean);
+        const buttons = {
+            type: 'template',
+            altText: t('report.altText', { name, group }),
+            template: {
+                type: 'buttons',
+                text: prompt.length > 160 ? `${prompt.substring(0, 157)}...` : prompt, // LINE's limit for button messages
+                actions,
+            },
+        };
+        return pushMessage(recipientId, [{ type: 'text', text: details }, buttons])
+            .catch(err => console.error(`Failed to send report #${report.id} to ${recipientId}:`, err));
+    }));
+}
+
+async function handlePostback(userId, data, replyToken) {
+    const params = new URLSearchParams(data);
+    const groupId = params.get('g');
+    // Postback data comes from the client, so it is checked like any other input.
+    if (!groupId || !GROUP_ID_PATTERN.test(groupId)) return null;
+
+    switch (params.get('action')) {
+        // Buttons on the staff screens. runCommand checks permissions like for typed commands.
+        case POSTBACK_ACTIONS.RUN_COMMAND:
+            return runCommandText(groupId, userId, (params.get('c') || '').trim());
+        case POSTBACK_ACTIONS.CAPTCHA_ANSWER: {
+            const verification = await db.getPendingVerification(groupId, userId);
+            if (!verification || verification.method !== VERIFICATION_MODES.CAPTCHA) {
+                const t = await getTranslator(groupId);
+                return client.replyMessage(replyToken, { type: 'text', text: t('verification.captchaExpired') });
+            }
+            return handleCaptchaAnswer(verification, params.get('a') || '', replyToken);
+        }
+        case POSTBACK_ACTIONS.APPROVE_MEMBER:
+        case POSTBACK_ACTIONS.REJECT_MEMBER: {
+            const approve = params.get('action') === POSTBACK_ACTIONS.APPROVE_MEMBER;
+            const result = await resolveApproval(groupId, params.get('u'), userId, approve);
+            return client.replyMessage(replyToken, { type: 'text', text: result });
+        }
+        case POSTBACK_ACTIONS.ACCEPT_RULES:
+            return handleRulesAccepted(groupId, userId, replyToken);
+        case POSTBACK_ACTIONS.REPORT_KICK:
+        case POSTBACK_ACTIONS.REPORT_BLACKLIST:
+        case POSTBACK_ACTIONS.REPORT_DISMISS: {
+            const reportId = params.get('r') || '';
+            if (!/^\d+$/.test(reportId)) return null;
+            const status = {
+                [POSTBACK_ACTIONS.REPORT_KICK]: REPORT_STATUS.KICKED,
+                [POSTBACK_ACTIONS.REPORT_BLACKLIST]: REPORT_STATUS.BLACKLISTED,
+                [POSTBACK_ACTIONS.REPORT_DISMISS]: REPORT_STATUS.DISMISSED,
+            }[params.get('action')];
+            const result = await resolveMemberReport(groupId, Number(reportId), userId, status);
+            return client.replyMessage(replyToken, { type: 'text', text: result });
+        }
+        default:
+            return null;
+    }
+}
+
+// A member tapped the button under the rules. Only members who still had to accept them get a reply.
+async function handleRulesAccepted(groupId, userId, replyToken) {
+    if (!await db.acceptRules(groupId, userId)) return null;
+    await logAction(groupId, MOD_ACTIONS.RULES_ACCEPTED, { targetId: userId });
+    const t = await getTranslator(groupId);
+    const profile = await client.getGroupMemberProfile(groupId, userId).catch(() => null);
+    return client.replyMessage(replyToken, { type: 'text', text: t('rules.accepted', { name: profile ? profile.displayName : t('welcome.someone') }) });
+}
+
+/**
+ * Approves a member waiting for approval, or kicks them. The first admin to act decides;
+ * the others are told it was already handled.
+ * @returns {Promise<string>} What happened, to tell the admin.
+ */
+async function resolveApproval(groupId, targetId, actorId, approve, messageText = null) {
+    const command = approve ? '!approve' : '!reject';
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const verification = await db.getPendingVerification(groupId, targetId);
+    if (!verification || verification.method !== VERIFICATION_MODES.APPROVAL) return t('approval.notWaiting');
+    if (!permissions.canRunCommand(settings, actorId, command)) {
+        return t('command.noPermission', { command: commands.formatName(command, getCommandPrefix(settings)) });
+    }
+    // Deleting the row claims the decision, so two admins can't both act on the same member.
+    if (!await db.deletePendingVerification(groupId, targetId)) return t('approval.notWaiting');
+    scheduler.cancel(verificationJobKey(groupId, targetId));
+
+    const groupName = await getGroupName(groupId, t);
+    if (approve) {
+        await logAction(groupId, MOD_ACTIONS.MEMBER_APPROVED, { actorId, targetId, messageText });
+        await pushMessage(targetId, { type: 'text', text: t('approval.welcome', { group: groupName }) }).catch(() => {});
+        return t('approval.approved', { group: groupName });
+    }
+    await kickUser(groupId, targetId, t('kick.rejected'), { action: MOD_ACTIONS.MEMBER_REJECTED, actorId, messageText });
+    return t('approval.removed', { group: groupName });
+}
 
-            pendingVerifications[member.userId] = { groupId, timeoutId };
+/**
+ * Acts on a report from the buttons sent to the staff: kicks or blacklists the reported member, or
+ * dismisses the report. The first staff member to act decides; the others are told it was already
+ * handled. Kicking or blacklisting the member also closes the other open reports against them.
+ * @returns {Promise<string>} What happened, to tell the staff member.
+ */
+async function resolveMemberReport(groupId, reportId, actorId, status) {
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const report = await db.getReport(reportId, groupId);
+    if (!report || report.status !== REPORT_STATUS.OPEN) return t('report.alreadyHandled');
+    const command = status === REPORT_STATUS.BLACKLISTED ? '!blacklistuser' : '!reports';
+    if (!permissions.canRunCommand(settings, actorId, command)) {
+        return t('command.noPermission', { command: commands.formatName(command, getCommandPrefix(settings)) });
+    }
+    const targetId = report.target_id;
+    if (status !== REPORT_STATUS.DISMISSED && permissions.isStaff(settings, targetId)) return t('report.targetIsStaff');
+    if (!await db.resolveReport(groupId, reportId, status, actorId)) return t('report.alreadyHandled');
+
+    const [name, group] = await Promise.all([getMemberName(groupId, targetId, t), getGroupName(groupId, t)]);
+    if (status === REPORT_STATUS.DISMISSED) {
+        await logAction(groupId, MOD_ACTIONS.REPORT_DISMISSED, { actorId, targetId, reason: t('report.logDismissed', { id: reportId }) });
+        return t('report.dismissed', { name });
+    }
+
+    await db.resolveReportsAgainst(groupId, targetId, status, actorId);
+    if (status === REPORT_STATUS.BLACKLISTED) {
+        const reason = t('report.logBlacklisted', { id: reportId });
+        await db.addUserToBlacklist(groupId, targetId, { addedBy: actorId, reason });
+        await logAction(groupId, MOD_ACTIONS.BLACKLIST_USER, { actorId, targetId, reason, messageText: report.message_text });
+        await kickUser(groupId, targetId, t('kick.blacklistedNow'));
+        return t('report.blacklisted', { name, group });
+    }
+    await kickUser(groupId, targetId, t('kick.reported', { id: reportId }), { action: MOD_ACTIONS.REPORT_KICK, actorId, messageText: report.message_text });
+    return t('report.kicked', { name, group });
+}
+
+async function handleMemberLeft(groupId, members) {
+    for (const member of members) {
+        await db.recordMemberLeave(groupId, member.userId);
+        // Nobody left to kick, so drop any verification still waiting for this member.
+        if (await db.deletePendingVerification(groupId, member.userId)) {
+            scheduler.cancel(verificationJobKey(groupId, member.userId));
+        }
+    }
+    return null;
+}
+
+// Private admin console: staff DM the bot, pick a group with !use, then run commands against it.
+// Commands there always start with '!', whatever prefix the selected group uses.
+const USER_ID_PATTERN = /\bU[0-9a-f]{32}\b/g;
+const GROUP_ID_PATTERN = /^C[0-9a-f]{32}$/;
+
+/**
+ * Parses a command sent in a private chat. Mentions don't exist there, so commands take user IDs instead.
+ * @returns {object | null} The command, see commands.parseCommand().
+ */
+function parseConsoleCommand(text) {
+    return commands.parseCommand(text, { mention: parseUserIdMentions(text) });
+}
 
-            const promptMessage = `Welcome! This group requires a password. Please reply with the password within ${timeoutMinutes} minute(s) to stay in the group.`;
-            await client.pushMessage(member.userId, { type: 'text', text: promptMessage });
+function isConsoleCommand(message) {
+    if (message.type !== 'text') return false;
+    const parsed = parseConsoleCommand(message.text);
+    return Boolean(parsed && parsed.definition);
+}
+
+async function handleAdminConsole(userId, message) {
+    const parsed = parseConsoleCommand(message.text);
+    const t = await getConsoleTranslator(userId);
+
+    try {
+        if (parsed.command === '!groups') return await handleListGroups(userId, t);
+        if (parsed.command === '!use') return await handleUseGroup(userId, parsed.args, t);
+
+        const session = await db.getAdminSession(userId);
+        if (!session) {
+            return pushMessage(userId, { type: 'text', text: t('console.selectGroupFirst') });
+        }
+        const settings = await db.getGroupSettings(session.group_id);
+        if (!permissions.isStaff(settings, userId)) {
+            await db.clearAdminSession(userId);
+            return pushMessage(userId, { type: 'text', text: t('console.noLongerStaff') });
         }
+
+        return await runCommand(session.group_id, userId, parsed);
+    } catch (err) {
+        console.error("Error in handleAdminConsole:", err);
+        return pushMessage(userId, { type: 'text', text: t('console.error') });
+    }
+}
+
+// The console speaks the language of the selected group, or the default language before one is selected.
+async function getConsoleTranslator(userId) {
+    const session = await db.getAdminSession(userId).catch(() => null);
+    return session ? getTranslator(session.group_id) : i18n.translator(DEFAULT_LANGUAGE);
+}
+
+/**
+ * Runs a command sent in a private chat by a button.
+ */
+function runCommandText(groupId, userId, text) {
+    const parsed = parseConsoleCommand(text);
+    if (!parsed) return null;
+    return runCommand(groupId, userId, parsed);
+}
+
+/**
+ * Turns the user IDs in a console command into mention objects, so handlers written for
+ * group mentions (including stripMentions) work unchanged.
+ * @returns {{mentionees: {index: number, length: number, userId: string}[]} | undefined} The mentions, if any.
+ */
+function parseUserIdMentions(text) {
+    const mentionees = [...text.matchAll(USER_ID_PATTERN)].map(match => ({ index: match.index, length: match[0].length, userId: match[0] }));
+    return mentionees.length > 0 ? { mentionees } : undefined;
+}
+
+async function handleListGroups(userId, t) {
+    const groups = await db.getStaffGroups(userId);
+    if (groups.length === 0) return pushMessage(userId, { type: 'text', text: t('console.noGroups') });
+
+    const session = await db.getAdminSession(userId);
+    const names = await Promise.all(groups.map(group => getGroupName(group.group_id, t)));
+    const lines = groups.map((group, i) => {
+        const selected = session && session.group_id === group.group_id ? t('console.selectedMark') : '';
+        const role = t(`roleNames.${permissions.getRole(group, userId)}`);
+        return `${t('console.groupLine', { number: i + 1, group: names[i], role })}${selected}`;
+    });
+    return pushMessage(userId, { type: 'text', text: t('console.groups', { groups: lines.join('\n') }) });
+}
+
+async function handleUseGroup(userId, args, t) {
+    const groups = await db.getStaffGroups(userId);
+    if (args.length === 0) {
+        const session = await db.getAdminSession(userId);
+        const current = session && groups.find(group => group.group_id === session.group_id);
+        const selected = current ? t('console.selectedGroup', { group: await getGroupName(current.group_id, t) }) : t('console.noGroupSelected');
+        return pushMessage(userId, { type: 'text', text: `${selected}\n${t('common.usage', { usage: commands.formatUsage(commands.findCommand('!use')) })}` });
     }
+
+    const group = findGroupChoice(groups, args[0]);
+    if (!group) return pushMessage(userId, { type: 'text', text: t('console.notYourGroup') });
+
+    await db.setAdminSession(userId, group.group_id);
+    // From here on, the console speaks the selected group's language.
+    const groupT = await getTranslator(group.group_id);
+    const groupName = await getGroupName(group.group_id, groupT);
+    return pushMessage(userId, { type: 'text', text: groupT('console.groupSelected', { group: groupName }) });
+}
+
+// Finds a group from a number shown by !groups or a group ID.
+function findGroupChoice(groups, choice) {
+    return GROUP_ID_PATTERN.test(choice) ? groups.find(g => g.group_id === choice) : groups[parseInt(choice, 10) - 1];
 }
 
 // =================================================================
 // 6. COMMAND-SPECIFIC LOGIC (WITH ERROR HANDLING)
 // =================================================================
 
-async function handleSetAdmin(groupId, senderId, replyToken, mention) {
+async function handleClaimOwnership(groupId, userId, replyToken, args, text) {
+    const t = await getTranslator(groupId);
     try {
         const settings = await db.getGroupSettings(groupId);
-        // Case 1: No admins exist. The first user becomes admin. Reply publicly.
-        if (settings.admins.length === 0) {
-            await db.addAdmin(groupId, senderId);
-            return client.replyMessage(replyToken, { type: 'text', text: 'You are now the first admin.' });
+        if (settings.owner_id) {
+            return pushMessage(userId, { type: 'text', text: t('claim.alreadyOwned') });
         }
 
-        // Case 2: An admin is adding another admin. Reply privately.
-        if (await db.isAdmin(groupId, senderId)) {
-            const mentionedUser = mention ? mention.mentionees[0] : null;
-            if (!mentionedUser) return client.pushMessage(senderId, { type: 'text', text: 'Usage: !setadmin @username' });
-            if (await db.isAdmin(groupId, mentionedUser.userId)) return client.pushMessage(senderId, { type: 'text', text: 'This user is already an admin.' });
-            
-            await db.addAdmin(groupId, mentionedUser.userId);
-            return client.pushMessage(senderId, { type: 'text', text: 'New admin added successfully.' });
+        const code = (args[0] || '').toUpperCase();
+        const isBotOwner = BOT_OWNER_IDS.includes(userId);
+        if (!isBotOwner && !(code && await verifyPassword(code, settings.owner_claim_code))) {
+            // Groups that had the bot before claim codes existed don't have one yet.
+            if (!settings.owner_claim_code) await issueClaimCode(groupId);
+            const reply = code ? t('claim.invalidCode') : t('claim.usage');
+            return client.replyMessage(replyToken, { type: 'text', text: reply });
         }
-        return null; // Non-admin trying to use the command when admins exist.
+
+        await db.setOwner(groupId, userId);
+        await logAction(groupId, MOD_ACTIONS.CLAIM_OWNERSHIP, { actorId: userId, targetId: userId, messageText: code ? text.replace(args[0], '[code]') : text });
+        return client.replyMessage(replyToken, { type: 'text', text: t('claim.claimed', { help: commands.formatName('!help', getCommandPrefix(settings)) }) });
     } catch (err) {
-        console.error("Error in handleSetAdmin:", err);
-        // Attempt to notify the admin privately of the error.
-        if (replyToken) return client.replyMessage(replyToken, { type: 'text', text: 'An error occurred while setting an admin.' });
-        return null;
+        console.error("Error in handleClaimOwnership:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.claim') });
     }
 }
 
-async function handleAddBlacklistWords(groupId, userId, args) {
+async function handleSetAdmin(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        if (args.length === 0) return client.pushMessage(userId, { type: 'text', text: 'Usage: !addblacklist [word]...' });
-        await db.addBlacklistWords(groupId, args);
-        return client.pushMessage(userId, { type: 'text', text: `Added ${args.length} word(s) to blacklist.` });
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!setadmin'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        const role = permissions.getRole(settings, mentionedUser.userId);
+        if (role === permissions.ROLES.OWNER) return pushMessage(senderId, { type: 'text', text: t('roles.alreadyOwner') });
+        if (role === permissions.ROLES.ADMIN) return pushMessage(senderId, { type: 'text', text: t('roles.alreadyAdmin') });
+
+        await db.addAdmin(groupId, mentionedUser.userId, senderId);
+        await logAction(groupId, MOD_ACTIONS.SET_ADMIN, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        return pushMessage(senderId, { type: 'text', text: t('roles.adminAdded') });
     } catch (err) {
-        console.error("Error in handleAddBlacklistWords:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while adding to the blacklist.' });
+        console.error("Error in handleSetAdmin:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.setAdmin') });
     }
 }
 
-async function handleRemoveBlacklistWords(groupId, userId, args) {
+async function handleRemoveAdmin(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        if (args.length === 0) return client.pushMessage(userId, { type: 'text', text: 'Usage: !removeblacklist [word]...' });
-        await db.removeBlacklistWords(groupId, args);
-        return client.pushMessage(userId, { type: 'text', text: `Removed ${args.length} word(s) from blacklist.` });
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!removeadmin'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        if (!settings.admins.includes(mentionedUser.userId)) return pushMessage(senderId, { type: 'text', text: t('roles.notAdmin') });
+
+        await db.removeAdmin(groupId, mentionedUser.userId);
+        await logAction(groupId, MOD_ACTIONS.REMOVE_ADMIN, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        return pushMessage(senderId, { type: 'text', text: t('roles.adminRemoved') });
     } catch (err) {
-        console.error("Error in handleRemoveBlacklistWords:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while removing from the blacklist.' });
+        console.error("Error in handleRemoveAdmin:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.removeAdmin') });
     }
 }
 
-async function handleSetPassword(groupId, userId, args) {
+async function handleDemoteAdmin(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        if (args.length === 0) return client.pushMessage(userId, { type: 'text', text: 'Usage: !setpassword [new_password|off]' });
-        const newPassword = args[0];
-        if (newPassword.toLowerCase() === 'off') {
-            await db.setPassword(groupId, null);
-            return client.pushMessage(userId, { type: 'text', text: 'Password protection has been disabled.' });
-        }
-        await db.setPassword(groupId, newPassword);
-        return client.pushMessage(userId, { type: 'text', text: `The group password has been set to: ${newPassword}` });
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!demote'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        if (!settings.admins.includes(mentionedUser.userId)) return pushMessage(senderId, { type: 'text', text: t('roles.notAdmin') });
+
+        await db.addModerator(groupId, mentionedUser.userId, senderId);
+        await logAction(groupId, MOD_ACTIONS.DEMOTE_ADMIN, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        return pushMessage(senderId, { type: 'text', text: t('roles.adminDemoted') });
     } catch (err) {
-        console.error("Error in handleSetPassword:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while setting the password.' });
+        console.error("Error in handleDemoteAdmin:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.demoteAdmin') });
     }
 }
 
-async function handleSetPasswordTimeout(groupId, userId, args) {
+async function handleSetModerator(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        if (args.length === 0) return client.pushMessage(userId, { type: 'text', text: 'Usage: !setpasswordtimeout [minutes]' });
-        const minutes = parseInt(args[0], 10);
-        if (isNaN(minutes) || minutes <= 0) return client.pushMessage(userId, { type: 'text', text: 'Please provide a valid number of minutes.' });
-        await db.setPasswordTimeout(groupId, minutes);
-        return client.pushMessage(userId, { type: 'text', text: `Password timeout has been set to ${minutes} minute(s).` });
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!setmod'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        if (permissions.isStaff(settings, mentionedUser.userId)) {
+            const isModerator = permissions.getRole(settings, mentionedUser.userId) === permissions.ROLES.MODERATOR;
+            return pushMessage(senderId, { type: 'text', text: t(isModerator ? 'roles.alreadyModerator' : 'roles.alreadyAboveModerator') });
+        }
+
+        await db.addModerator(groupId, mentionedUser.userId, senderId);
+        await logAction(groupId, MOD_ACTIONS.SET_MODERATOR, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        return pushMessage(senderId, { type: 'text', text: t('roles.moderatorAdded') });
     } catch (err) {
-        console.error("Error in handleSetPasswordTimeout:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while setting the timeout.' });
+        console.error("Error in handleSetModerator:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.setModerator') });
     }
 }
 
-function handleHelpCommand(userId) {
-    const helpText = `--- Admin Commands ---
-!help
-!status
-!setpassword [pass|off]
-!setpasswordtimeout [mins]
-!showblacklistwords
-!showblacklistusers
-!setadmin @user
-!addblacklist [word]...
-!removeblacklist [word]...
-!blacklistuser @user
-!unblacklistuser @user`;
-    return client.pushMessage(userId, { type: 'text', text: helpText });
-}
-
-async function handleBlacklistUser(groupId, userId, mention) {
+async function handleRemoveModerator(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
         const mentionedUser = mention ? mention.mentionees[0] : null;
-        if (!mentionedUser) return client.pushMessage(userId, { type: 'text', text: 'Usage: !blacklistuser @username' });
-        if (await db.isAdmin(groupId, mentionedUser.userId)) return client.pushMessage(userId, { type: 'text', text: 'You cannot blacklist an admin.' });
-        
-        await db.addUserToBlacklist(groupId, mentionedUser.userId);
-        const profile = await client.getGroupMemberProfile(groupId, mentionedUser.userId);
-        await kickUser(groupId, mentionedUser.userId, 'User has been blacklisted.');
-        return client.pushMessage(userId, { type: 'text', text: `${profile.displayName} has been blacklisted and removed.` });
-    } catch (e) {
-        console.error("Error in handleBlacklistUser:", e);
-        return client.pushMessage(userId, { type: 'text', text: `User ID added to blacklist, but could not be removed from group (may have already left).` });
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!removemod'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        if (!settings.moderators.includes(mentionedUser.userId)) return pushMessage(senderId, { type: 'text', text: t('roles.notModerator') });
+
+        await db.removeModerator(groupId, mentionedUser.userId);
+        await logAction(groupId, MOD_ACTIONS.REMOVE_MODERATOR, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        return pushMessage(senderId, { type: 'text', text: t('roles.moderatorRemoved') });
+    } catch (err) {
+        console.error("Error in handleRemoveModerator:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.removeModerator') });
     }
 }
 
-async function handleUnblacklistUser(groupId, userId, mention) {
+async function handleTransferOwnership(groupId, senderId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
         const mentionedUser = mention ? mention.mentionees[0] : null;
-        if (!mentionedUser) return client.pushMessage(userId, { type: 'text', text: 'Usage: !unblacklistuser @username' });
-        
-        await db.removeUserFromBlacklist(groupId, mentionedUser.userId);
-        const profile = await client.getProfile(mentionedUser.userId).catch(() => null);
-        return client.pushMessage(userId, { type: 'text', text: `${profile ? profile.displayName : 'The user'} has been unblacklisted.` });
+        if (!mentionedUser) return pushMessage(senderId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!transferowner'), prefix) }) });
+        if (mentionedUser.userId === senderId) return pushMessage(senderId, { type: 'text', text: t('roles.alreadyOwner') });
+
+        await db.setOwner(groupId, mentionedUser.userId);
+        await logAction(groupId, MOD_ACTIONS.TRANSFER_OWNERSHIP, { actorId: senderId, targetId: mentionedUser.userId, messageText: text });
+        const groupName = await getGroupName(groupId, t);
+        await pushMessage(mentionedUser.userId, { type: 'text', text: t('roles.nowOwner', { group: groupName }) })
+            .catch(err => console.error(`Failed to notify new owner ${mentionedUser.userId}:`, err));
+        return pushMessage(senderId, { type: 'text', text: t('roles.ownershipTransferred') });
     } catch (err) {
-        console.error("Error in handleUnblacklistUser:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while unblacklisting the user.' });
+        console.error("Error in handleTransferOwnership:", err);
+        return pushMessage(senderId, { type: 'text', text: t('errors.transferOwnership') });
     }
 }
 
-async function handleStatusCommand(groupId, userId) {
+async function handleModeratorCommands(groupId, userId, args, text) {
+    const t = await getTranslator(groupId);
     try {
-        const settings = await db.getGroupSettings(groupId);
-        const timeout = settings.password_timeout_minutes || DEFAULT_PASSWORD_TIMEOUT_MINUTES;
-        const passwordStatus = settings.password ? `Enabled (Timeout: ${timeout}m)` : 'Disabled';
+        if (args.length === 0) {
+            const settings = await db.getGroupSettings(groupId);
+            const allowed = permissions.getModeratorCommands(settings);
+            const delegable = Object.keys(permissions.COMMAND_ROLES).filter(permissions.isDelegable);
+            return pushMessage(userId, {
+                type: 'text',
+                text: t('modCommands.overview', {
+                    allowed: allowed.length > 0 ? allowed.join(', ') : t('common.none'),
+                    default: settings.moderator_commands ? '' : t('modCommands.defaultMark'),
+                    delegable: delegable.join(', '),
+                }),
+            });
+        }
 
-        let statusText = `--- Group Status Overview ---\n`;
-        statusText += `Password Protection: ${passwordStatus}\n`;
-        statusText += `Admins: ${settings.admins.length}\n`;
-        statusText += `Blacklisted Words: ${settings.blacklist_words.length}\n`;
-        statusText += `Blacklisted Users: ${settings.blacklist_users.length}`;
+        let allowed;
+        const option = args[0].toLowerCase();
+        if (args.length === 1 && option === 'default') {
+            allowed = null;
+        } else if (args.length === 1 && option === 'none') {
+            allowed = [];
+        } else {
+            const resolved = args.map(arg => commands.resolveCommand(arg));
+            const unknown = args.filter((arg, i) => !resolved[i]);
+            if (unknown.length > 0) return pushMessage(userId, { type: 'text', text: t('modCommands.unknown', { commands: unknown.join(', ') }) });
+            allowed = [...new Set(resolved.map(command => command.name))];
+            const invalid = allowed.filter(command => !permissions.isDelegable(command));
+            if (invalid.length > 0) return pushMessage(userId, { type: 'text', text: t('modCommands.notDelegable', { commands: invalid.join(', ') }) });
+        }
 
-        return client.pushMessage(userId, { type: 'text', text: statusText });
+        await db.setModeratorCommands(groupId, allowed);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, messageText: text });
+        const summary = allowed === null ? t('modCommands.defaultSet') : (allowed.length > 0 ? allowed.join(', ') : t('modCommands.noCommands'));
+        return pushMessage(userId, { type: 'text', text: t('modCommands.updated', { commands: summary }) });
     } catch (err) {
-        console.error(`Error in handleStatusCommand:`, err);
-        return client.pushMessage(userId, { type: 'text', text: 'Error fetching status.' });
+        console.error("Error in handleModeratorCommands:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.moderatorCommands') });
     }
 }
 
-async function handleShowBlacklistWords(groupId, userId) {
+async function handleStaffCommand(groupId, userId) {
+    const t = await getTranslator(groupId);
     try {
         const settings = await db.getGroupSettings(groupId);
-        let list = settings.blacklist_words.length > 0 ? settings.blacklist_words.join(', ') : 'None';
-        if (list.length > MAX_REPLY_LENGTH) list = list.substring(0, MAX_REPLY_LENGTH) + `...`;
-        return client.pushMessage(userId, { type: 'text', text: `--- Blacklisted Words (${settings.blacklist_words.length}) ---\n${list}` });
+        // IDs are listed so roles can be changed from the private admin console.
+        const getName = id => client.getProfile(id).then(p => t('staff.member', { name: p.displayName, id })).catch(() => t('common.unknownUser', { id }));
+        const owner = settings.owner_id ? await getName(settings.owner_id) : t('common.none');
+        const admins = await Promise.all(settings.admins.map(getName));
+        const moderators = await Promise.all(settings.moderators.map(getName));
+
+        let staffText = t('staff.list', {
+            owner,
+            adminCount: admins.length,
+            admins: admins.length > 0 ? admins.join(', ') : t('common.none'),
+            moderatorCount: moderators.length,
+            moderators: moderators.length > 0 ? moderators.join(', ') : t('common.none'),
+        });
+        if (staffText.length > MAX_REPLY_LENGTH) staffText = staffText.substring(0, MAX_REPLY_LENGTH) + `...`;
+        return pushMessage(userId, { type: 'text', text: staffText });
     } catch (err) {
-        console.error("Error in handleShowBlacklistWords:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while fetching the word blacklist.' });
+        console.error("Error in handleStaffCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.staff') });
     }
 }
 
-async function handleShowBlacklistUsers(groupId, userId) {
+async function handleAddBlacklistWords(groupId, userId, argText, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        const settings = await db.getGroupSettings(groupId);
-        let userListText = 'None';
-        if (settings.blacklist_users.length > 0) {
-            const profiles = await Promise.all(settings.blacklist_users.map(id => client.getProfile(id).catch(() => ({ displayName: `Unknown (ID: ${id})` }))));
-            userListText = profiles.map(p => p.displayName).join(', ');
-            if (userListText.length > MAX_REPLY_LENGTH) userListText = userListText.substring(0, MAX_REPLY_LENGTH) + `...`;
+        const { entries, errors } = blacklistMatcher.parseEntryArgs(argText);
+        if (entries.length === 0 && errors.length === 0) {
+            return pushMessage(userId, { type: 'text', text: `${t('common.usage', { usage: commands.formatUsage(commands.findCommand('!addblacklist'), prefix) })}\n${t('blacklist.entryUsage')}` });
+        }
+
+        let reply = '';
+        if (entries.length > 0) {
+            await db.addBlacklistWords(groupId, entries, userId);
+            const added = entries.map(blacklistMatcher.formatEntry).join(', ');
+            await logAction(groupId, MOD_ACTIONS.ADD_BLACKLIST_WORDS, { actorId: userId, reason: t('blacklist.logAdded', { entries: added }), messageText: text });
+            reply = t('blacklist.added', { count: entries.length, entries: added });
         }
-        return client.pushMessage(userId, { type: 'text', text: `--- Blacklisted Users (${settings.blacklist_users.length}) ---\n${userListText}` });
+        if (errors.length > 0) reply += `${reply ? '\n' : ''}${t('blacklist.skipped')}\n${describeEntryErrors(t, errors)}`;
+        return pushMessage(userId, { type: 'text', text: reply });
     } catch (err) {
-        console.error("Error in handleShowBlacklistUsers:", err);
-        return client.pushMessage(userId, { type: 'text', text: 'An error occurred while fetching the user blacklist.' });
+        console.error("Error in handleAddBlacklistWords:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.addBlacklist') });
     }
 }
 
-// =================================================================
-// 7. AUTOMATION & HELPER LOGIC
-// =================================================================
-
-async function handlePasswordAttempt(userId, message, replyToken) {
-    const verificationData = pendingVerifications[userId];
-    if (!verificationData) return;
-
-    const { groupId, timeoutId } = verificationData;
-    const settings = await db.getGroupSettings(groupId);
+async function handleRemoveBlacklistWords(groupId, userId, argText, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const { entries, typed } = blacklistMatcher.parseEntryArgs(argText);
+        if (typed.length === 0) {
+            return pushMessage(userId, { type: 'text', text: `${t('common.usage', { usage: commands.formatUsage(commands.findCommand('!removeblacklist'), prefix) })}\n${t('blacklist.entryUsage')}` });
+        }
 
-    clearTimeout(timeoutId);
-    delete pendingVerifications[userId];
+        // Match on the entry as typed and on the canonical form too, so entries stored before
+        // normalization, or before the current checks, can still be removed.
+        const settings = await db.getGroupSettings(groupId);
+        const toRemove = settings.blacklist_words.filter(stored => typed.includes(stored) || entries.includes(stored) || entries.includes(blacklistMatcher.canonicalizeEntry(stored)));
+        if (toRemove.length === 0) return pushMessage(userId, { type: 'text', text: t('blacklist.notListed') });
 
-    if (message.type === 'text' && message.text === settings.password) {
-        await client.replyMessage(replyToken, { type: 'text', text: 'Password accepted. Welcome!' });
-    } else {
-        await client.replyMessage(replyToken, { type: 'text', text: 'Incorrect password.' });
-        await kickUser(groupId, userId, 'Incorrect password provided.');
+        await db.removeBlacklistWords(groupId, toRemove);
+        const removed = toRemove.map(blacklistMatcher.formatEntry).join(', ');
+        await logAction(groupId, MOD_ACTIONS.REMOVE_BLACKLIST_WORDS, { actorId: userId, reason: t('blacklist.logRemoved', { entries: removed }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('blacklist.removed', { count: toRemove.length, entries: removed }) });
+    } catch (err) {
+        console.error("Error in handleRemoveBlacklistWords:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.removeBlacklist') });
     }
 }
 
-async function checkMessageForBlacklist(groupId, userId, text) {
-    if (await db.isAdmin(groupId, userId)) return null;
-    const settings = await db.getGroupSettings(groupId);
-    const foundWord = settings.blacklist_words.find(word => text.toLowerCase().includes(word));
-    if (foundWord) return kickUser(groupId, userId, `Used blacklisted word: '${foundWord}'`);
-    return null;
+async function handleSetPassword(groupId, userId, args, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        if (args.length === 0) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!setpassword'), prefix) }) });
+        const newPassword = args[0];
+        if (newPassword.toLowerCase() === 'off') {
+            await db.setPassword(groupId, null);
+            // The command text is never logged here, since it contains the password.
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('password.logDisabled') });
+            return pushMessage(userId, { type: 'text', text: t('password.disabled') });
+        }
+        await db.setPassword(groupId, await hashPassword(newPassword));
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('password.logChanged') });
+        const settings = await db.getGroupSettings(groupId);
+        const note = getVerificationMode(settings) !== VERIFICATION_MODES.PASSWORD ? ` ${t('password.notUsedNote')}` : '';
+        return pushMessage(userId, { type: 'text', text: `${t('password.updated')}${note}` });
+    } catch (err) {
+        console.error("Error in handleSetPassword:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setPassword') });
+    }
 }
 
-async function kickUser(groupId, userId, reason) {
+async function handleSetPasswordTimeout(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
     try {
-        console.log(`Kicking user ${userId}. Reason: ${reason}`);
-        await client.kickGroupMember(groupId, userId);
+        if (args.length === 0) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!setpasswordtimeout'), prefix) }) });
+        const minutes = parseInt(args[0], 10);
+        if (isNaN(minutes) || minutes <= 0) return pushMessage(userId, { type: 'text', text: t('password.invalidMinutes') });
+        await db.setPasswordTimeout(groupId, minutes);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('password.logTimeout', { minutes }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('password.timeoutSet', { minutes }) });
     } catch (err) {
-        console.error(`Failed to kick user ${userId}:`, err.originalError ? err.originalError.response.data : err);
+        console.error("Error in handleSetPasswordTimeout:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setTimeout') });
     }
 }
 
+async function handleSetPasswordAttempts(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        if (args.length === 0) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!setpasswordattempts'), prefix) }) });
+        const attempts = parseInt(args[0], 10);
+        // Without a second argument, only the attempts change.
+        const cooldownSeconds = args.length > 1 ? parseInt(args[1], 10) : getPasswordAttemptPolicy(await db.getGroupSettings(groupId)).cooldownSeconds;
+        if (isNaN(attempts) || attempts <= 0) return pushMessage(userId, { type: 'text', text: t('password.invalidAttempts') });
+        if (isNaN(cooldownSeconds) || cooldownSeconds < 0) return pushMessage(userId, { type: 'text', text: t('password.invalidCooldown') });
+        await db.setPasswordAttemptPolicy(groupId, attempts, cooldownSeconds);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('password.logAttempts', { attempts, cooldown: cooldownSeconds }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('password.attemptsSet', { attempts, cooldown: cooldownSeconds }) });
+    } catch (err) {
+        console.error("Error in handleSetPasswordAttempts:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setAttempts') });
+    }
+}
+
+async function handleVerificationMode(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const usage = t('common.usage', { usage: commands.formatUsage(commands.findCommand('!verification'), prefix) });
+        const mode = (args[0] || '').toLowerCase();
+        if (!mode) return pushMessage(userId, { type: 'text', text: `${t('verification.current', { description: describeVerification(t, settings) })}\n\n${usage}` });
+        if (!Object.values(VERIFICATION_MODES).includes(mode)) return pushMessage(userId, { type: 'text', text: usage });
+
+        let approvalMinutes = null;
+        if (mode === VERIFICATION_MODES.APPROVAL && args.length > 1) {
+            approvalMinutes = parseInt(args[1], 10);
+            if (isNaN(approvalMinutes) || approvalMinutes <= 0 || approvalMinutes > MAX_APPROVAL_TIMEOUT_MINUTES) {
+                return pushMessage(userId, { type: 'text', text: t('verification.invalidMinutes', { max: MAX_APPROVAL_TIMEOUT_MINUTES }) });
+            }
+        }
+
+        await db.setVerificationMode(groupId, mode, approvalMinutes);
+        const updated = await db.getGroupSettings(groupId);
+        const description = describeVerification(t, updated);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('verification.logModeSet', { description }), messageText: text });
+        const lines = [t('verification.modeSet', { description })];
+        if (mode === VERIFICATION_MODES.PASSWORD && !updated.password) lines.push(t('verification.noPasswordNote'));
+        lines.push(t('verification.existingMembersNote'));
+        return pushMessage(userId, { type: 'text', text: lines.join('\n') });
+    } catch (err) {
+        console.error("Error in handleVerificationMode:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.verificationMode') });
+    }
+}
+
+function describeVerification(t, settings) {
+    const timeout = settings.password_timeout_minutes || DEFAULT_PASSWORD_TIMEOUT_MINUTES;
+    const { maxAttempts, cooldownSeconds } = getPasswordAttemptPolicy(settings);
+    switch (settings.verification_mode) {
+        case VERIFICATION_MODES.OFF:
+            return t('verification.modeOff');
+        case VERIFICATION_MODES.CAPTCHA:
+            return t('verification.modeCaptcha', { timeout, attempts: maxAttempts });
+        case VERIFICATION_MODES.APPROVAL:
+            return t('verification.modeApproval', { timeout: settings.approval_timeout_minutes || DEFAULT_APPROVAL_TIMEOUT_MINUTES });
+        default:
+            return settings.password
+                ? t('verification.modePassword', { timeout, attempts: maxAttempts, cooldown: cooldownSeconds })
+                : t('verification.modePasswordUnset');
+    }
+}
+
+// !approve and !reject, for members waiting for approval. The same as the buttons in the approval request.
+async function handleApprovalCommand(groupId, userId, command, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand(command), prefix) }) });
+        const result = await resolveApproval(groupId, mentionedUser.userId, userId, command === '!approve', text);
+        return pushMessage(userId, { type: 'text', text: result });
+    } catch (err) {
+        console.error("Error in handleApprovalCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.approval') });
+    }
+}
+
+// Shows the rules. In the group they are shown to everyone; from the private console, only to the sender.
+async function handleRulesCommand(groupId, userId, replyToken) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        let message;
+        if (!settings.rules) {
+            message = { type: 'text', text: t('rules.notSet') };
+        } else {
+            const mustAccept = requiresRulesAcceptance(settings) && await db.isRulesAcceptancePending(groupId, userId);
+            message = await buildRulesMessage(groupId, settings, mustAccept);
+        }
+        return replyToken ? client.replyMessage(replyToken, message) : pushMessage(userId, message);
+    } catch (err) {
+        console.error("Error in handleRulesCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.rules') });
+    }
+}
+
+async function handleSetRules(groupId, userId, argText, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (!argText) {
+            const usage = commands.formatUsage(commands.findCommand('!setrules'), prefix);
+            const current = settings.rules ? t('rules.current', { rules: settings.rules }) : t('rules.notSet');
+            return pushMessage(userId, { type: 'text', text: `${current}\n\n${t('common.usage', { usage })}` });
+        }
+
+        if (argText.toLowerCase() === 'off') {
+            await db.setRules(groupId, null);
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('rules.logCleared'), messageText: text });
+            const note = settings.rules_ack_action ? ` ${t('rules.ackSuspended')}` : '';
+            return pushMessage(userId, { type: 'text', text: `${t('rules.cleared')}${note}` });
+        }
+
+        if (argText.length > MAX_RULES_LENGTH) {
+            return pushMessage(userId, { type: 'text', text: t('rules.tooLong', { max: MAX_RULES_LENGTH }) });
+        }
+        await db.setRules(groupId, argText);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('rules.logSet'), messageText: text });
+        // Members use the group's prefix, whatever the admin typed.
+        return pushMessage(userId, { type: 'text', text: t('rules.updated', { command: commands.formatName('!rules', getCommandPrefix(settings)) }) });
+    } catch (err) {
+        console.error("Error in handleSetRules:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setRules') });
+    }
+}
+
+function describeRulesAck(t, action) {
+    return t({ warn: 'rules.ackWarn', kick: 'rules.ackKick' }[action] || 'rules.ackOff');
+}
+
+async function handleRulesAck(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length === 0) {
+            const usage = commands.formatUsage(commands.findCommand('!rulesack'), prefix);
+            const current = describeRulesAck(t, settings.rules_ack_action);
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage })}` });
+        }
+
+        const action = args[0].toLowerCase() === 'off' ? null : args[0].toLowerCase();
+        if (action && !settings.rules) {
+            return pushMessage(userId, { type: 'text', text: t('rules.ackNoRules', { command: commands.formatName('!setrules', prefix) }) });
+        }
+        await db.setRulesAckAction(groupId, action);
+        const description = describeRulesAck(t, action);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('rules.ackLogSet', { description }), messageText: text });
+        const note = action ? ` ${t('rules.ackNewMembersNote')}` : '';
+        return pushMessage(userId, { type: 'text', text: `${description}${note}` });
+    } catch (err) {
+        console.error("Error in handleRulesAck:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.rulesAck') });
+    }
+}
+
+async function handleSetWelcome(groupId, userId, args, argText, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const kind = (args[0] || '').toLowerCase();
+        // The template is the rest of the message as typed, so line breaks are kept.
+        const template = argText.replace(/^\S+\s*/, '');
+        const placeholders = welcome.PLACEHOLDERS.map(name => `{${name}}`).join(' ');
+        if ((kind !== 'group' && kind !== 'private') || !template) {
+            const usage = commands.formatUsage(commands.findCommand('!setwelcome'), prefix);
+            const show = current => current || t('welcome.notSet');
+            const current = t('welcome.current', { group: show(settings.welcome_message), private: show(settings.welcome_private_message) });
+            return pushMessage(userId, { type: 'text', text: `${current}\n\n${t('common.usage', { usage })}\n${t('welcome.placeholders', { placeholders })}` });
+        }
+
+        const kindName = t(`welcome.kinds.${kind}`);
+        if (template.toLowerCase() === 'off') {
+            await db.setWelcomeMessage(groupId, kind, null);
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('welcome.logCleared', { kind: kindName }), messageText: text });
+            return pushMessage(userId, { type: 'text', text: t('welcome.cleared', { kind: kindName }) });
+        }
+
+        if (template.length > welcome.MAX_TEMPLATE_LENGTH) {
+            return pushMessage(userId, { type: 'text', text: t('welcome.tooLong', { max: welcome.MAX_TEMPLATE_LENGTH }) });
+        }
+        const unknown = welcome.findUnknownPlaceholders(template);
+        if (unknown.length > 0) {
+            return pushMessage(userId, { type: 'text', text: t('welcome.unknownPlaceholders', { placeholders: unknown.join(' '), allowed: placeholders }) });
+        }
+
+        await db.setWelcomeMessage(groupId, kind, template);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('welcome.logSet', { kind: kindName }), messageText: text });
+        const values = await getWelcomeValues(groupId, [userId], t);
+        const preview = welcome.fillTemplate(template, { ...values, name: values.names[0] });
+        return pushMessage(userId, { type: 'text', text: t('welcome.updated', { kind: kindName, preview }) });
+    } catch (err) {
+        console.error("Error in handleSetWelcome:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setWelcome') });
+    }
+}
+
+function describeWelcome(t, settings) {
+    const kinds = [settings.welcome_message && t('welcome.kinds.group'), settings.welcome_private_message && t('welcome.kinds.private')].filter(Boolean);
+    return kinds.length > 0 ? kinds.join(', ') : t('common.off');
+}
+
+function describeRules(t, settings) {
+    if (!settings.rules) return t('common.none');
+    if (!requiresRulesAcceptance(settings)) return t('status.rulesSet');
+    return t(settings.rules_ack_action === 'kick' ? 'status.rulesKick' : 'status.rulesWarn');
+}
+
+/**
+ * Manages the group's scheduled announcements: '!schedule at <time> <message>' and
+ * '!schedule every "<cron>" <message>' create them, list (the default), pause, resume and delete manage them.
+ * Times are read in the group's timezone.
+ */
+async function handleScheduleCommand(groupId, userId, args, argText, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const timeZone = getTimeZone(settings);
+        const action = (args[0] || 'list').toLowerCase();
+        const usage = commands.formatUsage(commands.findCommand('!schedule'), prefix);
+
+        switch (action) {
+            case 'list': {
+                const announcements = await db.getGroupAnnouncements(groupId);
+                const lines = announcements.map((announcement) => {
+                    const message = announcement.message.replace(/\s+/g, ' ');
+                    return t('schedule.line', {
+                        id: announcement.id,
+                        time: cron.formatLocal(new Date(announcement.next_run_at), timeZone),
+                        repeat: announcement.cron_expression ? t('schedule.repeats', { cron: announcement.cron_expression }) : t('schedule.once'),
+                        paused: announcement.paused ? ` ${t('schedule.pausedTag')}` : '',
+                        message: message.length > 60 ? `${message.substring(0, 57)}...` : message,
+                    });
+                });
+                const listText = lines.length > 0 ? lines.join('\n') : t('schedule.none');
+                const quotaText = await describeQuota(t);
+                let reply = `${t('schedule.title', { timezone: timeZone })}\n${listText}\n\n${quotaText}\n${t('common.usage', { usage })}`;
+                if (reply.length > MAX_REPLY_LENGTH) reply = reply.substring(0, MAX_REPLY_LENGTH) + `...`;
+                return pushMessage(userId, { type: 'text', text: reply });
+            }
+            case 'at':
+            case 'every': {
+                const existing = await db.getGroupAnnouncements(groupId);
+                if (existing.length >= MAX_ANNOUNCEMENTS_PER_GROUP) {
+                    return pushMessage(userId, { type: 'text', text: t('schedule.tooMany', { max: MAX_ANNOUNCEMENTS_PER_GROUP }) });
+                }
+
+                const now = new Date();
+                let nextRunAt;
+                let cronExpression = null;
+                let argCount = 2; // The action and the time, before the message
+                if (action === 'at') {
+                    // The date is optional, and can be written before the time or quoted with it.
+                    const parts = (args[1] || '').split(/\s+/);
+                    if (parts.length === 1 && /^\d{4}-/.test(parts[0]) && args[2]) {
+                        parts.push(args[2]);
+                        argCount = 3;
+                    }
+                    const [dateText, timeText] = parts.length === 2 ? parts : ['', parts[0]];
+                    nextRunAt = cron.parseDateTime(dateText, timeText, timeZone, now);
+                    if (!nextRunAt) return pushMessage(userId, { type: 'text', text: t('schedule.invalidTime', { time: parts.join(' '), usage }) });
+                    if (nextRunAt <= now) return pushMessage(userId, { type: 'text', text: t('schedule.inPast', { time: cron.formatLocal(nextRunAt, timeZone), timezone: timeZone }) });
+                } else {
+                    const schedule = cron.parse(args[1] || '');
+                    if (!schedule) return pushMessage(userId, { type: 'text', text: t('schedule.invalidCron', { cron: args[1] || '' }) });
+                    nextRunAt = cron.nextRun(schedule, now, timeZone);
+                    if (!nextRunAt) return pushMessage(userId, { type: 'text', text: t('schedule.neverRuns', { cron: args[1] }) });
+                    if (shortestCronInterval(schedule, nextRunAt, timeZone) < MIN_ANNOUNCEMENT_INTERVAL_MINUTES * 60 * 1000) {
+                        return pushMessage(userId, { type: 'text', text: t('schedule.tooFrequent', { minutes: MIN_ANNOUNCEMENT_INTERVAL_MINUTES }) });
+                    }
+                    cronExpression = args[1].trim().toLowerCase().split(/\s+/).join(' ');
+                }
+
+                const message = commands.textAfterArgs(argText, argCount);
+                if (!message) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage }) });
+                if (message.length > MAX_ANNOUNCEMENT_LENGTH) {
+                    return pushMessage(userId, { type: 'text', text: t('schedule.tooLong', { max: MAX_ANNOUNCEMENT_LENGTH }) });
+                }
+
+                const announcement = await db.createAnnouncement(groupId, { message, cronExpression, nextRunAt, createdBy: userId });
+                scheduleAnnouncement(announcement);
+                await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('schedule.logCreated', { id: announcement.id }), messageText: text });
+                const time = cron.formatLocal(nextRunAt, timeZone);
+                const reply = cronExpression
+                    ? t('schedule.createdRecurring', { id: announcement.id, cron: cronExpression, time, timezone: timeZone })
+                    : t('schedule.created', { id: announcement.id, time, timezone: timeZone });
+                return pushMessage(userId, { type: 'text', text: reply });
+            }
+            case 'pause':
+            case 'resume':
+            case 'delete': {
+                const id = /^#?\d{1,9}$/.test(args[1] || '') ? parseInt(args[1].replace('#', ''), 10) : null;
+                const announcement = id ? await db.getAnnouncement(id, groupId) : null;
+                if (!announcement) return pushMessage(userId, { type: 'text', text: t('schedule.notFound', { id: args[1] || '' }) });
+
+                if (action === 'delete') {
+                    await db.deleteAnnouncement(groupId, id);
+                    scheduler.cancel(announcementJobKey(id));
+                    await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('schedule.logDeleted', { id }), messageText: text });
+                    return pushMessage(userId, { type: 'text', text: t('schedule.deleted', { id }) });
+                }
+                if (action === 'pause') {
+                    await db.setAnnouncementPaused(groupId, id, true);
+                    scheduler.cancel(announcementJobKey(id));
+                    await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('schedule.logPaused', { id }), messageText: text });
+                    return pushMessage(userId, { type: 'text', text: t('schedule.paused', { id }) });
+                }
+
+                // A recurring announcement picks up at its next run; a one-off one only if its time hasn't passed.
+                const nextRunAt = announcement.cron_expression
+                    ? cron.nextRun(cron.parse(announcement.cron_expression), new Date(), timeZone)
+                    : new Date(announcement.next_run_at);
+                if (!nextRunAt || nextRunAt <= new Date()) {
+                    return pushMessage(userId, { type: 'text', text: t('schedule.resumePast', { id }) });
+                }
+                const resumed = await db.setAnnouncementPaused(groupId, id, false, nextRunAt);
+                scheduleAnnouncement(resumed);
+                await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('schedule.logResumed', { id }), messageText: text });
+                return pushMessage(userId, { type: 'text', text: t('schedule.resumed', { id, time: cron.formatLocal(nextRunAt, timeZone), timezone: timeZone }) });
+            }
+            default:
+                return pushMessage(userId, { type: 'text', text: t('common.usage', { usage }) });
+        }
+    } catch (err) {
+        console.error("Error in handleScheduleCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.schedule') });
+    }
+}
+
+// The shortest time between the first few runs of a cron schedule, in milliseconds.
+function shortestCronInterval(schedule, firstRun, timeZone) {
+    let shortest = Infinity;
+    let previous = firstRun;
+    for (let i = 0; i < 10; i++) {
+        const next = cron.nextRun(schedule, previous, timeZone);
+        if (!next) break;
+        shortest = Math.min(shortest, next - previous);
+        previous = next;
+    }
+    return shortest;
+}
+
+// This month's message quota usage, for the announcement list.
+async function describeQuota(t) {
+    const usage = await quota.getUsage();
+    if (!usage) return t('schedule.quotaUnknown');
+    if (usage.limit === Infinity) return t('schedule.quotaUnlimited', { used: usage.used });
+    return t('schedule.quota', { used: usage.used, limit: usage.limit, stop: 100 - ANNOUNCEMENT_QUOTA_RESERVE_PERCENT });
+}
+
+async function handleActivityCommand(groupId, userId, mention, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) {
+            return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!activity'), prefix) }) });
+        }
+
+        const settings = await db.getGroupSettings(groupId);
+        const timeZone = getTimeZone(settings);
+        await flushMemberActivity();
+        const [activity, name] = await Promise.all([
+            db.getMemberActivity(groupId, mentionedUser.userId),
+            getMemberName(groupId, mentionedUser.userId, t),
+        ]);
+        if (!activity) return pushMessage(userId, { type: 'text', text: t('activity.unknown', { name }) });
+
+        const time = value => cron.formatLocal(new Date(value), timeZone);
+        const lines = [
+            t('activity.title', { name, timezone: timeZone }),
+            activity.joined_at ? t('activity.joined', { time: time(activity.joined_at) }) : t('activity.joinedBefore', { time: time(activity.first_seen_at) }),
+            activity.last_message_at
+                ? t('activity.lastMessage', { time: time(activity.last_message_at), days: Math.floor((Date.now() - new Date(activity.last_message_at)) / DAY_MS) })
+                : t('activity.neverPosted'),
+            t('activity.messages', { count: activity.message_count }),
+        ];
+        if (activity.left_at) lines.push(t('activity.left', { time: time(activity.left_at) }));
+        if (activity.inactivity_warned_at && settings.prune_inactive_days) {
+            const removal = new Date(new Date(activity.inactivity_warned_at).getTime() + (settings.prune_grace_days || DEFAULT_PRUNE_GRACE_DAYS) * DAY_MS);
+            lines.push(t('activity.pruneWarned', { time: time(removal) }));
+        }
+        return pushMessage(userId, { type: 'text', text: lines.join('\n') });
+    } catch (err) {
+        console.error("Error in handleActivityCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.activity') });
+    }
+}
+
+async function handleInactiveCommand(groupId, userId, args) {
+    const t = await getTranslator(groupId);
+    try {
+        const days = args.length > 0 ? parseInt(args[0], 10) : DEFAULT_INACTIVE_DAYS;
+        if (!(days >= 1 && days <= MAX_INACTIVE_DAYS)) {
+            return pushMessage(userId, { type: 'text', text: t('inactive.invalidDays', { max: MAX_INACTIVE_DAYS }) });
+        }
+
+        const settings = await db.getGroupSettings(groupId);
+        const timeZone = getTimeZone(settings);
+        await syncGroupMembers(groupId);
+        await flushMemberActivity();
+        const members = await db.getInactiveMembers(groupId, new Date(Date.now() - days * DAY_MS), { excludeIds: getStaffIds(settings), limit: INACTIVE_LIST_LIMIT });
+        if (members.length === 0) return pushMessage(userId, { type: 'text', text: t('inactive.none', { days }) });
+
+        const lines = await Promise.all(members.map(async (member) => {
+            const name = await getMemberName(groupId, member.user_id, t);
+            const activity = member.last_message_at
+                ? t('inactive.lastMessage', { time: cron.formatLocal(new Date(member.last_message_at), timeZone) })
+                : t('inactive.neverPosted', { time: cron.formatLocal(new Date(member.last_active_at), timeZone) });
+            return member.inactivity_warned_at ? `${t('inactive.line', { name, activity })} ${t('inactive.warnedTag')}` : t('inactive.line', { name, activity });
+        }));
+        let reply = `${t('inactive.title', { count: members[0].total, days, timezone: timeZone })}\n${lines.join('\n')}`;
+        if (members[0].total > members.length) reply += `\n${t('inactive.more', { count: members[0].total - members.length })}`;
+        if (reply.length > MAX_REPLY_LENGTH) reply = reply.substring(0, MAX_REPLY_LENGTH) + `...`;
+        return pushMessage(userId, { type: 'text', text: reply });
+    } catch (err) {
+        console.error("Error in handleInactiveCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.inactive') });
+    }
+}
+
+async function handleAutoPrune(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length === 0) {
+            const usage = commands.formatUsage(commands.findCommand('!autoprune'), prefix);
+            const current = settings.prune_inactive_days
+                ? t('prune.current', { days: settings.prune_inactive_days, grace: settings.prune_grace_days || DEFAULT_PRUNE_GRACE_DAYS })
+                : t('prune.off');
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage })}` });
+        }
+
+        if (args[0].toLowerCase() === 'off') {
+            await db.setAutoPrune(groupId, null, null);
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('prune.logOff'), messageText: text });
+            return pushMessage(userId, { type: 'text', text: t('prune.turnedOff') });
+        }
+
+        const days = parseInt(args[0], 10);
+        const grace = args.length > 1 ? parseInt(args[1], 10) : DEFAULT_PRUNE_GRACE_DAYS;
+        if (!(days >= MIN_PRUNE_INACTIVE_DAYS && days <= MAX_INACTIVE_DAYS)) {
+            return pushMessage(userId, { type: 'text', text: t('prune.invalidDays', { min: MIN_PRUNE_INACTIVE_DAYS, max: MAX_INACTIVE_DAYS }) });
+        }
+        if (!(grace >= 1 && grace <= MAX_PRUNE_GRACE_DAYS)) {
+            return pushMessage(userId, { type: 'text', text: t('prune.invalidGrace', { max: MAX_PRUNE_GRACE_DAYS }) });
+        }
+        await db.setAutoPrune(groupId, days, grace);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('prune.logSet', { days, grace }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('prune.updated', { days, grace }) });
+    } catch (err) {
+        console.error("Error in handleAutoPrune:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.autoPrune') });
+    }
+}
+
+async function handleReportCommand(groupId, userId, mention, text, prefix, replyToken, quotedMessageId) {
+    const t = await getTranslator(groupId);
+    // Members run it in the group, so answer there for free; from the admin console, answer privately.
+    const answer = reply => (replyToken
+        ? client.replyMessage(replyToken, { type: 'text', text: reply })
+        : pushMessage(userId, { type: 'text', text: reply }));
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const usage = commands.formatUsage(commands.findCommand('!report'), prefix);
+        const quoted = quotedMessageId ? recentMessages.find(groupId, quotedMessageId) : null;
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        const targetId = mentionedUser ? mentionedUser.userId : (quoted ? quoted.userId : null);
+        if (!targetId) {
+            return answer(quotedMessageId ? t('report.quotedUnknown', { usage }) : t('common.usage', { usage }));
+        }
+        if (targetId === userId) return answer(t('report.self'));
+        if (permissions.isStaff(settings, targetId) || BOT_OWNER_IDS.includes(targetId)) return answer(t('report.staff'));
+
+        if (!permissions.isStaff(settings, userId)) {
+            const now = Date.now();
+            const stats = await db.getReporterStats(groupId, userId, new Date(now - 60 * 60 * 1000), new Date(now - REPORT_DISMISSAL_WINDOW_MS));
+            if (stats.dismissed >= REPORT_DISMISSALS_TO_BLOCK) return answer(t('report.blocked'));
+            if (stats.recent >= MAX_REPORTS_PER_HOUR) return answer(t('report.tooMany', { max: MAX_REPORTS_PER_HOUR }));
+        }
+
+        // The reported message is the one replied to, otherwise the member's last message.
+        const reportedMessage = quoted && quoted.userId === targetId ? quoted : recentMessages.findLatestFrom(groupId, targetId);
+        let reason = stripMentions(text, mention).split(/\s+/).slice(1).join(' ') || null;
+        if (reason && reason.length > MAX_REPORT_REASON_LENGTH) reason = reason.substring(0, MAX_REPORT_REASON_LENGTH);
+        const [name, reporter] = await Promise.all([getMemberName(groupId, targetId, t), getMemberName(groupId, userId, t)]);
+        const report = await db.createReport(groupId, {
+            reporterId: userId,
+            targetId,
+            reason,
+            messageText: reportedMessage ? reportedMessage.text : null,
+        });
+        if (!report) return answer(t('report.alreadyReported', { name }));
+        await logAction(groupId, MOD_ACTIONS.MEMBER_REPORT, { actorId: userId, targetId, reason, messageText: report.message_text });
+
+        const vote = await checkVoteKick(groupId, settings, targetId);
+        if (vote && vote.kicked) return answer(t('report.voteKicked', { name, votes: vote.votes }));
+        await sendReportToStaff(groupId, settings, report, { name, reporter });
+        const sent = t('report.sent', { name });
+        return answer(vote ? `${sent}\n${t('report.votes', { name, votes: vote.votes, needed: vote.needed })}` : sent);
+    } catch (err) {
+        console.error("Error in handleReportCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.report') });
+    }
+}
+
+async function handleReportsCommand(groupId, userId) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const timeZone = getTimeZone(settings);
+        const reports = await db.getOpenReports(groupId, OPEN_REPORTS_LIST_LIMIT);
+        if (reports.length === 0) return pushMessage(userId, { type: 'text', text: t('report.none') });
+
+        const lines = await Promise.all(reports.map(async (report) => {
+            const name = await getMemberName(groupId, report.target_id, t);
+            const line = t('report.line', { name, count: report.report_count, time: cron.formatLocal(new Date(report.last_reported_at), timeZone) });
+            return report.reason ? `${line}: ${report.reason}` : line;
+        }));
+        let reply = `${t('report.title', { count: reports.length, timezone: timeZone })}\n${lines.join('\n')}`;
+        if (reply.length > MAX_REPLY_LENGTH) reply = reply.substring(0, MAX_REPLY_LENGTH) + `...`;
+        return pushMessage(userId, { type: 'text', text: reply });
+    } catch (err) {
+        console.error("Error in handleReportsCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.reports') });
+    }
+}
+
+async function handleVoteKick(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length === 0) {
+            const usage = commands.formatUsage(commands.findCommand('!votekick'), prefix);
+            const current = settings.vote_kick_percent
+                ? t('voteKick.current', { percent: settings.vote_kick_percent, minutes: settings.vote_kick_window_minutes || DEFAULT_VOTE_KICK_WINDOW_MINUTES, min: MIN_VOTE_KICK_REPORTERS })
+                : t('voteKick.off');
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage })}` });
+        }
+
+        if (args[0].toLowerCase() === 'off') {
+            await db.setVoteKick(groupId, null, null);
+            await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('voteKick.logOff'), messageText: text });
+            return pushMessage(userId, { type: 'text', text: t('voteKick.turnedOff') });
+        }
+
+        const percent = parseInt(args[0], 10);
+        const minutes = args.length > 1 ? parseInt(args[1], 10) : DEFAULT_VOTE_KICK_WINDOW_MINUTES;
+        if (!(percent >= MIN_VOTE_KICK_PERCENT && percent <= 100)) {
+            return pushMessage(userId, { type: 'text', text: t('voteKick.invalidPercent', { min: MIN_VOTE_KICK_PERCENT }) });
+        }
+        if (!(minutes >= 1 && minutes <= MAX_VOTE_KICK_WINDOW_MINUTES)) {
+            return pushMessage(userId, { type: 'text', text: t('voteKick.invalidWindow', { max: MAX_VOTE_KICK_WINDOW_MINUTES }) });
+        }
+        await db.setVoteKick(groupId, percent, minutes);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('voteKick.logSet', { percent, minutes }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('voteKick.updated', { percent, minutes, min: MIN_VOTE_KICK_REPORTERS }) });
+    } catch (err) {
+        console.error("Error in handleVoteKick:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.voteKick') });
+    }
+}
+
+/**
+ * Explains one command: its usage, what it does, its aliases and who can use it in this group.
+ * The help text comes from the registry in English, unless the group's catalog translates it (commandHelp).
+ */
+function describeCommand(t, settings, userId, input, prefix) {
+    const definition = commands.resolveCommand(input);
+    if (!definition) return t('help.unknown', { command: input, help: commands.formatName('!help', prefix) });
+
+    // Commands in a private chat always start with '!'.
+    const commandPrefix = definition.consoleOnly ? commands.DEFAULT_PREFIX : prefix;
+    const helpText = field => (t.has(`commandHelp.${definition.name}.${field}`) ? t(`commandHelp.${definition.name}.${field}`) : definition[field]);
+    const lines = [t('help.usage', { usage: commands.formatUsage(definition, commandPrefix) }), helpText('summary')];
+    if (definition.details) lines.push(helpText('details'));
+    if (definition.aliases.length > 0) lines.push(t('help.aliases', { aliases: definition.aliases.map(alias => commands.formatName(alias, commandPrefix)).join(', ') }));
+    if (definition.consoleOnly) {
+        lines.push(t('help.consoleOnly'));
+    } else {
+        const delegated = permissions.isDelegable(definition.name) && permissions.getModeratorCommands(settings).includes(definition.name);
+        lines.push(t(delegated ? 'help.audienceDelegated' : 'help.audience', { audience: t(`help.audiences.${definition.role}`) }));
+        if (!permissions.canRunCommand(settings, userId, definition.name)) lines.push(t('help.cannotUse'));
+    }
+    return `--- ${commands.formatName(definition.name, commandPrefix)} ---\n${lines.join('\n')}`;
+}
+
+// Lists the commands the user may run, or explains one of them.
+async function handleHelpCommand(groupId, userId, args, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length > 0) {
+            return pushMessage(userId, { type: 'text', text: describeCommand(t, settings, userId, args[0], prefix) });
+        }
+
+        const sections = Object.entries(commands.CATEGORIES).map(([key, category]) => {
+            const lines = commands.listCommands()
+                .filter(command => command.category === category)
+                .filter(command => command.consoleOnly || permissions.canRunCommand(settings, userId, command.name))
+                .map(command => commands.formatUsage(command, command.consoleOnly ? commands.DEFAULT_PREFIX : prefix));
+            return lines.length > 0 ? `${t(`help.categories.${key}`)}:\n${lines.join('\n')}` : null;
+        }).filter(Boolean);
+
+        const role = t(`roleNames.${permissions.getRole(settings, userId)}`);
+        let helpText = `${t('help.title', { role })}\n${sections.join('\n\n')}`;
+        helpText += `\n\n${t('help.legend', { help: commands.formatName('!help', prefix) })}`;
+        helpText += `\n${t('help.privateChat')}`;
+        return pushMessage(userId, { type: 'text', text: helpText });
+    } catch (err) {
+        console.error("Error in handleHelpCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.help') });
+    }
+}
+
+async function handleSetPrefix(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length === 0) {
+            const current = getCommandPrefix(settings);
+            const usage = commands.formatUsage(commands.findCommand('!setprefix'), prefix);
+            const currentText = t('prefix.current', { prefix: current, example: commands.formatName('!status', current) });
+            return pushMessage(userId, { type: 'text', text: `${currentText}\n${t('common.usage', { usage })}` });
+        }
+
+        const newPrefix = args[0];
+        if (!commands.isValidPrefix(newPrefix)) {
+            return pushMessage(userId, { type: 'text', text: t('prefix.invalid') });
+        }
+        await db.setCommandPrefix(groupId, newPrefix);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('prefix.logSet', { prefix: newPrefix }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('prefix.updated', { prefix: newPrefix, example: commands.formatName('!help', newPrefix) }) });
+    } catch (err) {
+        console.error("Error in handleSetPrefix:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setPrefix') });
+    }
+}
+
+async function handleSetLanguage(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        if (args.length === 0) {
+            const languages = i18n.LANGUAGES.map(language => `${language} (${i18n.getLanguageName(language)})`).join(', ');
+            const usage = commands.formatUsage(commands.findCommand('!setlanguage'), prefix);
+            const lines = [t('language.current', { language: i18n.getLanguageName(t.language) }), t('language.available', { languages }), t('common.usage', { usage })];
+            return pushMessage(userId, { type: 'text', text: lines.join('\n') });
+        }
+
+        const language = args[0].toLowerCase();
+        await db.setLanguage(groupId, language);
+        // Confirm in the new language, so the admin can see what members will get.
+        const newT = i18n.translator(language);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: newT('language.logSet', { language }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: newT('language.updated', { language: i18n.getLanguageName(language) }) });
+    } catch (err) {
+        console.error("Error in handleSetLanguage:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setLanguage') });
+    }
+}
+
+async function handleSetTimeZone(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        if (args.length === 0) {
+            const timeZone = getTimeZone(settings);
+            const usage = commands.formatUsage(commands.findCommand('!settimezone'), prefix);
+            const current = t('timezone.current', { timezone: timeZone, time: cron.formatLocal(new Date(), timeZone) });
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage })}` });
+        }
+
+        const useDefault = args[0].toLowerCase() === 'default';
+        const timeZone = useDefault ? DEFAULT_TIMEZONE : cron.normalizeTimeZone(args[0]);
+        if (!timeZone) return pushMessage(userId, { type: 'text', text: t('timezone.invalid', { timezone: args[0] }) });
+
+        await db.setTimeZone(groupId, useDefault ? null : timeZone);
+        const moved = await rescheduleRecurringAnnouncements(groupId, timeZone);
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('timezone.logSet', { timezone: timeZone }), messageText: text });
+        let reply = t('timezone.updated', { timezone: timeZone, time: cron.formatLocal(new Date(), timeZone) });
+        if (moved > 0) reply += ` ${t('timezone.announcementsMoved', { count: moved })}`;
+        return pushMessage(userId, { type: 'text', text: reply });
+    } catch (err) {
+        console.error("Error in handleSetTimeZone:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.setTimeZone') });
+    }
+}
+
+// Sends the group's configuration as JSON, split over several messages if it is long.
+async function handleExportCommand(groupId, userId) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const snapshot = groupConfig.createSnapshot(settings, await db.getBlacklistedUsers(groupId));
+        const parts = groupConfig.splitSnapshot(snapshot, MAX_CONFIG_PART_LENGTH);
+        let intro = t('config.exported', { group: await getGroupName(groupId, t), command: '!import' });
+        if (parts.length > 1) intro += `\n${t('config.exportedParts', { count: parts.length })}`;
+        const messages = [intro, ...parts].map(text => ({ type: 'text', text }));
+        // A push carries at most 5 messages.
+        for (let i = 0; i < messages.length; i += 5) {
+            await pushMessage(userId, messages.slice(i, i + 5));
+        }
+        return null;
+    } catch (err) {
+        console.error("Error in handleExportCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.export') });
+    }
+}
+
+/**
+ * Imports a configuration from !export: '!import <json>' checks it and shows what would change,
+ * '!import confirm' applies it and '!import cancel' drops it. A configuration exported in several
+ * messages is pasted one message at a time; the pieces are kept until the JSON is complete.
+ */
+async function handleImportCommand(groupId, userId, argText, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const since = new Date(Date.now() - CONFIG_IMPORT_TTL_MS);
+        const option = argText.toLowerCase();
+        if (!argText) {
+            const pending = await db.getPendingImport(userId, groupId, since);
+            const usage = commands.formatUsage(commands.findCommand('!import'), prefix);
+            const current = !pending ? t('config.nonePending') : t(pending.snapshot ? 'config.pendingPreview' : 'config.pendingDraft');
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage })}` });
+        }
+        if (option === 'cancel') {
+            const pending = await db.takePendingImport(userId, groupId);
+            return pushMessage(userId, { type: 'text', text: t(pending && pending.created_at > since ? 'config.cancelled' : 'config.nonePending') });
+        }
+        if (option === 'confirm') return await applyConfigImport(groupId, userId, since, text);
+
+        const pending = await db.getPendingImport(userId, groupId, since);
+        const json = pending && pending.draft ? `${pending.draft}\n${argText}` : argText;
+        const command = commands.formatName('!import', prefix);
+        if (json.length > MAX_CONFIG_IMPORT_LENGTH) {
+            await db.takePendingImport(userId, groupId);
+            return pushMessage(userId, { type: 'text', text: t('config.tooLong') });
+        }
+        if (groupConfig.isIncomplete(json)) {
+            await db.savePendingImport(userId, groupId, { draft: json });
+            return pushMessage(userId, { type: 'text', text: t('config.partReceived', { command }) });
+        }
+
+        const { snapshot, skippedEntries, errors } = groupConfig.parseSnapshot(json, CONFIG_LIMITS);
+        if (errors) {
+            if (pending) await db.takePendingImport(userId, groupId);
+            return pushMessage(userId, { type: 'text', text: describeConfigErrors(t, errors) });
+        }
+        return await previewConfigImport(groupId, userId, snapshot, skippedEntries, null, t, prefix);
+    } catch (err) {
+        console.error("Error in handleImportCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.import') });
+    }
+}
+
+// Copies the configuration of another group the user is an admin of, through the same preview as !import.
+async function handleCloneSettings(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const source = findGroupChoice(await db.getStaffGroups(userId), args[0]);
+        if (!source) return pushMessage(userId, { type: 'text', text: t('config.notYourGroup', { command: '!groups' }) });
+        if (source.group_id === groupId) return pushMessage(userId, { type: 'text', text: t('config.sameGroup') });
+
+        const sourceSettings = await db.getGroupSettings(source.group_id);
+        const sourceName = await getGroupName(source.group_id, t);
+        if (!permissions.canRunCommand(sourceSettings, userId, '!export')) {
+            return pushMessage(userId, { type: 'text', text: t('config.notAdminThere', { group: sourceName }) });
+        }
+
+        const exported = groupConfig.createSnapshot(sourceSettings, await db.getBlacklistedUsers(source.group_id));
+        // Values saved before the current checks existed may not pass them; settings are reported,
+        // blacklist entries are left out of the copy.
+        const { snapshot, skippedEntries, errors } = groupConfig.validateSnapshot(exported, CONFIG_LIMITS);
+        if (errors) {
+            return pushMessage(userId, { type: 'text', text: describeConfigErrors(t, errors) });
+        }
+        return await previewConfigImport(groupId, userId, snapshot, skippedEntries, source.group_id, t, prefix);
+    } catch (err) {
+        console.error("Error in handleCloneSettings:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.cloneSettings') });
+    }
+}
+
+// Stores a checked configuration for the user to confirm, and shows them what it would change.
+async function previewConfigImport(groupId, userId, snapshot, skippedEntries, sourceGroupId, t, prefix) {
+    const settings = await db.getGroupSettings(groupId);
+    const notes = [];
+    if (skippedEntries.length > 0) {
+        notes.push(t('config.entriesSkipped', { entries: skippedEntries.map(blacklistMatcher.formatEntry).join(', ') }));
+    }
+    // Only the owner can appoint admins, so only the owner can import the staff.
+    if (snapshot.staff && settings.owner_id !== userId) {
+        delete snapshot.staff;
+        notes.push(t('config.staffSkipped'));
+    }
+    const protectedUsers = dropProtectedBlacklistUsers(settings, snapshot);
+    if (protectedUsers.length > 0) notes.push(t('config.blacklistUsersSkipped', { users: protectedUsers.join(', ') }));
+
+    const current = groupConfig.createSnapshot(settings, await db.getBlacklistedUsers(groupId));
+    const changes = groupConfig.diffSnapshots(current, snapshot);
+    if (changes.length === 0) {
+        await db.takePendingImport(userId, groupId);
+        return pushMessage(userId, { type: 'text', text: [t('config.noChanges'), ...notes].join('\n') });
+    }
+    await db.savePendingImport(userId, groupId, { snapshot, sourceGroupId });
+
+    const verificationMode = snapshot.settings && snapshot.settings.verificationMode;
+    if (verificationMode === VERIFICATION_MODES.PASSWORD && !settings.password) notes.push(t('config.noPasswordNote', { command: commands.formatName('!setpassword', prefix) }));
+    const source = sourceGroupId ? t('config.fromGroup', { group: await getGroupName(sourceGroupId, t) }) : t('config.fromSnapshot');
+    const lines = [
+        t('config.preview', { source, group: await getGroupName(groupId, t), count: changes.length }),
+        ...changes.map(change => describeConfigChange(t, change)),
+        ...notes,
+        t('config.confirmPrompt', { minutes: CONFIG_IMPORT_TTL_MS / 60000, command: commands.formatName('!import', prefix) }),
+    ];
+    let previewText = lines.join('\n');
+    if (previewText.length > MAX_REPLY_LENGTH) previewText = previewText.substring(0, MAX_REPLY_LENGTH) + `...`;
+
+    const actions = [
+        commandAction(groupId, userId, settings, t('config.applyButton'), '!import confirm'),
+        commandAction(groupId, userId, settings, t('config.cancelButton'), '!import cancel'),
+    ].filter(Boolean);
+    const message = { type: 'text', text: previewText };
+    if (actions.length > 0) message.quickReply = { items: actions.map(action => ({ type: 'action', action })) };
+    return pushMessage(userId, message);
+}
+
+// Staff and bot operators can't be blacklisted (see !blacklistuser), so an import leaves them off
+// the user blacklist too, counting the staff the import itself brings. Returns the IDs left off.
+function dropProtectedBlacklistUsers(settings, snapshot) {
+    if (!snapshot.blacklistUsers) return [];
+    const imported = snapshot.staff ? { ...settings, ...snapshot.staff } : settings;
+    const isProtected = id => permissions.isStaff(settings, id) || permissions.isStaff(imported, id) || BOT_OWNER_IDS.includes(id);
+    const dropped = snapshot.blacklistUsers.filter(user => isProtected(user.userId)).map(user => user.userId);
+    snapshot.blacklistUsers = snapshot.blacklistUsers.filter(user => !isProtected(user.userId));
+    return dropped;
+}
+
+// Explains why blacklist entries were refused, from the problems found by blacklistMatcher.js.
+function describeEntryErrors(t, errors) {
+    return errors.map(({ key, params }) => t(`blacklist.errors.${key}`, params)).join('\n');
+}
+
+// Explains why a configuration was rejected, from the problems found by groupConfig.js.
+function describeConfigErrors(t, errors) {
+    const lines = errors.slice(0, MAX_CONFIG_ERRORS_SHOWN).map(({ key, params }) => `• ${t(`config.errors.${key}`, params)}`);
+    if (errors.length > lines.length) lines.push(t('config.moreErrors', { count: errors.length - lines.length }));
+    return `${t('config.rejected')}\n${lines.join('\n')}`;
+}
+
+// One line of an import preview, e.g. 'floodMaxMessages: 0 → 5' or 'blacklistWords: +2 (forex, "buy now")'.
+function describeConfigChange(t, change) {
+    if (!change.added) {
+        const format = value => (value === null ? t('config.unset') : JSON.stringify(value).substring(0, 60));
+        return `• ${change.field}: ${format(change.from)} → ${format(change.to)}`;
+    }
+    const format = item => (change.field === 'blacklistWords' ? blacklistMatcher.formatEntry(item) : item);
+    const list = items => items.slice(0, CONFIG_DIFF_ITEMS_SHOWN).map(format).join(', ') + (items.length > CONFIG_DIFF_ITEMS_SHOWN ? ', ...' : '');
+    const parts = [];
+    if (change.added.length > 0) parts.push(`+${change.added.length} (${list(change.added)})`);
+    if (change.removed.length > 0) parts.push(`-${change.removed.length} (${list(change.removed)})`);
+    return `• ${change.field}: ${parts.join(' ')}`;
+}
+
+async function applyConfigImport(groupId, userId, since, text) {
+    const t = await getTranslator(groupId);
+    const pending = await db.takePendingImport(userId, groupId);
+    if (!pending || !pending.snapshot || pending.created_at <= since) {
+        return pushMessage(userId, { type: 'text', text: t('config.nonePending') });
+    }
+
+    const { snapshot } = pending;
+    const before = await db.getGroupSettings(groupId);
+    // The user may have lost the ownership since the preview, and the staff may have changed.
+    if (before.owner_id !== userId) delete snapshot.staff;
+    dropProtectedBlacklistUsers(before, snapshot);
+    await db.applyGroupConfig(groupId, {
+        columns: groupConfig.toColumns(snapshot.settings || {}),
+        blacklistWords: snapshot.blacklistWords,
+        blacklistUsers: snapshot.blacklistUsers,
+        linkAllowlist: snapshot.linkAllowlist,
+        linkDenylist: snapshot.linkDenylist,
+        staff: snapshot.staff,
+    }, userId);
+
+    const settings = await db.getGroupSettings(groupId);
+    // Reply in the group's language, which the import may have changed.
+    const newT = i18n.translator(getLanguage(settings));
+    const reason = pending.source_group_id
+        ? newT('config.logCloned', { group: await getGroupName(pending.source_group_id, newT) })
+        : newT('config.logImported');
+    await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason, messageText: text });
+
+    let reply = newT('config.applied');
+    if (getTimeZone(settings) !== getTimeZone(before)) {
+        const moved = await rescheduleRecurringAnnouncements(groupId, getTimeZone(settings));
+        if (moved > 0) reply += ` ${newT('timezone.announcementsMoved', { count: moved })}`;
+    }
+    return pushMessage(userId, { type: 'text', text: reply });
+}
+
+/**
+ * Finds the shared ban list a 'global' or 'global:<name>' flag refers to.
+ * Without a name, the group must subscribe to exactly one list the user can edit.
+ * @returns {Promise<{list?: object, error?: string}>} The list, or an error message for the user.
+ */
+async function resolveGlobalBanList(t, groupId, userId, flag) {
+    const name = flag.includes(':') ? flag.slice(flag.indexOf(':') + 1).toLowerCase() : null;
+    if (name) {
+        const list = await db.getBanList(name);
+        if (!list) return { error: t('banList.notFound', { name }) };
+        if (!list.editors.includes(userId)) return { error: t('banList.notEditor', { name }) };
+        return { list };
+    }
+
+    const editable = (await db.getSubscribedBanLists(groupId)).filter(list => list.editors.includes(userId));
+    if (editable.length === 1) return { list: editable[0] };
+    if (editable.length === 0) return { error: t('banList.noEditableList') };
+    return { error: t('banList.chooseList', { lists: editable.map(list => `global:${list.name}`).join(', ') }) };
+}
+
+async function handleBlacklistUser(groupId, userId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!blacklistuser'), prefix) }) });
+        if (permissions.isStaff(await db.getGroupSettings(groupId), mentionedUser.userId)) return pushMessage(userId, { type: 'text', text: t('blacklist.staff') });
+
+        const words = stripMentions(text, mention).split(/\s+/).slice(1).filter(Boolean);
+        const globalFlag = words.find(word => /^global(:|$)/i.test(word));
+        const reason = words.filter(word => word !== globalFlag).join(' ') || null;
+        let list = null;
+        if (globalFlag) {
+            const resolved = await resolveGlobalBanList(t, groupId, userId, globalFlag);
+            if (resolved.error) return pushMessage(userId, { type: 'text', text: resolved.error });
+            list = resolved.list;
+        }
+
+        await db.addUserToBlacklist(groupId, mentionedUser.userId, { addedBy: userId, reason });
+        await logAction(groupId, MOD_ACTIONS.BLACKLIST_USER, { actorId: userId, targetId: mentionedUser.userId, reason, messageText: text });
+        const profile = await client.getGroupMemberProfile(groupId, mentionedUser.userId).catch(() => null);
+        if (profile) await kickUser(groupId, mentionedUser.userId, t('kick.blacklistedNow'));
+        const name = profile ? profile.displayName : t('common.theUser');
+        let result = t(profile ? 'blacklist.userRemoved' : 'blacklist.userNotInGroup', { name });
+
+        if (list) {
+            await db.addBanListEntry(list.id, mentionedUser.userId, { reason, addedBy: userId, sourceGroupId: groupId });
+            await logAction(groupId, MOD_ACTIONS.SHARED_BAN_ADD, { actorId: userId, targetId: mentionedUser.userId, reason: t('banList.logAdded', { list: list.name }), messageText: text });
+            const removedFrom = await enforceSharedBan(list, mentionedUser.userId, groupId, userId);
+            result += `\n${t('blacklist.alsoSharedBanned', { list: list.name, count: removedFrom })}`;
+        }
+        return pushMessage(userId, { type: 'text', text: result });
+    } catch (e) {
+        console.error("Error in handleBlacklistUser:", e);
+        return pushMessage(userId, { type: 'text', text: t('errors.blacklistUser') });
+    }
+}
+
+async function handleUnblacklistUser(groupId, userId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!unblacklistuser'), prefix) }) });
+
+        const globalFlag = stripMentions(text, mention).split(/\s+/).slice(1).find(word => /^global(:|$)/i.test(word));
+        let list = null;
+        if (globalFlag) {
+            const resolved = await resolveGlobalBanList(t, groupId, userId, globalFlag);
+            if (resolved.error) return pushMessage(userId, { type: 'text', text: resolved.error });
+            list = resolved.list;
+        }
+
+        await db.removeUserFromBlacklist(groupId, mentionedUser.userId);
+        await logAction(groupId, MOD_ACTIONS.UNBLACKLIST_USER, { actorId: userId, targetId: mentionedUser.userId, messageText: text });
+        const profile = await client.getProfile(mentionedUser.userId).catch(() => null);
+        let result = t('blacklist.unblacklisted', { name: profile ? profile.displayName : t('common.theUser') });
+
+        if (list && await db.removeBanListEntry(list.id, mentionedUser.userId)) {
+            await logAction(groupId, MOD_ACTIONS.SHARED_BAN_REMOVE, { actorId: userId, targetId: mentionedUser.userId, reason: t('banList.logRemoved', { list: list.name }), messageText: text });
+            result += ` ${t('blacklist.alsoSharedRemoved', { list: list.name })}`;
+        }
+        const remaining = await db.getSharedBans(groupId, mentionedUser.userId);
+        if (remaining.length > 0) {
+            result += `\n${t('blacklist.stillSharedBanned', { lists: remaining.map(ban => ban.list_name).join(', ') })}`;
+        }
+        return pushMessage(userId, { type: 'text', text: result });
+    } catch (err) {
+        console.error("Error in handleUnblacklistUser:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.unblacklistUser') });
+    }
+}
+
+async function handleBanListCommand(groupId, userId, args, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const subcommand = (args[0] || '').toLowerCase();
+        const name = (args[1] || '').toLowerCase();
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+
+        switch (subcommand) {
+            case '': {
+                const lists = await db.getSubscribedBanLists(groupId);
+                const settings = await db.getGroupSettings(groupId);
+                const listText = lists.length > 0
+                    ? lists.map(list => t(list.editors.includes(userId) ? 'banList.listLineEditable' : 'banList.listLine', { name: list.name, count: list.entry_count })).join('\n')
+                    : t('common.none');
+                const exempted = t('banList.exemptedCount', { count: settings.shared_ban_exemptions.length });
+                return pushMessage(userId, { type: 'text', text: `${t('banList.title')}\n${listText}\n${exempted}\n\n${t('banList.usage')}` });
+            }
+            case 'create': {
+                if (!BAN_LIST_NAME_PATTERN.test(name)) return pushMessage(userId, { type: 'text', text: t('banList.invalidName') });
+                const list = await db.createBanList(name, userId);
+                if (!list) return pushMessage(userId, { type: 'text', text: t('banList.exists', { name }) });
+                await db.subscribeToBanList(groupId, list.id);
+                await logAction(groupId, MOD_ACTIONS.BAN_LIST_CREATE, { actorId: userId, reason: t('banList.logCreated', { name }), messageText: text });
+                return pushMessage(userId, { type: 'text', text: t('banList.created', { name }) });
+            }
+            case 'subscribe':
+            case 'unsubscribe': {
+                const list = name ? await db.getBanList(name) : null;
+                if (!list) return pushMessage(userId, { type: 'text', text: t('banList.notFound', { name }) });
+                const subscribing = subcommand === 'subscribe';
+                if (subscribing && !list.public && !list.editors.includes(userId)) {
+                    return pushMessage(userId, { type: 'text', text: t('banList.notPublic', { name }) });
+                }
+                const changed = subscribing ? await db.subscribeToBanList(groupId, list.id) : await db.unsubscribeFromBanList(groupId, list.id);
+                if (!changed) return pushMessage(userId, { type: 'text', text: t(subscribing ? 'banList.alreadySubscribed' : 'banList.alreadyUnsubscribed', { name }) });
+                await logAction(groupId, subscribing ? MOD_ACTIONS.BAN_LIST_SUBSCRIBE : MOD_ACTIONS.BAN_LIST_UNSUBSCRIBE, { actorId: userId, reason: t('banList.logSubscription', { name }), messageText: text });
+                return pushMessage(userId, { type: 'text', text: t(subscribing ? 'banList.subscribed' : 'banList.unsubscribed', { name }) });
+            }
+            case 'show': {
+                const list = name ? await db.getBanList(name) : null;
+                // Who is banned, and why, is only shown to the list's editors and the groups using it.
+                const readable = list && (list.editors.includes(userId) || await db.isSubscribedToBanList(groupId, list.id));
+                if (!readable) return pushMessage(userId, { type: 'text', text: t('banList.notFound', { name }) });
+                const entries = await db.getBanListEntries(list.id, BAN_LIST_SHOW_LIMIT);
+                const lines = await Promise.all(entries.map(async (entry) => {
+                    const profile = await client.getProfile(entry.user_id).catch(() => null);
+                    const source = entry.source_group_id ? await getGroupName(entry.source_group_id, t) : t('banList.unknownGroup');
+                    const line = t('banList.entry', { time: formatTimestamp(entry.created_at), name: profile ? profile.displayName : t('common.unknownName'), id: entry.user_id, source });
+                    return entry.reason ? `${line} | ${entry.reason}` : line;
+                }));
+                let listText = `${t('banList.showTitle', { name: list.name, count: entries.length })}\n${lines.length > 0 ? lines.join('\n') : t('banList.noBans')}`;
+                if (listText.length > MAX_REPLY_LENGTH) listText = listText.substring(0, MAX_REPLY_LENGTH) + `...`;
+                return pushMessage(userId, { type: 'text', text: listText });
+            }
+            case 'check': {
+                if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: `${commands.formatName('!banlist', prefix)} check @user` }) });
+                const settings = await db.getGroupSettings(groupId);
+                const bans = await db.getSharedBans(groupId, mentionedUser.userId);
+                const [localBan] = await db.getBlacklistedUsers(groupId, mentionedUser.userId);
+                const withReason = (line, reason) => (reason ? `${line} (${reason})` : line);
+                const lines = [localBan ? withReason(t('banList.localBan', { time: formatTimestamp(localBan.added_at) }), localBan.reason) : t('banList.noLocalBan')];
+                if (settings.shared_ban_exemptions.includes(mentionedUser.userId)) lines.push(t('banList.exempt'));
+                for (const ban of bans) {
+                    const source = ban.source_group_id ? await getGroupName(ban.source_group_id, t) : t('banList.unknownGroup');
+                    lines.push(withReason(t('banList.sharedBan', { list: ban.list_name, time: formatTimestamp(ban.created_at), source }), ban.reason));
+                }
+                if (bans.length === 0) lines.push(t('banList.noSharedBans'));
+                return pushMessage(userId, { type: 'text', text: lines.join('\n') });
+            }
+            case 'exempt':
+            case 'unexempt': {
+                if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: `${commands.formatName('!banlist', prefix)} ${subcommand} @user` }) });
+                const exempt = subcommand === 'exempt';
+                await db.setSharedBanExemption(groupId, mentionedUser.userId, exempt, userId);
+                await logAction(groupId, MOD_ACTIONS.SHARED_BAN_EXEMPT, { actorId: userId, targetId: mentionedUser.userId, reason: t(exempt ? 'banList.logExempted' : 'banList.logUnexempted'), messageText: text });
+                return pushMessage(userId, { type: 'text', text: t(exempt ? 'banList.exempted' : 'banList.unexempted') });
+            }
+            case 'addeditor':
+            case 'removeeditor': {
+                const list = name ? await db.getBanList(name) : null;
+                if (!list || !mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: `${commands.formatName('!banlist', prefix)} ${subcommand} <name> @user` }) });
+                if (list.owner_id !== userId) return pushMessage(userId, { type: 'text', text: t('banList.notCreator', { name }) });
+                const adding = subcommand === 'addeditor';
+                const editors = new Set(list.editors);
+                if (adding) editors.add(mentionedUser.userId);
+                else if (mentionedUser.userId !== list.owner_id) editors.delete(mentionedUser.userId);
+                await db.setBanListEditors(list.id, Array.from(editors));
+                await logAction(groupId, adding ? MOD_ACTIONS.BAN_LIST_EDITOR_ADD : MOD_ACTIONS.BAN_LIST_EDITOR_REMOVE, {
+                    actorId: userId,
+                    targetId: mentionedUser.userId,
+                    reason: t(adding ? 'banList.logEditorAdded' : 'banList.logEditorRemoved', { name }),
+                    messageText: text,
+                });
+                return pushMessage(userId, { type: 'text', text: t('banList.editorCount', { name, count: editors.size }) });
+            }
+            case 'public': {
+                const list = name ? await db.getBanList(name) : null;
+                const value = (args[2] || '').toLowerCase();
+                if (!list || !['on', 'off'].includes(value)) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: `${commands.formatName('!banlist', prefix)} public <name> on|off` }) });
+                if (list.owner_id !== userId) return pushMessage(userId, { type: 'text', text: t('banList.notCreatorPublic', { name }) });
+                await db.setBanListPublic(list.id, value === 'on');
+                await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('banList.logPublic', { name, value }), messageText: text });
+                return pushMessage(userId, { type: 'text', text: t(value === 'on' ? 'banList.madePublic' : 'banList.madePrivate', { name }) });
+            }
+            default:
+                return pushMessage(userId, { type: 'text', text: t('banList.usage') });
+        }
+    } catch (err) {
+        console.error("Error in handleBanListCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.banList') });
+    }
+}
+
+async function handleStatusCommand(groupId, userId) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const rows = [
+            [t('status.verification'), describeVerification(t, settings)],
+            [t('status.owner'), settings.owner_id ? t('status.ownerSet') : t('status.ownerNone')],
+            [t('status.admins'), String(settings.admins.length)],
+            [t('status.moderators'), String(settings.moderators.length)],
+            [t('status.blacklistedWords'), String(settings.blacklist_words.length)],
+            [t('status.blacklistedUsers'), String(settings.blacklist_users.length)],
+            [t('status.strikes'), describeStrikePolicy(t, getStrikePolicy(settings))],
+            [t('status.antiFlood'), describeRateLimit(t, settings.flood_max_messages, settings.flood_window_seconds)],
+            [t('status.antiDuplicate'), describeRateLimit(t, settings.duplicate_max_repeats, settings.duplicate_window_seconds)],
+            [t('status.antiRaid'), describeRateLimit(t, settings.raid_max_joins, settings.raid_window_seconds)],
+            [t('status.lockdown'), settings.lockdown ? t('status.lockdownOn') : t('common.off')],
+            [t('status.groupCommands'), settings.group_commands_enabled === false ? t('status.groupCommandsOff') : t('common.on')],
+            [t('status.commandPrefix'), getCommandPrefix(settings)],
+            [t('status.language'), i18n.getLanguageName(t.language)],
+            [t('status.timezone'), getTimeZone(settings)],
+            [t('status.welcome'), describeWelcome(t, settings)],
+            [t('status.rules'), describeRules(t, settings)],
+            [t('status.voteKick'), settings.vote_kick_percent
+                ? t('status.voteKickOn', { percent: settings.vote_kick_percent, minutes: settings.vote_kick_window_minutes || DEFAULT_VOTE_KICK_WINDOW_MINUTES })
+                : t('common.off')],
+            [t('status.autoPrune'), settings.prune_inactive_days
+                ? t('status.autoPruneOn', { days: settings.prune_inactive_days, grace: settings.prune_grace_days || DEFAULT_PRUNE_GRACE_DAYS })
+                : t('common.off')],
+        ];
+
+        // Toggles and shortcuts are only shown for commands the user may run.
+        const button = (label, commandText, primary = false) => {
+            const action = commandAction(groupId, userId, settings, label, commandText);
+            return action ? { action, primary } : null;
+        };
+        const card = flexMessages.buildCard({
+            title: await getGroupName(groupId, t),
+            subtitle: t('status.title'),
+            rows,
+            buttons: [
+                button(t(settings.lockdown ? 'status.liftLockdown' : 'status.startLockdown'), `!lockdown ${settings.lockdown ? 'off' : 'on'}`, true),
+                button(t(settings.group_commands_enabled === false ? 'status.allowGroupCommands' : 'status.privateCommandsOnly'), `!groupcommands ${settings.group_commands_enabled === false ? 'on' : 'off'}`),
+                button(t('status.wordsButton'), '!showblacklistwords'),
+                button(t('status.usersButton'), '!showblacklistusers'),
+            ],
+        });
+        const altText = `--- ${t('status.title')} ---\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}`;
+        return pushMessage(userId, flexMessages.buildFlexMessage(card, altText, buildShortcuts(groupId, userId, settings)));
+    } catch (err) {
+        console.error(`Error in handleStatusCommand:`, err);
+        return pushMessage(userId, { type: 'text', text: t('errors.status') });
+    }
+}
+
+async function handleShowBlacklistWords(groupId, userId, args) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const entries = settings.blacklist_words;
+        const { page, pageCount, start } = paginate(entries.length, args[0]);
+        const items = entries.slice(start, start + LIST_PAGE_SIZE).map((stored) => {
+            const arg = blacklistMatcher.formatEntryArg(stored);
+            return { text: blacklistMatcher.formatEntry(stored), action: arg ? commandAction(groupId, userId, settings, t('lists.remove'), `!removeblacklist ${arg}`) : null };
+        });
+
+        const title = t('lists.wordsTitle', { count: entries.length });
+        const bubble = flexMessages.buildListPage({
+            title,
+            items,
+            page,
+            pageCount,
+            previous: page > 1 ? commandAction(groupId, userId, settings, t('lists.previous'), `!showblacklistwords ${page - 1}`) : null,
+            next: page < pageCount ? commandAction(groupId, userId, settings, t('lists.next'), `!showblacklistwords ${page + 1}`) : null,
+            emptyText: t('common.none'),
+            pageText: t('lists.page', { page, pageCount }),
+        });
+        const altText = `--- ${title} ---\n${items.map(item => item.text).join(', ') || t('common.none')}`;
+        return pushMessage(userId, flexMessages.buildFlexMessage(bubble, altText, buildShortcuts(groupId, userId, settings)));
+    } catch (err) {
+        console.error("Error in handleShowBlacklistWords:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.showWords') });
+    }
+}
+
+async function handleShowBlacklistUsers(groupId, userId, args) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const userIds = settings.blacklist_users;
+        const { page, pageCount, start } = paginate(userIds.length, args[0]);
+        const pageIds = userIds.slice(start, start + LIST_PAGE_SIZE);
+        const profiles = await Promise.all(pageIds.map(id => client.getProfile(id).catch(() => ({ displayName: t('common.unknownName') }))));
+        // IDs are listed so users can also be unblacklisted by typing in the private admin console.
+        const items = pageIds.map((id, i) => ({
+            text: profiles[i].displayName,
+            detail: id,
+            action: commandAction(groupId, userId, settings, t('lists.remove'), `!unblacklistuser ${id}`),
+        }));
+
+        const sharedLists = await db.getSubscribedBanLists(groupId);
+        const sharedText = sharedLists.length > 0
+            ? sharedLists.map(list => t('lists.sharedList', { name: list.name, count: list.entry_count })).join(', ')
+            : t('common.none');
+        const note = t('lists.sharedLists', { lists: sharedText });
+        const title = t('lists.usersTitle', { count: userIds.length });
+        const bubble = flexMessages.buildListPage({
+            title,
+            items,
+            page,
+            pageCount,
+            previous: page > 1 ? commandAction(groupId, userId, settings, t('lists.previous'), `!showblacklistusers ${page - 1}`) : null,
+            next: page < pageCount ? commandAction(groupId, userId, settings, t('lists.next'), `!showblacklistusers ${page + 1}`) : null,
+            note,
+            emptyText: t('common.none'),
+            pageText: t('lists.page', { page, pageCount }),
+        });
+        const altText = `--- ${title} ---\n${items.map(item => `${item.text} (${item.detail})`).join(', ') || t('common.none')}\n\n${note}`;
+        return pushMessage(userId, flexMessages.buildFlexMessage(bubble, altText, buildShortcuts(groupId, userId, settings)));
+    } catch (err) {
+        console.error("Error in handleShowBlacklistUsers:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.showUsers') });
+    }
+}
+
+// Works out which page of a list to show. Pages start at 1; out-of-range pages show the nearest one.
+function paginate(total, pageArg) {
+    const pageCount = Math.max(1, Math.ceil(total / LIST_PAGE_SIZE));
+    const requested = parseInt(pageArg, 10);
+    const page = Math.min(Math.max(isNaN(requested) ? 1 : requested, 1), pageCount);
+    return { page, pageCount, start: (page - 1) * LIST_PAGE_SIZE };
+}
+
+async function handleStrikeCommand(groupId, userId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!strike'), prefix) }) });
+        if (permissions.isStaff(await db.getGroupSettings(groupId), mentionedUser.userId)) return pushMessage(userId, { type: 'text', text: t('strikes.staff') });
+
+        const reason = stripMentions(text, mention).split(/\s+/).slice(1).join(' ') || t('strikes.defaultReason');
+        await issueStrike(groupId, mentionedUser.userId, { reason, actorId: userId, messageText: text });
+        const strikes = await db.getActiveStrikes(groupId, mentionedUser.userId);
+        const result = strikes.length > 0 ? t('strikes.activeCount', { count: strikes.length }) : t('strikes.limitReached');
+        return pushMessage(userId, { type: 'text', text: t('strikes.added', { result }) });
+    } catch (err) {
+        console.error("Error in handleStrikeCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.strike') });
+    }
+}
+
+async function handleShowStrikes(groupId, userId, mention, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!strikes'), prefix) }) });
+
+        const settings = await db.getGroupSettings(groupId);
+        const policy = getStrikePolicy(settings);
+        const strikes = await db.getActiveStrikes(groupId, mentionedUser.userId);
+        const kickCount = await db.getStrikeKickCount(groupId, mentionedUser.userId);
+        const profile = await client.getProfile(mentionedUser.userId).catch(() => null);
+        const name = profile ? profile.displayName : t('common.theUser');
+
+        let strikeText = `${t('strikes.title', { name, count: strikes.length, max: policy.strikesBeforeKick })}\n`;
+        strikeText += `${t('strikes.kickCount', { count: kickCount })}\n`;
+        strikeText += strikes.length > 0
+            ? strikes.map((strike, i) => {
+                const params = { number: i + 1, time: formatTimestamp(strike.created_at), reason: strike.reason };
+                return strike.expires_at ? t('strikes.entryExpiring', { ...params, expires: formatTimestamp(strike.expires_at) }) : t('strikes.entry', params);
+            }).join('\n')
+            : t('strikes.noneActive');
+        if (strikeText.length > MAX_REPLY_LENGTH) strikeText = strikeText.substring(0, MAX_REPLY_LENGTH) + `...`;
+        return pushMessage(userId, { type: 'text', text: strikeText });
+    } catch (err) {
+        console.error("Error in handleShowStrikes:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.showStrikes') });
+    }
+}
+
+async function handleClearStrikes(groupId, userId, mention, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (!mentionedUser) return pushMessage(userId, { type: 'text', text: t('common.usage', { usage: commands.formatUsage(commands.findCommand('!clearstrikes'), prefix) }) });
+
+        const removed = await db.clearStrikes(groupId, mentionedUser.userId);
+        const result = t('strikes.cleared', { count: removed });
+        await logAction(groupId, MOD_ACTIONS.CLEAR_STRIKES, { actorId: userId, targetId: mentionedUser.userId, reason: result, messageText: text });
+        return pushMessage(userId, { type: 'text', text: result });
+    } catch (err) {
+        console.error("Error in handleClearStrikes:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.clearStrikes') });
+    }
+}
+
+async function handleStrikePolicy(groupId, userId, args, text) {
+    const t = await getTranslator(groupId);
+    try {
+        const usage = t('strikePolicy.usage');
+        if (args.length === 0) {
+            const settings = await db.getGroupSettings(groupId);
+            const current = t('strikePolicy.current', { description: describeStrikePolicy(t, getStrikePolicy(settings)) });
+            return pushMessage(userId, { type: 'text', text: `${current}\n${usage}` });
+        }
+
+        const [strikesBeforeKick, kicksBeforeBlacklist, expiryHours] = args.map(arg => parseInt(arg, 10));
+        const valid = args.length === 3 && strikesBeforeKick > 0 && kicksBeforeBlacklist >= 0 && expiryHours >= 0;
+        if (!valid) return pushMessage(userId, { type: 'text', text: usage });
+
+        await db.setStrikePolicy(groupId, strikesBeforeKick, kicksBeforeBlacklist, expiryHours);
+        const description = describeStrikePolicy(t, { strikesBeforeKick, kicksBeforeBlacklist, expiryHours });
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('strikePolicy.logSet', { description }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('strikePolicy.updated', { description }) });
+    } catch (err) {
+        console.error("Error in handleStrikePolicy:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.strikePolicy') });
+    }
+}
+
+async function handlePolicyCommand(groupId, userId, args, text) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const usage = t('policy.usage', { types: contentPolicy.POLICY_TYPES.join(', ') });
+        if (args.length === 0) {
+            const lines = contentPolicy.POLICY_TYPES.map(type => `${type}: ${describePolicy(t, contentPolicy.getPolicy(settings.content_policies, type))}`);
+            return pushMessage(userId, { type: 'text', text: `${t('policy.title')}\n${lines.join('\n')}\n\n${usage}` });
+        }
+
+        const type = args[0].toLowerCase();
+        const action = (args[1] || '').toLowerCase();
+        if (!contentPolicy.POLICY_TYPES.includes(type) || !Object.values(contentPolicy.POLICY_ACTIONS).includes(action)) {
+            return pushMessage(userId, { type: 'text', text: usage });
+        }
+
+        const policy = { action };
+        if (args[2]) {
+            const hours = args[2].toLowerCase().startsWith('newmember:') ? parseInt(args[2].split(':')[1], 10) : NaN;
+            if (isNaN(hours) || hours < 0) return pushMessage(userId, { type: 'text', text: usage });
+            if (hours > 0) policy.newMemberHours = hours;
+        }
+
+        await db.setContentPolicy(groupId, type, policy);
+        const description = `${type}: ${describePolicy(t, policy)}`;
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('policy.logSet', { description }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('policy.updated', { description }) });
+    } catch (err) {
+        console.error("Error in handlePolicyCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.policy') });
+    }
+}
+
+// Describes a content policy, e.g. 'kick (members < 24h)'. The action keeps its command keyword.
+function describePolicy(t, policy) {
+    return policy.newMemberHours ? t('policy.newMembersOnly', { action: policy.action, hours: policy.newMemberHours }) : policy.action;
+}
+
+async function handleLinkDomains(groupId, userId, list, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const command = { allow: '!allowdomain', deny: '!denydomain', remove: '!removedomain' }[list];
+        if (args.length === 0) {
+            const settings = await db.getGroupSettings(groupId);
+            const show = domains => (domains.length > 0 ? domains.join(', ') : t('common.none'));
+            const listText = `${t('domains.allowedList', { domains: show(settings.link_allowlist) })}\n${t('domains.blockedList', { domains: show(settings.link_denylist) })}`;
+            return pushMessage(userId, { type: 'text', text: `${listText}\n\n${t('common.usage', { usage: commands.formatUsage(commands.findCommand(command), prefix) })}` });
+        }
+
+        const domains = args.map(contentPolicy.normalizeDomain);
+        const invalid = args.filter((arg, i) => !domains[i]);
+        if (invalid.length > 0) return pushMessage(userId, { type: 'text', text: t('domains.invalid', { domains: invalid.join(', ') }) });
+
+        if (list === 'remove') await db.removeLinkDomains(groupId, domains);
+        else await db.addLinkDomains(groupId, list, domains, userId);
+
+        const summary = t({ allow: 'domains.allowed', deny: 'domains.denied', remove: 'domains.removed' }[list], { domains: domains.join(', ') });
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: summary, messageText: text });
+        return pushMessage(userId, { type: 'text', text: summary });
+    } catch (err) {
+        console.error("Error in handleLinkDomains:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.domains') });
+    }
+}
+
+async function handleRateLimitCommand(groupId, userId, kind, args, text) {
+    const t = await getTranslator(groupId);
+    try {
+        const labels = {
+            flood: { command: '!antiflood', window: DEFAULT_FLOOD_WINDOW_SECONDS },
+            duplicate: { command: '!antiduplicate', window: DEFAULT_DUPLICATE_WINDOW_SECONDS },
+            raid: { command: '!antiraid', window: DEFAULT_RAID_WINDOW_SECONDS },
+        }[kind];
+        const usage = t('rateLimit.usage', { command: labels.command });
+        if (args.length === 0) return pushMessage(userId, { type: 'text', text: usage });
+
+        let max = 0;
+        let windowSeconds = labels.window;
+        if (args[0].toLowerCase() !== 'off') {
+            max = parseInt(args[0], 10);
+            windowSeconds = args.length > 1 ? parseInt(args[1], 10) : labels.window;
+            if (isNaN(max) || max <= 0 || isNaN(windowSeconds) || windowSeconds <= 0 || windowSeconds > MAX_RATE_LIMIT_WINDOW_SECONDS) {
+                return pushMessage(userId, { type: 'text', text: `${usage}\n${t('rateLimit.maxWindow', { max: MAX_RATE_LIMIT_WINDOW_SECONDS })}` });
+            }
+        }
+
+        await db.setRateLimit(groupId, kind, max, windowSeconds);
+        const description = max > 0 ? t('rateLimit.description', { max, unit: t(`rateLimit.units.${kind}`), seconds: windowSeconds }) : t('rateLimit.off');
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, reason: t('rateLimit.logSet', { command: labels.command, description }), messageText: text });
+        return pushMessage(userId, { type: 'text', text: t('rateLimit.updated', { command: labels.command, description }) });
+    } catch (err) {
+        console.error("Error in handleRateLimitCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.rateLimit') });
+    }
+}
+
+async function handleLockdownCommand(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const mode = (args[0] || '').toLowerCase();
+        if (mode !== 'on' && mode !== 'off') {
+            const current = t('lockdown.current', { state: t(settings.lockdown ? 'common.stateOn' : 'common.stateOff') });
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage: commands.formatUsage(commands.findCommand('!lockdown'), prefix) })}` });
+        }
+
+        const enabled = mode === 'on';
+        await db.setLockdown(groupId, enabled);
+        if (!enabled) floodGuard.resetJoins(groupId);
+        await logAction(groupId, enabled ? MOD_ACTIONS.LOCKDOWN_ON : MOD_ACTIONS.LOCKDOWN_OFF, { actorId: userId, messageText: text });
+        await pushMessage(groupId, { type: 'text', text: t(enabled ? 'lockdown.announceOn' : 'lockdown.announceOff') });
+        return pushMessage(userId, { type: 'text', text: t('lockdown.updated', { state: t(enabled ? 'common.stateOn' : 'common.stateOff') }) });
+    } catch (err) {
+        console.error("Error in handleLockdownCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.lockdown') });
+    }
+}
+
+async function handleDashboardCommand(groupId, userId) {
+    const t = await getTranslator(groupId);
+    try {
+        if (!PUBLIC_URL || !DASHBOARD_SECRET) return pushMessage(userId, { type: 'text', text: t('dashboard.notSetUp') });
+        const token = createAdminToken({ userId, groupId }, DASHBOARD_LINK_TTL_MS, DASHBOARD_SECRET);
+        const groupName = await getGroupName(groupId, t);
+        // The token goes in the fragment, which browsers never send to the server (see dashboard.js).
+        const link = `${PUBLIC_URL}/dashboard#token=${encodeURIComponent(token)}`;
+        return pushMessage(userId, { type: 'text', text: t('dashboard.link', { group: groupName, minutes: DASHBOARD_LINK_TTL_MS / 60000, link }) });
+    } catch (err) {
+        console.error("Error in handleDashboardCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.dashboard') });
+    }
+}
+
+async function handleGroupCommands(groupId, userId, args, text, prefix) {
+    const t = await getTranslator(groupId);
+    try {
+        const settings = await db.getGroupSettings(groupId);
+        const mode = (args[0] || '').toLowerCase();
+        if (mode !== 'on' && mode !== 'off') {
+            const current = t('groupCommands.current', { state: t(settings.group_commands_enabled === false ? 'common.stateOff' : 'common.stateOn') });
+            return pushMessage(userId, { type: 'text', text: `${current}\n${t('common.usage', { usage: commands.formatUsage(commands.findCommand('!groupcommands'), prefix) })}` });
+        }
+
+        await db.setGroupCommandsEnabled(groupId, mode === 'on');
+        await logAction(groupId, MOD_ACTIONS.SETTING_CHANGE, { actorId: userId, messageText: text });
+        const updated = t('groupCommands.updated', { state: t(mode === 'on' ? 'common.stateOn' : 'common.stateOff') });
+        const note = mode === 'off' ? ` ${t('groupCommands.privateChatNote')}` : '';
+        return pushMessage(userId, { type: 'text', text: `${updated}${note}` });
+    } catch (err) {
+        console.error("Error in handleGroupCommands:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.groupCommands') });
+    }
+}
+
+async function handleModLogCommand(groupId, userId, args, mention) {
+    const t = await getTranslator(groupId);
+    try {
+        const filters = { limit: DEFAULT_MODLOG_LIMIT };
+        const mentionedUser = mention ? mention.mentionees[0] : null;
+        if (mentionedUser) filters.userId = mentionedUser.userId;
+
+        const actions = Object.values(MOD_ACTIONS);
+        for (const arg of args.filter(Boolean)) {
+            const [key, ...rest] = arg.split(':');
+            const value = rest.join(':');
+            if (!value && actions.includes(arg.toLowerCase())) {
+                filters.action = arg.toLowerCase();
+            } else if ((key === 'since' || key === 'from') && isValidDate(value)) {
+                filters.since = new Date(value);
+            } else if ((key === 'until' || key === 'to') && isValidDate(value)) {
+                // A date without a time covers the whole day.
+                filters.until = new Date(value);
+                if (/^\d{4}-\d{2}-\d{2}$/.test(value)) filters.until.setUTCDate(filters.until.getUTCDate() + 1);
+            } else if (key === 'limit' && parseInt(value, 10) > 0) {
+                filters.limit = Math.min(parseInt(value, 10), MAX_MODLOG_LIMIT);
+            } else {
+                const usage = t('modLog.usage', { actions: actions.join(', ') });
+                return pushMessage(userId, { type: 'text', text: `${t('modLog.unknownFilter', { filter: arg })}\n${usage}` });
+            }
+        }
+
+        const entries = await db.getModerationLog(groupId, filters);
+        if (entries.length === 0) return pushMessage(userId, { type: 'text', text: t('modLog.noEntries') });
+
+        const userIds = [...new Set(entries.flatMap(e => [e.actor_id, e.target_id]).filter(Boolean))];
+        const names = {};
+        await Promise.all(userIds.map(async (id) => {
+            const profile = await client.getProfile(id).catch(() => null);
+            names[id] = profile ? profile.displayName : t('common.unknownUser', { id });
+        }));
+
+        // Action names stay as they are, since they are also the filters.
+        const lines = entries.map((e) => {
+            let line = `[${formatTimestamp(e.created_at)}] ${e.action}`;
+            if (e.target_id) line += ` | ${t('modLog.target', { name: names[e.target_id] })}`;
+            line += ` | ${t('modLog.by', { name: e.actor_id ? names[e.actor_id] : t('common.bot') })}`;
+            if (e.reason) line += ` | ${e.reason}`;
+            if (e.message_text) line += ` | ${t('modLog.message', { text: e.message_text })}`;
+            return line;
+        });
+
+        let logText = lines.join('\n');
+        if (logText.length > MAX_REPLY_LENGTH) logText = logText.substring(0, MAX_REPLY_LENGTH) + `...`;
+        return pushMessage(userId, { type: 'text', text: `${t('modLog.title', { count: entries.length })}\n${logText}` });
+    } catch (err) {
+        console.error("Error in handleModLogCommand:", err);
+        return pushMessage(userId, { type: 'text', text: t('errors.modLog') });
+    }
+}
+
+function describeRateLimit(t, max, windowSeconds) {
+    return max > 0 ? t('rateLimit.short', { max, seconds: windowSeconds }) : t('common.off');
+}
+
+// Formats a timestamp as 'YYYY-MM-DD HH:MM' in UTC.
+function formatTimestamp(value) {
+    return new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function isValidDate(value) {
+    return value !== '' && !isNaN(new Date(value).getTime());
+}
+
+// =================================================================
+// 7. AUTOMATION & HELPER LOGIC
+// =================================================================
+
+/**
+ * Routes a private message from a user with pending verifications.
+ * With several pending groups, the user first picks a group by number, then enters its password.
+ */
+async function handleVerificationMessage(verifications, message, replyToken) {
+    // Members waiting for approval have nothing to answer.
+    const answerable = verifications.filter(v => v.method !== VERIFICATION_MODES.APPROVAL);
+    if (answerable.length === 0) {
+        const t = await getTranslator(verifications[0].group_id);
+        return client.replyMessage(replyToken, { type: 'text', text: t('verification.waitingForApproval') });
+    }
+
+    let verification = answerable.length === 1 ? answerable[0] : getSelectedVerification(answerable);
+    if (verification) {
+        if (verification.method === VERIFICATION_MODES.CAPTCHA) return handleCaptchaAnswer(verification, message.type === 'text' ? message.text : '', replyToken);
+        return handlePasswordAttempt(verification, message, replyToken);
+    }
+
+    const choice = message.type === 'text' ? parseInt(message.text.trim(), 10) : NaN;
+    verification = answerable[choice - 1];
+    if (!verification) {
+        return client.replyMessage(replyToken, { type: 'text', text: await buildGroupChoicePrompt(answerable) });
+    }
+
+    await db.selectPendingVerification(verification.group_id, verification.user_id);
+    return client.replyMessage(replyToken, await buildVerificationPrompt(verification));
+}
+
+// Asks for the password, or repeats the captcha challenge, for one pending verification.
+async function buildVerificationPrompt(verification) {
+    const t = await getTranslator(verification.group_id);
+    const groupName = await getGroupName(verification.group_id, t);
+    if (verification.method === VERIFICATION_MODES.CAPTCHA) {
+        return [
+            { type: 'text', text: t('verification.captchaPrompt', { group: groupName }) },
+            buildChallengeMessage(verification.group_id, verification.challenge_question, verification.challenge_choices),
+        ];
+    }
+    return [{ type: 'text', text: t('verification.passwordPrompt', { group: groupName }) }];
+}
+
+// After passing one verification, points the member to the next one, if any.
+async function buildNextVerificationPrompt(userId) {
+    const remaining = (await db.getPendingVerificationsForUser(userId)).filter(v => v.method !== VERIFICATION_MODES.APPROVAL);
+    if (remaining.length > 1) return [{ type: 'text', text: await buildGroupChoicePrompt(remaining) }];
+    if (remaining.length === 1) return buildVerificationPrompt(remaining[0]);
+    return [];
+}
+
+async function handleCaptchaAnswer(verification, answer, replyToken) {
+    const { group_id: groupId, user_id: userId } = verification;
+    if (!answer.trim()) {
+        return client.replyMessage(replyToken, await buildVerificationPrompt(verification));
+    }
+
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const lockedForMs = verification.locked_until ? new Date(verification.locked_until).getTime() - Date.now() : 0;
+    if (lockedForMs > 0) {
+        return client.replyMessage(replyToken, { type: 'text', text: t('verification.passwordWait', { seconds: Math.ceil(lockedForMs / 1000) }) });
+    }
+
+    if (captcha.checkAnswer(verification.challenge_answer, answer)) {
+        if (!await db.deletePendingVerification(groupId, userId)) return null;
+        scheduler.cancel(verificationJobKey(groupId, userId));
+        return client.replyMessage(replyToken, [{ type: 'text', text: t('verification.captchaCorrect') }, ...await buildNextVerificationPrompt(userId)]);
+    }
+
+    // Captchas use the group's password attempt limit, capped so random taps can't get through,
+    // and its wait between attempts.
+    const policy = getPasswordAttemptPolicy(settings);
+    const maxAttempts = Math.min(policy.maxAttempts, captcha.MAX_ATTEMPTS);
+    const { cooldownSeconds } = policy;
+    const attempts = await db.recordFailedPasswordAttempt(groupId, userId, new Date(Date.now() + cooldownSeconds * 1000));
+    if (attempts === null) return null;
+    await logAction(groupId, MOD_ACTIONS.WRONG_CAPTCHA, { targetId: userId, reason: t('verification.logWrongCaptcha', { attempts, max: maxAttempts }), messageText: answer });
+
+    if (attempts < maxAttempts) {
+        const challenge = captcha.createChallenge(t);
+        await db.setVerificationChallenge(groupId, userId, challenge);
+        const wait = cooldownSeconds > 0 ? ` ${t('verification.passwordRetryIn', { seconds: cooldownSeconds })}` : '';
+        return client.replyMessage(replyToken, [
+            { type: 'text', text: `${t('verification.captchaWrong', { left: maxAttempts - attempts })}${wait}` },
+            buildChallengeMessage(groupId, challenge.question, challenge.choices),
+        ]);
+    }
+
+    if (!await db.deletePendingVerification(groupId, userId)) return null;
+    scheduler.cancel(verificationJobKey(groupId, userId));
+    await client.replyMessage(replyToken, { type: 'text', text: t('verification.captchaNoAttempts') });
+    await kickUser(groupId, userId, t('kick.captchaFailed'), { action: MOD_ACTIONS.WRONG_CAPTCHA_KICK });
+}
+
+async function handlePasswordAttempt(verification, message, replyToken) {
+    const { group_id: groupId, user_id: userId } = verification;
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+
+    if (message.type !== 'text') {
+        return client.replyMessage(replyToken, { type: 'text', text: t('verification.passwordNotText') });
+    }
+
+    const lockedForMs = verification.locked_until ? new Date(verification.locked_until).getTime() - Date.now() : 0;
+    if (lockedForMs > 0) {
+        return client.replyMessage(replyToken, { type: 'text', text: t('verification.passwordWait', { seconds: Math.ceil(lockedForMs / 1000) }) });
+    }
+
+    // If an admin turned the password off in the meantime, there is nothing left to check.
+    if (!settings.password || await verifyPassword(message.text, settings.password)) {
+        // Deleting the row claims the verification; if it is already gone, the timeout got there first.
+        if (!await db.deletePendingVerification(groupId, userId)) return null;
+        scheduler.cancel(verificationJobKey(groupId, userId));
+
+        return client.replyMessage(replyToken, [{ type: 'text', text: t('verification.passwordAccepted') }, ...await buildNextVerificationPrompt(userId)]);
+    }
+
+    const { maxAttempts, cooldownSeconds } = getPasswordAttemptPolicy(settings);
+    const attempts = await db.recordFailedPasswordAttempt(groupId, userId, new Date(Date.now() + cooldownSeconds * 1000));
+    if (attempts === null) return null;
+    // The attempt itself is never logged, since it may be close to the real password.
+    await logAction(groupId, MOD_ACTIONS.WRONG_PASSWORD, { targetId: userId, reason: t('verification.logWrongPassword', { attempts, max: maxAttempts }) });
+
+    if (attempts < maxAttempts) {
+        const wrong = t('verification.passwordWrong', { left: maxAttempts - attempts });
+        const wait = cooldownSeconds > 0 ? ` ${t('verification.passwordRetryIn', { seconds: cooldownSeconds })}` : '';
+        return client.replyMessage(replyToken, { type: 'text', text: `${wrong}${wait}` });
+    }
+
+    if (!await db.deletePendingVerification(groupId, userId)) return null;
+    scheduler.cancel(verificationJobKey(groupId, userId));
+    await client.replyMessage(replyToken, { type: 'text', text: t('verification.passwordNoAttempts') });
+    await kickUser(groupId, userId, t('kick.wrongPassword'), { action: MOD_ACTIONS.WRONG_PASSWORD_KICK });
+}
+
+function getSelectedVerification(verifications) {
+    const selected = verifications.filter(v => v.selected_at);
+    if (selected.length === 0) return null;
+    return selected.reduce((latest, v) => (new Date(v.selected_at) > new Date(latest.selected_at) ? v : latest));
+}
+
+// The groups can have different languages, so the prompt uses the first one's.
+async function buildGroupChoicePrompt(verifications) {
+    const t = await getTranslator(verifications[0].group_id);
+    const names = await Promise.all(verifications.map(v => getGroupName(v.group_id, t)));
+    const lines = names.map((name, i) => `${i + 1}. ${name}`);
+    return t('verification.chooseGroup', { groups: lines.join('\n') });
+}
+
+function getPasswordAttemptPolicy(settings) {
+    return {
+        maxAttempts: settings.password_max_attempts || DEFAULT_PASSWORD_MAX_ATTEMPTS,
+        cooldownSeconds: settings.password_retry_cooldown_seconds != null ? settings.password_retry_cooldown_seconds : DEFAULT_PASSWORD_RETRY_COOLDOWN_SECONDS,
+    };
+}
+
+/**
+ * Gives a group without an owner a new claim code and sends it privately to the bot operators.
+ * The code itself is never logged. Without operators, one has to be issued with claimCodes.js.
+ */
+async function issueClaimCode(groupId) {
+    if (BOT_OWNER_IDS.length === 0) {
+        console.log(`Group ${groupId} has no owner. Run 'node claimCodes.js ${groupId}' for a claim code.`);
+        return;
+    }
+    const code = await claimCodes.issueClaimCode(db, groupId);
+    const t = await getTranslator(groupId);
+    const groupName = await getGroupName(groupId, t);
+    for (const operatorId of BOT_OWNER_IDS) {
+        await pushMessage(operatorId, { type: 'text', text: t('claim.operatorCode', { group: groupName, code }) })
+            .catch(err => console.error(`Failed to send the claim code for group ${groupId} to ${operatorId}:`, err));
+    }
+    console.log(`Sent a new ownership claim code for group ${groupId} to the bot operators.`);
+}
+
+async function getGroupName(groupId, t) {
+    const summary = await client.getGroupSummary(groupId).catch(() => null);
+    if (summary) return summary.groupName;
+    return t('common.theGroup');
+}
+
+async function getMemberName(groupId, userId, t) {
+    const profile = await client.getGroupMemberProfile(groupId, userId).catch(() => null);
+    return profile ? profile.displayName : t('common.unknownUser', { id: userId });
+}
+
+function getStaffIds(settings) {
+    return [settings.owner_id, ...settings.admins, ...settings.moderators].filter(Boolean);
+}
+
+/**
+ * Writes the member activity collected since the last flush. Activity that can't be written is
+ * kept for the next flush.
+ */
+async function flushMemberActivity() {
+    const entries = memberActivity.take();
+    try {
+        await db.recordMemberMessages(entries);
+    } catch (err) {
+        console.error(`Failed to record the activity of ${entries.length} member(s):`, err);
+        memberActivity.restore(entries);
+    }
+}
+
+// Only verified and premium LINE accounts may list a group's members; others get 403.
+let memberListUnavailable = false;
+
+/**
+ * Adds the group's members the bot hasn't seen yet (e.g. ones who were there before it and never
+ * post), so activity reports and the auto-prune include them. Does nothing where LINE doesn't
+ * allow listing members.
+ */
+async function syncGroupMembers(groupId) {
+    if (memberListUnavailable) return;
+    try {
+        const memberIds = await client.getGroupMemberIds(groupId);
+        await db.addGroupMembers(groupId, memberIds);
+    } catch (err) {
+        if (err.statusCode === 403) {
+            memberListUnavailable = true;
+        } else {
+            console.error(`Failed to fetch the members of group ${groupId}:`, err);
+        }
+    }
+}
+
+function verificationJobKey(groupId, userId) {
+    return `verification:${groupId}:${userId}`;
+}
+
+function scheduleVerificationTimeout(groupId, userId, deadline) {
+    scheduler.scheduleAt(verificationJobKey(groupId, userId), deadline, () => expireVerifications(groupId, userId));
+}
+
+const VERIFICATION_TIMEOUT_KICKS = {
+    [VERIFICATION_MODES.PASSWORD]: ['kick.passwordTimeout', MOD_ACTIONS.PASSWORD_TIMEOUT_KICK],
+    [VERIFICATION_MODES.CAPTCHA]: ['kick.captchaTimeout', MOD_ACTIONS.CAPTCHA_TIMEOUT_KICK],
+    [VERIFICATION_MODES.APPROVAL]: ['kick.approvalTimeout', MOD_ACTIONS.APPROVAL_TIMEOUT_KICK],
+};
+
+/**
+ * Kicks every user whose verification deadline has passed, optionally limited to one group and user.
+ * The rows are claimed atomically, so a user is never kicked twice for the same verification.
+ */
+async function expireVerifications(groupId = null, userId = null) {
+    const expired = await db.claimExpiredVerifications(groupId, userId);
+    for (const verification of expired) {
+        scheduler.cancel(verificationJobKey(verification.group_id, verification.user_id));
+        console.log(`User ${verification.user_id} timed out. Kicking.`);
+        const [reasonKey, action] = VERIFICATION_TIMEOUT_KICKS[verification.method] || VERIFICATION_TIMEOUT_KICKS[VERIFICATION_MODES.PASSWORD];
+        const t = await getTranslator(verification.group_id);
+        await kickUser(verification.group_id, verification.user_id, t(reasonKey), { action });
+    }
+}
+
+function announcementJobKey(id) {
+    return `announcement:${id}`;
+}
+
+function scheduleAnnouncement(announcement) {
+    scheduler.scheduleAt(announcementJobKey(announcement.id), announcement.next_run_at, () => runAnnouncement(announcement.id));
+}
+
+// Runs an announcement when its timer fires. It may have been paused, deleted or moved since.
+async function runAnnouncement(id) {
+    const announcement = await db.getAnnouncement(id);
+    if (!announcement || announcement.paused) return null;
+    if (new Date(announcement.next_run_at) > new Date()) return scheduleAnnouncement(announcement);
+    return sendAnnouncement(announcement);
+}
+
+// Backstop for announcements scheduled by other dynos or missed timers.
+async function runDueAnnouncements() {
+    const due = await db.getActiveAnnouncements({ dueOnly: true });
+    for (const announcement of due) {
+        await sendAnnouncement(announcement);
+    }
+}
+
+/**
+ * Posts a due announcement in its group as a card, and moves it on to its next run (or deletes it,
+ * if it doesn't repeat). The run is claimed atomically, so it is posted once even if several
+ * processes get to it. Runs missed by more than ANNOUNCEMENT_MAX_DELAY_MS, and runs that don't
+ * fit in the message quota, are skipped and recorded in the moderation log.
+ */
+async function sendAnnouncement(announcement) {
+    const groupId = announcement.group_id;
+    const settings = await db.getGroupSettings(groupId);
+    const now = new Date();
+    const nextRunAt = announcement.cron_expression ? cron.nextRun(cron.parse(announcement.cron_expression), now, getTimeZone(settings)) : null;
+    if (!await db.claimAnnouncementRun(announcement.id, announcement.next_run_at, nextRunAt)) return null;
+    if (nextRunAt) scheduleAnnouncement({ ...announcement, next_run_at: nextRunAt });
+
+    const t = i18n.translator(getLanguage(settings));
+    if (now - new Date(announcement.next_run_at) > ANNOUNCEMENT_MAX_DELAY_MS) {
+        const time = cron.formatLocal(new Date(announcement.next_run_at), getTimeZone(settings));
+        return logAction(groupId, MOD_ACTIONS.ANNOUNCEMENT_SKIPPED, { reason: t('schedule.logMissed', { id: announcement.id, time }) });
+    }
+    if (!await quota.canSend(groupId)) {
+        console.log(`Skipping announcement ${announcement.id} in group ${groupId}: the message quota is nearly used up.`);
+        return logAction(groupId, MOD_ACTIONS.ANNOUNCEMENT_SKIPPED, { reason: t('schedule.logQuota', { id: announcement.id }) });
+    }
+
+    const title = t('schedule.cardTitle');
+    const card = flexMessages.buildTextCard({ title, text: announcement.message });
+    return pushMessage(groupId, flexMessages.buildFlexMessage(card, `${title}: ${announcement.message}`))
+        .catch(err => console.error(`Failed to post announcement ${announcement.id} in group ${groupId}:`, err));
+}
+
+/**
+ * Moves the next runs of a group's recurring announcements after its timezone changed, so they
+ * keep their local time.
+ * @returns {Promise<number>} The number of announcements moved.
+ */
+async function rescheduleRecurringAnnouncements(groupId, timeZone) {
+    const announcements = await db.getGroupAnnouncements(groupId);
+    let moved = 0;
+    for (const announcement of announcements) {
+        if (!announcement.cron_expression || announcement.paused) continue;
+        const nextRunAt = cron.nextRun(cron.parse(announcement.cron_expression), new Date(), timeZone);
+        if (!nextRunAt) continue;
+        await db.setAnnouncementNextRun(announcement.id, nextRunAt);
+        scheduleAnnouncement({ ...announcement, next_run_at: nextRunAt });
+        moved++;
+    }
+    return moved;
+}
+
+// Runs the auto-prune in every group that has it turned on.
+async function runAutoPrune() {
+    await flushMemberActivity();
+    const groupIds = await db.getAutoPruneGroups();
+    for (const groupId of groupIds) {
+        await pruneInactiveMembers(groupId).catch(err => console.error(`Auto-prune failed in group ${groupId}:`, err));
+    }
+}
+
+/**
+ * Removes the members of a group who were warned for inactivity more than prune_grace_days ago and
+ * haven't posted since (posting clears the warning), then warns the members who haven't posted for
+ * prune_inactive_days, in the group and in a private chat. Staff and bot operators are never
+ * warned or removed. Members are claimed atomically, so nobody is warned or removed twice.
+ */
+async function pruneInactiveMembers(groupId) {
+    const settings = await db.getGroupSettings(groupId);
+    const days = settings.prune_inactive_days;
+    if (!days) return;
+    const t = i18n.translator(getLanguage(settings));
+    const excludeIds = [...getStaffIds(settings), ...BOT_OWNER_IDS];
+    const graceMs = (settings.prune_grace_days || DEFAULT_PRUNE_GRACE_DAYS) * DAY_MS;
+    const now = Date.now();
+
+    const removed = await db.claimInactiveRemovals(groupId, new Date(now - graceMs), excludeIds, MAX_PRUNE_KICKS_PER_RUN);
+    for (const memberId of removed) {
+        await kickUser(groupId, memberId, t('kick.inactive', { days }), { action: MOD_ACTIONS.INACTIVE_KICK });
+    }
+
+    await syncGroupMembers(groupId);
+    const warned = await db.claimInactivityWarnings(groupId, new Date(now - days * DAY_MS), excludeIds, MAX_PRUNE_WARNINGS_PER_RUN);
+    if (warned.length === 0) return;
+
+    const timeZone = getTimeZone(settings);
+    const time = cron.formatLocal(new Date(now + graceMs), timeZone);
+    const group = await getGroupName(groupId, t);
+    const names = [];
+    for (const memberId of warned) {
+        names.push(await getMemberName(groupId, memberId, t));
+        await logAction(groupId, MOD_ACTIONS.INACTIVITY_WARNING, { targetId: memberId, reason: t('prune.logWarned', { days }) });
+        // Members who haven't added the bot as a friend can't be messaged; the notice in the group covers them.
+        await pushMessage(memberId, { type: 'text', text: t('prune.warningPrivate', { group, days, time, timezone: timeZone }) }).catch(() => null);
+    }
+    let notice = t('prune.warningGroup', { names: names.join(', '), days, time, timezone: timeZone });
+    if (notice.length > MAX_REPLY_LENGTH) notice = notice.substring(0, MAX_REPLY_LENGTH) + `...`;
+    await pushMessage(groupId, { type: 'text', text: notice })
+        .catch(err => console.error(`Failed to post the inactivity warning in group ${groupId}:`, err));
+}
+
+/**
+ * Removes a reported member once enough different members have reported them: the group's
+ * vote_kick_percent of its members, and at least MIN_VOTE_KICK_REPORTERS, within the vote-kick window.
+ * @returns {Promise<{votes: number, needed: number, kicked: boolean} | null>} The vote, or null if the vote-kick is
+ *   off or the group's member count can't be read (then nobody is removed).
+ */
+async function checkVoteKick(groupId, settings, targetId) {
+    if (!settings.vote_kick_percent) return null;
+    const t = i18n.translator(getLanguage(settings));
+    const windowMinutes = settings.vote_kick_window_minutes || DEFAULT_VOTE_KICK_WINDOW_MINUTES;
+    const [votes, memberCount] = await Promise.all([
+        db.countReporters(groupId, targetId, new Date(Date.now() - windowMinutes * 60 * 1000)),
+        client.getGroupMembersCount(groupId).then(result => result.count).catch(() => null),
+    ]);
+    if (memberCount === null) return null;
+    const needed = Math.max(MIN_VOTE_KICK_REPORTERS, Math.ceil(memberCount * settings.vote_kick_percent / 100));
+    if (votes < needed) return { votes, needed, kicked: false };
+
+    // Closing the reports claims the kick, so the member is only removed once when the last votes come in together.
+    if (await db.resolveReportsAgainst(groupId, targetId, REPORT_STATUS.KICKED, null) === 0) return { votes, needed, kicked: false };
+    await kickUser(groupId, targetId, t('kick.voteKick', { count: votes, minutes: windowMinutes }), { action: MOD_ACTIONS.VOTE_KICK });
+    return { votes, needed, kicked: true };
+}
+
+/**
+ * Counts a message towards the group's flood and duplicate limits, and acts on the sender if one is exceeded.
+ * @returns {Promise<boolean>} True if the sender was warned or kicked, so the message needs no further checks.
+ */
+async function checkRateLimits(groupId, userId, message, replyToken) {
+    const settings = await db.getGroupSettings(groupId);
+    if (!(settings.flood_max_messages > 0) && !(settings.duplicate_max_repeats > 0)) return false;
+    if (permissions.isStaff(settings, userId)) return false;
+
+    const result = floodGuard.recordMessage(groupId, userId, messageFingerprint(message), {
+        floodMax: settings.flood_max_messages,
+        floodWindowMs: (settings.flood_window_seconds || DEFAULT_FLOOD_WINDOW_SECONDS) * 1000,
+        duplicateMax: settings.duplicate_max_repeats,
+        duplicateWindowMs: (settings.duplicate_window_seconds || DEFAULT_DUPLICATE_WINDOW_SECONDS) * 1000,
+    });
+    if (!result.flood && !result.duplicate) return false;
+
+    const type = result.flood ? 'flood' : 'duplicate';
+    const t = i18n.translator(getLanguage(settings));
+    const reason = result.flood
+        ? t('violations.flood', { count: result.count, seconds: settings.flood_window_seconds || DEFAULT_FLOOD_WINDOW_SECONDS })
+        : t('violations.duplicate', { count: result.count, seconds: settings.duplicate_window_seconds || DEFAULT_DUPLICATE_WINDOW_SECONDS });
+
+    const joinedAt = await db.getMemberJoinedAt(groupId, userId);
+    const memberAgeHours = joinedAt ? (Date.now() - new Date(joinedAt).getTime()) / (60 * 60 * 1000) : null;
+    const action = contentPolicy.resolveAction(settings.content_policies, type, memberAgeHours);
+    const messageText = describeMessage(message);
+
+    if (action === contentPolicy.POLICY_ACTIONS.KICK) {
+        await kickUser(groupId, userId, reason, { action: MOD_ACTIONS.CONTENT_POLICY_KICK, messageText });
+    } else if (action === contentPolicy.POLICY_ACTIONS.WARN) {
+        await issueStrike(groupId, userId, { reason, messageText, replyToken });
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// Identifies messages with the same content. Media can't be compared, since only its ID is known.
+function messageFingerprint(message) {
+    if (message.type === 'text') return blacklistMatcher.normalizeText(message.text).replace(/\s+/g, ' ').trim();
+    if (message.type === 'sticker') return `sticker:${message.packageId}:${message.stickerId}`;
+    return null;
+}
+
+/**
+ * Puts a group into lockdown after a join burst: kicks everyone who joined during the burst,
+ * and alerts the group and its admins. New members keep being kicked until an admin lifts it.
+ */
+async function startLockdown(groupId, joinerIds, settings) {
+    const windowSeconds = settings.raid_window_seconds || DEFAULT_RAID_WINDOW_SECONDS;
+    const t = i18n.translator(getLanguage(settings));
+    const reason = t('lockdown.joinBurst', { count: joinerIds.length, seconds: windowSeconds });
+    console.log(`Locking down group ${groupId}. ${joinerIds.length} members joined within ${windowSeconds} seconds.`);
+
+    await db.setLockdown(groupId, true);
+    floodGuard.resetJoins(groupId);
+    await logAction(groupId, MOD_ACTIONS.LOCKDOWN_ON, { reason });
+
+    await kickLockdownJoiners(groupId, joinerIds, settings, t('kick.joinBurst'));
+
+    const groupName = await getGroupName(groupId, t);
+    await pushMessage(groupId, { type: 'text', text: t('lockdown.raidAnnouncement') })
+        .catch(err => console.error(`Failed to announce lockdown in group ${groupId}:`, err));
+    const command = `${commands.formatName('!lockdown', getCommandPrefix(settings))} off`;
+    await notifyAdmins(groupId, t('lockdown.raidNotice', { group: groupName, reason, command }));
+    return null;
+}
+
+/**
+ * Removes members who joined during a raid or a lockdown, except staff and bot operators, and
+ * drops the verifications the earlier ones were already given.
+ */
+async function kickLockdownJoiners(groupId, joinerIds, settings, reason) {
+    for (const userId of joinerIds) {
+        if (permissions.isStaff(settings, userId) || BOT_OWNER_IDS.includes(userId)) continue;
+        await kickUser(groupId, userId, reason, { action: MOD_ACTIONS.LOCKDOWN_KICK });
+        if (await db.deletePendingVerification(groupId, userId)) {
+            scheduler.cancel(verificationJobKey(groupId, userId));
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a shared ban list entry that applies to a user in a group.
+ * Staff of the group are never removed because of a ban issued elsewhere.
+ * @returns {Promise<object | null>} The oldest matching ban, or null.
+ */
+async function findSharedBan(groupId, userId) {
+    const settings = await db.getGroupSettings(groupId);
+    if (settings.ban_list_ids.length === 0 || permissions.isStaff(settings, userId)) return null;
+    const [ban] = await db.getSharedBans(groupId, userId);
+    return ban || null;
+}
+
+function describeSharedBan(t, ban) {
+    return ban.reason
+        ? t('kick.sharedBanWithReason', { list: ban.list_name, reason: ban.reason })
+        : t('kick.sharedBan', { list: ban.list_name });
+}
+
+/**
+ * Applies a new shared ban in every other group subscribed to the list, kicking the user where they are a member.
+ * @returns {Promise<number>} The number of groups the user was removed from.
+ */
+async function enforceSharedBan(list, bannedUserId, sourceGroupId, actorId) {
+    let removedFrom = 0;
+    const groupIds = await db.getBanListSubscribers(list.id);
+    for (const groupId of groupIds.filter(id => id !== sourceGroupId)) {
+        const ban = await findSharedBan(groupId, bannedUserId);
+        if (!ban) continue; // Exempted, or staff in that group.
+        const isMember = await client.getGroupMemberProfile(groupId, bannedUserId).then(() => true).catch(() => false);
+        if (!isMember) continue;
+        await kickUser(groupId, bannedUserId, describeSharedBan(await getTranslator(groupId), ban), { action: MOD_ACTIONS.SHARED_BAN_KICK, actorId });
+        removedFrom++;
+    }
+    return removedFrom;
+}
+
+async function notifyAdmins(groupId, text) {
+    const settings = await db.getGroupSettings(groupId);
+    const adminIds = settings.owner_id ? [settings.owner_id, ...settings.admins] : settings.admins;
+    await Promise.all(adminIds.map(adminId => pushMessage(adminId, { type: 'text', text })
+        .catch(err => console.error(`Failed to notify admin ${adminId}:`, err))));
+}
+
+/**
+ * Checks a message from a member against the word blacklist and the group's content policies.
+ * Messages from new members who haven't accepted the rules yet get the group's !rulesack action instead.
+ * Staff are never moderated. Content policy violations with the 'warn' action give a strike; 'kick' removes the member right away.
+ */
+async function moderateMessage(groupId, userId, message, replyToken) {
+    const settings = await db.getGroupSettings(groupId);
+    if (permissions.isStaff(settings, userId)) return null;
+    const t = i18n.translator(getLanguage(settings));
+    const messageText = describeMessage(message);
+
+    // LINE doesn't let bots delete messages, so posting before accepting the rules can only be punished.
+    if (requiresRulesAcceptance(settings) && await db.isRulesAcceptancePending(groupId, userId)) {
+        if (settings.rules_ack_action === contentPolicy.POLICY_ACTIONS.KICK) {
+            return kickUser(groupId, userId, t('kick.rulesNotAccepted'), { action: MOD_ACTIONS.RULES_KICK, messageText });
+        }
+        const reason = t('rules.notAccepted', { command: commands.formatName('!rules', getCommandPrefix(settings)) });
+        return issueStrike(groupId, userId, { reason, messageText, replyToken });
+    }
+
+    if (message.type === 'text') {
+        const blacklist = settingsCache.derive(settings, 'blacklist', ({ blacklist_words }) => blacklistMatcher.compileBlacklist(blacklist_words));
+        const foundEntry = blacklist.match(message.text);
+        if (foundEntry) {
+            const reason = t('violations.blacklistedWord', { entry: blacklistMatcher.formatEntry(foundEntry) });
+            return issueStrike(groupId, userId, { reason, messageText, replyToken });
+        }
+    }
+
+    const joinedAt = await db.getMemberJoinedAt(groupId, userId);
+    const violation = contentPolicy.evaluateMessage(message, {
+        policies: settings.content_policies,
+        allowlist: settings.link_allowlist,
+        denylist: settings.link_denylist,
+        memberAgeHours: joinedAt ? (Date.now() - new Date(joinedAt).getTime()) / (60 * 60 * 1000) : null,
+    });
+    if (!violation) return null;
+
+    const reason = describeViolation(t, violation);
+    if (violation.action === contentPolicy.POLICY_ACTIONS.KICK) {
+        return kickUser(groupId, userId, reason, { action: MOD_ACTIONS.CONTENT_POLICY_KICK, messageText });
+    }
+    return issueStrike(groupId, userId, { reason, messageText, replyToken });
+}
+
+// Words a content policy violation (see contentPolicy.evaluateMessage), e.g. 'Sent a sticker within 24h of joining'.
+function describeViolation(t, violation) {
+    const description = t(`violations.${violation.type}`, { host: violation.host });
+    return violation.newMemberHours ? t('violations.newMember', { violation: description, hours: violation.newMemberHours }) : description;
+}
+
+// A short text version of any message, for the moderation log.
+function describeMessage(message) {
+    switch (message.type) {
+        case 'text': return message.text;
+        case 'file': return `[file: ${message.fileName}]`;
+        case 'location': return `[location: ${message.title || message.address || `${message.latitude}, ${message.longitude}`}]`;
+        default: return `[${message.type}]`;
+    }
+}
+
+/**
+ * Gives a member a strike and applies the group's escalation policy:
+ * the first strike is a private warning, later ones are public warnings, and reaching the
+ * strike limit kicks the member. Members kicked too often for strikes are blacklisted.
+ */
+async function issueStrike(groupId, userId, { reason, actorId = null, messageText = null, replyToken = null }) {
+    const settings = await db.getGroupSettings(groupId);
+    const t = i18n.translator(getLanguage(settings));
+    const policy = getStrikePolicy(settings);
+    const expiresAt = policy.expiryHours > 0 ? new Date(Date.now() + policy.expiryHours * 60 * 60 * 1000) : null;
+
+    const strikeCount = await db.addStrike(groupId, userId, { reason, issuedBy: actorId, messageText, expiresAt });
+    await logAction(groupId, MOD_ACTIONS.STRIKE, { actorId, targetId: userId, reason: t('strikes.logStrike', { count: strikeCount, max: policy.strikesBeforeKick, reason }), messageText });
+
+    if (strikeCount >= policy.strikesBeforeKick) {
+        const kicked = await kickUser(groupId, userId, t('kick.strikes', { count: strikeCount, reason }), { action: MOD_ACTIONS.STRIKE_KICK, actorId, messageText });
+        // A failed kick keeps the strikes and isn't counted towards the blacklist.
+        if (!kicked) return null;
+
+        // Start from a clean slate if the member comes back.
+        await db.clearStrikes(groupId, userId);
+        const kickCount = await db.recordStrikeKick(groupId, userId);
+        if (policy.kicksBeforeBlacklist > 0 && kickCount >= policy.kicksBeforeBlacklist) {
+            const blacklistReason = t('strikes.autoBlacklist', { count: kickCount });
+            await db.addUserToBlacklist(groupId, userId, { reason: blacklistReason });
+            await logAction(groupId, MOD_ACTIONS.AUTO_BLACKLIST, { targetId: userId, reason: blacklistReason });
+        }
+        return null;
+    }
+
+    const warning = t('strikes.warning', { reason, count: strikeCount, max: policy.strikesBeforeKick });
+    if (strikeCount === 1) {
+        const groupName = await getGroupName(groupId, t);
+        const sent = await pushMessage(userId, { type: 'text', text: t('strikes.privateWarning', { group: groupName, warning }) }).then(() => true, () => false);
+        if (sent) return null;
+        // The member hasn't added the bot as a friend, so fall back to a public warning.
+    }
+
+    const profile = await client.getGroupMemberProfile(groupId, userId).catch(() => null);
+    const publicWarning = { type: 'text', text: t('strikes.publicWarning', { name: profile ? profile.displayName : t('strikes.member'), warning }) };
+    if (replyToken) return client.replyMessage(replyToken, publicWarning);
+    return pushMessage(groupId, publicWarning);
+}
+
+function getStrikePolicy(settings) {
+    const valueOr = (value, fallback) => (value != null ? value : fallback);
+    return {
+        strikesBeforeKick: settings.strikes_before_kick || DEFAULT_STRIKES_BEFORE_KICK,
+        kicksBeforeBlacklist: valueOr(settings.kicks_before_blacklist, DEFAULT_KICKS_BEFORE_BLACKLIST),
+        expiryHours: valueOr(settings.strike_expiry_hours, DEFAULT_STRIKE_EXPIRY_HOURS),
+    };
+}
+
+function describeStrikePolicy(t, policy) {
+    const blacklist = policy.kicksBeforeBlacklist > 0 ? t('strikePolicy.blacklistAfter', { kicks: policy.kicksBeforeBlacklist }) : t('strikePolicy.noAutoBlacklist');
+    const expiry = policy.expiryHours > 0 ? t('strikePolicy.expireAfter', { hours: policy.expiryHours }) : t('strikePolicy.neverExpire');
+    return t('strikePolicy.description', { strikes: policy.strikesBeforeKick, blacklist, expiry });
+}
+
+/**
+ * Kicks a user from a group. If an action type is given, the kick is also recorded in the moderation log.
+ * @param {object} [details] - Extra information for the moderation log.
+ * @param {string} [details.action] - The action type (one of MOD_ACTIONS).
+ * @param {string} [details.actorId] - The admin who caused the kick, if any.
+ * @param {string} [details.messageText] - The message that triggered the kick.
+ * @returns {Promise<boolean>} True if the user was removed.
+ */
+async function kickUser(groupId, userId, reason, details = {}) {
+    let kicked = true;
+    try {
+        console.log(`Kicking user ${userId}. Reason: ${reason}`);
+        await client.kickGroupMember(groupId, userId);
+    } catch (err) {
+        kicked = false;
+        console.error(`Failed to kick user ${userId}:`, err.originalError ? err.originalError.response.data : err);
+    }
+
+    if (details.action) {
+        const t = kicked ? null : await getTranslator(groupId);
+        await logAction(groupId, details.action, {
+            actorId: details.actorId,
+            targetId: userId,
+            reason: kicked ? reason : t('kick.failed', { reason }),
+            messageText: details.messageText,
+        });
+    }
+    return kicked;
+}
+
+/**
+ * Records an action in the moderation log. Failures are only logged to the console,
+ * so a database problem never stops the action itself.
+ */
+async function logAction(groupId, action, { actorId = null, targetId = null, reason = null, messageText = null } = {}) {
+    try {
+        await db.logModerationAction(groupId, { action, actorId, targetId, reason, messageText });
+    } catch (err) {
+        console.error(`Failed to record moderation action '${action}':`, err);
+    }
+}
+
+/**
+ * Removes the '@name' parts of a message, so the remaining words can be parsed as arguments.
+ */
+function stripMentions(text, mention) {
+    if (!mention || !mention.mentionees) return text;
+    // Cut from the end, so earlier indexes stay valid.
+    return [...mention.mentionees]
+        .sort((a, b) => b.index - a.index)
+        .reduce((result, m) => result.slice(0, m.index) + result.slice(m.index + m.length), text);
+}
+
 // =================================================================
 // 8. DATABASE SCHEMA SETUP & SERVER START
 // =================================================================
 async function initializeDatabase() {
-    const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS group_settings (
-            group_id VARCHAR(255) PRIMARY KEY,
-            admins TEXT[] DEFAULT '{}',
-            password VARCHAR(255),
-            password_timeout_minutes INTEGER DEFAULT ${DEFAULT_PASSWORD_TIMEOUT_MINUTES},
-            blacklist_words TEXT[] DEFAULT '{}',
-            blacklist_users TEXT[] DEFAULT '{}'
-        );
-    `;
     const poolForInit = new Pool({
         connectionString: process.env.DATABASE_URL,
         ssl: { rejectUnauthorized: false }
     });
     try {
-        const dbClient = await poolForInit.connect();
-        await dbClient.query(createTableQuery);
-        await dbClient.query(`
-            ALTER TABLE group_settings
-            ADD COLUMN IF NOT EXISTS password_timeout_minutes INTEGER DEFAULT ${DEFAULT_PASSWORD_TIMEOUT_MINUTES};
-        `).catch(e => console.log("Column already exists, skipping."));
-        dbClient.release();
-        console.log("Database table 'group_settings' is ready.");
+        // The schema is defined by the files in migrations/ (see migrate.js).
+        await runMigrations(poolForInit);
+        console.log("Database tables are ready.");
     } catch (err) {
         console.error("Error initializing database table:", err);
         process.exit(1);
@@ -415,7 +3542,44 @@ async function initializeDatabase() {
     }
 }
 
-app.listen(PORT, () => {
+async function startScheduler() {
+    // The periodic jobs come first, so the sweeps still expire verifications and send announcements
+    // if restoring the timers below fails (e.g. the database isn't reachable yet).
+    // The verification sweep is also the backstop for verifications created by other dynos or missed timers.
+    scheduler.every('verification-sweep', VERIFICATION_SWEEP_INTERVAL_MS, () => expireVerifications());
+    scheduler.every('flood-guard-prune', FLOOD_PRUNE_INTERVAL_MS, () => floodGuard.prune(MAX_RATE_LIMIT_WINDOW_SECONDS * 1000));
+    scheduler.every('announcement-sweep', ANNOUNCEMENT_SWEEP_INTERVAL_MS, () => runDueAnnouncements());
+    scheduler.every('inactivity-prune', PRUNE_INTERVAL_MS, () => runAutoPrune());
+    scheduler.every('activity-flush', ACTIVITY_FLUSH_INTERVAL_MS, () => flushMemberActivity());
+    scheduler.every('webhook-event-prune', WEBHOOK_EVENT_PRUNE_INTERVAL_MS, () => db.pruneWebhookEvents(new Date(Date.now() - WEBHOOK_EVENT_RETENTION_MS)));
+
+    // Kick anyone whose deadline passed while the bot was down, then re-arm the remaining timers.
+    await expireVerifications();
+    const pending = await db.getAllPendingVerifications();
+    pending.forEach(v => scheduleVerificationTimeout(v.group_id, v.user_id, v.deadline));
+    console.log(`Restored ${pending.length} pending verification(s).`);
+
+    // Announcements that came due while the bot was down are sent, or skipped if they are too late.
+    await runDueAnnouncements();
+    const announcements = await db.getActiveAnnouncements();
+    announcements.forEach(scheduleAnnouncement);
+    console.log(`Restored ${announcements.length} scheduled announcement(s).`);
+}
+
+const server = app.listen(PORT, async () => {
     console.log(`Listening on port ${PORT}`);
-    initializeDatabase();
+    await initializeDatabase();
+    db.listenForSettingsChanges();
+    await startScheduler().catch(err => console.error("Error starting the scheduler:", err));
+});
+
+// Heroku sends SIGTERM before restarting or deploying. Stop taking requests and finish the
+// queued events, since LINE already got its 200 for them and won't send them again.
+process.on('SIGTERM', async () => {
+    console.log("SIGTERM received, finishing queued events before exiting.");
+    server.close();
+    scheduler.stopAll();
+    await Promise.race([eventQueue.idle(), new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS))]);
+    await flushMemberActivity();
+    process.exit(0);
 });
@@ -0,0 +1,783 @@
+// locales/en.js
+// English messages. This is the reference catalog: other catalogs fall back to it for any message
+// they don't have, so every message the bot sends must be here. See i18n.js for how keys and
+// {placeholders} work.
+//
+// Command names in messages are written with '!'. Where the group's prefix matters, the command
+// is passed in as a placeholder instead.
+
+module.exports = {
+    name: 'English',
+    messages: {
+        common: {
+            none: 'None',
+            on: 'On',
+            off: 'Off',
+            stateOn: 'on',
+            stateOff: 'off',
+            usage: 'Usage: {usage}',
+            unknownName: 'Unknown',
+            unknownUser: 'Unknown (ID: {id})',
+            theUser: 'The user',
+            theGroup: 'the group',
+            bot: 'bot',
+        },
+        roleNames: {
+            owner: 'owner',
+            admin: 'admin',
+            moderator: 'moderator',
+            member: 'member',
+        },
+        command: {
+            consoleOnly: '{command} only works in a private chat with me.',
+            noPermission: "You don't have permission to use {command}.",
+            unknown: 'Unknown command: {command}. Use {help} to see all available commands.',
+            usage: 'Usage: {usage}\nSend {help} {name} for details.',
+            groupCommandsOff: 'Commands are turned off in this group. Send them to me in a private chat instead (start with !groups).',
+        },
+        bot: {
+            joined: 'Thanks for adding me! To set me up, the group owner should send !claim [code]. The bot operator can give you the claim code.',
+        },
+        kick: {
+            blacklisted: 'User is on the blacklist.',
+            blacklistedJoin: 'A blacklisted user tried to join.',
+            blacklistedNow: 'User has been blacklisted.',
+            sharedBan: "User is on the shared ban list '{list}'.",
+            sharedBanWithReason: "User is on the shared ban list '{list}' ({reason}).",
+            lockdown: 'The group is in lockdown.',
+            joinBurst: 'Joined during a join burst.',
+            rejected: 'Rejected by an admin.',
+            captchaFailed: 'Failed the captcha challenge.',
+            wrongPassword: 'Incorrect password provided.',
+            passwordTimeout: 'Password verification timed out.',
+            captchaTimeout: 'Did not answer the captcha in time.',
+            approvalTimeout: 'Nobody approved the member in time.',
+            rulesNotAccepted: 'Posted before accepting the group rules.',
+            inactive: 'Inactive for {days} days.',
+            reported: 'Removed by the staff after a report (#{id}).',
+            voteKick: 'Reported by {count} members within {minutes} minutes.',
+            strikes: 'Reached {count} strike(s). Last: {reason}',
+            failed: '{reason} (kick failed)',
+        },
+        verification: {
+            welcomeApproval: 'Welcome to {group}! An admin needs to approve new members. You will be removed if nobody approves you within {minutes} minute(s).',
+            welcomeCaptcha: 'Welcome to {group}! To stay in the group, answer this within {minutes} minute(s):',
+            welcomePassword: 'Welcome to {group}! This group requires a password. Please reply with the password within {minutes} minute(s) to stay in the group.',
+            waitingForApproval: 'You are waiting for an admin to approve you. There is nothing else you need to do.',
+            chooseGroup: 'You have joined several groups that require verification. Reply with the number of the group you want to verify first:\n{groups}',
+            captchaPrompt: 'Please answer this for {group}:',
+            captchaExpired: 'This challenge is no longer valid.',
+            captchaCorrect: 'Correct. Welcome!',
+            captchaWrong: 'Wrong answer. {left} attempt(s) left, with a new question.',
+            captchaNoAttempts: 'Wrong answer. You have no attempts left.',
+            passwordPrompt: 'Please reply with the password for {group}.',
+            passwordNotText: 'Please reply with the password as a text message.',
+            passwordWait: 'Please wait {seconds} second(s) before trying again.',
+            passwordAccepted: 'Password accepted. Welcome!',
+            passwordWrong: 'Incorrect password. {left} attempt(s) left.',
+            passwordRetryIn: 'You can try again in {seconds} second(s).',
+            passwordNoAttempts: 'Incorrect password. You have no attempts left.',
+            logWrongCaptcha: 'Wrong captcha answer (attempt {attempts} of {max}).',
+            logWrongPassword: 'Wrong password (attempt {attempts} of {max}).',
+            modeOff: 'Off',
+            modeCaptcha: 'Captcha (Timeout: {timeout}m, Attempts: {attempts})',
+            modeApproval: 'Admin approval (Timeout: {timeout}m)',
+            modePassword: 'Password (Timeout: {timeout}m, Attempts: {attempts}, Cooldown: {cooldown}s)',
+            modePasswordUnset: 'Password (no password set, so off)',
+            current: 'Verification: {description}',
+            invalidMinutes: 'Please provide a number of minutes between 1 and {max}.',
+            logModeSet: 'Verification set to {description}.',
+            noPasswordNote: 'No password is set yet, so nobody is verified until you use !setpassword.',
+            modeSet: 'New members are now verified by: {description}.',
+            existingMembersNote: 'Members who already joined keep their current verification.',
+        },
+        captcha: {
+            arithmetic: 'What is {x} {operator} {y}?',
+            emoji: 'Tap the {thing}.',
+            things: {
+                cat: 'cat',
+                dog: 'dog',
+                apple: 'apple',
+                car: 'car',
+                moon: 'moon',
+                star: 'star',
+                fish: 'fish',
+                flower: 'flower',
+                banana: 'banana',
+                ball: 'ball',
+                house: 'house',
+                umbrella: 'umbrella',
+            },
+        },
+        approval: {
+            newMember: 'A new member',
+            request: '{name} joined {group} and needs approval. They will be removed in {minutes} minute(s) if nobody approves them.',
+            altText: '{name} is waiting for approval to join {group}.',
+            approve: 'Approve',
+            kick: 'Kick',
+            notWaiting: 'This member is no longer waiting for approval (already handled, timed out, or left).',
+            welcome: 'You have been approved. Welcome to {group}!',
+            approved: 'Approved. The member can stay in {group}.',
+            removed: 'The member has been removed from {group}.',
+        },
+        welcome: {
+            current: '--- Welcome Messages ---\nIn the group: {group}\nIn a private chat: {private}',
+            notSet: 'Not set',
+            placeholders: 'Placeholders: {placeholders}',
+            kinds: {
+                group: 'group welcome message',
+                private: 'private welcome message',
+            },
+            tooLong: 'A welcome message can be at most {max} characters long.',
+            unknownPlaceholders: 'Unknown placeholder(s): {placeholders}. You can use {allowed}.',
+            logSet: 'Set the {kind}.',
+            logCleared: 'Turned off the {kind}.',
+            updated: 'The {kind} is set. New members will see, for example:\n\n{preview}',
+            cleared: 'The {kind} is turned off.',
+            someone: 'new member',
+        },
+        rules: {
+            notSet: 'This group has no rules set.',
+            current: '--- Group Rules ---\n{rules}',
+            title: 'Rules of {group}',
+            accept: 'I accept the rules',
+            acceptNote: 'New members have to accept the rules before posting.',
+            accepted: 'Thanks, {name}! You accepted the group rules.',
+            notAccepted: 'Please accept the group rules before posting. Send {command} to see them.',
+            tooLong: 'The rules can be at most {max} characters long.',
+            logSet: 'Set the group rules.',
+            logCleared: 'Removed the group rules.',
+            updated: 'The group rules are set. Members can see them with {command}.',
+            cleared: 'The group rules are removed.',
+            ackSuspended: 'New members no longer have to accept them until you set new rules.',
+            ackOff: "New members don't have to accept the rules.",
+            ackWarn: 'New members have to accept the rules. Messages sent before that get a strike.',
+            ackKick: 'New members have to accept the rules. Members who post before that are removed.',
+            ackNoRules: 'Set the rules with {command} first.',
+            ackLogSet: 'Rule acceptance: {description}',
+            ackNewMembersNote: 'This applies to members who join from now on.',
+        },
+        timezone: {
+            current: 'Times in this group are in {timezone} (now {time}).',
+            invalid: 'Unknown timezone: {timezone}. Use a name like Asia/Bangkok or Europe/London.',
+            logSet: 'Timezone set to {timezone}.',
+            updated: 'Times in this group are now in {timezone} (now {time}).',
+            announcementsMoved: '{count} recurring announcement(s) keep their local time.',
+        },
+        schedule: {
+            title: '--- Scheduled Announcements (times in {timezone}) ---',
+            none: 'No announcements are scheduled.',
+            line: '#{id} {time}, {repeat}{paused}: {message}',
+            once: 'once',
+            repeats: 'repeats ({cron})',
+            pausedTag: '[paused]',
+            quota: 'Messages used this month: {used} of {limit}. Announcements stop at {stop}%.',
+            quotaUnlimited: 'Messages used this month: {used} (no monthly limit).',
+            quotaUnknown: "The channel's message quota couldn't be checked.",
+            tooMany: 'A group can have at most {max} scheduled announcements. Delete one first.',
+            invalidTime: "Couldn't read the time '{time}'. Use HH:MM or YYYY-MM-DD HH:MM.\nUsage: {usage}",
+            inPast: '{time} ({timezone}) has already passed.',
+            invalidCron: '\'{cron}\' isn\'t a valid cron expression. Write its 5 fields in quotes: minute, hour, day of the month, month and day of the week, e.g. "0 9 * * mon" for Mondays at 9:00.',
+            neverRuns: "'{cron}' never runs.",
+            tooFrequent: 'Recurring announcements can run at most once every {minutes} minutes.',
+            tooLong: 'An announcement can be at most {max} characters long.',
+            logCreated: 'Scheduled announcement #{id}.',
+            created: 'Announcement #{id} will be posted at {time} ({timezone}).',
+            createdRecurring: 'Announcement #{id} repeats ({cron}). It will first be posted at {time} ({timezone}).',
+            notFound: "There is no announcement '{id}' in this group. Use the number shown in the list.",
+            logDeleted: 'Deleted announcement #{id}.',
+            deleted: 'Announcement #{id} is deleted.',
+            logPaused: 'Paused announcement #{id}.',
+            paused: 'Announcement #{id} is paused.',
+            logResumed: 'Resumed announcement #{id}.',
+            resumed: 'Announcement #{id} is resumed. It will be posted next at {time} ({timezone}).',
+            resumePast: "Announcement #{id} was due in the past, so it won't be posted. Delete it and schedule a new one.",
+            logMissed: 'Skipped announcement #{id} due at {time}: the bot was unavailable then.',
+            logQuota: "Skipped announcement #{id}: the channel's monthly message quota is nearly used up.",
+            cardTitle: 'Announcement',
+        },
+        activity: {
+            title: '--- Activity of {name} (times in {timezone}) ---',
+            unknown: "{name} hasn't been seen in this group yet.",
+            joined: 'Joined: {time}',
+            joinedBefore: 'Joined: before {time} (first seen)',
+            lastMessage: 'Last message: {time} ({days} days ago)',
+            neverPosted: 'Last message: none yet',
+            messages: 'Messages: {count}',
+            left: 'Left: {time}',
+            pruneWarned: 'Warned for inactivity; will be removed at {time} unless they post.',
+        },
+        inactive: {
+            title: '--- {count} member(s) inactive for {days}+ days (times in {timezone}) ---',
+            none: 'No members have been inactive for {days} days or more.',
+            line: '- {name}: {activity}',
+            lastMessage: 'last message {time}',
+            neverPosted: 'no messages since {time}',
+            warnedTag: '[warned]',
+            more: '...and {count} more.',
+            invalidDays: 'The number of days must be between 1 and {max}.',
+        },
+        report: {
+            quotedUnknown: "The bot doesn't remember that message any more. Mention the member instead: {usage}",
+            self: "You can't report yourself.",
+            staff: "Staff can't be reported. Contact the group owner instead.",
+            blocked: "Several of your recent reports were dismissed by the staff, so you can't send reports for now.",
+            tooMany: 'You can send at most {max} reports an hour. Please try again later.',
+            alreadyReported: 'You have already reported {name}. The staff will look at it.',
+            sent: 'Thank you. The staff have been told about {name}.',
+            votes: '{votes} of the {needed} reports needed to remove {name}.',
+            voteKicked: '{name} was removed after {votes} members reported them.',
+            notice: 'Report in "{group}"\nMember: {name}\nReported by: {reporter}\nReason: {reason}\nMessage: {message}',
+            noReason: '(none given)',
+            noMessage: "(the bot hasn't seen a recent message from them)",
+            prompt: 'What should happen to {name}?',
+            altText: '{name} was reported in {group}',
+            kick: 'Kick',
+            blacklist: 'Blacklist',
+            dismiss: 'Dismiss',
+            alreadyHandled: 'This report has already been handled.',
+            targetIsStaff: 'The reported member is now staff, so they can\'t be kicked or blacklisted. Dismiss the report instead.',
+            kicked: '{name} was removed from {group}.',
+            blacklisted: '{name} was blacklisted and removed from {group}.',
+            dismissed: 'The report about {name} was dismissed.',
+            logDismissed: 'Dismissed report #{id}.',
+            logBlacklisted: 'Blacklisted after report #{id}.',
+            title: '--- Open reports: {count} member(s) (times in {timezone}) ---',
+            none: 'There are no open reports.',
+            line: '- {name}: {count} report(s), last {time}',
+        },
+        voteKick: {
+            current: 'Vote-kick: members reported by {percent}% of the group (at least {min} members) within {minutes} minutes are removed.',
+            off: 'Vote-kick is off.',
+            invalidPercent: 'The share of members must be between {min} and 100 percent.',
+            invalidWindow: 'The time window must be between 1 and {max} minutes.',
+            logSet: 'Vote-kick set to {percent}% of the members within {minutes} minutes.',
+            updated: 'Vote-kick is on: members reported by {percent}% of the group (at least {min} members) within {minutes} minutes will be removed.',
+            logOff: 'Vote-kick turned off.',
+            turnedOff: 'Vote-kick is off. Reports are only sent to the staff.',
+        },
+        prune: {
+            current: 'Auto-prune: members inactive for {days} days are warned, then removed after {grace} days.',
+            off: 'Auto-prune is off.',
+            invalidDays: 'The number of inactive days must be between {min} and {max}.',
+            invalidGrace: 'The grace period must be between 1 and {max} days.',
+            logSet: 'Auto-prune set to {days} inactive days with {grace} days of grace.',
+            updated: 'Auto-prune is on: members who post nothing for {days} days will be warned, and removed {grace} days later unless they post. Admins and moderators are never removed.',
+            logOff: 'Auto-prune turned off.',
+            turnedOff: 'Auto-prune is off. Pending warnings were cleared.',
+            logWarned: 'Warned for {days} days of inactivity.',
+            warningGroup: '{names}: you have not posted here for {days} days. Send a message before {time} ({timezone}) to stay in the group.',
+            warningPrivate: 'You have not posted in "{group}" for {days} days. Send a message there before {time} ({timezone}), or you will be removed from the group.',
+        },
+        shortcuts: {
+            status: 'Status',
+            words: 'Words',
+            users: 'Users',
+            modLog: 'Mod log',
+            staff: 'Staff',
+            lockdown: 'Lockdown',
+            liftLockdown: 'Lift lockdown',
+        },
+        console: {
+            selectGroupFirst: 'Select a group first: send !groups to list your groups, then !use [number].',
+            noLongerStaff: 'You are no longer staff in the selected group. Send !groups to pick another one.',
+            error: 'An error occurred while running the command.',
+            noGroups: "You aren't staff in any group.",
+            groupLine: '{number}. {group} [{role}]',
+            selectedMark: ' (selected)',
+            groups: '--- Your Groups ---\n{groups}\n\nSend !use [number] to select a group.',
+            selectedGroup: 'Selected group: {group}',
+            noGroupSelected: 'No group selected.',
+            notYourGroup: "That isn't one of your groups. Send !groups to see the list.",
+            groupSelected: 'Selected {group}. Commands you send here now apply to that group. Use a user ID instead of @user, e.g. !strike U1234... spam.',
+        },
+        claim: {
+            alreadyOwned: 'This group already has an owner.',
+            invalidCode: 'That claim code is not valid.',
+            usage: 'Usage: !claim [code]. The bot operator can give you the claim code for this group.',
+            claimed: 'You are now the owner of this group. Send {help} to see what you can do.',
+            operatorCode: 'Ownership claim code for {group}: {code}\nGive it only to the person who should own the group. They send !claim {code} in the group.',
+        },
+        roles: {
+            alreadyOwner: 'You are already the owner.',
+            alreadyAdmin: 'This user is already an admin.',
+            adminAdded: 'New admin added successfully.',
+            notAdmin: 'This user is not an admin.',
+            adminRemoved: 'Admin removed. They are now a regular member.',
+            adminDemoted: 'Admin demoted to moderator.',
+            alreadyModerator: 'This user is already a moderator.',
+            alreadyAboveModerator: 'This user is already above moderator.',
+            moderatorAdded: 'New moderator added successfully.',
+            notModerator: 'This user is not a moderator.',
+            moderatorRemoved: 'Moderator removed.',
+            nowOwner: 'You are now the owner of {group}.',
+            ownershipTransferred: 'Ownership transferred. You are now an admin.',
+        },
+        modCommands: {
+            overview: '--- Moderator Commands ---\nAllowed: {allowed}{default}\n\nCan be delegated: {delegable}\n\nUsage: !modcommands [command]... | none | default',
+            defaultMark: ' (default)',
+            unknown: 'Unknown commands: {commands}',
+            notDelegable: "These commands can't be given to moderators: {commands}",
+            defaultSet: 'the default set',
+            noCommands: 'no admin commands',
+            updated: 'Moderators can now use {commands}.',
+        },
+        staff: {
+            list: '--- Group Staff ---\nOwner: {owner}\nAdmins ({adminCount}): {admins}\nModerators ({moderatorCount}): {moderators}',
+            member: '{name} ({id})',
+        },
+        blacklist: {
+            entryUsage: 'Entries: word, "quoted phrase", sub:substring, re:regex (use re:"..." for spaces)',
+            added: 'Added to blacklist ({count}): {entries}',
+            logAdded: 'Added: {entries}',
+            skipped: 'Skipped:',
+            errors: {
+                regexTooLong: 'Regular expression is longer than {max} characters: {pattern}',
+                invalidRegex: 'Invalid regular expression: {pattern}',
+                regexNestedRepetition: 'Regular expression could be too slow (a repeated group must not contain another repetition or |): {pattern}',
+                regexRepetitions: 'Regular expression could be too slow (only one *, +, {n,} or {n,m} is allowed): {pattern}',
+                regexBackreference: 'Regular expression could be too slow (backreferences are not allowed): {pattern}',
+                emptyEntry: 'Empty entry: {pattern}',
+                unknownMode: 'Unknown match mode: {mode}',
+            },
+            notListed: 'None of these entries are on the blacklist.',
+            removed: 'Removed from blacklist ({count}): {entries}',
+            logRemoved: 'Removed: {entries}',
+            staff: 'You cannot blacklist a staff member.',
+            userRemoved: '{name} has been blacklisted and removed.',
+            userNotInGroup: '{name} has been blacklisted (they are not in the group).',
+            alsoSharedBanned: "Also banned on the shared list '{list}' and removed from {count} other group(s).",
+            unblacklisted: '{name} has been unblacklisted.',
+            alsoSharedRemoved: "They were also removed from the shared list '{list}'.",
+            stillSharedBanned: 'They are still banned here by the shared list(s): {lists}. Use !banlist exempt to allow them in this group.',
+        },
+        password: {
+            disabled: 'Password protection has been disabled.',
+            logDisabled: 'Password protection disabled.',
+            logChanged: 'Group password changed.',
+            updated: 'The group password has been updated.',
+            notUsedNote: 'New members are not asked for it while verification is set to something else; use !verification password to use it.',
+            invalidMinutes: 'Please provide a valid number of minutes.',
+            timeoutSet: 'Password timeout has been set to {minutes} minute(s).',
+            logTimeout: 'Password timeout set to {minutes} minute(s).',
+            invalidAttempts: 'Please provide a valid number of attempts.',
+            invalidCooldown: 'Please provide a valid cooldown in seconds.',
+            attemptsSet: 'New members now get {attempts} attempt(s), with a {cooldown} second cooldown after a wrong password.',
+            logAttempts: 'Password attempts set to {attempts} with a {cooldown}s cooldown.',
+        },
+        help: {
+            unknown: 'Unknown command: {command}. Send {help} to see all available commands.',
+            usage: 'Usage: {usage}',
+            aliases: 'Also: {aliases}',
+            consoleOnly: 'Only works in a private chat with me.',
+            audience: 'Who can use it: {audience}.',
+            audienceDelegated: 'Who can use it: {audience}, and moderators in this group.',
+            cannotUse: "You can't use it.",
+            audiences: {
+                owner: 'the owner',
+                admin: 'admins',
+                moderator: 'all staff',
+                member: 'everyone',
+            },
+            title: '--- Commands ({role}) ---',
+            legend: '<...> is required, [...] is optional. Send {help} [command] for details.',
+            privateChat: 'In a private chat, commands start with ! and take a user ID instead of @user.',
+            categories: {
+                GENERAL: 'General',
+                VERIFICATION: 'Verification',
+                WELCOME: 'Welcome & Rules',
+                ANNOUNCEMENTS: 'Announcements',
+                ACTIVITY: 'Activity',
+                REPORTS: 'Reports',
+                BLACKLIST: 'Blacklist',
+                STRIKES: 'Strikes',
+                CONTENT: 'Content & Spam',
+                BAN_LISTS: 'Shared Ban Lists',
+                ROLES: 'Roles',
+                CONSOLE: 'Private Chat',
+            },
+        },
+        // Command help comes from the registry (commands.js). Other catalogs translate it here, as
+        // commandHelp['!name'].summary and .details.
+        commandHelp: {},
+        prefix: {
+            current: 'Commands in the group start with {prefix}, e.g. {example}.',
+            invalid: 'A prefix is 1 to 3 symbols, e.g. ! / . or #. Letters, digits, quotes and @ are not allowed.',
+            logSet: 'Command prefix set to {prefix}.',
+            updated: 'Commands in the group now start with {prefix}, e.g. {example}. In a private chat with me, they still start with !.',
+        },
+        language: {
+            current: 'This group uses {language}.',
+            available: 'Available languages: {languages}',
+            logSet: 'Language set to {language}.',
+            updated: 'This group now uses {language}. New members are messaged in it too.',
+        },
+        banList: {
+            usage: 'Usage:\n!banlist create [name]\n!banlist subscribe [name]\n!banlist unsubscribe [name]\n!banlist show [name]\n!banlist check @user\n!banlist exempt @user / unexempt @user\n!banlist addeditor [name] @user / removeeditor [name] @user\n!banlist public [name] on|off',
+            notFound: "There is no shared ban list called '{name}'.",
+            notEditor: "You are not an editor of the shared ban list '{name}'.",
+            noEditableList: "This group isn't subscribed to a shared ban list you can edit. See !banlist.",
+            chooseList: 'Choose a list: {lists}',
+            logAdded: "Added to shared ban list '{list}'.",
+            logRemoved: "Removed from shared ban list '{list}'.",
+            title: '--- Shared Ban Lists ---',
+            listLine: '- {name}: {count} ban(s)',
+            listLineEditable: '- {name}: {count} ban(s) (you can edit)',
+            exemptedCount: 'Exempted users: {count}',
+            invalidName: 'List names are 2-32 characters: letters, numbers, - and _.',
+            exists: "A shared ban list called '{name}' already exists. Use !banlist subscribe {name} to use it if it is public.",
+            notPublic: "'{name}' isn't public. Ask its creator to make it public with !banlist public {name} on, or to make you an editor.",
+            logCreated: "Created shared ban list '{name}'.",
+            created: "Created the shared ban list '{name}' and subscribed this group. Ban users on it with !blacklistuser @user global:{name}",
+            alreadySubscribed: "This group is already subscribed to '{name}'.",
+            alreadyUnsubscribed: "This group is already not subscribed to '{name}'.",
+            logSubscription: "Shared ban list '{name}'.",
+            subscribed: "This group is now subscribed to '{name}'. Banned users are removed when they next join or speak.",
+            unsubscribed: "This group is now unsubscribed from '{name}'.",
+            unknownGroup: 'unknown group',
+            entry: '[{time}] {name} ({id}) | from: {source}',
+            showTitle: '--- Shared Ban List: {name} (latest {count}) ---',
+            noBans: 'No bans.',
+            localBan: 'Group blacklist: yes, since {time}',
+            noLocalBan: 'Group blacklist: no',
+            exempt: 'Exempt from shared ban lists in this group.',
+            sharedBan: "Shared list '{list}': banned {time} from {source}",
+            noSharedBans: 'Not on any subscribed shared ban list.',
+            logExempted: 'Exempted from shared ban lists.',
+            logUnexempted: 'Exemption from shared ban lists removed.',
+            exempted: 'Shared ban lists no longer apply to this user in this group.',
+            unexempted: 'Shared ban lists apply to this user again.',
+            notCreator: "Only the creator of '{name}' can change its editors.",
+            editorCount: "'{name}' now has {count} editor(s).",
+            logEditorAdded: "Made an editor of shared ban list '{name}'.",
+            logEditorRemoved: "Removed as an editor of shared ban list '{name}'.",
+            notCreatorPublic: "Only the creator of '{name}' can make it public or private.",
+            logPublic: "Shared ban list '{name}' public: {value}.",
+            madePublic: "'{name}' is now public: any group can subscribe to it.",
+            madePrivate: "'{name}' is now private: only its editors can subscribe groups to it. Groups already subscribed stay subscribed.",
+        },
+        status: {
+            title: 'Group Status Overview',
+            verification: 'Verification',
+            owner: 'Owner',
+            ownerSet: 'Set',
+            ownerNone: 'None (use !claim)',
+            admins: 'Admins',
+            moderators: 'Moderators',
+            blacklistedWords: 'Blacklisted Words',
+            blacklistedUsers: 'Blacklisted Users',
+            strikes: 'Strikes',
+            antiFlood: 'Anti-flood',
+            antiDuplicate: 'Anti-duplicate',
+            antiRaid: 'Anti-raid',
+            lockdown: 'Lockdown',
+            lockdownOn: 'ON',
+            groupCommands: 'Commands in Group',
+            groupCommandsOff: 'Off (private chat only)',
+            commandPrefix: 'Command Prefix',
+            language: 'Language',
+            timezone: 'Timezone',
+            welcome: 'Welcome Messages',
+            rules: 'Rules',
+            rulesSet: 'Set',
+            rulesWarn: 'Set, must be accepted (strike)',
+            rulesKick: 'Set, must be accepted (kick)',
+            voteKick: 'Vote-kick',
+            voteKickOn: '{percent}% of members within {minutes} min',
+            autoPrune: 'Auto-prune',
+            autoPruneOn: 'After {days} days inactive ({grace} days grace)',
+            startLockdown: 'Start lockdown',
+            liftLockdown: 'Lift lockdown',
+            allowGroupCommands: 'Allow commands in group',
+            privateCommandsOnly: 'Private chat commands only',
+            wordsButton: 'Blacklisted words',
+            usersButton: 'Blacklisted users',
+        },
+        lists: {
+            remove: 'Remove',
+            previous: 'Previous',
+            next: 'Next',
+            page: 'Page {page} of {pageCount}',
+            wordsTitle: 'Blacklisted Words ({count})',
+            usersTitle: 'Blacklisted Users ({count})',
+            sharedLists: 'Shared ban lists: {lists}',
+            sharedList: '{name} ({count})',
+        },
+        strikes: {
+            staff: 'You cannot give a staff member a strike.',
+            defaultReason: 'Warned by an admin',
+            activeCount: 'The user now has {count} active strike(s).',
+            limitReached: 'The user reached the strike limit and was removed.',
+            added: 'Strike added. {result}',
+            title: '--- Strikes: {name} ({count}/{max}) ---',
+            kickCount: 'Kicked for strikes: {count} time(s)',
+            entry: '{number}. [{time}] {reason}',
+            entryExpiring: '{number}. [{time}, expires {expires}] {reason}',
+            noneActive: 'No active strikes.',
+            cleared: 'Cleared {count} strike(s).',
+            logStrike: 'Strike {count} of {max}: {reason}',
+            autoBlacklist: 'Kicked {count} time(s) for strikes.',
+            warning: '{reason}. This is strike {count} of {max}; at {max} you will be removed from the group.',
+            privateWarning: 'Warning from {group}: {warning}',
+            publicWarning: '⚠️ {name}, this is a warning: {warning}',
+            member: 'Member',
+        },
+        strikePolicy: {
+            usage: 'Usage: !strikepolicy [strikes_to_kick] [kicks_to_blacklist] [expiry_hours]\nUse 0 kicks to disable auto-blacklisting and 0 hours for strikes that never expire.',
+            current: 'Strike policy: {description}.',
+            logSet: 'Strike policy set to: {description}.',
+            updated: 'Strike policy updated: {description}.',
+            description: 'kick at {strikes}, {blacklist}, {expiry}',
+            blacklistAfter: 'blacklist after {kicks} kick(s)',
+            noAutoBlacklist: 'no auto-blacklist',
+            expireAfter: 'strikes expire after {hours}h',
+            neverExpire: 'strikes never expire',
+        },
+        policy: {
+            usage: 'Usage: !policy [type] [ignore|warn|kick] [newmember:hours]\nTypes: {types}',
+            title: '--- Content Policies ---',
+            newMembersOnly: '{action} (members < {hours}h)',
+            logSet: 'Content policy set to {description}.',
+            updated: 'Content policy updated: {description}.',
+        },
+        violations: {
+            denied_domain: 'Posted a link to a blocked domain ({host})',
+            invite: 'Posted a LINE group or OpenChat invite link',
+            shortener: 'Posted a shortened link ({host})',
+            link: 'Posted a link ({host})',
+            image: 'Sent an image',
+            video: 'Sent a video',
+            audio: 'Sent an audio message',
+            file: 'Sent a file',
+            sticker: 'Sent a sticker',
+            location: 'Sent a location',
+            newMember: '{violation} within {hours}h of joining',
+            blacklistedWord: "Used blacklisted word: '{entry}'",
+            flood: 'Sent {count} messages within {seconds} seconds',
+            duplicate: 'Posted the same message {count} times within {seconds} seconds',
+        },
+        domains: {
+            allowedList: 'Allowed domains: {domains}',
+            blockedList: 'Blocked domains: {domains}',
+            invalid: 'Not a valid domain: {domains}',
+            allowed: 'Allowed: {domains}',
+            denied: 'Blocked: {domains}',
+            removed: 'Removed from the domain lists: {domains}',
+        },
+        rateLimit: {
+            usage: 'Usage: {command} [max] [seconds] or {command} off',
+            maxWindow: 'The window can be at most {max} seconds.',
+            units: {
+                flood: 'messages per user',
+                duplicate: 'copies of the same message',
+                raid: 'joins',
+            },
+            description: 'at most {max} {unit} within {seconds} seconds',
+            off: 'off',
+            logSet: '{command} set to {description}.',
+            updated: '{command} is now {description}.',
+            short: '{max} per {seconds}s',
+        },
+        lockdown: {
+            current: 'Lockdown is {state}.',
+            announceOn: '🔒 This group is now in lockdown. New members will be removed.',
+            announceOff: '🔓 The lockdown has been lifted.',
+            updated: 'Lockdown is now {state}.',
+            joinBurst: 'Join burst: {count} members joined within {seconds} seconds.',
+            raidAnnouncement: '🚨 This group is in lockdown because of a join burst. New members will be removed until an admin lifts it.',
+            raidNotice: '🚨 {group} is now in lockdown. {reason} New members will be removed automatically. Send {command} in the group to lift it.',
+        },
+        dashboard: {
+            notSetUp: "The dashboard isn't set up: the bot operator needs to set PUBLIC_URL and DASHBOARD_SECRET.",
+            link: "Dashboard for {group} (valid for {minutes} minutes, don't share it):\n{link}",
+            // The web dashboard itself (dashboard.js).
+            page: {
+                title: 'Dashboard',
+                pageTitle: '{group} - Dashboard',
+                loading: 'Loading...',
+                errorTitle: 'Error',
+                loadError: 'An error occurred while loading the dashboard.',
+                expiredTitle: 'Link expired',
+                expired: 'This link is invalid or has expired.',
+                expiredHint: 'Send {command} to the bot for a new one.',
+                noAccessTitle: 'No access',
+                noAccess: 'You are no longer staff in this group.',
+                signedIn: 'Signed in as {role} · link expires {time} UTC',
+                settings: 'Settings',
+                passwordProtection: 'Password protection',
+                lockdown: 'Lockdown',
+                passwordTimeout: 'Password timeout (minutes)',
+                passwordAttempts: 'Password attempts',
+                retryCooldown: 'Retry cooldown (seconds)',
+                strikesBeforeKick: 'Strikes before kick',
+                kicksBeforeBlacklist: 'Strike kicks before blacklist',
+                strikeExpiry: 'Strike expiry (hours)',
+                groupCommands: 'Allow commands inside the group',
+                saveSettings: 'Save settings',
+                newPassword: 'New password (leave empty to turn off)',
+                setPassword: 'Set password',
+                staff: 'Staff',
+                userId: 'User ID',
+                role: 'Role',
+                userIdPlaceholder: 'User ID (U...)',
+                setRole: 'Set role',
+                remove: 'Remove',
+                blacklistWords: 'Blacklisted Words ({count})',
+                addEntries: 'Add entries',
+                entry: 'Entry',
+                addedBy: 'Added by',
+                blacklistUsers: 'Blacklisted Users ({count})',
+                userIdsPlaceholder: 'One user ID per line',
+                blacklistAndRemove: 'Blacklist and remove',
+                reason: 'Reason',
+                by: 'By',
+                modLog: 'Moderation Log (latest {count}, UTC)',
+                time: 'Time',
+                action: 'Action',
+                target: 'Target',
+                details: 'Details',
+                noLogEntries: 'No entries.',
+            },
+        },
+        // Errors and moderation log reasons of the HTTP API (api.js).
+        api: {
+            invalidToken: 'Invalid or expired token. Send {command} to the bot for a new link.',
+            positiveInteger: "'{field}' must be a positive whole number.",
+            positiveNumber: "'{field}' must be a positive number.",
+            seconds: "'{field}' must be a whole number of seconds.",
+            boolean: "'{field}' must be true or false.",
+            invalidDate: "Invalid date for '{field}'.",
+            invalidStrikePolicy: 'Strikes before a kick must be at least 1; kicks before blacklisting and expiry hours must be 0 or more.',
+            noSettings: 'No known settings in the request.',
+            invalidPassword: "'password' must be a password without spaces, or null to turn password protection off.",
+            noEntries: "'text' must contain at least one entry.",
+            entriesNotListed: "'entries' must list entries that are on the blacklist.",
+            invalidUserIds: "'userIds' must be a list of LINE user IDs.",
+            usersNotListed: "'userIds' must list users that are on the blacklist.",
+            invalidUserId: 'Invalid LINE user ID.',
+            invalidRole: "'role' must be 'admin', 'moderator' or 'member'.",
+            ownerRole: 'Use {command} in the chat to change the owner.',
+            notFound: 'Not found.',
+            invalidJson: 'The request body is not valid JSON.',
+            internalError: 'An internal error occurred.',
+            logReason: '{reason} (dashboard)',
+            logStrikePolicy: 'Strike policy set to {strikes} strikes, {kicks} kicks, {hours}h expiry.',
+            logBlacklisted: 'Blacklisted from the dashboard.',
+            logUnblacklisted: 'Unblacklisted from the dashboard.',
+            logRoleChanged: 'Changed from the dashboard.',
+        },
+        groupCommands: {
+            current: 'Commands in the group are {state}.',
+            updated: 'Commands in the group are now {state}.',
+            privateChatNote: 'Staff can still run every command by sending it to me in a private chat.',
+        },
+        config: {
+            exported: 'Configuration of {group}. To load it into a group, select that group in a private chat with me and send {command} followed by the JSON below.',
+            exportedParts: 'It comes in {count} messages: paste them one at a time, in order, each after the command.',
+            nonePending: 'There is no configuration waiting to be imported.',
+            pendingPreview: 'A configuration is waiting for you to confirm it.',
+            pendingDraft: 'Part of a configuration was received; send the next part.',
+            cancelled: 'Import cancelled. Nothing was changed.',
+            tooLong: 'That configuration is too long. The import was cancelled.',
+            partReceived: 'Part received. Send the next part after {command}, or {command} cancel to start over.',
+            rejected: 'The configuration was rejected and nothing was changed:',
+            moreErrors: '...and {count} more problems.',
+            notYourGroup: "You aren't staff in that group. Use a number from {command} or a group ID.",
+            sameGroup: "That's this group. Choose the group to copy the settings from.",
+            notAdminThere: 'You need to be an admin in {group} to copy its settings.',
+            staffSkipped: 'The admins and moderators stay as they are: only the owner can import them.',
+            blacklistUsersSkipped: 'Staff and bot operators are left off the user blacklist: {users}',
+            entriesSkipped: 'These blacklist entries are left out, because they are invalid or could be too slow to match: {entries}',
+            noChanges: 'The group already has this configuration; there is nothing to change.',
+            noPasswordNote: "Passwords aren't copied: until you set one with {command}, new members won't be verified.",
+            fromGroup: 'the settings of {group}',
+            fromSnapshot: 'this configuration',
+            preview: 'Importing {source} into {group} would make {count} changes:',
+            unset: 'not set',
+            confirmPrompt: 'Send {command} confirm within {minutes} minutes to apply them, or {command} cancel.',
+            applyButton: 'Apply',
+            cancelButton: 'Cancel',
+            applied: 'The configuration was applied.',
+            logImported: 'Imported a configuration',
+            logCloned: 'Copied the configuration of {group}',
+            errors: {
+                invalidJson: 'The text is not valid JSON.',
+                wrongFormat: 'This is not a configuration from !export (format must be "{format}").',
+                invalidVersion: 'version: must be a whole number.',
+                newerVersion: 'version: this configuration is version {version}, but this bot only reads up to version {supported}.',
+                unknownField: '{field}: unknown field.',
+                notObject: '{field}: must be an object.',
+                notList: '{field}: must be a list.',
+                invalidValue: '{field}: invalid value {value}.',
+                invalidEntry: '{field}: invalid blacklist entry {value}; entries must be text.',
+                invalidBlacklistUser: '{field}: must be { "userId": "U...", "reason": "..." }.',
+                domainsOnBothLists: 'linkAllowlist, linkDenylist: on both lists: {domains}.',
+                invalidStaff: 'staff: must be { "admins": ["U..."], "moderators": ["U..."] }.',
+                staffInBothRoles: 'staff: both admin and moderator: {users}.',
+                settingsPair: '{field}: must be set exactly when {other} is.',
+            },
+        },
+        modLog: {
+            usage: 'Usage: !modlog [@user] [action] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [limit:N]\nActions: {actions}',
+            unknownFilter: 'Unknown filter: {filter}',
+            noEntries: 'No moderation log entries match these filters.',
+            title: '--- Moderation Log ({count}, times in UTC) ---',
+            target: 'target: {name}',
+            by: 'by: {name}',
+            message: 'message: "{text}"',
+        },
+        errors: {
+            claim: 'An error occurred while claiming the group.',
+            setAdmin: 'An error occurred while setting an admin.',
+            removeAdmin: 'An error occurred while removing the admin.',
+            demoteAdmin: 'An error occurred while demoting the admin.',
+            setModerator: 'An error occurred while setting a moderator.',
+            removeModerator: 'An error occurred while removing the moderator.',
+            transferOwnership: 'An error occurred while transferring ownership.',
+            moderatorCommands: 'An error occurred while updating the moderator commands.',
+            staff: 'An error occurred while fetching the staff list.',
+            addBlacklist: 'An error occurred while adding to the blacklist.',
+            removeBlacklist: 'An error occurred while removing from the blacklist.',
+            setPassword: 'An error occurred while setting the password.',
+            setTimeout: 'An error occurred while setting the timeout.',
+            setAttempts: 'An error occurred while setting the password attempts.',
+            verificationMode: 'An error occurred while setting the verification mode.',
+            approval: 'An error occurred while handling the approval.',
+            rules: 'An error occurred while fetching the rules.',
+            setRules: 'An error occurred while setting the rules.',
+            rulesAck: 'An error occurred while setting the rule acceptance.',
+            setWelcome: 'An error occurred while setting the welcome message.',
+            schedule: 'An error occurred while managing the scheduled announcements.',
+            activity: 'An error occurred while fetching the member activity.',
+            inactive: 'An error occurred while listing the inactive members.',
+            autoPrune: 'An error occurred while setting the auto-prune.',
+            report: 'An error occurred while sending the report.',
+            reports: 'An error occurred while listing the reports.',
+            voteKick: 'An error occurred while setting the vote-kick.',
+            help: 'An error occurred while fetching the command list.',
+            setPrefix: 'An error occurred while setting the command prefix.',
+            setLanguage: 'An error occurred while setting the language.',
+            setTimeZone: 'An error occurred while setting the timezone.',
+            blacklistUser: 'An error occurred while blacklisting the user.',
+            unblacklistUser: 'An error occurred while unblacklisting the user.',
+            banList: 'An error occurred while managing the shared ban lists.',
+            status: 'Error fetching status.',
+            showWords: 'An error occurred while fetching the word blacklist.',
+            showUsers: 'An error occurred while fetching the user blacklist.',
+            strike: 'An error occurred while adding the strike.',
+            showStrikes: 'An error occurred while fetching the strikes.',
+            clearStrikes: 'An error occurred while clearing the strikes.',
+            strikePolicy: 'An error occurred while setting the strike policy.',
+            policy: 'An error occurred while setting the content policy.',
+            domains: 'An error occurred while updating the domain lists.',
+            rateLimit: 'An error occurred while setting the limit.',
+            lockdown: 'An error occurred while changing the lockdown.',
+            dashboard: 'An error occurred while creating the dashboard link.',
+            groupCommands: 'An error occurred while changing the group command setting.',
+            export: 'An error occurred while exporting the configuration.',
+            import: 'An error occurred while importing the configuration.',
+            cloneSettings: 'An error occurred while copying the settings.',
+            modLog: 'An error occurred while fetching the moderation log.',
+        },
+    },
+};
@@ -0,0 +1,976 @@
+// locales/th.js
+// Thai messages. Keys mirror locales/en.js; anything missing here is sent in English.
+//
+// Command names, their arguments and keywords like on/off stay in English, since that is
+// what members type.
+
+module.exports = {
+    name: 'ไทย',
+    messages: {
+        common: {
+            none: 'ไม่มี',
+            on: 'เปิด',
+            off: 'ปิด',
+            stateOn: 'เปิด',
+            stateOff: 'ปิด',
+            usage: 'วิธีใช้: {usage}',
+            unknownName: 'ไม่ทราบชื่อ',
+            unknownUser: 'ไม่ทราบชื่อ (ID: {id})',
+            theUser: 'ผู้ใช้',
+            theGroup: 'กลุ่ม',
+            bot: 'บอท',
+        },
+        roleNames: {
+            owner: 'เจ้าของ',
+            admin: 'แอดมิน',
+            moderator: 'ผู้ดูแล',
+            member: 'สมาชิก',
+        },
+        command: {
+            consoleOnly: '{command} ใช้ได้เฉพาะในแชทส่วนตัวกับบอทเท่านั้น',
+            noPermission: 'คุณไม่มีสิทธิ์ใช้ {command}',
+            unknown: 'ไม่รู้จักคำสั่ง {command} ส่ง {help} เพื่อดูคำสั่งทั้งหมด',
+            usage: 'วิธีใช้: {usage}\nส่ง {help} {name} เพื่อดูรายละเอียด',
+            groupCommandsOff: 'กลุ่มนี้ปิดการใช้คำสั่งในกลุ่ม กรุณาส่งคำสั่งถึงบอทในแชทส่วนตัวแทน (เริ่มจาก !groups)',
+        },
+        bot: {
+            joined: 'ขอบคุณที่เพิ่มบอทเข้ากลุ่ม! ให้เจ้าของกลุ่มส่ง !claim [รหัส] เพื่อตั้งค่า ผู้ดูแลระบบของบอทจะให้รหัสนี้กับคุณ',
+        },
+        kick: {
+            blacklisted: 'ผู้ใช้อยู่ในบัญชีดำ',
+            blacklistedJoin: 'ผู้ใช้ในบัญชีดำพยายามเข้ากลุ่ม',
+            blacklistedNow: 'ผู้ใช้ถูกเพิ่มในบัญชีดำ',
+            sharedBan: "ผู้ใช้อยู่ในรายชื่อแบนร่วม '{list}'",
+            sharedBanWithReason: "ผู้ใช้อยู่ในรายชื่อแบนร่วม '{list}' ({reason})",
+            lockdown: 'กลุ่มอยู่ในโหมดล็อกดาวน์',
+            joinBurst: 'เข้ากลุ่มระหว่างที่มีคนเข้าจำนวนมากพร้อมกัน',
+            rejected: 'แอดมินปฏิเสธ',
+            captchaFailed: 'ตอบแคปช่าไม่ผ่าน',
+            wrongPassword: 'ใส่รหัสผ่านผิด',
+            passwordTimeout: 'ยืนยันรหัสผ่านไม่ทันเวลา',
+            captchaTimeout: 'ตอบแคปช่าไม่ทันเวลา',
+            approvalTimeout: 'ไม่มีแอดมินอนุมัติสมาชิกทันเวลา',
+            rulesNotAccepted: 'ส่งข้อความก่อนยอมรับกฎของกลุ่ม',
+            inactive: 'ไม่มีความเคลื่อนไหว {days} วัน',
+            reported: 'ทีมงานนำออกหลังได้รับรายงาน (#{id})',
+            voteKick: 'ถูกสมาชิกรายงาน {count} คนภายใน {minutes} นาที',
+            strikes: 'ได้รับใบเตือนครบ {count} ใบ ครั้งล่าสุด: {reason}',
+            failed: '{reason} (เตะออกไม่สำเร็จ)',
+        },
+        verification: {
+            welcomeApproval: 'ยินดีต้อนรับสู่ {group}! สมาชิกใหม่ต้องได้รับการอนุมัติจากแอดมิน หากไม่มีใครอนุมัติภายใน {minutes} นาที คุณจะถูกนำออกจากกลุ่ม',
+            welcomeCaptcha: 'ยินดีต้อนรับสู่ {group}! ตอบคำถามนี้ภายใน {minutes} นาทีเพื่ออยู่ในกลุ่มต่อ:',
+            welcomePassword: 'ยินดีต้อนรับสู่ {group}! กลุ่มนี้ต้องใช้รหัสผ่าน กรุณาตอบกลับด้วยรหัสผ่านภายใน {minutes} นาทีเพื่ออยู่ในกลุ่มต่อ',
+            waitingForApproval: 'คุณกำลังรอแอดมินอนุมัติ ไม่ต้องทำอะไรเพิ่มเติม',
+            chooseGroup: 'คุณเข้าร่วมหลายกลุ่มที่ต้องยืนยันตัวตน ตอบกลับด้วยหมายเลขของกลุ่มที่ต้องการยืนยันก่อน:\n{groups}',
+            captchaPrompt: 'กรุณาตอบคำถามนี้สำหรับ {group}:',
+            captchaExpired: 'คำถามนี้หมดอายุแล้ว',
+            captchaCorrect: 'ถูกต้อง ยินดีต้อนรับ!',
+            captchaWrong: 'คำตอบไม่ถูกต้อง เหลืออีก {left} ครั้ง พร้อมคำถามใหม่',
+            captchaNoAttempts: 'คำตอบไม่ถูกต้อง คุณไม่เหลือโอกาสตอบแล้ว',
+            passwordPrompt: 'กรุณาตอบกลับด้วยรหัสผ่านของ {group}',
+            passwordNotText: 'กรุณาตอบกลับด้วยรหัสผ่านเป็นข้อความ',
+            passwordWait: 'กรุณารอ {seconds} วินาทีก่อนลองอีกครั้ง',
+            passwordAccepted: 'รหัสผ่านถูกต้อง ยินดีต้อนรับ!',
+            passwordWrong: 'รหัสผ่านไม่ถูกต้อง เหลืออีก {left} ครั้ง',
+            passwordRetryIn: 'ลองใหม่ได้ในอีก {seconds} วินาที',
+            passwordNoAttempts: 'รหัสผ่านไม่ถูกต้อง คุณไม่เหลือโอกาสแล้ว',
+            logWrongCaptcha: 'ตอบแคปช่าผิด (ครั้งที่ {attempts} จาก {max})',
+            logWrongPassword: 'ใส่รหัสผ่านผิด (ครั้งที่ {attempts} จาก {max})',
+            modeOff: 'ปิด',
+            modeCaptcha: 'แคปช่า (หมดเวลา: {timeout} นาที, จำนวนครั้ง: {attempts})',
+            modeApproval: 'แอดมินอนุมัติ (หมดเวลา: {timeout} นาที)',
+            modePassword: 'รหัสผ่าน (หมดเวลา: {timeout} นาที, จำนวนครั้ง: {attempts}, รอ: {cooldown} วินาที)',
+            modePasswordUnset: 'รหัสผ่าน (ยังไม่ได้ตั้งรหัสผ่าน จึงยังไม่ทำงาน)',
+            current: 'การยืนยันตัวตน: {description}',
+            invalidMinutes: 'กรุณาระบุจำนวนนาทีระหว่าง 1 ถึง {max}',
+            logModeSet: 'ตั้งการยืนยันตัวตนเป็น {description}',
+            noPasswordNote: 'ยังไม่ได้ตั้งรหัสผ่าน จึงยังไม่มีใครผ่านการยืนยันจนกว่าคุณจะใช้ !setpassword',
+            modeSet: 'สมาชิกใหม่จะยืนยันตัวตนด้วย: {description}',
+            existingMembersNote: 'สมาชิกที่เข้ากลุ่มไปแล้วยังใช้การยืนยันแบบเดิม',
+        },
+        captcha: {
+            arithmetic: '{x} {operator} {y} เท่ากับเท่าไร?',
+            emoji: 'แตะที่{thing}',
+            things: {
+                cat: 'แมว',
+                dog: 'สุนัข',
+                apple: 'แอปเปิล',
+                car: 'รถยนต์',
+                moon: 'พระจันทร์',
+                star: 'ดาว',
+                fish: 'ปลา',
+                flower: 'ดอกไม้',
+                banana: 'กล้วย',
+                ball: 'ลูกบอล',
+                house: 'บ้าน',
+                umbrella: 'ร่ม',
+            },
+        },
+        approval: {
+            newMember: 'สมาชิกใหม่',
+            request: '{name} เข้าร่วม {group} และรอการอนุมัติ หากไม่มีใครอนุมัติภายใน {minutes} นาที จะถูกนำออกจากกลุ่ม',
+            altText: '{name} กำลังรอการอนุมัติเพื่อเข้าร่วม {group}',
+            approve: 'อนุมัติ',
+            kick: 'เตะออก',
+            notWaiting: 'สมาชิกคนนี้ไม่ได้รอการอนุมัติแล้ว (มีคนจัดการไปแล้ว หมดเวลา หรือออกจากกลุ่มไปแล้ว)',
+            welcome: 'คุณได้รับการอนุมัติแล้ว ยินดีต้อนรับสู่ {group}!',
+            approved: 'อนุมัติแล้ว สมาชิกคนนี้อยู่ใน {group} ต่อได้',
+            removed: 'นำสมาชิกออกจาก {group} แล้ว',
+        },
+        welcome: {
+            current: '--- ข้อความต้อนรับ ---\nในกลุ่ม: {group}\nในแชทส่วนตัว: {private}',
+            notSet: 'ยังไม่ได้ตั้ง',
+            placeholders: 'ตัวแทนที่ใช้ได้: {placeholders}',
+            kinds: {
+                group: 'ข้อความต้อนรับในกลุ่ม',
+                private: 'ข้อความต้อนรับในแชทส่วนตัว',
+            },
+            tooLong: 'ข้อความต้อนรับยาวได้ไม่เกิน {max} ตัวอักษร',
+            unknownPlaceholders: 'ไม่รู้จักตัวแทน: {placeholders} ใช้ได้เฉพาะ {allowed}',
+            logSet: 'ตั้ง{kind}',
+            logCleared: 'ปิด{kind}',
+            updated: 'ตั้ง{kind}แล้ว สมาชิกใหม่จะเห็นข้อความประมาณนี้:\n\n{preview}',
+            cleared: 'ปิด{kind}แล้ว',
+            someone: 'สมาชิกใหม่',
+        },
+        rules: {
+            notSet: 'กลุ่มนี้ยังไม่ได้ตั้งกฎ',
+            current: '--- กฎของกลุ่ม ---\n{rules}',
+            title: 'กฎของ {group}',
+            accept: 'ฉันยอมรับกฎของกลุ่ม',
+            acceptNote: 'สมาชิกใหม่ต้องยอมรับกฎก่อนส่งข้อความ',
+            accepted: 'ขอบคุณ {name}! คุณยอมรับกฎของกลุ่มแล้ว',
+            notAccepted: 'กรุณายอมรับกฎของกลุ่มก่อนส่งข้อความ ส่ง {command} เพื่อดูกฎ',
+            tooLong: 'กฎของกลุ่มยาวได้ไม่เกิน {max} ตัวอักษร',
+            logSet: 'ตั้งกฎของกลุ่ม',
+            logCleared: 'ลบกฎของกลุ่ม',
+            updated: 'ตั้งกฎของกลุ่มแล้ว สมาชิกดูกฎได้ด้วย {command}',
+            cleared: 'ลบกฎของกลุ่มแล้ว',
+            ackSuspended: 'สมาชิกใหม่ไม่ต้องยอมรับกฎจนกว่าจะตั้งกฎใหม่',
+            ackOff: 'สมาชิกใหม่ไม่ต้องยอมรับกฎ',
+            ackWarn: 'สมาชิกใหม่ต้องยอมรับกฎ ข้อความที่ส่งก่อนยอมรับจะได้รับใบเตือน',
+            ackKick: 'สมาชิกใหม่ต้องยอมรับกฎ สมาชิกที่ส่งข้อความก่อนยอมรับจะถูกนำออก',
+            ackNoRules: 'ตั้งกฎด้วย {command} ก่อน',
+            ackLogSet: 'การยอมรับกฎ: {description}',
+            ackNewMembersNote: 'มีผลกับสมาชิกที่เข้ากลุ่มตั้งแต่นี้ไป',
+        },
+        timezone: {
+            current: 'เวลาในกลุ่มนี้ใช้เขตเวลา {timezone} (ขณะนี้ {time})',
+            invalid: 'ไม่รู้จักเขตเวลา: {timezone} ใช้ชื่อเช่น Asia/Bangkok หรือ Europe/London',
+            logSet: 'ตั้งเขตเวลาเป็น {timezone}',
+            updated: 'เวลาในกลุ่มนี้ใช้เขตเวลา {timezone} แล้ว (ขณะนี้ {time})',
+            announcementsMoved: 'ประกาศที่ส่งซ้ำ {count} รายการยังคงส่งตามเวลาท้องถิ่นเดิม',
+        },
+        schedule: {
+            title: '--- ประกาศที่ตั้งเวลาไว้ (เวลาตาม {timezone}) ---',
+            none: 'ยังไม่มีประกาศที่ตั้งเวลาไว้',
+            line: '#{id} {time}, {repeat}{paused}: {message}',
+            once: 'ครั้งเดียว',
+            repeats: 'ส่งซ้ำ ({cron})',
+            pausedTag: '[หยุดชั่วคราว]',
+            quota: 'ข้อความที่ใช้ไปเดือนนี้: {used} จาก {limit} ประกาศจะหยุดส่งเมื่อใช้ถึง {stop}%',
+            quotaUnlimited: 'ข้อความที่ใช้ไปเดือนนี้: {used} (ไม่จำกัดจำนวนต่อเดือน)',
+            quotaUnknown: 'ไม่สามารถตรวจสอบโควตาข้อความของแชนแนลได้',
+            tooMany: 'กลุ่มหนึ่งตั้งประกาศได้ไม่เกิน {max} รายการ กรุณาลบรายการเดิมก่อน',
+            invalidTime: "อ่านเวลา '{time}' ไม่ได้ ใช้รูปแบบ HH:MM หรือ YYYY-MM-DD HH:MM\nวิธีใช้: {usage}",
+            inPast: '{time} ({timezone}) ผ่านไปแล้ว',
+            invalidCron: '\'{cron}\' ไม่ใช่รูปแบบ cron ที่ถูกต้อง เขียน 5 ช่องในเครื่องหมายคำพูด: นาที ชั่วโมง วันที่ เดือน และวันในสัปดาห์ เช่น "0 9 * * mon" สำหรับทุกวันจันทร์เวลา 9:00',
+            neverRuns: "'{cron}' ไม่มีวันที่ตรงกับเงื่อนไขเลย",
+            tooFrequent: 'ประกาศที่ส่งซ้ำส่งได้ไม่บ่อยกว่าทุก {minutes} นาที',
+            tooLong: 'ประกาศยาวได้ไม่เกิน {max} ตัวอักษร',
+            logCreated: 'ตั้งเวลาประกาศ #{id}',
+            created: 'ประกาศ #{id} จะถูกส่งเวลา {time} ({timezone})',
+            createdRecurring: 'ประกาศ #{id} ส่งซ้ำ ({cron}) ครั้งแรกจะถูกส่งเวลา {time} ({timezone})',
+            notFound: "ไม่มีประกาศ '{id}' ในกลุ่มนี้ ใช้หมายเลขที่แสดงในรายการ",
+            logDeleted: 'ลบประกาศ #{id}',
+            deleted: 'ลบประกาศ #{id} แล้ว',
+            logPaused: 'หยุดประกาศ #{id} ชั่วคราว',
+            paused: 'หยุดประกาศ #{id} ชั่วคราวแล้ว',
+            logResumed: 'ส่งประกาศ #{id} ต่อ',
+            resumed: 'ประกาศ #{id} กลับมาส่งแล้ว ครั้งต่อไปจะถูกส่งเวลา {time} ({timezone})',
+            resumePast: 'เวลาของประกาศ #{id} ผ่านไปแล้ว จึงจะไม่ถูกส่ง กรุณาลบแล้วตั้งเวลาใหม่',
+            logMissed: 'ข้ามประกาศ #{id} ที่กำหนดส่งเวลา {time}: บอทไม่พร้อมทำงานในขณะนั้น',
+            logQuota: 'ข้ามประกาศ #{id}: โควตาข้อความรายเดือนของแชนแนลใกล้หมดแล้ว',
+            cardTitle: 'ประกาศ',
+        },
+        activity: {
+            title: '--- ความเคลื่อนไหวของ {name} (เวลาตามเขต {timezone}) ---',
+            unknown: 'ยังไม่พบ {name} ในกลุ่มนี้',
+            joined: 'เข้ากลุ่ม: {time}',
+            joinedBefore: 'เข้ากลุ่ม: ก่อน {time} (พบครั้งแรก)',
+            lastMessage: 'ข้อความล่าสุด: {time} ({days} วันที่แล้ว)',
+            neverPosted: 'ข้อความล่าสุด: ยังไม่มี',
+            messages: 'จำนวนข้อความ: {count}',
+            left: 'ออกจากกลุ่ม: {time}',
+            pruneWarned: 'ได้รับคำเตือนเรื่องไม่เคลื่อนไหว จะถูกนำออกเวลา {time} หากไม่ส่งข้อความ',
+        },
+        inactive: {
+            title: '--- สมาชิก {count} คนไม่เคลื่อนไหว {days} วันขึ้นไป (เวลาตามเขต {timezone}) ---',
+            none: 'ไม่มีสมาชิกที่ไม่เคลื่อนไหว {days} วันขึ้นไป',
+            line: '- {name}: {activity}',
+            lastMessage: 'ข้อความล่าสุด {time}',
+            neverPosted: 'ไม่มีข้อความตั้งแต่ {time}',
+            warnedTag: '[เตือนแล้ว]',
+            more: '...และอีก {count} คน',
+            invalidDays: 'จำนวนวันต้องอยู่ระหว่าง 1 ถึง {max}',
+        },
+        report: {
+            quotedUnknown: 'บอทจำข้อความนั้นไม่ได้แล้ว กรุณาแท็กสมาชิกแทน: {usage}',
+            self: 'คุณรายงานตัวเองไม่ได้',
+            staff: 'ไม่สามารถรายงานทีมงานได้ กรุณาติดต่อเจ้าของกลุ่มแทน',
+            blocked: 'รายงานล่าสุดของคุณหลายรายการถูกทีมงานยกเลิก คุณจึงส่งรายงานไม่ได้ในตอนนี้',
+            tooMany: 'คุณส่งรายงานได้ไม่เกิน {max} ครั้งต่อชั่วโมง กรุณาลองใหม่ภายหลัง',
+            alreadyReported: 'คุณรายงาน {name} ไปแล้ว ทีมงานจะตรวจสอบ',
+            sent: 'ขอบคุณ ทีมงานได้รับรายงานเกี่ยวกับ {name} แล้ว',
+            votes: 'มีรายงาน {votes} จาก {needed} รายงานที่ต้องใช้เพื่อนำ {name} ออก',
+            voteKicked: '{name} ถูกนำออกหลังสมาชิก {votes} คนรายงาน',
+            notice: 'รายงานในกลุ่ม "{group}"\nสมาชิก: {name}\nรายงานโดย: {reporter}\nเหตุผล: {reason}\nข้อความ: {message}',
+            noReason: '(ไม่ได้ระบุ)',
+            noMessage: '(บอทไม่เห็นข้อความล่าสุดของสมาชิกนี้)',
+            prompt: 'ต้องการจัดการกับ {name} อย่างไร',
+            altText: '{name} ถูกรายงานในกลุ่ม {group}',
+            kick: 'นำออก',
+            blacklist: 'บัญชีดำ',
+            dismiss: 'ยกเลิก',
+            alreadyHandled: 'รายงานนี้ได้รับการจัดการแล้ว',
+            targetIsStaff: 'สมาชิกที่ถูกรายงานเป็นทีมงานแล้ว จึงนำออกหรือเพิ่มในบัญชีดำไม่ได้ กรุณายกเลิกรายงานแทน',
+            kicked: 'นำ {name} ออกจาก {group} แล้ว',
+            blacklisted: 'เพิ่ม {name} ในบัญชีดำและนำออกจาก {group} แล้ว',
+            dismissed: 'ยกเลิกรายงานเกี่ยวกับ {name} แล้ว',
+            logDismissed: 'ยกเลิกรายงาน #{id}',
+            logBlacklisted: 'เพิ่มในบัญชีดำหลังรายงาน #{id}',
+            title: '--- รายงานที่ยังเปิดอยู่: สมาชิก {count} คน (เวลาตามเขต {timezone}) ---',
+            none: 'ไม่มีรายงานที่ยังเปิดอยู่',
+            line: '- {name}: {count} รายงาน ล่าสุด {time}',
+        },
+        voteKick: {
+            current: 'โหวตนำออก: สมาชิกที่ถูกรายงานโดย {percent}% ของกลุ่ม (อย่างน้อย {min} คน) ภายใน {minutes} นาทีจะถูกนำออก',
+            off: 'ปิดโหวตนำออกอยู่',
+            invalidPercent: 'สัดส่วนสมาชิกต้องอยู่ระหว่าง {min} ถึง 100 เปอร์เซ็นต์',
+            invalidWindow: 'ช่วงเวลาต้องอยู่ระหว่าง 1 ถึง {max} นาที',
+            logSet: 'ตั้งโหวตนำออกเป็น {percent}% ของสมาชิกภายใน {minutes} นาที',
+            updated: 'เปิดโหวตนำออกแล้ว: สมาชิกที่ถูกรายงานโดย {percent}% ของกลุ่ม (อย่างน้อย {min} คน) ภายใน {minutes} นาทีจะถูกนำออก',
+            logOff: 'ปิดโหวตนำออก',
+            turnedOff: 'ปิดโหวตนำออกแล้ว รายงานจะส่งถึงทีมงานเท่านั้น',
+        },
+        prune: {
+            current: 'นำออกอัตโนมัติ: สมาชิกที่ไม่เคลื่อนไหว {days} วันจะได้รับคำเตือน และถูกนำออกหลังจากนั้น {grace} วัน',
+            off: 'ปิดการนำสมาชิกออกอัตโนมัติอยู่',
+            invalidDays: 'จำนวนวันที่ไม่เคลื่อนไหวต้องอยู่ระหว่าง {min} ถึง {max}',
+            invalidGrace: 'ระยะผ่อนผันต้องอยู่ระหว่าง 1 ถึง {max} วัน',
+            logSet: 'ตั้งค่านำออกอัตโนมัติเมื่อไม่เคลื่อนไหว {days} วัน ผ่อนผัน {grace} วัน',
+            updated: 'เปิดการนำออกอัตโนมัติแล้ว: สมาชิกที่ไม่ส่งข้อความ {days} วันจะได้รับคำเตือน และถูกนำออกหลังจากนั้น {grace} วันหากยังไม่ส่งข้อความ แอดมินและผู้ดูแลจะไม่ถูกนำออก',
+            logOff: 'ปิดการนำสมาชิกออกอัตโนมัติ',
+            turnedOff: 'ปิดการนำสมาชิกออกอัตโนมัติแล้ว คำเตือนที่ค้างอยู่ถูกล้างแล้ว',
+            logWarned: 'เตือนเรื่องไม่เคลื่อนไหว {days} วัน',
+            warningGroup: '{names}: คุณไม่ได้ส่งข้อความในกลุ่มนี้มา {days} วัน กรุณาส่งข้อความก่อน {time} ({timezone}) เพื่ออยู่ในกลุ่มต่อ',
+            warningPrivate: 'คุณไม่ได้ส่งข้อความในกลุ่ม "{group}" มา {days} วัน กรุณาส่งข้อความในกลุ่มก่อน {time} ({timezone}) มิฉะนั้นจะถูกนำออกจากกลุ่ม',
+        },
+        shortcuts: {
+            status: 'สถานะ',
+            words: 'คำต้องห้าม',
+            users: 'ผู้ใช้',
+            modLog: 'บันทึกการดูแล',
+            staff: 'ทีมงาน',
+            lockdown: 'ล็อกดาวน์',
+            liftLockdown: 'ยกเลิกล็อกดาวน์',
+        },
+        console: {
+            selectGroupFirst: 'กรุณาเลือกกลุ่มก่อน: ส่ง !groups เพื่อดูรายชื่อกลุ่ม แล้วส่ง !use [หมายเลข]',
+            noLongerStaff: 'คุณไม่ได้เป็นทีมงานในกลุ่มที่เลือกแล้ว ส่ง !groups เพื่อเลือกกลุ่มอื่น',
+            error: 'เกิดข้อผิดพลาดขณะใช้คำสั่ง',
+            noGroups: 'คุณไม่ได้เป็นทีมงานในกลุ่มใดเลย',
+            groupLine: '{number}. {group} [{role}]',
+            selectedMark: ' (เลือกอยู่)',
+            groups: '--- กลุ่มของคุณ ---\n{groups}\n\nส่ง !use [หมายเลข] เพื่อเลือกกลุ่ม',
+            selectedGroup: 'กลุ่มที่เลือก: {group}',
+            noGroupSelected: 'ยังไม่ได้เลือกกลุ่ม',
+            notYourGroup: 'นั่นไม่ใช่กลุ่มของคุณ ส่ง !groups เพื่อดูรายชื่อ',
+            groupSelected: 'เลือก {group} แล้ว คำสั่งที่ส่งที่นี่จะใช้กับกลุ่มนี้ ใช้ user ID แทน @ผู้ใช้ เช่น !strike U1234... spam',
+        },
+        claim: {
+            alreadyOwned: 'กลุ่มนี้มีเจ้าของแล้ว',
+            invalidCode: 'รหัสยืนยันความเป็นเจ้าของไม่ถูกต้อง',
+            usage: 'วิธีใช้: !claim [รหัส] ผู้ดูแลระบบของบอทจะให้รหัสของกลุ่มนี้กับคุณ',
+            operatorCode: 'รหัสยืนยันความเป็นเจ้าของของ {group}: {code}\nให้รหัสนี้เฉพาะผู้ที่ควรเป็นเจ้าของกลุ่มเท่านั้น โดยส่ง !claim {code} ในกลุ่ม',
+            claimed: 'ตอนนี้คุณเป็นเจ้าของกลุ่มนี้แล้ว ส่ง {help} เพื่อดูสิ่งที่คุณทำได้',
+        },
+        roles: {
+            alreadyOwner: 'คุณเป็นเจ้าของอยู่แล้ว',
+            alreadyAdmin: 'ผู้ใช้นี้เป็นแอดมินอยู่แล้ว',
+            adminAdded: 'เพิ่มแอดมินใหม่เรียบร้อยแล้ว',
+            notAdmin: 'ผู้ใช้นี้ไม่ได้เป็นแอดมิน',
+            adminRemoved: 'ถอดแอดมินแล้ว ตอนนี้เป็นสมาชิกทั่วไป',
+            adminDemoted: 'ลดแอดมินเป็นผู้ดูแลแล้ว',
+            alreadyModerator: 'ผู้ใช้นี้เป็นผู้ดูแลอยู่แล้ว',
+            alreadyAboveModerator: 'ผู้ใช้นี้มีตำแหน่งสูงกว่าผู้ดูแลอยู่แล้ว',
+            moderatorAdded: 'เพิ่มผู้ดูแลใหม่เรียบร้อยแล้ว',
+            notModerator: 'ผู้ใช้นี้ไม่ได้เป็นผู้ดูแล',
+            moderatorRemoved: 'ถอดผู้ดูแลแล้ว',
+            nowOwner: 'ตอนนี้คุณเป็นเจ้าของ {group} แล้ว',
+            ownershipTransferred: 'โอนความเป็นเจ้าของแล้ว ตอนนี้คุณเป็นแอดมิน',
+        },
+        modCommands: {
+            overview: '--- คำสั่งของผู้ดูแล ---\nใช้ได้: {allowed}{default}\n\nมอบให้ได้: {delegable}\n\nวิธีใช้: !modcommands [คำสั่ง]... | none | default',
+            defaultMark: ' (ค่าเริ่มต้น)',
+            unknown: 'ไม่รู้จักคำสั่ง: {commands}',
+            notDelegable: 'คำสั่งเหล่านี้มอบให้ผู้ดูแลไม่ได้: {commands}',
+            defaultSet: 'ชุดคำสั่งเริ่มต้น',
+            noCommands: 'ไม่มีคำสั่งของแอดมิน',
+            updated: 'ตอนนี้ผู้ดูแลใช้ {commands} ได้',
+        },
+        staff: {
+            list: '--- ทีมงานของกลุ่ม ---\nเจ้าของ: {owner}\nแอดมิน ({adminCount}): {admins}\nผู้ดูแล ({moderatorCount}): {moderators}',
+            member: '{name} ({id})',
+        },
+        blacklist: {
+            entryUsage: 'รูปแบบ: คำ, "วลีในเครื่องหมายคำพูด", sub:ข้อความบางส่วน, re:regex (ใช้ re:"..." หากมีช่องว่าง)',
+            added: 'เพิ่มในบัญชีดำแล้ว ({count}): {entries}',
+            logAdded: 'เพิ่ม: {entries}',
+            skipped: 'ข้าม:',
+            errors: {
+                regexTooLong: 'นิพจน์ทั่วไปยาวเกิน {max} ตัวอักษร: {pattern}',
+                invalidRegex: 'นิพจน์ทั่วไปไม่ถูกต้อง: {pattern}',
+                regexNestedRepetition: 'นิพจน์ทั่วไปอาจทำงานช้าเกินไป (กลุ่มที่ทำซ้ำต้องไม่มีการทำซ้ำอื่นหรือ | อยู่ข้างใน): {pattern}',
+                regexRepetitions: 'นิพจน์ทั่วไปอาจทำงานช้าเกินไป (ใช้ *, +, {n,} หรือ {n,m} ได้เพียงครั้งเดียว): {pattern}',
+                regexBackreference: 'นิพจน์ทั่วไปอาจทำงานช้าเกินไป (ไม่อนุญาตให้ใช้การอ้างอิงย้อนกลับ): {pattern}',
+                emptyEntry: 'รายการว่างเปล่า: {pattern}',
+                unknownMode: 'ไม่รู้จักรูปแบบการจับคู่: {mode}',
+            },
+            notListed: 'ไม่มีรายการเหล่านี้ในบัญชีดำ',
+            removed: 'ลบออกจากบัญชีดำแล้ว ({count}): {entries}',
+            logRemoved: 'ลบ: {entries}',
+            staff: 'คุณเพิ่มทีมงานในบัญชีดำไม่ได้',
+            userRemoved: 'เพิ่ม {name} ในบัญชีดำและนำออกจากกลุ่มแล้ว',
+            userNotInGroup: 'เพิ่ม {name} ในบัญชีดำแล้ว (ไม่ได้อยู่ในกลุ่ม)',
+            alsoSharedBanned: "แบนในรายชื่อแบนร่วม '{list}' ด้วย และนำออกจากกลุ่มอื่นแล้ว {count} กลุ่ม",
+            unblacklisted: 'ลบ {name} ออกจากบัญชีดำแล้ว',
+            alsoSharedRemoved: "ลบออกจากรายชื่อแบนร่วม '{list}' ด้วยแล้ว",
+            stillSharedBanned: 'ผู้ใช้นี้ยังถูกแบนในกลุ่มนี้โดยรายชื่อแบนร่วม: {lists} ใช้ !banlist exempt เพื่ออนุญาตให้เข้ากลุ่มนี้',
+        },
+        password: {
+            disabled: 'ปิดการป้องกันด้วยรหัสผ่านแล้ว',
+            logDisabled: 'ปิดการป้องกันด้วยรหัสผ่าน',
+            logChanged: 'เปลี่ยนรหัสผ่านกลุ่ม',
+            updated: 'อัปเดตรหัสผ่านกลุ่มแล้ว',
+            notUsedNote: 'สมาชิกใหม่จะไม่ถูกถามรหัสผ่านขณะที่ตั้งการยืนยันตัวตนเป็นแบบอื่น ใช้ !verification password เพื่อเปิดใช้',
+            invalidMinutes: 'กรุณาระบุจำนวนนาทีที่ถูกต้อง',
+            timeoutSet: 'ตั้งเวลายืนยันรหัสผ่านเป็น {minutes} นาทีแล้ว',
+            logTimeout: 'ตั้งเวลายืนยันรหัสผ่านเป็น {minutes} นาที',
+            invalidAttempts: 'กรุณาระบุจำนวนครั้งที่ถูกต้อง',
+            invalidCooldown: 'กรุณาระบุเวลารอเป็นวินาทีที่ถูกต้อง',
+            attemptsSet: 'ตอนนี้สมาชิกใหม่มีโอกาส {attempts} ครั้ง และต้องรอ {cooldown} วินาทีหลังใส่รหัสผ่านผิด',
+            logAttempts: 'ตั้งจำนวนครั้งเป็น {attempts} และเวลารอ {cooldown} วินาที',
+        },
+        help: {
+            unknown: 'ไม่รู้จักคำสั่ง {command} ส่ง {help} เพื่อดูคำสั่งทั้งหมด',
+            usage: 'วิธีใช้: {usage}',
+            aliases: 'ชื่ออื่น: {aliases}',
+            consoleOnly: 'ใช้ได้เฉพาะในแชทส่วนตัวกับบอทเท่านั้น',
+            audience: 'ผู้ที่ใช้ได้: {audience}',
+            audienceDelegated: 'ผู้ที่ใช้ได้: {audience} และผู้ดูแลในกลุ่มนี้',
+            cannotUse: 'คุณใช้คำสั่งนี้ไม่ได้',
+            audiences: {
+                owner: 'เจ้าของ',
+                admin: 'แอดมิน',
+                moderator: 'ทีมงานทุกคน',
+                member: 'ทุกคน',
+            },
+            title: '--- คำสั่ง ({role}) ---',
+            legend: '<...> ต้องระบุ, [...] ไม่บังคับ ส่ง {help} [คำสั่ง] เพื่อดูรายละเอียด',
+            privateChat: 'ในแชทส่วนตัว คำสั่งขึ้นต้นด้วย ! และใช้ user ID แทน @ผู้ใช้',
+            categories: {
+                GENERAL: 'ทั่วไป',
+                VERIFICATION: 'การยืนยันตัวตน',
+                WELCOME: 'การต้อนรับและกฎ',
+                ANNOUNCEMENTS: 'ประกาศ',
+                ACTIVITY: 'ความเคลื่อนไหวของสมาชิก',
+                REPORTS: 'รายงาน',
+                BLACKLIST: 'บัญชีดำ',
+                STRIKES: 'ใบเตือน',
+                CONTENT: 'เนื้อหาและสแปม',
+                BAN_LISTS: 'รายชื่อแบนร่วม',
+                ROLES: 'ตำแหน่ง',
+                CONSOLE: 'แชทส่วนตัว',
+            },
+        },
+        commandHelp: {
+            '!help': {
+                summary: 'แสดงคำสั่งที่คุณใช้ได้ หรืออธิบายคำสั่งใดคำสั่งหนึ่ง',
+            },
+            '!staff': {
+                summary: 'แสดงรายชื่อเจ้าของ แอดมิน และผู้ดูแล พร้อม user ID',
+            },
+            '!dashboard': {
+                summary: 'ส่งลิงก์แดชบอร์ดเว็บของกลุ่มนี้ให้คุณ',
+            },
+            '!status': {
+                summary: 'แสดงการตั้งค่าของกลุ่ม พร้อมปุ่มสำหรับการเปลี่ยนแปลงที่ใช้บ่อย',
+            },
+            '!setprefix': {
+                summary: 'แสดงหรือเปลี่ยนสัญลักษณ์ที่ใช้ขึ้นต้นคำสั่งในกลุ่มนี้',
+                details: 'สัญลักษณ์ขึ้นต้นมีได้ 1 ถึง 3 ตัว เช่น ! / . หรือ # ห้ามใช้ตัวอักษร ตัวเลข เครื่องหมายคำพูด และ @ ในแชทส่วนตัวกับบอท คำสั่งขึ้นต้นด้วย ! เสมอ',
+            },
+            '!setlanguage': {
+                summary: 'แสดงหรือเปลี่ยนภาษาที่บอทใช้ในกลุ่มนี้',
+                details: 'เป็นภาษาของข้อความตอบกลับถึงทีมงาน ข้อความในกลุ่ม และข้อความที่สมาชิกใหม่ได้รับในแชทส่วนตัว',
+            },
+            '!settimezone': {
+                summary: 'แสดงหรือเปลี่ยนเขตเวลาที่ใช้กับประกาศที่ตั้งเวลาไว้',
+                details: 'ใช้ชื่อเช่น Asia/Bangkok หรือ Europe/London หรือ default เพื่อใช้ค่าเริ่มต้นของบอท ประกาศที่ส่งซ้ำยังคงส่งตามเวลาท้องถิ่นเดิมเมื่อเปลี่ยนเขตเวลา',
+            },
+            '!groupcommands': {
+                summary: 'เปิดหรือปิดการใช้คำสั่งในกลุ่ม',
+                details: 'คำสั่งที่ส่งถึงบอทในแชทส่วนตัวยังใช้ได้เสมอ',
+            },
+            '!export': {
+                summary: 'ส่งการตั้งค่าของกลุ่มให้คุณเป็น JSON เพื่อเก็บสำรองหรือใช้ !import ในกลุ่มอื่น',
+                details: 'ประกอบด้วยการตั้งค่า บัญชีดำคำและผู้ใช้ โดเมนลิงก์ แอดมินและผู้ดูแล ไม่รวมรหัสผ่าน เจ้าของกลุ่ม และสถานะล็อกดาวน์ การตั้งค่าที่ยาวจะส่งมาเป็นหลายข้อความ',
+            },
+            '!import': {
+                summary: 'นำการตั้งค่าจาก !export มาใช้ในกลุ่มนี้ หลังจากแสดงสิ่งที่จะเปลี่ยนแปลงให้คุณดูก่อน',
+                details: 'วาง JSON ต่อท้ายคำสั่ง หากการตั้งค่ามีหลายข้อความให้วางทีละข้อความ จะไม่มีการเปลี่ยนแปลงจนกว่าคุณจะยืนยัน การตั้งค่าและรายการที่ไม่มีใน JSON จะคงเดิม เฉพาะเจ้าของกลุ่มเท่านั้นที่เปลี่ยนแอดมินและผู้ดูแลด้วยวิธีนี้ได้',
+            },
+            '!clonesettings': {
+                summary: 'คัดลอกการตั้งค่าของกลุ่มอื่นที่คุณเป็นแอดมินมายังกลุ่มนี้ หลังจากแสดงสิ่งที่จะเปลี่ยนแปลงให้คุณดูก่อน',
+                details: 'หมายเลขคือหมายเลขที่แสดงโดย !groups ในแชทส่วนตัวกับบอท ทำงานเหมือน !export ในกลุ่มนั้นแล้วตามด้วย !import ในกลุ่มนี้',
+            },
+            '!verification': {
+                summary: 'แสดงหรือเปลี่ยนวิธียืนยันตัวตนของสมาชิกใหม่',
+                details: 'password: สมาชิกใหม่ส่งรหัสผ่านของกลุ่มในแชทส่วนตัว captcha: ตอบคำถามง่ายๆ approval: แอดมินอนุมัติหรือปฏิเสธ โดย approval_minutes คือเวลาที่แอดมินมีก่อนสมาชิกจะถูกนำออก',
+            },
+            '!setpassword': {
+                summary: 'ตั้งรหัสผ่านที่สมาชิกใหม่ต้องส่ง หรือปิดการใช้รหัสผ่าน',
+                details: 'ใส่เครื่องหมายคำพูดหากรหัสผ่านมีช่องว่าง รหัสผ่านจะไม่ถูกบันทึกในบันทึกการดูแล',
+            },
+            '!setpasswordtimeout': {
+                summary: 'ตั้งเวลาที่สมาชิกใหม่มีสำหรับยืนยันตัวตนก่อนถูกนำออก',
+            },
+            '!setpasswordattempts': {
+                summary: 'ตั้งจำนวนครั้งที่สมาชิกใหม่ตอบผิดได้ก่อนถูกนำออก และเวลารอหลังตอบผิดแต่ละครั้ง',
+            },
+            '!approve': {
+                summary: 'อนุญาตให้สมาชิกที่รอการอนุมัติอยู่ในกลุ่มต่อ',
+            },
+            '!reject': {
+                summary: 'นำสมาชิกที่รอการอนุมัติออกจากกลุ่ม',
+            },
+            '!rules': {
+                summary: 'แสดงกฎของกลุ่ม ทุกคนในกลุ่มใช้ได้',
+            },
+            '!setrules': {
+                summary: 'แสดง ตั้ง หรือลบกฎของกลุ่ม',
+                details: 'เขียนกฎข้อละหนึ่งบรรทัด ใช้ off เพื่อลบกฎ',
+            },
+            '!rulesack': {
+                summary: 'แสดงหรือเปลี่ยนว่าสมาชิกใหม่ต้องยอมรับกฎก่อนส่งข้อความหรือไม่',
+                details: 'สมาชิกใหม่ยอมรับกฎด้วยปุ่ม warn: ข้อความที่ส่งก่อนยอมรับจะได้รับใบเตือน kick: นำสมาชิกออก LINE ไม่อนุญาตให้บอทลบข้อความ ข้อความเหล่านั้นจึงยังอยู่',
+            },
+            '!setwelcome': {
+                summary: 'แสดงหรือเปลี่ยนข้อความต้อนรับ: ข้อความในกลุ่ม และข้อความที่ส่งถึงสมาชิกใหม่ในแชทส่วนตัว',
+                details: 'ตัวแทนที่ใช้ได้: {name} (สมาชิกใหม่) {group} (ชื่อกลุ่ม) และ {count} (จำนวนสมาชิก) ใช้ off เพื่อปิดข้อความ',
+            },
+            '!schedule': {
+                summary: 'ตั้งเวลาประกาศในกลุ่ม แบบครั้งเดียวหรือส่งซ้ำ และแสดงรายการ หยุดชั่วคราว ส่งต่อ หรือลบประกาศ',
+                details: 'at ตามด้วยเวลา (HH:MM หรือ YYYY-MM-DD HH:MM) และข้อความ every ตามด้วยรูปแบบ cron ในเครื่องหมายคำพูด เช่น "0 9 * * mon" สำหรับทุกวันจันทร์เวลา 9:00 และข้อความ เวลาเป็นไปตามเขตเวลาของกลุ่ม (ดู !settimezone) pause, resume และ delete ตามด้วยหมายเลขที่แสดงในรายการ ประกาศจะหยุดส่งเมื่อโควตาข้อความรายเดือนของแชนแนลใกล้หมด',
+            },
+            '!activity': {
+                summary: 'แสดงความเคลื่อนไหวของสมาชิก: วันที่เข้ากลุ่ม ข้อความล่าสุด วันที่ออก และจำนวนข้อความ',
+                details: 'บอทรู้เฉพาะสิ่งที่เกิดขึ้นระหว่างที่บอทอยู่ในกลุ่ม ผู้ดูแลใช้ได้โดยค่าเริ่มต้น',
+            },
+            '!inactive': {
+                summary: 'แสดงรายชื่อสมาชิกที่ไม่ได้ส่งข้อความตามจำนวนวันที่กำหนด (ค่าเริ่มต้น 30 วัน) เรียงจากผู้ที่เคลื่อนไหวน้อยที่สุด',
+                details: 'ไม่รวมแอดมินและผู้ดูแล สมาชิกที่ไม่เคยส่งข้อความนับจากวันที่เข้ากลุ่มหรือวันที่บอทพบครั้งแรก ผู้ดูแลใช้ได้โดยค่าเริ่มต้น',
+            },
+            '!autoprune': {
+                summary: 'แสดงหรือตั้งค่าการนำสมาชิกที่ไม่เคลื่อนไหวออกอัตโนมัติ',
+                details: 'สมาชิกที่ไม่ส่งข้อความตามจำนวนวันที่กำหนดจะได้รับคำเตือน และถูกนำออกเมื่อครบระยะผ่อนผัน (ค่าเริ่มต้น 3 วัน) หากยังไม่ส่งข้อความ แอดมินและผู้ดูแลจะไม่ถูกนำออก ใช้ off เพื่อปิด',
+            },
+            '!report': {
+                summary: 'รายงานสมาชิกถึงทีมงาน โดยแท็กสมาชิก หรือตอบกลับข้อความของสมาชิก ทุกคนในกลุ่มใช้ได้',
+                details: 'ทีมงานที่ใช้ !reports ได้จะได้รับรายงานในแชทส่วนตัว พร้อมปุ่มนำออก เพิ่มในบัญชีดำ หรือยกเลิกรายงาน ไม่สามารถรายงานทีมงานได้ เมื่อเปิด !votekick สมาชิกที่ถูกรายงานมากพอจะถูกนำออกอัตโนมัติ',
+            },
+            '!reports': {
+                summary: 'แสดงสมาชิกที่มีรายงานที่ยังเปิดอยู่ เรียงจากผู้ที่ถูกรายงานมากที่สุด',
+                details: 'ทีมงานที่ใช้คำสั่งนี้ได้จะได้รับรายงานใหม่ในแชทส่วนตัวด้วย ผู้ดูแลใช้ได้โดยค่าเริ่มต้น',
+            },
+            '!votekick': {
+                summary: 'แสดงหรือตั้งค่าโหวตนำออก: สมาชิกที่ถูกรายงานโดยสัดส่วนนี้ของกลุ่มภายในจำนวนนาทีที่กำหนด (ค่าเริ่มต้น 60) จะถูกนำออก',
+                details: 'ต้องมีสมาชิกอย่างน้อย 3 คนรายงาน ไม่ว่ากลุ่มจะเล็กเพียงใด ใช้ off เพื่อปิด',
+            },
+            '!showblacklistwords': {
+                summary: 'แสดงคำต้องห้าม พร้อมปุ่มสำหรับลบ',
+            },
+            '!showblacklistusers': {
+                summary: 'แสดงผู้ใช้ในบัญชีดำ พร้อมปุ่มสำหรับลบ',
+            },
+            '!addblacklist': {
+                summary: 'เพิ่มคำ วลี หรือรูปแบบลงในบัญชีดำ',
+                details: 'รูปแบบ: คำ, "วลีในเครื่องหมายคำพูด", sub:ข้อความบางส่วน, re:regex (ใช้ re:"..." หากมีช่องว่าง)',
+            },
+            '!removeblacklist': {
+                summary: 'ลบรายการออกจากบัญชีดำ โดยเขียนแบบเดียวกับตอนที่เพิ่ม',
+            },
+            '!blacklistuser': {
+                summary: 'เตะผู้ใช้ออกและไม่ให้กลับเข้ากลุ่ม',
+                details: 'เพิ่ม global (หรือ global:<รายชื่อ>) เพื่อแบนในรายชื่อแบนร่วมที่คุณแก้ไขได้ด้วย',
+            },
+            '!unblacklistuser': {
+                summary: 'อนุญาตให้ผู้ใช้ในบัญชีดำกลับเข้ากลุ่มได้',
+                details: 'เพิ่ม global (หรือ global:<รายชื่อ>) เพื่อลบออกจากรายชื่อแบนร่วมที่คุณแก้ไขได้ด้วย',
+            },
+            '!strike': {
+                summary: 'ให้ใบเตือนสมาชิก เมื่อได้ครบตามนโยบายใบเตือนจะถูกเตะออก',
+            },
+            '!strikes': {
+                summary: 'แสดงใบเตือนและจำนวนครั้งที่ถูกเตะของสมาชิก',
+            },
+            '!clearstrikes': {
+                summary: 'ล้างใบเตือนของสมาชิก',
+            },
+            '!strikepolicy': {
+                summary: 'แสดงหรือเปลี่ยนจำนวนใบเตือนที่ทำให้ถูกเตะ จำนวนครั้งที่ถูกเตะก่อนเข้าบัญชีดำ และเวลาหมดอายุของใบเตือน',
+                details: 'ใช้ 0 ครั้งเพื่อปิดการเพิ่มบัญชีดำอัตโนมัติ และ 0 ชั่วโมงเพื่อให้ใบเตือนไม่หมดอายุ',
+            },
+            '!policy': {
+                summary: 'แสดงหรือเปลี่ยนสิ่งที่เกิดขึ้นกับข้อความแต่ละประเภท เช่น รูปภาพหรือลิงก์',
+                details: 'ประเภท: image, video, audio, file, sticker, location, link, invite, shortener, denied_domain, flood, duplicate เพิ่ม newmember:<ชั่วโมง> เพื่อใช้กฎนี้กับสมาชิกที่เข้ากลุ่มมาไม่ถึงจำนวนชั่วโมงนั้นเท่านั้น',
+            },
+            '!allowdomain': {
+                summary: 'อนุญาตลิงก์ไปยังโดเมนเหล่านี้ ไม่ว่านโยบายลิงก์จะเป็นอย่างไร',
+            },
+            '!denydomain': {
+                summary: 'ถือว่าลิงก์ไปยังโดเมนเหล่านี้เป็นโดเมนต้องห้าม (ดูนโยบาย denied_domain)',
+            },
+            '!removedomain': {
+                summary: 'ลบโดเมนออกจากรายการที่อนุญาตและรายการต้องห้าม',
+            },
+            '!antiflood': {
+                summary: 'จำกัดจำนวนข้อความที่สมาชิกส่งได้ภายในจำนวนวินาทีที่กำหนด (ดูนโยบาย flood)',
+            },
+            '!antiduplicate': {
+                summary: 'จำกัดจำนวนครั้งที่สมาชิกส่งข้อความเดิมซ้ำได้ภายในจำนวนวินาทีที่กำหนด (ดูนโยบาย duplicate)',
+            },
+            '!antiraid': {
+                summary: 'ล็อกดาวน์กลุ่มเมื่อมีสมาชิกเข้ากลุ่มครบจำนวนนี้ภายในจำนวนวินาทีที่กำหนด',
+            },
+            '!lockdown': {
+                summary: 'แสดงหรือเปลี่ยนสถานะล็อกดาวน์ ระหว่างล็อกดาวน์ ทุกคนที่เข้ากลุ่มจะถูกนำออก',
+            },
+            '!modlog': {
+                summary: 'แสดงบันทึกการดูแล เรียงจากล่าสุด',
+                details: 'ตัวกรอง: @ผู้ใช้, ประเภทการดำเนินการ (เช่น kick), since:YYYY-MM-DD, until:YYYY-MM-DD และ limit:N',
+            },
+            '!banlist': {
+                summary: 'จัดการรายชื่อแบนร่วมที่กลุ่มนี้ติดตาม',
+                details: 'create, subscribe, unsubscribe และ show ต้องระบุชื่อรายชื่อ check, exempt และ unexempt ต้องระบุ @ผู้ใช้ addeditor และ removeeditor ต้องระบุชื่อรายชื่อและ @ผู้ใช้ public ต้องระบุชื่อรายชื่อและ on หรือ off',
+            },
+            '!setmod': {
+                summary: 'ตั้งสมาชิกเป็นผู้ดูแล',
+            },
+            '!removemod': {
+                summary: 'ทำให้ผู้ดูแลกลับเป็นสมาชิกทั่วไป',
+            },
+            '!modcommands': {
+                summary: 'แสดงหรือเปลี่ยนคำสั่งของแอดมินที่ผู้ดูแลใช้ได้',
+                details: 'ระบุคำสั่งที่จะอนุญาต หรือใช้ none หรือ default คำสั่งที่เปลี่ยนตำแหน่งจะไม่อนุญาตให้ผู้ดูแลใช้',
+            },
+            '!setadmin': {
+                summary: 'ตั้งสมาชิกเป็นแอดมิน',
+            },
+            '!removeadmin': {
+                summary: 'ทำให้แอดมินกลับเป็นสมาชิกทั่วไป',
+            },
+            '!demote': {
+                summary: 'ลดแอดมินเป็นผู้ดูแล',
+            },
+            '!transferowner': {
+                summary: 'โอนความเป็นเจ้าของกลุ่มนี้ให้ผู้อื่น คุณจะกลายเป็นแอดมิน',
+            },
+            '!groups': {
+                summary: 'แสดงกลุ่มที่คุณเป็นทีมงาน',
+            },
+            '!use': {
+                summary: 'เลือกกลุ่มที่คำสั่งที่คุณส่งที่นี่จะใช้กับกลุ่มนั้น',
+            },
+        },
+        prefix: {
+            current: 'คำสั่งในกลุ่มขึ้นต้นด้วย {prefix} เช่น {example}',
+            invalid: 'สัญลักษณ์ขึ้นต้นมีได้ 1 ถึง 3 ตัว เช่น ! / . หรือ # ห้ามใช้ตัวอักษร ตัวเลข เครื่องหมายคำพูด และ @',
+            logSet: 'ตั้งสัญลักษณ์ขึ้นต้นคำสั่งเป็น {prefix}',
+            updated: 'ตอนนี้คำสั่งในกลุ่มขึ้นต้นด้วย {prefix} เช่น {example} ในแชทส่วนตัวกับบอท คำสั่งยังขึ้นต้นด้วย !',
+        },
+        language: {
+            current: 'กลุ่มนี้ใช้{language}',
+            available: 'ภาษาที่มี: {languages}',
+            logSet: 'ตั้งภาษาเป็น{language}',
+            updated: 'ตอนนี้กลุ่มนี้ใช้{language}แล้ว ข้อความถึงสมาชิกใหม่ก็จะใช้ภาษานี้ด้วย',
+        },
+        banList: {
+            usage: 'วิธีใช้:\n!banlist create [ชื่อ]\n!banlist subscribe [ชื่อ]\n!banlist unsubscribe [ชื่อ]\n!banlist show [ชื่อ]\n!banlist check @ผู้ใช้\n!banlist exempt @ผู้ใช้ / unexempt @ผู้ใช้\n!banlist addeditor [ชื่อ] @ผู้ใช้ / removeeditor [ชื่อ] @ผู้ใช้\n!banlist public [ชื่อ] on|off',
+            notFound: "ไม่มีรายชื่อแบนร่วมชื่อ '{name}'",
+            notEditor: "คุณไม่ได้เป็นผู้แก้ไขรายชื่อแบนร่วม '{name}'",
+            noEditableList: 'กลุ่มนี้ไม่ได้ติดตามรายชื่อแบนร่วมที่คุณแก้ไขได้ ดู !banlist',
+            chooseList: 'เลือกรายชื่อ: {lists}',
+            logAdded: "เพิ่มในรายชื่อแบนร่วม '{list}'",
+            logRemoved: "ลบออกจากรายชื่อแบนร่วม '{list}'",
+            title: '--- รายชื่อแบนร่วม ---',
+            listLine: '- {name}: แบน {count} คน',
+            listLineEditable: '- {name}: แบน {count} คน (คุณแก้ไขได้)',
+            exemptedCount: 'ผู้ใช้ที่ได้รับการยกเว้น: {count}',
+            invalidName: 'ชื่อรายชื่อมีได้ 2-32 ตัวอักษร: ตัวอักษรภาษาอังกฤษ ตัวเลข - และ _',
+            exists: "มีรายชื่อแบนร่วมชื่อ '{name}' อยู่แล้ว ใช้ !banlist subscribe {name} เพื่อใช้รายชื่อนี้หากเป็นรายชื่อสาธารณะ",
+            notPublic: "'{name}' ไม่ใช่รายชื่อสาธารณะ ขอให้ผู้สร้างเปิดเป็นสาธารณะด้วย !banlist public {name} on หรือเพิ่มคุณเป็นผู้แก้ไข",
+            logCreated: "สร้างรายชื่อแบนร่วม '{name}'",
+            created: "สร้างรายชื่อแบนร่วม '{name}' และให้กลุ่มนี้ติดตามแล้ว แบนผู้ใช้ในรายชื่อนี้ด้วย !blacklistuser @ผู้ใช้ global:{name}",
+            alreadySubscribed: "กลุ่มนี้ติดตาม '{name}' อยู่แล้ว",
+            alreadyUnsubscribed: "กลุ่มนี้ไม่ได้ติดตาม '{name}' อยู่แล้ว",
+            logSubscription: "รายชื่อแบนร่วม '{name}'",
+            subscribed: "ตอนนี้กลุ่มนี้ติดตาม '{name}' แล้ว ผู้ใช้ที่ถูกแบนจะถูกนำออกเมื่อเข้ากลุ่มหรือส่งข้อความครั้งถัดไป",
+            unsubscribed: "ตอนนี้กลุ่มนี้เลิกติดตาม '{name}' แล้ว",
+            unknownGroup: 'ไม่ทราบกลุ่ม',
+            entry: '[{time}] {name} ({id}) | จาก: {source}',
+            showTitle: '--- รายชื่อแบนร่วม: {name} (ล่าสุด {count}) ---',
+            noBans: 'ไม่มีผู้ถูกแบน',
+            localBan: 'บัญชีดำของกลุ่ม: อยู่ ตั้งแต่ {time}',
+            noLocalBan: 'บัญชีดำของกลุ่ม: ไม่อยู่',
+            exempt: 'ได้รับการยกเว้นจากรายชื่อแบนร่วมในกลุ่มนี้',
+            sharedBan: "รายชื่อร่วม '{list}': แบนเมื่อ {time} จาก {source}",
+            noSharedBans: 'ไม่อยู่ในรายชื่อแบนร่วมที่ติดตาม',
+            logExempted: 'ยกเว้นจากรายชื่อแบนร่วม',
+            logUnexempted: 'ยกเลิกการยกเว้นจากรายชื่อแบนร่วม',
+            exempted: 'รายชื่อแบนร่วมไม่มีผลกับผู้ใช้นี้ในกลุ่มนี้แล้ว',
+            unexempted: 'รายชื่อแบนร่วมมีผลกับผู้ใช้นี้อีกครั้ง',
+            notCreator: "เฉพาะผู้สร้าง '{name}' เท่านั้นที่เปลี่ยนผู้แก้ไขได้",
+            editorCount: "ตอนนี้ '{name}' มีผู้แก้ไข {count} คน",
+            logEditorAdded: "เพิ่มเป็นผู้แก้ไขรายชื่อแบนร่วม '{name}'",
+            logEditorRemoved: "นำออกจากการเป็นผู้แก้ไขรายชื่อแบนร่วม '{name}'",
+            notCreatorPublic: "เฉพาะผู้สร้าง '{name}' เท่านั้นที่เปิดหรือปิดการเป็นสาธารณะได้",
+            logPublic: "รายชื่อแบนร่วม '{name}' สาธารณะ: {value}",
+            madePublic: "ตอนนี้ '{name}' เป็นสาธารณะแล้ว ทุกกลุ่มติดตามได้",
+            madePrivate: "ตอนนี้ '{name}' เป็นส่วนตัวแล้ว เฉพาะผู้แก้ไขเท่านั้นที่ให้กลุ่มติดตามได้ กลุ่มที่ติดตามอยู่แล้วยังคงติดตามต่อไป",
+        },
+        status: {
+            title: 'ภาพรวมสถานะของกลุ่ม',
+            verification: 'การยืนยันตัวตน',
+            owner: 'เจ้าของ',
+            ownerSet: 'มีแล้ว',
+            ownerNone: 'ไม่มี (ใช้ !claim)',
+            admins: 'แอดมิน',
+            moderators: 'ผู้ดูแล',
+            blacklistedWords: 'คำต้องห้าม',
+            blacklistedUsers: 'ผู้ใช้ในบัญชีดำ',
+            strikes: 'ใบเตือน',
+            antiFlood: 'กันส่งข้อความรัว',
+            antiDuplicate: 'กันข้อความซ้ำ',
+            antiRaid: 'กันบุกกลุ่ม',
+            lockdown: 'ล็อกดาวน์',
+            lockdownOn: 'เปิด',
+            groupCommands: 'คำสั่งในกลุ่ม',
+            groupCommandsOff: 'ปิด (ใช้ได้เฉพาะแชทส่วนตัว)',
+            commandPrefix: 'สัญลักษณ์ขึ้นต้นคำสั่ง',
+            language: 'ภาษา',
+            timezone: 'เขตเวลา',
+            welcome: 'ข้อความต้อนรับ',
+            rules: 'กฎของกลุ่ม',
+            rulesSet: 'ตั้งแล้ว',
+            rulesWarn: 'ตั้งแล้ว ต้องยอมรับ (ใบเตือน)',
+            rulesKick: 'ตั้งแล้ว ต้องยอมรับ (นำออก)',
+            voteKick: 'โหวตนำออก',
+            voteKickOn: '{percent}% ของสมาชิกภายใน {minutes} นาที',
+            autoPrune: 'นำสมาชิกที่ไม่เคลื่อนไหวออกอัตโนมัติ',
+            autoPruneOn: 'หลังไม่เคลื่อนไหว {days} วัน (ผ่อนผัน {grace} วัน)',
+            startLockdown: 'เริ่มล็อกดาวน์',
+            liftLockdown: 'ยกเลิกล็อกดาวน์',
+            allowGroupCommands: 'อนุญาตคำสั่งในกลุ่ม',
+            privateCommandsOnly: 'ใช้คำสั่งในแชทส่วนตัวเท่านั้น',
+            wordsButton: 'คำต้องห้าม',
+            usersButton: 'ผู้ใช้ในบัญชีดำ',
+        },
+        lists: {
+            remove: 'ลบ',
+            previous: 'ก่อนหน้า',
+            next: 'ถัดไป',
+            page: 'หน้า {page} จาก {pageCount}',
+            wordsTitle: 'คำต้องห้าม ({count})',
+            usersTitle: 'ผู้ใช้ในบัญชีดำ ({count})',
+            sharedLists: 'รายชื่อแบนร่วม: {lists}',
+            sharedList: '{name} ({count})',
+        },
+        strikes: {
+            staff: 'คุณให้ใบเตือนทีมงานไม่ได้',
+            defaultReason: 'แอดมินตักเตือน',
+            activeCount: 'ตอนนี้ผู้ใช้มีใบเตือนที่ยังมีผล {count} ใบ',
+            limitReached: 'ผู้ใช้ได้รับใบเตือนครบกำหนดและถูกนำออกแล้ว',
+            added: 'ให้ใบเตือนแล้ว {result}',
+            title: '--- ใบเตือน: {name} ({count}/{max}) ---',
+            kickCount: 'ถูกเตะเพราะใบเตือน: {count} ครั้ง',
+            entry: '{number}. [{time}] {reason}',
+            entryExpiring: '{number}. [{time}, หมดอายุ {expires}] {reason}',
+            noneActive: 'ไม่มีใบเตือนที่ยังมีผล',
+            cleared: 'ล้างใบเตือน {count} ใบแล้ว',
+            logStrike: 'ใบเตือนที่ {count} จาก {max}: {reason}',
+            autoBlacklist: 'ถูกเตะเพราะใบเตือน {count} ครั้ง',
+            warning: '{reason} นี่คือใบเตือนที่ {count} จาก {max} เมื่อครบ {max} ใบ คุณจะถูกนำออกจากกลุ่ม',
+            privateWarning: 'คำเตือนจาก {group}: {warning}',
+            publicWarning: '⚠️ {name} นี่คือคำเตือน: {warning}',
+            member: 'สมาชิก',
+        },
+        strikePolicy: {
+            usage: 'วิธีใช้: !strikepolicy [ใบเตือนก่อนเตะ] [จำนวนครั้งที่เตะก่อนเข้าบัญชีดำ] [ชั่วโมงหมดอายุ]\nใช้ 0 ครั้งเพื่อปิดการเพิ่มบัญชีดำอัตโนมัติ และ 0 ชั่วโมงเพื่อให้ใบเตือนไม่หมดอายุ',
+            current: 'นโยบายใบเตือน: {description}',
+            logSet: 'ตั้งนโยบายใบเตือนเป็น: {description}',
+            updated: 'อัปเดตนโยบายใบเตือนแล้ว: {description}',
+            description: 'เตะเมื่อครบ {strikes} ใบ, {blacklist}, {expiry}',
+            blacklistAfter: 'เข้าบัญชีดำหลังถูกเตะ {kicks} ครั้ง',
+            noAutoBlacklist: 'ไม่เพิ่มบัญชีดำอัตโนมัติ',
+            expireAfter: 'ใบเตือนหมดอายุหลัง {hours} ชั่วโมง',
+            neverExpire: 'ใบเตือนไม่หมดอายุ',
+        },
+        policy: {
+            usage: 'วิธีใช้: !policy [ประเภท] [ignore|warn|kick] [newmember:ชั่วโมง]\nประเภท: {types}',
+            title: '--- นโยบายเนื้อหา ---',
+            newMembersOnly: '{action} (สมาชิก < {hours} ชม.)',
+            logSet: 'ตั้งนโยบายเนื้อหาเป็น {description}',
+            updated: 'อัปเดตนโยบายเนื้อหาแล้ว: {description}',
+        },
+        violations: {
+            denied_domain: 'ส่งลิงก์ไปยังโดเมนต้องห้าม ({host})',
+            invite: 'ส่งลิงก์เชิญเข้ากลุ่ม LINE หรือ OpenChat',
+            shortener: 'ส่งลิงก์แบบย่อ ({host})',
+            link: 'ส่งลิงก์ ({host})',
+            image: 'ส่งรูปภาพ',
+            video: 'ส่งวิดีโอ',
+            audio: 'ส่งข้อความเสียง',
+            file: 'ส่งไฟล์',
+            sticker: 'ส่งสติกเกอร์',
+            location: 'ส่งตำแหน่งที่ตั้ง',
+            newMember: '{violation} ภายใน {hours} ชั่วโมงหลังเข้ากลุ่ม',
+            blacklistedWord: "ใช้คำต้องห้าม: '{entry}'",
+            flood: 'ส่งข้อความ {count} ข้อความภายใน {seconds} วินาที',
+            duplicate: 'ส่งข้อความเดิมซ้ำ {count} ครั้งภายใน {seconds} วินาที',
+        },
+        domains: {
+            allowedList: 'โดเมนที่อนุญาต: {domains}',
+            blockedList: 'โดเมนต้องห้าม: {domains}',
+            invalid: 'โดเมนไม่ถูกต้อง: {domains}',
+            allowed: 'อนุญาต: {domains}',
+            denied: 'ห้าม: {domains}',
+            removed: 'ลบออกจากรายการโดเมน: {domains}',
+        },
+        rateLimit: {
+            usage: 'วิธีใช้: {command} [จำนวนสูงสุด] [วินาที] หรือ {command} off',
+            maxWindow: 'ช่วงเวลายาวได้ไม่เกิน {max} วินาที',
+            units: {
+                flood: 'ข้อความต่อผู้ใช้',
+                duplicate: 'ข้อความซ้ำ',
+                raid: 'คนที่เข้ากลุ่ม',
+            },
+            description: 'ไม่เกิน {max} {unit} ภายใน {seconds} วินาที',
+            off: 'ปิด',
+            logSet: 'ตั้ง {command} เป็น {description}',
+            updated: 'ตอนนี้ {command} เป็น {description}',
+            short: '{max} ต่อ {seconds} วินาที',
+        },
+        lockdown: {
+            current: 'ล็อกดาวน์: {state}',
+            announceOn: '🔒 กลุ่มนี้อยู่ในโหมดล็อกดาวน์ สมาชิกใหม่จะถูกนำออก',
+            announceOff: '🔓 ยกเลิกล็อกดาวน์แล้ว',
+            updated: 'ตอนนี้ล็อกดาวน์: {state}',
+            joinBurst: 'มีสมาชิก {count} คนเข้ากลุ่มภายใน {seconds} วินาที',
+            raidAnnouncement: '🚨 กลุ่มนี้ถูกล็อกดาวน์เพราะมีคนเข้ากลุ่มจำนวนมากพร้อมกัน สมาชิกใหม่จะถูกนำออกจนกว่าแอดมินจะยกเลิก',
+            raidNotice: '🚨 {group} ถูกล็อกดาวน์แล้ว {reason} สมาชิกใหม่จะถูกนำออกโดยอัตโนมัติ ส่ง {command} ในกลุ่มเพื่อยกเลิก',
+        },
+        dashboard: {
+            notSetUp: 'ยังไม่ได้ตั้งค่าแดชบอร์ด: ผู้ดูแลระบบของบอทต้องตั้งค่า PUBLIC_URL และ DASHBOARD_SECRET',
+            link: 'แดชบอร์ดของ {group} (ใช้ได้ {minutes} นาที ห้ามแชร์ลิงก์นี้):\n{link}',
+            page: {
+                title: 'แดชบอร์ด',
+                pageTitle: '{group} - แดชบอร์ด',
+                loading: 'กำลังโหลด...',
+                errorTitle: 'ข้อผิดพลาด',
+                loadError: 'เกิดข้อผิดพลาดขณะโหลดแดชบอร์ด',
+                expiredTitle: 'ลิงก์หมดอายุ',
+                expired: 'ลิงก์นี้ไม่ถูกต้องหรือหมดอายุแล้ว',
+                expiredHint: 'ส่ง {command} ให้บอทเพื่อรับลิงก์ใหม่',
+                noAccessTitle: 'ไม่มีสิทธิ์เข้าถึง',
+                noAccess: 'คุณไม่ได้เป็นทีมงานของกลุ่มนี้แล้ว',
+                signedIn: 'เข้าสู่ระบบในฐานะ{role} · ลิงก์หมดอายุ {time} UTC',
+                settings: 'การตั้งค่า',
+                passwordProtection: 'การป้องกันด้วยรหัสผ่าน',
+                lockdown: 'การล็อกกลุ่ม',
+                passwordTimeout: 'เวลาใส่รหัสผ่าน (นาที)',
+                passwordAttempts: 'จำนวนครั้งที่ใส่รหัสผ่านได้',
+                retryCooldown: 'ระยะรอก่อนลองใหม่ (วินาที)',
+                strikesBeforeKick: 'จำนวนใบเตือนก่อนเตะออก',
+                kicksBeforeBlacklist: 'จำนวนครั้งที่ถูกเตะก่อนเข้าบัญชีดำ',
+                strikeExpiry: 'อายุใบเตือน (ชั่วโมง)',
+                groupCommands: 'อนุญาตให้ใช้คำสั่งในกลุ่ม',
+                saveSettings: 'บันทึกการตั้งค่า',
+                newPassword: 'รหัสผ่านใหม่ (เว้นว่างเพื่อปิด)',
+                setPassword: 'ตั้งรหัสผ่าน',
+                staff: 'ทีมงาน',
+                userId: 'ID ผู้ใช้',
+                role: 'บทบาท',
+                userIdPlaceholder: 'ID ผู้ใช้ (U...)',
+                setRole: 'ตั้งบทบาท',
+                remove: 'ลบ',
+                blacklistWords: 'คำในบัญชีดำ ({count})',
+                addEntries: 'เพิ่มรายการ',
+                entry: 'รายการ',
+                addedBy: 'เพิ่มโดย',
+                blacklistUsers: 'ผู้ใช้ในบัญชีดำ ({count})',
+                userIdsPlaceholder: 'ID ผู้ใช้บรรทัดละหนึ่งรายการ',
+                blacklistAndRemove: 'เพิ่มในบัญชีดำและนำออก',
+                reason: 'เหตุผล',
+                by: 'โดย',
+                modLog: 'บันทึกการดูแลกลุ่ม (ล่าสุด {count} รายการ, UTC)',
+                time: 'เวลา',
+                action: 'การกระทำ',
+                target: 'เป้าหมาย',
+                details: 'รายละเอียด',
+                noLogEntries: 'ไม่มีรายการ',
+            },
+        },
+        api: {
+            invalidToken: 'โทเค็นไม่ถูกต้องหรือหมดอายุแล้ว ส่ง {command} ให้บอทเพื่อรับลิงก์ใหม่',
+            positiveInteger: "'{field}' ต้องเป็นจำนวนเต็มบวก",
+            positiveNumber: "'{field}' ต้องเป็นจำนวนบวก",
+            seconds: "'{field}' ต้องเป็นจำนวนวินาทีแบบเต็ม",
+            boolean: "'{field}' ต้องเป็น true หรือ false",
+            invalidDate: "วันที่ของ '{field}' ไม่ถูกต้อง",
+            invalidStrikePolicy: 'จำนวนใบเตือนก่อนเตะออกต้องมีอย่างน้อย 1 ส่วนจำนวนครั้งที่ถูกเตะก่อนเข้าบัญชีดำและอายุใบเตือนต้องเป็น 0 ขึ้นไป',
+            noSettings: 'ไม่มีการตั้งค่าที่รู้จักในคำขอ',
+            invalidPassword: "'password' ต้องเป็นรหัสผ่านที่ไม่มีช่องว่าง หรือ null เพื่อปิดการป้องกันด้วยรหัสผ่าน",
+            noEntries: "'text' ต้องมีอย่างน้อยหนึ่งรายการ",
+            entriesNotListed: "'entries' ต้องเป็นรายการที่อยู่ในบัญชีดำ",
+            invalidUserIds: "'userIds' ต้องเป็นรายการ ID ผู้ใช้ LINE",
+            usersNotListed: "'userIds' ต้องเป็นผู้ใช้ที่อยู่ในบัญชีดำ",
+            invalidUserId: 'ID ผู้ใช้ LINE ไม่ถูกต้อง',
+            invalidRole: "'role' ต้องเป็น 'admin', 'moderator' หรือ 'member'",
+            ownerRole: 'ใช้ {command} ในแชทเพื่อเปลี่ยนเจ้าของกลุ่ม',
+            notFound: 'ไม่พบ',
+            invalidJson: 'เนื้อหาของคำขอไม่ใช่ JSON ที่ถูกต้อง',
+            internalError: 'เกิดข้อผิดพลาดภายใน',
+            logReason: '{reason} (แดชบอร์ด)',
+            logStrikePolicy: 'ตั้งนโยบายใบเตือนเป็น {strikes} ใบเตือน, {kicks} ครั้งที่ถูกเตะ, หมดอายุใน {hours} ชม.',
+            logBlacklisted: 'เพิ่มในบัญชีดำจากแดชบอร์ด',
+            logUnblacklisted: 'นำออกจากบัญชีดำจากแดชบอร์ด',
+            logRoleChanged: 'เปลี่ยนจากแดชบอร์ด',
+        },
+        groupCommands: {
+            current: 'คำสั่งในกลุ่ม: {state}',
+            updated: 'ตอนนี้คำสั่งในกลุ่ม: {state}',
+            privateChatNote: 'ทีมงานยังใช้ทุกคำสั่งได้โดยส่งถึงบอทในแชทส่วนตัว',
+        },
+        config: {
+            exported: 'การตั้งค่าของ {group} หากต้องการนำไปใช้ในกลุ่มอื่น ให้เลือกกลุ่มนั้นในแชทส่วนตัวกับบอท แล้วส่ง {command} ตามด้วย JSON ด้านล่าง',
+            exportedParts: 'การตั้งค่านี้มี {count} ข้อความ: วางทีละข้อความตามลำดับ ต่อท้ายคำสั่งทุกครั้ง',
+            nonePending: 'ไม่มีการตั้งค่าที่รอนำเข้า',
+            pendingPreview: 'มีการตั้งค่ารอให้คุณยืนยันอยู่',
+            pendingDraft: 'ได้รับการตั้งค่าบางส่วนแล้ว กรุณาส่งส่วนถัดไป',
+            cancelled: 'ยกเลิกการนำเข้าแล้ว ไม่มีการเปลี่ยนแปลงใด ๆ',
+            tooLong: 'การตั้งค่านี้ยาวเกินไป ยกเลิกการนำเข้าแล้ว',
+            partReceived: 'ได้รับส่วนนี้แล้ว ส่งส่วนถัดไปต่อท้าย {command} หรือส่ง {command} cancel เพื่อเริ่มใหม่',
+            rejected: 'การตั้งค่าไม่ถูกต้อง ไม่มีการเปลี่ยนแปลงใด ๆ:',
+            moreErrors: '...และปัญหาอื่นอีก {count} รายการ',
+            notYourGroup: 'คุณไม่ได้เป็นทีมงานในกลุ่มนั้น ใช้หมายเลขจาก {command} หรือ ID ของกลุ่ม',
+            sameGroup: 'นี่คือกลุ่มปัจจุบัน กรุณาเลือกกลุ่มที่จะคัดลอกการตั้งค่ามา',
+            notAdminThere: 'คุณต้องเป็นแอดมินใน {group} จึงจะคัดลอกการตั้งค่าได้',
+            staffSkipped: 'แอดมินและผู้ดูแลจะไม่เปลี่ยนแปลง: เฉพาะเจ้าของกลุ่มเท่านั้นที่นำเข้าได้',
+            blacklistUsersSkipped: 'ทีมงานและผู้ดูแลบอทจะไม่ถูกเพิ่มในบัญชีดำผู้ใช้: {users}',
+            entriesSkipped: 'รายการบัญชีดำเหล่านี้จะไม่ถูกนำเข้า เพราะไม่ถูกต้องหรืออาจตรวจจับช้าเกินไป: {entries}',
+            noChanges: 'กลุ่มนี้ใช้การตั้งค่านี้อยู่แล้ว ไม่มีอะไรต้องเปลี่ยน',
+            noPasswordNote: 'รหัสผ่านจะไม่ถูกคัดลอก: สมาชิกใหม่จะไม่ถูกยืนยันตัวตนจนกว่าคุณจะตั้งรหัสผ่านด้วย {command}',
+            fromGroup: 'การตั้งค่าของ {group}',
+            fromSnapshot: 'การตั้งค่านี้',
+            preview: 'การนำเข้า{source}ไปยัง {group} จะเปลี่ยนแปลง {count} รายการ:',
+            unset: 'ไม่ได้ตั้งค่า',
+            confirmPrompt: 'ส่ง {command} confirm ภายใน {minutes} นาทีเพื่อใช้การเปลี่ยนแปลง หรือ {command} cancel เพื่อยกเลิก',
+            applyButton: 'ใช้การตั้งค่า',
+            cancelButton: 'ยกเลิก',
+            applied: 'ใช้การตั้งค่าเรียบร้อยแล้ว',
+            logImported: 'นำเข้าการตั้งค่า',
+            logCloned: 'คัดลอกการตั้งค่าของ {group}',
+            errors: {
+                invalidJson: 'ข้อความนี้ไม่ใช่ JSON ที่ถูกต้อง',
+                wrongFormat: 'นี่ไม่ใช่การตั้งค่าจาก !export (format ต้องเป็น "{format}")',
+                invalidVersion: 'version: ต้องเป็นจำนวนเต็ม',
+                newerVersion: 'version: การตั้งค่านี้เป็นเวอร์ชัน {version} แต่บอทนี้อ่านได้ถึงเวอร์ชัน {supported} เท่านั้น',
+                unknownField: '{field}: ไม่รู้จักช่องนี้',
+                notObject: '{field}: ต้องเป็นออบเจ็กต์',
+                notList: '{field}: ต้องเป็นรายการ',
+                invalidValue: '{field}: ค่า {value} ไม่ถูกต้อง',
+                invalidEntry: '{field}: รายการบัญชีดำ {value} ไม่ถูกต้อง รายการต้องเป็นข้อความ',
+                invalidBlacklistUser: '{field}: ต้องอยู่ในรูปแบบ { "userId": "U...", "reason": "..." }',
+                domainsOnBothLists: 'linkAllowlist, linkDenylist: อยู่ในทั้งสองรายการ: {domains}',
+                invalidStaff: 'staff: ต้องอยู่ในรูปแบบ { "admins": ["U..."], "moderators": ["U..."] }',
+                staffInBothRoles: 'staff: เป็นทั้งแอดมินและผู้ดูแล: {users}',
+                settingsPair: '{field}: ต้องตั้งค่าเมื่อ {other} ถูกตั้งค่าเท่านั้น',
+            },
+        },
+        modLog: {
+            usage: 'วิธีใช้: !modlog [@ผู้ใช้] [การดำเนินการ] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [limit:N]\nการดำเนินการ: {actions}',
+            unknownFilter: 'ไม่รู้จักตัวกรอง: {filter}',
+            noEntries: 'ไม่มีบันทึกการดูแลที่ตรงกับตัวกรองนี้',
+            title: '--- บันทึกการดูแล ({count}, เวลา UTC) ---',
+            target: 'เป้าหมาย: {name}',
+            by: 'โดย: {name}',
+            message: 'ข้อความ: "{text}"',
+        },
+        errors: {
+            claim: 'เกิดข้อผิดพลาดขณะยืนยันความเป็นเจ้าของกลุ่ม',
+            setAdmin: 'เกิดข้อผิดพลาดขณะตั้งแอดมิน',
+            removeAdmin: 'เกิดข้อผิดพลาดขณะถอดแอดมิน',
+            demoteAdmin: 'เกิดข้อผิดพลาดขณะลดตำแหน่งแอดมิน',
+            setModerator: 'เกิดข้อผิดพลาดขณะตั้งผู้ดูแล',
+            removeModerator: 'เกิดข้อผิดพลาดขณะถอดผู้ดูแล',
+            transferOwnership: 'เกิดข้อผิดพลาดขณะโอนความเป็นเจ้าของ',
+            moderatorCommands: 'เกิดข้อผิดพลาดขณะอัปเดตคำสั่งของผู้ดูแล',
+            staff: 'เกิดข้อผิดพลาดขณะดึงรายชื่อทีมงาน',
+            addBlacklist: 'เกิดข้อผิดพลาดขณะเพิ่มในบัญชีดำ',
+            removeBlacklist: 'เกิดข้อผิดพลาดขณะลบออกจากบัญชีดำ',
+            setPassword: 'เกิดข้อผิดพลาดขณะตั้งรหัสผ่าน',
+            setTimeout: 'เกิดข้อผิดพลาดขณะตั้งเวลา',
+            setAttempts: 'เกิดข้อผิดพลาดขณะตั้งจำนวนครั้งของรหัสผ่าน',
+            verificationMode: 'เกิดข้อผิดพลาดขณะตั้งวิธียืนยันตัวตน',
+            approval: 'เกิดข้อผิดพลาดขณะจัดการการอนุมัติ',
+            rules: 'เกิดข้อผิดพลาดขณะดึงกฎของกลุ่ม',
+            setRules: 'เกิดข้อผิดพลาดขณะตั้งกฎของกลุ่ม',
+            rulesAck: 'เกิดข้อผิดพลาดขณะตั้งการยอมรับกฎ',
+            setWelcome: 'เกิดข้อผิดพลาดขณะตั้งข้อความต้อนรับ',
+            schedule: 'เกิดข้อผิดพลาดขณะจัดการประกาศที่ตั้งเวลาไว้',
+            activity: 'เกิดข้อผิดพลาดขณะดึงข้อมูลความเคลื่อนไหวของสมาชิก',
+            inactive: 'เกิดข้อผิดพลาดขณะแสดงรายชื่อสมาชิกที่ไม่เคลื่อนไหว',
+            autoPrune: 'เกิดข้อผิดพลาดขณะตั้งค่าการนำสมาชิกออกอัตโนมัติ',
+            report: 'เกิดข้อผิดพลาดขณะส่งรายงาน',
+            reports: 'เกิดข้อผิดพลาดขณะแสดงรายการรายงาน',
+            voteKick: 'เกิดข้อผิดพลาดขณะตั้งค่าโหวตนำออก',
+            help: 'เกิดข้อผิดพลาดขณะดึงรายการคำสั่ง',
+            setPrefix: 'เกิดข้อผิดพลาดขณะตั้งสัญลักษณ์ขึ้นต้นคำสั่ง',
+            setLanguage: 'เกิดข้อผิดพลาดขณะตั้งภาษา',
+            setTimeZone: 'เกิดข้อผิดพลาดขณะตั้งเขตเวลา',
+            blacklistUser: 'เกิดข้อผิดพลาดขณะเพิ่มผู้ใช้ในบัญชีดำ',
+            unblacklistUser: 'เกิดข้อผิดพลาดขณะลบผู้ใช้ออกจากบัญชีดำ',
+            banList: 'เกิดข้อผิดพลาดขณะจัดการรายชื่อแบนร่วม',
+            status: 'เกิดข้อผิดพลาดขณะดึงสถานะ',
+            showWords: 'เกิดข้อผิดพลาดขณะดึงรายการคำต้องห้าม',
+            showUsers: 'เกิดข้อผิดพลาดขณะดึงรายชื่อผู้ใช้ในบัญชีดำ',
+            strike: 'เกิดข้อผิดพลาดขณะให้ใบเตือน',
+            showStrikes: 'เกิดข้อผิดพลาดขณะดึงใบเตือน',
+            clearStrikes: 'เกิดข้อผิดพลาดขณะล้างใบเตือน',
+            strikePolicy: 'เกิดข้อผิดพลาดขณะตั้งนโยบายใบเตือน',
+            policy: 'เกิดข้อผิดพลาดขณะตั้งนโยบายเนื้อหา',
+            domains: 'เกิดข้อผิดพลาดขณะอัปเดตรายการโดเมน',
+            rateLimit: 'เกิดข้อผิดพลาดขณะตั้งค่าขีดจำกัด',
+            lockdown: 'เกิดข้อผิดพลาดขณะเปลี่ยนสถานะล็อกดาวน์',
+            dashboard: 'เกิดข้อผิดพลาดขณะสร้างลิงก์แดชบอร์ด',
+            groupCommands: 'เกิดข้อผิดพลาดขณะเปลี่ยนการตั้งค่าคำสั่งในกลุ่ม',
+            modLog: 'เกิดข้อผิดพลาดขณะดึงบันทึกการดูแล',
+            export: 'เกิดข้อผิดพลาดขณะส่งออกการตั้งค่า',
+            import: 'เกิดข้อผิดพลาดขณะนำเข้าการตั้งค่า',
+            cloneSettings: 'เกิดข้อผิดพลาดขณะคัดลอกการตั้งค่า',
+        },
+    },
+};
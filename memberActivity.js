@@ -0,0 +1,49 @@
+// memberActivity.js
+// This file collects who posted in which group between writes to the database, so handling a
+// message doesn't wait on a query just to move a timestamp. index.js flushes the collected
+// activity every few seconds, before anything reads it, and on shutdown. Activity collected
+// since the last flush is lost if the process crashes.
+
+const pending = new Map(); // `${groupId}:${userId}` -> { groupId, userId, lastMessageAt, count }
+
+/**
+ * Records that a member posted in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the sender.
+ * @param {Date} [at] - When they posted.
+ * @param {number} [count] - How many messages they posted.
+ */
+function record(groupId, userId, at = new Date(), count = 1) {
+    const key = `${groupId}:${userId}`;
+    const entry = pending.get(key);
+    if (!entry) {
+        pending.set(key, { groupId, userId, lastMessageAt: at, count });
+        return;
+    }
+    if (at > entry.lastMessageAt) entry.lastMessageAt = at;
+    entry.count += count;
+}
+
+/**
+ * Returns the activity recorded since the last call and forgets it.
+ * @returns {{groupId: string, userId: string, lastMessageAt: Date, count: number}[]} One entry per member and group.
+ */
+function take() {
+    const entries = [...pending.values()];
+    pending.clear();
+    return entries;
+}
+
+/**
+ * Puts back activity that couldn't be written, so the next flush tries again.
+ * @param {{groupId: string, userId: string, lastMessageAt: Date, count: number}[]} entries - Entries from take().
+ */
+function restore(entries) {
+    entries.forEach(entry => record(entry.groupId, entry.userId, entry.lastMessageAt, entry.count));
+}
+
+module.exports = {
+    record,
+    take,
+    restore,
+};
@@ -0,0 +1,100 @@
+// migrate.js
+// This file applies the database migrations in the migrations/ directory.
+//
+// Each migration is a file named '<version>_<name>.js' that exports an async up(client) function.
+// Migrations run in version order, each in its own transaction, and the applied versions are
+// recorded in the 'schema_migrations' table so every migration runs exactly once.
+// Never edit a migration that has been deployed; add a new one instead.
+//
+// Run directly with `node migrate.js` (e.g. as a Heroku release command); the bot also runs it on startup.
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+// Any constant works, as long as nothing else uses the same advisory lock.
+const MIGRATION_LOCK_ID = 4863201;
+
+/**
+ * Lists the migrations on disk, in version order.
+ * @returns {{version: number, name: string, file: string}[]} The migrations.
+ */
+function listMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], file }))
+        .sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    for (const migration of migrations) {
+        if (versions.has(migration.version)) throw new Error(`Duplicate migration version ${migration.version}.`);
+        versions.add(migration.version);
+    }
+    return migrations;
+}
+
+/**
+ * Applies every migration that hasn't been applied yet.
+ * Holds an advisory lock, so several dynos starting at once don't run the same migration twice.
+ * @param {Pool} pool - A connection pool for the database.
+ * @returns {Promise<number>} The number of migrations applied.
+ */
+async function runMigrations(pool) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT NOW()
+            );
+        `);
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(result.rows.map(row => row.version));
+
+        let count = 0;
+        for (const migration of listMigrations()) {
+            if (applied.has(migration.version)) continue;
+
+            const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+            await client.query('BEGIN');
+            try {
+                await up(client);
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+            }
+            console.log(`Applied migration ${migration.file}.`);
+            count++;
+        }
+        return count;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+module.exports = {
+    listMigrations,
+    runMigrations,
+};
+
+if (require.main === module) {
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: { rejectUnauthorized: false }
+    });
+    runMigrations(pool)
+        .then(count => console.log(count > 0 ? `Applied ${count} migration(s).` : 'The database is up to date.'))
+        .catch((err) => {
+            console.error("Error running migrations:", err);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
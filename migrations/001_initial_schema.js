@@ -0,0 +1,173 @@
+// migrations/001_initial_schema.js
+// The schema as it was built by initializeDatabase() before versioned migrations existed.
+// Every statement is idempotent, so databases created by the old startup code pass through it unchanged.
+
+const { hashPassword, isPasswordHash } = require('../passwords');
+
+const STATEMENTS = [
+    `
+        CREATE TABLE IF NOT EXISTS group_settings (
+            group_id VARCHAR(255) PRIMARY KEY,
+            admins TEXT[] DEFAULT '{}',
+            password VARCHAR(255),
+            password_timeout_minutes INTEGER DEFAULT 2,
+            blacklist_words TEXT[] DEFAULT '{}',
+            blacklist_users TEXT[] DEFAULT '{}'
+        );
+    `,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS password_timeout_minutes INTEGER DEFAULT 2;
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS pending_verifications (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            deadline TIMESTAMPTZ NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    `CREATE INDEX IF NOT EXISTS pending_verifications_user_idx ON pending_verifications (user_id);`,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS password_max_attempts INTEGER DEFAULT 3,
+        ADD COLUMN IF NOT EXISTS password_retry_cooldown_seconds INTEGER DEFAULT 30;
+    `,
+    `
+        ALTER TABLE pending_verifications
+        ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS selected_at TIMESTAMPTZ;
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS moderation_log (
+            id SERIAL PRIMARY KEY,
+            group_id VARCHAR(255) NOT NULL,
+            action VARCHAR(64) NOT NULL,
+            actor_id VARCHAR(255),
+            target_id VARCHAR(255),
+            reason TEXT,
+            message_text TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `,
+    `CREATE INDEX IF NOT EXISTS moderation_log_group_time_idx ON moderation_log (group_id, created_at DESC);`,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS strikes_before_kick INTEGER DEFAULT 3,
+        ADD COLUMN IF NOT EXISTS kicks_before_blacklist INTEGER DEFAULT 2,
+        ADD COLUMN IF NOT EXISTS strike_expiry_hours INTEGER DEFAULT 168;
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS strikes (
+            id SERIAL PRIMARY KEY,
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            reason TEXT,
+            issued_by VARCHAR(255),
+            message_text TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ
+        );
+    `,
+    `CREATE INDEX IF NOT EXISTS strikes_group_user_idx ON strikes (group_id, user_id);`,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS content_policies JSONB DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS link_allowlist TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS link_denylist TEXT[] DEFAULT '{}';
+    `,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS flood_max_messages INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS flood_window_seconds INTEGER DEFAULT 10,
+        ADD COLUMN IF NOT EXISTS duplicate_max_repeats INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS duplicate_window_seconds INTEGER DEFAULT 60,
+        ADD COLUMN IF NOT EXISTS raid_max_joins INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS raid_window_seconds INTEGER DEFAULT 60,
+        ADD COLUMN IF NOT EXISTS lockdown BOOLEAN DEFAULT FALSE;
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS group_members (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            joined_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN IF NOT EXISTS owner_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS moderators TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS moderator_commands TEXT[],
+        ADD COLUMN IF NOT EXISTS owner_claim_code VARCHAR(255);
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+            user_id VARCHAR(255) PRIMARY KEY,
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            selected_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `,
+    `ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS group_commands_enabled BOOLEAN DEFAULT TRUE;`,
+    `
+        CREATE TABLE IF NOT EXISTS ban_lists (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(64) UNIQUE NOT NULL,
+            owner_id VARCHAR(255) NOT NULL,
+            editors TEXT[] DEFAULT '{}',
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS ban_list_entries (
+            list_id INTEGER NOT NULL REFERENCES ban_lists(id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            reason TEXT,
+            added_by VARCHAR(255),
+            source_group_id VARCHAR(255),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (list_id, user_id)
+        );
+    `,
+    `CREATE INDEX IF NOT EXISTS ban_list_entries_user_idx ON ban_list_entries (user_id);`,
+    `
+        CREATE TABLE IF NOT EXISTS ban_list_subscriptions (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            list_id INTEGER NOT NULL REFERENCES ban_lists(id) ON DELETE CASCADE,
+            subscribed_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, list_id)
+        );
+    `,
+    `ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS shared_ban_exemptions TEXT[] DEFAULT '{}';`,
+];
+
+// Groups created before passwords were hashed still have them in plaintext.
+async function hashPlaintextPasswords(client) {
+    const result = await client.query('SELECT group_id, password FROM group_settings WHERE password IS NOT NULL');
+    const plaintext = result.rows.filter(row => !isPasswordHash(row.password));
+    for (const row of plaintext) {
+        await client.query('UPDATE group_settings SET password = $1 WHERE group_id = $2', [await hashPassword(row.password), row.group_id]);
+    }
+    if (plaintext.length > 0) console.log(`Hashed ${plaintext.length} plaintext group password(s).`);
+}
+
+// Groups set up before roles existed keep their admins but have no owner. Nobody is made the owner
+// automatically: the owner claims the group with a claim code (see claimCodes.js).
+async function reportUnownedGroups(client) {
+    const result = await client.query('SELECT group_id FROM group_settings WHERE owner_id IS NULL AND cardinality(admins) > 0');
+    for (const row of result.rows) {
+        console.log(`Group ${row.group_id} has admins but no owner. Run 'node claimCodes.js ${row.group_id}' for a claim code.`);
+    }
+}
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+    await hashPlaintextPasswords(client);
+    await reportUnownedGroups(client);
+}
+
+module.exports = { up };
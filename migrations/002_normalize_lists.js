@@ -0,0 +1,116 @@
+// migrations/002_normalize_lists.js
+// Moves the lists stored as TEXT[] columns of group_settings (staff, word and user blacklists,
+// link domains, shared ban exemptions) into their own tables, so entries can be added and removed
+// atomically and carry who added them and when. Existing entries are copied over, then the
+// array columns are dropped.
+
+const STATEMENTS = [
+    `
+        CREATE TABLE group_staff (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            role VARCHAR(16) NOT NULL CHECK (role IN ('admin', 'moderator')),
+            added_by VARCHAR(255),
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    `CREATE INDEX group_staff_user_idx ON group_staff (user_id);`,
+    `
+        CREATE TABLE blacklist_words (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            entry TEXT NOT NULL,
+            added_by VARCHAR(255),
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, entry)
+        );
+    `,
+    `
+        CREATE TABLE blacklisted_users (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            added_by VARCHAR(255),
+            reason TEXT,
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    `
+        CREATE TABLE link_domains (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            domain VARCHAR(255) NOT NULL,
+            list VARCHAR(8) NOT NULL CHECK (list IN ('allow', 'deny')),
+            added_by VARCHAR(255),
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, domain)
+        );
+    `,
+    `
+        CREATE TABLE shared_ban_exemptions (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            added_by VARCHAR(255),
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    // Admins win over moderators, and the owner is kept out of the staff table.
+    `
+        INSERT INTO group_staff (group_id, user_id, role)
+        SELECT group_id, unnest(admins), 'admin' FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        INSERT INTO group_staff (group_id, user_id, role)
+        SELECT group_id, unnest(moderators), 'moderator' FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        DELETE FROM group_staff s USING group_settings g
+        WHERE s.group_id = g.group_id AND s.user_id = g.owner_id;
+    `,
+    `
+        INSERT INTO blacklist_words (group_id, entry)
+        SELECT group_id, unnest(blacklist_words) FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        INSERT INTO blacklisted_users (group_id, user_id)
+        SELECT group_id, unnest(blacklist_users) FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    // A domain could only be on one list before too; the denylist wins if it somehow wasn't.
+    `
+        INSERT INTO link_domains (group_id, domain, list)
+        SELECT group_id, unnest(link_denylist), 'deny' FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        INSERT INTO link_domains (group_id, domain, list)
+        SELECT group_id, unnest(link_allowlist), 'allow' FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        INSERT INTO shared_ban_exemptions (group_id, user_id)
+        SELECT group_id, unnest(shared_ban_exemptions) FROM group_settings
+        ON CONFLICT DO NOTHING;
+    `,
+    `
+        ALTER TABLE group_settings
+        DROP COLUMN admins,
+        DROP COLUMN moderators,
+        DROP COLUMN blacklist_words,
+        DROP COLUMN blacklist_users,
+        DROP COLUMN link_allowlist,
+        DROP COLUMN link_denylist,
+        DROP COLUMN shared_ban_exemptions;
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+// migrations/003_webhook_events.js
+// Records the IDs of the webhook events the bot has started handling, so an event that LINE
+// delivers more than once is only handled once, whichever process receives it.
+
+const STATEMENTS = [
+    `
+        CREATE TABLE webhook_events (
+            event_id VARCHAR(64) PRIMARY KEY,
+            received_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `,
+    `CREATE INDEX webhook_events_received_at_idx ON webhook_events (received_at);`,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,27 @@
+// migrations/004_verification_modes.js
+// Adds a per-group verification mode for new members (off, password, captcha or admin approval),
+// and the challenge a member has to answer to pending verifications.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN verification_mode VARCHAR(16) NOT NULL DEFAULT 'password'
+            CHECK (verification_mode IN ('off', 'password', 'captcha', 'approval')),
+        ADD COLUMN approval_timeout_minutes INTEGER DEFAULT 60;
+    `,
+    `
+        ALTER TABLE pending_verifications
+        ADD COLUMN method VARCHAR(16) NOT NULL DEFAULT 'password',
+        ADD COLUMN challenge_question TEXT,
+        ADD COLUMN challenge_answer TEXT,
+        ADD COLUMN challenge_choices TEXT[];
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
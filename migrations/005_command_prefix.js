@@ -0,0 +1,17 @@
+// migrations/005_command_prefix.js
+// Adds a per-group command prefix, so a group can use e.g. '/' instead of '!'.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN command_prefix VARCHAR(3) NOT NULL DEFAULT '!';
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
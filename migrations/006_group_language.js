@@ -0,0 +1,17 @@
+// migrations/006_group_language.js
+// Adds a per-group language for the bot's messages. NULL means the bot's default (DEFAULT_LANGUAGE).
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN language VARCHAR(8);
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+// migrations/007_welcome_and_rules.js
+// Adds per-group welcome message templates and rules, and tracks which new members still have
+// to accept the rules. rules_ack_action is NULL when accepting the rules isn't required.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN welcome_message TEXT,
+        ADD COLUMN welcome_private_message TEXT,
+        ADD COLUMN rules TEXT,
+        ADD COLUMN rules_ack_action VARCHAR(8) CHECK (rules_ack_action IN ('warn', 'kick'));
+    `,
+    `
+        ALTER TABLE group_members
+        ADD COLUMN rules_pending BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
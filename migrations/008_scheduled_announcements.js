@@ -0,0 +1,41 @@
+// migrations/008_scheduled_announcements.js
+// Adds scheduled announcements: one-off messages (cron_expression NULL) and recurring ones, and a
+// per-group timezone to read their times in. NULL means the bot's default (DEFAULT_TIMEZONE).
+// next_run_at is when the announcement is sent next; sent one-off announcements are deleted.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN timezone VARCHAR(64);
+    `,
+    `
+        CREATE TABLE scheduled_announcements (
+            id SERIAL PRIMARY KEY,
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            message TEXT NOT NULL,
+            cron_expression VARCHAR(100),
+            next_run_at TIMESTAMPTZ NOT NULL,
+            paused BOOLEAN NOT NULL DEFAULT FALSE,
+            last_run_at TIMESTAMPTZ,
+            created_by VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+    `,
+    `
+        CREATE INDEX idx_scheduled_announcements_due
+        ON scheduled_announcements (next_run_at)
+        WHERE NOT paused;
+    `,
+    `
+        CREATE INDEX idx_scheduled_announcements_group
+        ON scheduled_announcements (group_id);
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+// migrations/009_member_activity.js
+// Tracks member activity: when each member left and last posted, how many messages they sent, and
+// when the bot first saw them (the start of their record, for members who never post). Rows are
+// now also created for members the bot sees post without having seen them join; their joined_at
+// is NULL. Existing members start their record now rather than when they joined: the bot hasn't
+// been counting their messages, so an old joined_at would make them look inactive since then.
+// inactivity_warned_at is set while a member is due to be removed by the auto-prune.
+// The auto-prune is off while prune_inactive_days is NULL.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_members
+        ADD COLUMN first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        ADD COLUMN left_at TIMESTAMPTZ,
+        ADD COLUMN last_message_at TIMESTAMPTZ,
+        ADD COLUMN message_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN inactivity_warned_at TIMESTAMPTZ;
+    `,
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN prune_inactive_days INTEGER,
+        ADD COLUMN prune_grace_days INTEGER;
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,43 @@
+// migrations/010_member_reports.js
+// Adds member reports (!report): status is 'open' until the staff kick or blacklist the member,
+// dismiss the report, or a vote-kick removes the member. A member can only have one open report
+// against the same person. The vote-kick is off while vote_kick_percent is NULL.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE group_settings
+        ADD COLUMN vote_kick_percent INTEGER,
+        ADD COLUMN vote_kick_window_minutes INTEGER;
+    `,
+    `
+        CREATE TABLE member_reports (
+            id SERIAL PRIMARY KEY,
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            reporter_id VARCHAR(255) NOT NULL,
+            target_id VARCHAR(255) NOT NULL,
+            reason TEXT,
+            message_text TEXT,
+            status VARCHAR(16) NOT NULL DEFAULT 'open',
+            resolved_by VARCHAR(255),
+            resolved_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+    `,
+    `
+        CREATE UNIQUE INDEX idx_member_reports_open
+        ON member_reports (group_id, target_id, reporter_id)
+        WHERE status = 'open';
+    `,
+    `
+        CREATE INDEX idx_member_reports_reporter
+        ON member_reports (group_id, reporter_id, created_at);
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
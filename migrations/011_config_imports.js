@@ -0,0 +1,26 @@
+// migrations/011_config_imports.js
+// Holds the configuration imports (!import, !clonesettings) waiting for the admin to confirm them.
+// draft collects a snapshot that is pasted in several pieces; snapshot is set once it is complete
+// and valid. An admin has at most one pending import per group.
+
+const STATEMENTS = [
+    `
+        CREATE TABLE pending_config_imports (
+            user_id VARCHAR(255) NOT NULL,
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            draft TEXT,
+            snapshot JSONB,
+            source_group_id VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (user_id, group_id)
+        );
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+// migrations/012_public_ban_lists.js
+// Lets the creator of a shared ban list open it to every group. Other lists can only be subscribed
+// to by their creator and editors, and only read by them and the groups subscribed to them.
+// Existing subscriptions are kept.
+
+const STATEMENTS = [
+    `
+        ALTER TABLE ban_lists
+        ADD COLUMN public BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,33 @@
+// migrations/013_strike_kick_counts.js
+// Counts the strike kicks that succeeded, per member and group, for kicks_before_blacklist.
+// The count used to come from the moderation log, which also records kicks that failed (e.g.
+// because the member had already left). Existing counts are carried over from the log, as
+// failed kicks can't be told apart there.
+
+const STATEMENTS = [
+    `
+        CREATE TABLE strike_kicks (
+            group_id VARCHAR(255) NOT NULL REFERENCES group_settings(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(255) NOT NULL,
+            kick_count INTEGER NOT NULL DEFAULT 0,
+            last_kicked_at TIMESTAMPTZ,
+            PRIMARY KEY (group_id, user_id)
+        );
+    `,
+    `
+        INSERT INTO strike_kicks (group_id, user_id, kick_count, last_kicked_at)
+        SELECT l.group_id, l.target_id, COUNT(*), MAX(l.created_at)
+        FROM moderation_log l
+        JOIN group_settings s ON s.group_id = l.group_id
+        WHERE l.action = 'strike_kick' AND l.target_id IS NOT NULL
+        GROUP BY l.group_id, l.target_id;
+    `,
+];
+
+async function up(client) {
+    for (const statement of STATEMENTS) {
+        await client.query(statement);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,59 @@
+// passwords.js
+// This file hashes group passwords and checks password attempts against the stored hash.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The hash, in the form 'scrypt$<salt>$<key>'.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_PREFIX}$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks whether a stored password value is a hash produced by hashPassword.
+ * @param {string} stored - The value stored in the database.
+ * @returns {boolean} True if the value is a hash, false if it is a legacy plaintext password.
+ */
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+/**
+ * Compares a password attempt with the stored password in constant time.
+ * Legacy plaintext values are still accepted, so groups keep working until they are migrated.
+ * @param {string} attempt - The password the user entered.
+ * @param {string} stored - The stored hash (or legacy plaintext password).
+ * @returns {Promise<boolean>} True if the attempt matches.
+ */
+async function verifyPassword(attempt, stored) {
+    if (!stored) return false;
+
+    if (!isPasswordHash(stored)) {
+        // Hash both sides first so the comparison doesn't leak the password length.
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(attempt), digest(stored));
+    }
+
+    const [, salt, keyHex] = stored.split('$');
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(attempt, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+    hashPassword,
+    isPasswordHash,
+    verifyPassword,
+};
@@ -0,0 +1,90 @@
+// permissions.js
+// This file decides who may run which command.
+//
+// Roles are defined in roles.js and commands in commands.js, where every command declares its
+// minimum role. Moderators can additionally run the admin commands the group has delegated to
+// them (group_settings.moderator_commands).
+
+const settingsCache = require('./settingsCache');
+const commands = require('./commands');
+const { ROLES, ROLE_RANKS } = require('./roles');
+
+// The minimum role for each command, as declared in the command registry.
+const COMMAND_ROLES = Object.fromEntries(commands.listCommands({ consoleOnly: false }).map(command => [command.name, command.role]));
+
+const DEFAULT_MODERATOR_COMMANDS = ['!status', '!showblacklistwords', '!showblacklistusers', '!strike', '!strikes', '!modlog', '!approve', '!reject', '!activity', '!inactive', '!reports'];
+
+/**
+ * Returns a user's role in a group.
+ * @param {object} settings - The group's settings.
+ * @param {string} userId - The ID of the user.
+ * @returns {string} One of ROLES.
+ */
+function getRole(settings, userId) {
+    if (settings.owner_id === userId) return ROLES.OWNER;
+    const staffRoles = settingsCache.derive(settings, 'staffRoles', ({ admins, moderators }) => new Map([
+        ...moderators.map(id => [id, ROLES.MODERATOR]),
+        ...admins.map(id => [id, ROLES.ADMIN]),
+    ]));
+    return staffRoles.get(userId) || ROLES.MEMBER;
+}
+
+/**
+ * Checks whether a user has at least the given role.
+ * @param {object} settings - The group's settings.
+ * @param {string} userId - The ID of the user.
+ * @param {string} role - The minimum role.
+ * @returns {boolean} True if the user's role is the same or higher.
+ */
+function hasRole(settings, userId, role) {
+    return ROLE_RANKS[getRole(settings, userId)] >= ROLE_RANKS[role];
+}
+
+/**
+ * Checks whether a user is part of the group's staff (moderator or higher).
+ * Staff are never moderated by the bot.
+ */
+function isStaff(settings, userId) {
+    return hasRole(settings, userId, ROLES.MODERATOR);
+}
+
+/**
+ * Returns the commands the group's moderators may run on top of the moderator commands.
+ */
+function getModeratorCommands(settings) {
+    return settings.moderator_commands || DEFAULT_MODERATOR_COMMANDS;
+}
+
+/**
+ * Checks whether a command can be delegated to moderators.
+ * @param {string} command - The command, including the '!'.
+ * @returns {boolean} True for known admin commands that don't change roles.
+ */
+function isDelegable(command) {
+    return COMMAND_ROLES[command] === ROLES.ADMIN && commands.findCommand(command).delegable;
+}
+
+/**
+ * Checks whether a user may run a command in a group.
+ * @param {object} settings - The group's settings.
+ * @param {string} userId - The ID of the user.
+ * @param {string} command - The command, including the '!'.
+ * @returns {boolean} True if the command is known and the user's role allows it.
+ */
+function canRunCommand(settings, userId, command) {
+    const requiredRole = COMMAND_ROLES[command];
+    if (!requiredRole) return false;
+    if (hasRole(settings, userId, requiredRole)) return true;
+    return getRole(settings, userId) === ROLES.MODERATOR && isDelegable(command) && getModeratorCommands(settings).includes(command);
+}
+
+module.exports = {
+    ROLES,
+    COMMAND_ROLES,
+    getRole,
+    hasRole,
+    isStaff,
+    getModeratorCommands,
+    isDelegable,
+    canRunCommand,
+};
@@ -0,0 +1,113 @@
+// quota.js
+// This file tracks how much of the channel's monthly message quota has been used, so scheduled
+// announcements stop before they use up the messages that verification and warnings need.
+//
+// LINE counts push messages per recipient: a push to a group costs one message per member, however
+// many message objects it holds. Replies are free. The usage LINE reports is refreshed every few
+// minutes, and the pushes it doesn't include yet are added as an estimate, so a burst of
+// announcements can't overshoot while the reported number lags behind.
+//
+// Only messages sent with the tracker's push() are counted, so the bot sends every push through it
+// rather than through the LINE client.
+
+// How long the usage reported by LINE, and group member counts, are trusted.
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const MEMBER_COUNT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Creates the quota tracker for a LINE client.
+ * @param {object} client - The LINE client.
+ * @param {object} [options]
+ * @param {number} [options.reserveRatio] - The share of the monthly limit that optional messages (announcements) must leave unused, 0 to 1.
+ * @returns {{push: Function, getUsage: Function, canSend: Function, estimateCost: Function}} The tracker.
+ */
+function createQuotaTracker(client, { reserveRatio = 0.2 } = {}) {
+    let limit = null; // null while unknown, Infinity on plans without a limit
+    let reportedUsage = 0;
+    let unreported = 0; // estimated messages pushed that reportedUsage doesn't include yet
+    let refreshedAt = 0;
+    let refreshing = null;
+    const memberCounts = new Map(); // groupId -> { count, at }
+
+    async function refresh() {
+        const [quota, consumption] = await Promise.all([
+            client.getTargetLimitForAdditionalMessages(),
+            client.getNumberOfMessagesSentThisMonth(),
+        ]);
+        limit = quota.type === 'limited' ? quota.value : Infinity;
+        // LINE's number can lag behind the pushes, so only the growth it reports is taken off the estimate.
+        unreported = Math.max(0, unreported - Math.max(0, consumption.totalUsage - reportedUsage));
+        reportedUsage = consumption.totalUsage;
+        refreshedAt = Date.now();
+    }
+
+    async function ensureFresh() {
+        if (Date.now() - refreshedAt < REFRESH_INTERVAL_MS) return;
+        // Concurrent callers share one request.
+        refreshing = refreshing || refresh().finally(() => { refreshing = null; });
+        await refreshing;
+    }
+
+    async function getMemberCount(groupId) {
+        const cached = memberCounts.get(groupId);
+        if (cached && Date.now() - cached.at < MEMBER_COUNT_TTL_MS) return cached.count;
+        const { count } = await client.getGroupMembersCount(groupId);
+        memberCounts.set(groupId, { count, at: Date.now() });
+        return count;
+    }
+
+    /**
+     * Estimates what a push costs: one message per recipient. Group IDs start with 'C', room IDs with 'R'.
+     * @param {string} to - The user, group or room the push goes to.
+     * @returns {Promise<number>} The number of messages it counts as.
+     */
+    async function estimateCost(to) {
+        if (to.startsWith('C')) return getMemberCount(to).catch(() => 1);
+        return 1;
+    }
+
+    /**
+     * Sends a push message and counts it.
+     * @param {string} to - The user, group or room to send to.
+     * @param {object | object[]} messages - The message objects.
+     * @returns {Promise<object>} LINE's response.
+     */
+    async function push(to, messages) {
+        const result = await client.pushMessage(to, messages);
+        // Counted in the background, so the caller doesn't wait for a member count.
+        estimateCost(to).then(cost => { unreported += cost; });
+        return result;
+    }
+
+    /**
+     * Reports this month's usage.
+     * @returns {Promise<{limit: number, used: number} | null>} The limit (Infinity without one) and the messages used, or null if LINE can't be reached.
+     */
+    async function getUsage() {
+        try {
+            await ensureFresh();
+        } catch (err) {
+            console.error("Error fetching the message quota:", err);
+        }
+        return limit === null ? null : { limit, used: reportedUsage + unreported };
+    }
+
+    /**
+     * Checks whether an optional push fits in the quota, leaving the reserve unused.
+     * If the quota can't be read, the push is allowed: a failed LINE request shouldn't stop announcements.
+     * @param {string} to - The user, group or room the push would go to.
+     * @returns {Promise<boolean>} True if it can be sent.
+     */
+    async function canSend(to) {
+        const usage = await getUsage();
+        if (!usage || usage.limit === Infinity) return true;
+        const cost = await estimateCost(to);
+        return usage.used + cost <= usage.limit * (1 - reserveRatio);
+    }
+
+    return { push, getUsage, canSend, estimateCost };
+}
+
+module.exports = {
+    createQuotaTracker,
+};
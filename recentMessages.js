@@ -0,0 +1,67 @@
+// recentMessages.js
+// This file remembers the last messages sent in each group, so a member can report a message by
+// replying to it: LINE only tells the bot the ID of the message that was replied to.
+// Like the flood windows, they live in process memory. After a restart, members can still
+// report someone by mentioning them.
+
+const MAX_MESSAGES_PER_GROUP = 200;
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const groups = new Map(); // groupId -> Map(messageId -> { userId, text, at }), oldest first
+
+function prune(messages, now) {
+    for (const [messageId, entry] of messages) {
+        if (messages.size <= MAX_MESSAGES_PER_GROUP && now - entry.at <= MAX_AGE_MS) break;
+        messages.delete(messageId);
+    }
+}
+
+/**
+ * Remembers a message sent in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} messageId - The ID of the message.
+ * @param {string} userId - The ID of the sender.
+ * @param {string} text - The message, or a description of it for messages that aren't text.
+ * @param {number} [now] - The current time, in milliseconds.
+ */
+function remember(groupId, messageId, userId, text, now = Date.now()) {
+    if (!groups.has(groupId)) groups.set(groupId, new Map());
+    const messages = groups.get(groupId);
+    messages.set(messageId, { userId, text, at: now });
+    prune(messages, now);
+}
+
+/**
+ * Looks up a message the bot has seen in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} messageId - The ID of the message.
+ * @returns {{userId: string, text: string, at: number} | null} The message, or null if it isn't remembered.
+ */
+function find(groupId, messageId) {
+    const messages = groups.get(groupId);
+    const entry = messages ? messages.get(messageId) : null;
+    return entry && Date.now() - entry.at <= MAX_AGE_MS ? entry : null;
+}
+
+/**
+ * Looks up the last message a user sent in a group.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {string} userId - The ID of the sender.
+ * @returns {{userId: string, text: string, at: number} | null} The message, or null if none is remembered.
+ */
+function findLatestFrom(groupId, userId) {
+    const messages = groups.get(groupId);
+    if (!messages) return null;
+    const entries = [...messages.values()];
+    for (let i = entries.length - 1; i >= 0; i--) {
+        if (Date.now() - entries[i].at > MAX_AGE_MS) return null;
+        if (entries[i].userId === userId) return entries[i];
+    }
+    return null;
+}
+
+module.exports = {
+    remember,
+    find,
+    findLatestFrom,
+};
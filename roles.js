@@ -0,0 +1,22 @@
+// roles.js
+// This file defines the group roles, from highest to lowest: owner (one per group), admin,
+// moderator, member. What each role may do is decided in permissions.js.
+
+const ROLES = {
+    OWNER: 'owner',
+    ADMIN: 'admin',
+    MODERATOR: 'moderator',
+    MEMBER: 'member',
+};
+
+const ROLE_RANKS = {
+    [ROLES.MEMBER]: 0,
+    [ROLES.MODERATOR]: 1,
+    [ROLES.ADMIN]: 2,
+    [ROLES.OWNER]: 3,
+};
+
+module.exports = {
+    ROLES,
+    ROLE_RANKS,
+};
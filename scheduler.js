@@ -0,0 +1,89 @@
+// scheduler.js
+// This file keeps the in-process timers for jobs that must run at a specific time.
+// The deadlines themselves are stored in Postgres, so the timers can be rebuilt after a restart.
+
+// setTimeout overflows (and fires immediately) for delays above ~24.8 days.
+const MAX_TIMEOUT_MS = 2147483647;
+
+const timers = new Map();
+const intervals = [];
+
+/**
+ * Runs a task once at the given time, replacing any task already scheduled under the same key.
+ * Tasks whose time has already passed run on the next tick.
+ * @param {string} key - A unique name for the job, used to cancel or replace it.
+ * @param {Date | string | number} runAt - When the task should run.
+ * @param {Function} task - The (possibly async) function to run.
+ */
+function scheduleAt(key, runAt, task) {
+    cancel(key);
+    const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+
+    if (delay > MAX_TIMEOUT_MS) {
+        // Re-arm once the maximum delay has elapsed; the task itself waits for the real deadline.
+        timers.set(key, setTimeout(() => scheduleAt(key, runAt, task), MAX_TIMEOUT_MS));
+        return;
+    }
+
+    timers.set(key, setTimeout(() => {
+        timers.delete(key);
+        runTask(key, task);
+    }, delay));
+}
+
+/**
+ * Cancels a task scheduled with scheduleAt. Does nothing if no such task exists.
+ * @param {string} key - The key the task was scheduled under.
+ */
+function cancel(key) {
+    const timer = timers.get(key);
+    if (timer) {
+        clearTimeout(timer);
+        timers.delete(key);
+    }
+}
+
+/**
+ * Runs a task repeatedly. A run is skipped if the previous one has not finished yet.
+ * @param {string} name - A name for the job, used in error logs.
+ * @param {number} intervalMs - The time between runs in milliseconds.
+ * @param {Function} task - The (possibly async) function to run.
+ */
+function every(name, intervalMs, task) {
+    let running = false;
+    const interval = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runTask(name, task);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    intervals.push(interval);
+}
+
+/**
+ * Cancels every scheduled and repeating task.
+ */
+function stopAll() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    intervals.forEach(interval => clearInterval(interval));
+    intervals.length = 0;
+}
+
+async function runTask(name, task) {
+    try {
+        await task();
+    } catch (err) {
+        console.error(`Scheduled job '${name}' failed:`, err);
+    }
+}
+
+module.exports = {
+    scheduleAt,
+    cancel,
+    every,
+    stopAll,
+};
@@ -0,0 +1,106 @@
+// settingsCache.js
+// This file keeps group settings in process memory, so handling a message doesn't cost
+// several database round-trips.
+//
+// db.js reads settings through this cache and invalidates a group after every change it makes.
+// Other processes (dynos) are told about changes through Postgres NOTIFY, see
+// db.listenForSettingsChanges(). Entries also expire after a while, which bounds how stale
+// settings can get if a notification is missed or the database is edited by hand.
+//
+// Cached settings are frozen, so they can be shared between requests, and anything computed
+// from them (role lookups, compiled blacklists) can be kept for as long as they are cached.
+
+const TTL_MS = 10 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+const entries = new Map(); // groupId -> { settings, expiresAt }
+// groupId -> { promise, stale }, so concurrent misses share one query. Only loads in flight are
+// kept, so nothing here outlives its entry; stale marks a load overtaken by an invalidation.
+const loading = new Map();
+const derived = new WeakMap(); // settings -> Map(name -> value)
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Returns a group's cached settings, loading them on a miss.
+ * A load that was overtaken by an invalidation is returned to its caller but not cached.
+ * @param {string} groupId - The ID of the LINE group.
+ * @param {function(): Promise<object>} load - Reads the settings from the database.
+ * @returns {Promise<object>} The frozen settings object.
+ */
+async function get(groupId, load) {
+    const cached = entries.get(groupId);
+    if (cached && cached.expiresAt > Date.now()) return cached.settings;
+    if (cached) entries.delete(groupId);
+    if (loading.has(groupId)) return loading.get(groupId).promise;
+
+    const pending = { stale: false };
+    pending.promise = load().then((settings) => {
+        deepFreeze(settings);
+        if (!pending.stale) {
+            if (entries.size >= MAX_ENTRIES) entries.delete(entries.keys().next().value);
+            entries.set(groupId, { settings, expiresAt: Date.now() + TTL_MS });
+        }
+        return settings;
+    }).finally(() => {
+        if (loading.get(groupId) === pending) loading.delete(groupId);
+    });
+    loading.set(groupId, pending);
+    return pending.promise;
+}
+
+function dropLoad(groupId) {
+    const pending = loading.get(groupId);
+    if (!pending) return;
+    pending.stale = true;
+    loading.delete(groupId);
+}
+
+/**
+ * Drops a group's cached settings, so the next read loads them again.
+ * @param {string} groupId - The ID of the LINE group.
+ */
+function invalidate(groupId) {
+    entries.delete(groupId);
+    dropLoad(groupId);
+}
+
+/**
+ * Drops every cached group, e.g. after missing notifications from other processes.
+ */
+function clear() {
+    entries.clear();
+    [...loading.keys()].forEach(dropLoad);
+}
+
+/**
+ * Returns a value computed from a settings object, computing it only once per cached settings object.
+ * Settings that didn't come from the cache may still change, so for them the value is computed every time.
+ * @param {object} settings - The group's settings.
+ * @param {string} name - What is computed, unique per kind of value.
+ * @param {function(object): *} compute - Computes the value from the settings.
+ * @returns {*} The computed value.
+ */
+function derive(settings, name, compute) {
+    if (!Object.isFrozen(settings)) return compute(settings);
+    let values = derived.get(settings);
+    if (!values) {
+        values = new Map();
+        derived.set(settings, values);
+    }
+    if (!values.has(name)) values.set(name, compute(settings));
+    return values.get(name);
+}
+
+module.exports = {
+    get,
+    invalidate,
+    clear,
+    derive,
+};
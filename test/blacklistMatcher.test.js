@@ -0,0 +1,76 @@
+// test/blacklistMatcher.test.js
+// This file tests how blacklist entries are parsed, refused and matched. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEntryArgs, compileBlacklist } = require('../blacklistMatcher');
+
+const SLOW_PATTERNS = [
+    '(a+)+$',
+    '(a|ab)*c',
+    '(a?)+b',
+    '(\\w+\\s?)*$',
+    '(.*a){3}',
+    '.*.*.*x',
+    '\\s*\\s*\\s*\\s*\\s*x',
+    'a+b+',
+    '\\d{1,50}\\d{1,50}x',
+    '(a)\\1',
+];
+
+const SAFE_PATTERNS = [
+    '^free\\s+money',
+    '.*x',
+    'colou?r',
+    '(?:https?://)?bit\\.ly',
+    '(ab)+',
+    '(ab){3}c+',
+    '[(a+)+]',
+];
+
+test('regular expressions that could take very long to match are refused', () => {
+    for (const pattern of SLOW_PATTERNS) {
+        const { entries, errors } = parseEntryArgs(`re:${pattern}`);
+        assert.deepStrictEqual(entries, [], pattern);
+        assert.strictEqual(errors.length, 1, pattern);
+        assert.match(errors[0].key, /^regex(?:NestedRepetition|Repetitions|Backreference)$/, pattern);
+    }
+});
+
+test('other regular expressions are accepted', () => {
+    for (const pattern of SAFE_PATTERNS) {
+        const { entries, errors } = parseEntryArgs(`re:${pattern}`);
+        assert.deepStrictEqual(errors, [], pattern);
+        assert.deepStrictEqual(entries, [`re:${pattern}`]);
+    }
+});
+
+test('an accepted regular expression matches a long message quickly', () => {
+    const matcher = compileBlacklist(['re:.*x', 're:^free\\s+money']);
+    const started = Date.now();
+    assert.strictEqual(matcher.match(' '.repeat(100000)), null);
+    assert.strictEqual(matcher.match('free '.repeat(20000)), null);
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.strictEqual(matcher.match('FREE   money now'), 're:^free\\s+money');
+});
+
+test('slow regular expressions already stored are skipped when compiling', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const matcher = compileBlacklist(['re:.*.*.*x', 'forex']);
+    const started = Date.now();
+    assert.strictEqual(matcher.match('a'.repeat(400)), null);
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.strictEqual(matcher.match('cheap forex signals'), 'forex');
+});
+
+test('entries are parsed by match mode', () => {
+    const { entries, errors } = parseEntryArgs('forex sub:crypt phrase:"buy now" "get rich" re:"^free money"');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(entries, ['forex', 'sub:crypt', 'phrase:buy now', 'phrase:get rich', 're:^free money']);
+});
+
+test('entries are also returned as typed, so entries refused by the checks can be removed', () => {
+    const { entries, typed } = parseEntryArgs('re:(a+)+ Forex');
+    assert.deepStrictEqual(entries, ['forex']);
+    assert.deepStrictEqual(typed, ['re:(a+)+', 'Forex']);
+});
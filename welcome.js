@@ -0,0 +1,37 @@
+// welcome.js
+// This file fills in the welcome message templates admins set with !setwelcome.
+//
+// A template is plain text with placeholders: {name} (the new member's display name, or the
+// names of everyone who joined together), {group} (the group name) and {count} (the number of
+// members). Templates are written by admins in any language, so they are not translated.
+
+const PLACEHOLDERS = ['name', 'group', 'count'];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const MAX_TEMPLATE_LENGTH = 1000;
+
+/**
+ * Lists the placeholders in a template that can't be filled in, e.g. a misspelled {nmae}.
+ * @param {string} template - The template.
+ * @returns {string[]} The unknown placeholders, with braces, without duplicates.
+ */
+function findUnknownPlaceholders(template) {
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)].filter(match => !PLACEHOLDERS.includes(match[1])).map(match => match[0]);
+    return [...new Set(unknown)];
+}
+
+/**
+ * Fills in a template.
+ * @param {string} template - The template.
+ * @param {{name: string, group: string, count: number | string}} values - The values to fill in.
+ * @returns {string} The message.
+ */
+function fillTemplate(template, values) {
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (PLACEHOLDERS.includes(name) ? String(values[name]) : placeholder));
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    MAX_TEMPLATE_LENGTH,
+    findUnknownPlaceholders,
+    fillTemplate,
+};